@@ -0,0 +1,121 @@
+// Network profiles shared by the bot, the deploy script and the Hardhat config.
+// Select one with NETWORK=<name> or --network <name>.
+//
+// RPC URLs resolve in this order: <NAME>_RPC_URL, RPC_URL, then Infura using
+// INFURA_API_KEY and the profile's infuraNetwork. WebSocket URLs for block
+// subscriptions resolve the same way from <NAME>_WS_URL, WS_URL, wsUrl and Infura.
+//
+// Uniswap deployments differ per chain: routerVersion 1 is the original
+// SwapRouter (exactInputSingle takes a deadline), 2 is SwapRouter02 (no
+// deadline in the struct). quoterVersion 1 is Quoter, 2 is QuoterV2.
+// These addresses are the defaults for the venues in config/venues.json;
+// balancerVault is only needed by balancerV2 venues.
+//
+// relayUrl is the Flashbots-compatible bundle relay used with SUBMISSION=relay.
+
+const MAINNET_TOKENS = {
+    DAI: { address: "0x6B175474E89094C44Da98b954EedeAC495271d0F", decimals: 18 },
+    WETH: { address: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2", decimals: 18 },
+    USDC: { address: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", decimals: 6 }
+};
+
+const MAINNET_DEX = {
+    uniswapV3Router: "0xE592427A0AEce92De3Edee1F18E0157C05861564",
+    uniswapV3Quoter: "0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6",
+    uniswapV3Factory: "0x1F98431c8aD98523631AE4a59f267346ea31F984",
+    routerVersion: 1,
+    quoterVersion: 1,
+    sushiswapRouter: "0xd9e1cE17f2641f24aE83637ab66a2cca9C378B9F",
+    balancerVault: "0xBA12222222228d8Ba445958a75a0704d566BF2C8"
+};
+
+module.exports = {
+    mainnet: {
+        chainId: 1,
+        infuraNetwork: "mainnet",
+        explorerUrl: "https://etherscan.io",
+        relayUrl: "https://relay.flashbots.net",
+        aaveAddressesProvider: "0x2f39d218133AFaB8F2B819B1066c7E434Ad94E9e",
+        dex: MAINNET_DEX,
+        tokens: MAINNET_TOKENS
+    },
+
+    sepolia: {
+        chainId: 11155111,
+        infuraNetwork: "sepolia",
+        explorerUrl: "https://sepolia.etherscan.io",
+        relayUrl: "https://relay-sepolia.flashbots.net",
+        aaveAddressesProvider: "0x012bAC54348C0E635dCAc9D5FB99f06F24136C9A",
+        dex: {
+            uniswapV3Router: "0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD",
+            uniswapV3Quoter: "0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6",
+            uniswapV3Factory: "0x0227628f3F023bb0B980b67D528571c95c6DaC1c",
+            routerVersion: 1,
+            quoterVersion: 1,
+            sushiswapRouter: "0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506"
+        },
+        tokens: {
+            DAI: { address: "0xFF34B3d4Aee8ddCd6F9AFFFB6Fe49bD371b8a357", decimals: 18 },
+            WETH: { address: "0xC558DBdd856501FCd9aaF1E62eae57A9F0629a3c", decimals: 18 },
+            USDC: { address: "0xda9d4f9b69ac6C22e444eD9aF0CfC043b7a7f53f", decimals: 6 }
+        },
+        // Hardhat-only transaction defaults
+        hardhat: {
+            gasPrice: 20000000000, // 20 gwei
+            gas: 6000000
+        }
+    },
+
+    arbitrum: {
+        chainId: 42161,
+        infuraNetwork: "arbitrum-mainnet",
+        explorerUrl: "https://arbiscan.io",
+        aaveAddressesProvider: "0xa97684ead0e402dC232d5A977953DF7ECBaB3CDb",
+        dex: {
+            uniswapV3Router: "0xE592427A0AEce92De3Edee1F18E0157C05861564",
+            uniswapV3Quoter: "0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6",
+            uniswapV3Factory: "0x1F98431c8aD98523631AE4a59f267346ea31F984",
+            routerVersion: 1,
+            quoterVersion: 1,
+            sushiswapRouter: "0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506",
+            balancerVault: "0xBA12222222228d8Ba445958a75a0704d566BF2C8"
+        },
+        tokens: {
+            DAI: { address: "0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1", decimals: 18 },
+            WETH: { address: "0x82aF49447D8a07e3bd95BD0d56f35241523fBab1", decimals: 18 },
+            USDC: { address: "0xaf88d065e77c8cC2239327C5EDb3A432268e5831", decimals: 6 }
+        }
+    },
+
+    base: {
+        chainId: 8453,
+        infuraNetwork: "base-mainnet",
+        explorerUrl: "https://basescan.org",
+        aaveAddressesProvider: "0xe20fCBdBfFC4Dd138cE8b2E6FBb6CB49777ad64D",
+        dex: {
+            uniswapV3Router: "0x2626664c2603336E57B271c5C0b26F421741e481",
+            uniswapV3Quoter: "0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a",
+            uniswapV3Factory: "0x33128a8fC17869897dcE68Ed026d694621f6FDfD",
+            routerVersion: 2,
+            quoterVersion: 2,
+            sushiswapRouter: "0x6BDED42c6DA8FBf0d2bA55B2fa120C5e0c8D7891",
+            balancerVault: "0xBA12222222228d8Ba445958a75a0704d566BF2C8"
+        },
+        tokens: {
+            DAI: { address: "0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb", decimals: 18 },
+            WETH: { address: "0x4200000000000000000000000000000000000006", decimals: 18 },
+            USDC: { address: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913", decimals: 6 }
+        }
+    },
+
+    // A local Hardhat/Anvil node forking mainnet (e.g. `npx hardhat node --fork <url>`)
+    localhost: {
+        chainId: 31337,
+        rpcUrl: "http://127.0.0.1:8545",
+        wsUrl: "ws://127.0.0.1:8545",
+        explorerUrl: null,
+        aaveAddressesProvider: "0x2f39d218133AFaB8F2B819B1066c7E434Ad94E9e",
+        dex: MAINNET_DEX,
+        tokens: MAINNET_TOKENS
+    }
+};
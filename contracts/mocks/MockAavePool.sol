@@ -0,0 +1,49 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@aave/core-v3/contracts/flashloan/interfaces/IFlashLoanSimpleReceiver.sol";
+
+interface IMockERC20 {
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
+// Stands in for PoolAddressesProvider: FlashArbitrage only asks it for the pool
+contract MockPoolAddressesProvider {
+    address public pool;
+
+    constructor(address _pool) {
+        pool = _pool;
+    }
+
+    function getPool() external view returns (address) {
+        return pool;
+    }
+}
+
+// Lends from its own balance like Aave V3's flashLoanSimple: sends the
+// amount, calls executeOperation, then pulls back amount + premium
+contract MockAavePool {
+    uint128 public constant FLASHLOAN_PREMIUM_TOTAL = 9; // 0.09%, as on Aave V3
+
+    event FlashLoan(address indexed receiver, address indexed initiator, address indexed asset, uint256 amount, uint256 premium);
+
+    function flashLoanSimple(
+        address receiverAddress,
+        address asset,
+        uint256 amount,
+        bytes calldata params,
+        uint16 /* referralCode */
+    ) external {
+        uint256 premium = (amount * FLASHLOAN_PREMIUM_TOTAL) / 10000;
+
+        require(IMockERC20(asset).transfer(receiverAddress, amount), "Pool: transfer failed");
+        require(
+            IFlashLoanSimpleReceiver(receiverAddress).executeOperation(asset, amount, premium, msg.sender, params),
+            "Pool: invalid flash loan executor return"
+        );
+        require(IMockERC20(asset).transferFrom(receiverAddress, address(this), amount + premium), "Pool: repayment failed");
+
+        emit FlashLoan(receiverAddress, msg.sender, asset, amount, premium);
+    }
+}
@@ -0,0 +1,218 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+interface IMockDexToken {
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
+// Fixed-rate Uniswap V3 stand-in. One contract plays the SwapRouter
+// (exactInputSingle) and the factory (getPool returns the router itself for
+// every configured pool); MockUniswapV3Quoter quotes from its rates.
+// A rate is the output per unit of input scaled by 1e18, per fee tier.
+contract MockUniswapV3Router {
+    struct ExactInputSingleParams {
+        address tokenIn;
+        address tokenOut;
+        uint24 fee;
+        address recipient;
+        uint256 deadline;
+        uint256 amountIn;
+        uint256 amountOutMinimum;
+        uint160 sqrtPriceLimitX96;
+    }
+
+    mapping(address => mapping(address => mapping(uint24 => uint256))) public rates;
+
+    function setRate(address tokenIn, address tokenOut, uint24 fee, uint256 rate) external {
+        rates[tokenIn][tokenOut][fee] = rate;
+    }
+
+    function getAmountOut(address tokenIn, address tokenOut, uint24 fee, uint256 amountIn) public view returns (uint256) {
+        uint256 rate = rates[tokenIn][tokenOut][fee];
+        require(rate > 0, "MockUniswapV3: no pool");
+        return (amountIn * rate) / 1e18;
+    }
+
+    function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address) {
+        if (rates[tokenA][tokenB][fee] > 0 || rates[tokenB][tokenA][fee] > 0) {
+            return address(this);
+        }
+        return address(0);
+    }
+
+    function exactInputSingle(ExactInputSingleParams calldata params) external payable returns (uint256 amountOut) {
+        require(block.timestamp <= params.deadline, "Transaction too old");
+        amountOut = getAmountOut(params.tokenIn, params.tokenOut, params.fee, params.amountIn);
+        require(amountOut >= params.amountOutMinimum, "Too little received");
+
+        require(IMockDexToken(params.tokenIn).transferFrom(msg.sender, address(this), params.amountIn), "MockUniswapV3: transfer in failed");
+        require(IMockDexToken(params.tokenOut).transfer(params.recipient, amountOut), "MockUniswapV3: transfer out failed");
+    }
+}
+
+// Quoter V1 interface over MockUniswapV3Router's rates. Like the real quoter it
+// isn't a view function, so callers use eth_call.
+contract MockUniswapV3Quoter {
+    MockUniswapV3Router public immutable router;
+
+    constructor(MockUniswapV3Router _router) {
+        router = _router;
+    }
+
+    function quoteExactInputSingle(
+        address tokenIn,
+        address tokenOut,
+        uint24 fee,
+        uint256 amountIn,
+        uint160 /* sqrtPriceLimitX96 */
+    ) external returns (uint256 amountOut) {
+        return router.getAmountOut(tokenIn, tokenOut, fee, amountIn);
+    }
+}
+
+// Fixed-rate Uniswap V2 router stand-in (SushiSwap). It is also its own factory.
+contract MockUniswapV2Router {
+    mapping(address => mapping(address => uint256)) public rates;
+
+    function setRate(address tokenIn, address tokenOut, uint256 rate) external {
+        rates[tokenIn][tokenOut] = rate;
+    }
+
+    function factory() external view returns (address) {
+        return address(this);
+    }
+
+    function getPair(address tokenA, address tokenB) external view returns (address) {
+        if (rates[tokenA][tokenB] > 0 || rates[tokenB][tokenA] > 0) {
+            return address(this);
+        }
+        return address(0);
+    }
+
+    function getAmountsOut(uint256 amountIn, address[] memory path) public view returns (uint256[] memory amounts) {
+        require(path.length >= 2, "UniswapV2Library: INVALID_PATH");
+        amounts = new uint256[](path.length);
+        amounts[0] = amountIn;
+        for (uint256 i = 0; i < path.length - 1; i++) {
+            uint256 rate = rates[path[i]][path[i + 1]];
+            require(rate > 0, "UniswapV2Library: NO_PAIR");
+            amounts[i + 1] = (amounts[i] * rate) / 1e18;
+        }
+    }
+
+    function swapExactTokensForTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external returns (uint256[] memory amounts) {
+        require(block.timestamp <= deadline, "UniswapV2Router: EXPIRED");
+        amounts = getAmountsOut(amountIn, path);
+        uint256 amountOut = amounts[amounts.length - 1];
+        require(amountOut >= amountOutMin, "UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT");
+
+        require(IMockDexToken(path[0]).transferFrom(msg.sender, address(this), amountIn), "UniswapV2Router: TRANSFER_FROM_FAILED");
+        require(IMockDexToken(path[path.length - 1]).transfer(to, amountOut), "UniswapV2Router: TRANSFER_FAILED");
+    }
+}
+
+// Fixed-rate Curve stable pool stand-in over `coins`, indexed like the real pool
+contract MockCurvePool {
+    address[] public coins;
+    mapping(int128 => mapping(int128 => uint256)) public rates;
+
+    constructor(address[] memory _coins) {
+        coins = _coins;
+    }
+
+    function setRate(int128 i, int128 j, uint256 rate) external {
+        rates[i][j] = rate;
+    }
+
+    function get_dy(int128 i, int128 j, uint256 dx) public view returns (uint256) {
+        uint256 rate = rates[i][j];
+        require(rate > 0, "MockCurve: no rate");
+        return (dx * rate) / 1e18;
+    }
+
+    // Like the original stable pools, pays the caller and returns nothing
+    function exchange(int128 i, int128 j, uint256 dx, uint256 min_dy) external {
+        uint256 dy = get_dy(i, j, dx);
+        require(dy >= min_dy, "Exchange resulted in fewer coins than expected");
+
+        require(IMockDexToken(coins[uint256(uint128(i))]).transferFrom(msg.sender, address(this), dx), "MockCurve: transfer in failed");
+        require(IMockDexToken(coins[uint256(uint128(j))]).transfer(msg.sender, dy), "MockCurve: transfer out failed");
+    }
+}
+
+// Fixed-rate Balancer V2 Vault stand-in: GIVEN_IN single swaps and their
+// queryBatchSwap dry runs, at a rate per pool and direction
+contract MockBalancerVault {
+    struct SingleSwap {
+        bytes32 poolId;
+        uint8 kind;
+        address assetIn;
+        address assetOut;
+        uint256 amount;
+        bytes userData;
+    }
+
+    struct BatchSwapStep {
+        bytes32 poolId;
+        uint256 assetInIndex;
+        uint256 assetOutIndex;
+        uint256 amount;
+        bytes userData;
+    }
+
+    struct FundManagement {
+        address sender;
+        bool fromInternalBalance;
+        address recipient;
+        bool toInternalBalance;
+    }
+
+    mapping(bytes32 => mapping(address => mapping(address => uint256))) public rates;
+
+    function setRate(bytes32 poolId, address tokenIn, address tokenOut, uint256 rate) external {
+        rates[poolId][tokenIn][tokenOut] = rate;
+    }
+
+    function getAmountOut(bytes32 poolId, address tokenIn, address tokenOut, uint256 amountIn) public view returns (uint256) {
+        uint256 rate = rates[poolId][tokenIn][tokenOut];
+        require(rate > 0, "BAL#521");
+        return (amountIn * rate) / 1e18;
+    }
+
+    // Vault deltas: what it takes in is positive, what it pays out negative
+    function queryBatchSwap(
+        uint8 kind,
+        BatchSwapStep[] memory swaps,
+        address[] memory assets,
+        FundManagement memory /* funds */
+    ) external view returns (int256[] memory deltas) {
+        require(kind == 0 && swaps.length == 1, "MockBalancer: single GIVEN_IN swaps only");
+        BatchSwapStep memory step = swaps[0];
+        deltas = new int256[](assets.length);
+        deltas[step.assetInIndex] = int256(step.amount);
+        deltas[step.assetOutIndex] = -int256(getAmountOut(step.poolId, assets[step.assetInIndex], assets[step.assetOutIndex], step.amount));
+    }
+
+    function swap(
+        SingleSwap memory singleSwap,
+        FundManagement memory funds,
+        uint256 limit,
+        uint256 deadline
+    ) external payable returns (uint256 amountOut) {
+        require(block.timestamp <= deadline, "BAL#508");
+        require(singleSwap.kind == 0, "MockBalancer: GIVEN_IN only");
+        require(funds.sender == msg.sender, "BAL#401");
+        amountOut = getAmountOut(singleSwap.poolId, singleSwap.assetIn, singleSwap.assetOut, singleSwap.amount);
+        require(amountOut >= limit, "BAL#507");
+
+        require(IMockDexToken(singleSwap.assetIn).transferFrom(msg.sender, address(this), singleSwap.amount), "MockBalancer: transfer in failed");
+        require(IMockDexToken(singleSwap.assetOut).transfer(funds.recipient, amountOut), "MockBalancer: transfer out failed");
+    }
+}
@@ -1,5 +1,18 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+const { NETWORKS, getNetworkProfile } = require("./scripts/lib/networks");
+
+// One Hardhat network per profile in config/networks.js, so `--network <name>`
+// deploys against the same chain and addresses the bot trades on
+const profileNetworks = Object.fromEntries(Object.keys(NETWORKS).map(name => {
+  const profile = getNetworkProfile(name);
+  return [name, {
+    url: profile.rpcUrl,
+    chainId: Number(profile.chainId),
+    accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
+    ...profile.hardhat
+  }];
+}));
 
 module.exports = {
   solidity: {
@@ -11,17 +24,7 @@ module.exports = {
       }
     }
   },
-  networks: {
-    sepolia: {
-      url: `https://sepolia.infura.io/v3/${process.env.INFURA_API_KEY}`,
-      accounts: [process.env.PRIVATE_KEY],
-      gasPrice: 20000000000, // 20 gwei
-      gas: 6000000
-    },
-    localhost: {
-      url: "http://127.0.0.1:8545"
-    }
-  },
+  networks: profileNetworks,
   etherscan: {
     apiKey: process.env.ETHERSCAN_API_KEY
   },
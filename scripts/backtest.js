@@ -0,0 +1,91 @@
+const { getNetworkProfile } = require("./lib/networks");
+const { loadPairRegistry } = require("./lib/pairs");
+const { loadQuoteDataset } = require("./lib/quoteData");
+const { DEFAULT_CONFIG } = require("./lib/arbitrageBot");
+const { DEFAULT_SWEEPS, runBacktest, summarizeBacktest, runSensitivity, formatBacktestReport } = require("./lib/backtest");
+require("dotenv").config();
+
+// Replay recorded quotes (RECORD_FILE, or a CSV) through the bot's scan, e.g.
+//   npm run backtest -- quotes.jsonl
+//   npm run backtest -- quotes.csv --latency 0 --slippage 20 --set MIN_PRICE_DIFFERENCE=25
+//   npm run backtest -- quotes.jsonl --sweep MIN_PRICE_DIFFERENCE=10,25,50 --sweep minProfit=0.5,1
+//   npm run backtest -- quotes.jsonl --no-sensitivity --json
+// Pairs come from PAIRS_CONFIG and tokens from the NETWORK profile, as for the bot.
+
+function parseArgs(argv) {
+    const [dataset, ...rest] = argv;
+    const options = { set: [], sweep: [], flags: [] };
+    for (let i = 0; i < rest.length; i++) {
+        const key = rest[i].replace(/^--/, "");
+        if (["json", "no-sensitivity"].includes(key)) {
+            options.flags.push(key);
+        } else if (key === "set" || key === "sweep") {
+            options[key].push(rest[++i]);
+        } else {
+            options[key] = rest[++i];
+        }
+    }
+    return { dataset, options };
+}
+
+function parseAssignment(assignment) {
+    const [key, value] = assignment.split("=");
+    if (!key || value === undefined) {
+        throw new Error(`Expected KEY=value, got "${assignment}"`);
+    }
+    return [key, value];
+}
+
+const parseNumber = (value) => {
+    const number = Number(value);
+    if (Number.isNaN(number)) {
+        throw new Error(`Not a number: ${value}`);
+    }
+    return number;
+};
+
+// Overrides keep the type of the setting they replace, e.g. wei amounts stay bigints
+const parseSetting = (key, value) => (typeof DEFAULT_CONFIG[key] === "bigint" ? BigInt(value) : parseNumber(value));
+
+async function main() {
+    const { dataset: datasetPath, options } = parseArgs(process.argv.slice(2));
+    if (!datasetPath) {
+        throw new Error("Usage: npm run backtest -- <quotes.jsonl|quotes.csv> [--latency n] [--slippage bps] [--set KEY=value] [--sweep KEY=a,b,c] [--no-sensitivity] [--json]");
+    }
+
+    const network = getNetworkProfile(options.network);
+    const registry = loadPairRegistry(undefined, network.tokens);
+    const dataset = loadQuoteDataset(datasetPath, registry.tokens);
+    const config = Object.fromEntries(options.set.map(parseAssignment).map(([key, value]) => [key, parseSetting(key, value)]));
+    const backtest = {
+        dataset,
+        registry,
+        network,
+        config,
+        latencyBlocks: options.latency !== undefined ? parseNumber(options.latency) : 1,
+        slippageBps: options.slippage !== undefined ? parseNumber(options.slippage) : 0
+    };
+
+    const result = await runBacktest(backtest);
+    const summary = summarizeBacktest(result);
+
+    let sensitivity = null;
+    if (!options.flags.includes("no-sensitivity")) {
+        const sweeps = options.sweep.length > 0 ?
+            Object.fromEntries(options.sweep.map(parseAssignment).map(([key, values]) => [key, values.split(",").map(value => parseSetting(key, value))])) :
+            DEFAULT_SWEEPS;
+        sensitivity = await runSensitivity(backtest, sweeps);
+    }
+
+    if (options.flags.includes("json")) {
+        console.log(JSON.stringify({ summary, trades: result.trades, sensitivity }, (key, value) =>
+            typeof value === "bigint" ? value.toString() : value, 2));
+    } else {
+        console.log(formatBacktestReport(summary, result.trades, sensitivity));
+    }
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
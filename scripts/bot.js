@@ -1,452 +1,182 @@
+// Command-line entry point: checks the environment, then builds the provider,
+// signer, Telegram client and addresses from it and runs one
+// ProductionArbitrageBot (scripts/lib/arbitrageBot.js) until stopped.
+const path = require("path");
 const { ethers } = require("ethers");
 const TelegramBot = require('node-telegram-bot-api');
+const { loadPairRegistry } = require("./lib/pairs");
+const { loadTreasuryPolicy } = require("./lib/treasury");
+const { loadVenues, createVenues } = require("./lib/dex");
+const { TelegramCommands } = require("./lib/telegramCommands");
+const { startStatusServer } = require("./lib/statusServer");
+const { getNetworkProfile, assertChainId } = require("./lib/networks");
+const { FailoverProvider } = require("./lib/rpcProvider");
+const { BOT_ENV_SCHEMA, BOT_CONFIG_RANGES, validateEnv, validateRanges, assertValidConfig } = require("./lib/config");
+const { loadSigners } = require("./lib/signer");
+const { DEFAULT_CONFIG, ProductionArbitrageBot } = require("./lib/arbitrageBot");
+const { DEFAULT_JOURNAL_DIR, TradeJournal } = require("./lib/journal");
 require("dotenv").config();
 
-// Initialize Telegram bot
-const telegramBot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN);
-const sendTelegramMessage = (msg) => {
-    console.log(`[${new Date().toISOString()}] ${msg}`);
-    telegramBot.sendMessage(process.env.TELEGRAM_CHAT_ID, msg)
-        .catch(err => console.error('Telegram error:', err));
-};
+// Chain profile from --network or NETWORK (config/networks.js)
+const NETWORK = getNetworkProfile();
 
-// Initialize provider and wallet
-const provider = new ethers.JsonRpcProvider(
-    `https://sepolia.infura.io/v3/${process.env.INFURA_API_KEY}`
-);
-const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+// Environment parsed against the schema in scripts/lib/config.js
+const { values: ENV, entries: ENV_ENTRIES } = validateEnv(BOT_ENV_SCHEMA, process.env, { network: NETWORK.name });
 
-// Sepolia testnet addresses (verified for current testnet state)
-const CONTRACTS = {
-    // Aave V3 Sepolia
-    AAVE_POOL: process.env.AAVE_POOL_ADDRESS,
-    FLASH_ARBITRAGE: process.env.FLASH_ARBITRAGE_CONTRACT,
-    
-    // DEX Routers on Sepolia
-    UNISWAP_V3_ROUTER: "0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD",
-    UNISWAP_V3_QUOTER: "0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6",
-    SUSHISWAP_ROUTER: "0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506",
-    
-    // Tokens
-    TOKENS: {
-        DAI: "0xFF34B3d4Aee8ddCd6F9AFFFB6Fe49bD371b8a357",
-        WETH: "0xC558DBdd856501FCd9aaF1E62eae57A9F0629a3c",
-        USDC: "0xda9d4f9b69ac6C22e444eD9aF0CfC043b7a7f53f"
-    }
-};
-
-// Bot configuration
+// Bot configuration: the library defaults plus what the environment and flags select
 const BOT_CONFIG = {
-    SCAN_INTERVAL: 60000, // 1 minute
-    MIN_PROFIT_WEI: ethers.parseUnits("0.1", 18), // 0.1 DAI minimum profit
-    MAX_GAS_PRICE: ethers.parseUnits("25", "gwei"),
-    DEFAULT_AMOUNT: ethers.parseUnits("10", 18), // 10 DAI
-    MIN_PRICE_DIFFERENCE: 50, // 0.5% minimum price difference (in basis points)
-    MAX_SLIPPAGE: 200 // 2% maximum slippage (in basis points)
+    ...DEFAULT_CONFIG,
+    // "block" scans once per new block over a WebSocket subscription, "poll" sleeps SCAN_INTERVAL between cycles
+    SCAN_MODE: ENV.SCAN_MODE || (NETWORK.wsUrl ? "block" : "poll"),
+    // In block mode, "swap" only scans blocks where a watched pool swapped (plus one scan per SCAN_INTERVAL)
+    SCAN_TRIGGER: ENV.SCAN_TRIGGER,
+    // "relay" sends flash loans as private bundles instead of through the public mempool
+    SUBMISSION: ENV.SUBMISSION,
+    RELAY_URL: ENV.RELAY_URL || null,
+    // Paper trading: live quotes and simulations, but nothing is ever signed or sent
+    DRY_RUN: process.argv.includes("--dry-run") || ENV.DRY_RUN,
+    // Either halts trading until the operator sends /resume with the switch off again
+    KILL_SWITCH: ENV.KILL_SWITCH,
+    KILL_SWITCH_FILE: ENV.KILL_SWITCH_FILE || path.join(__dirname, "..", "KILL_SWITCH"),
+    // Risk trips and today's gas and loss totals, kept next to the trade journal
+    RISK_STATE_FILE: ENV.RISK_STATE_FILE || path.join(ENV.JOURNAL_DIR || DEFAULT_JOURNAL_DIR, "risk-state.json"),
+    // Recorder mode: each cycle's quotes are appended here for `npm run backtest`
+    RECORD_FILE: process.argv.includes("--record") ? process.argv[process.argv.indexOf("--record") + 1] : ENV.RECORD_FILE || null
 };
 
-class ProductionArbitrageBot {
-    constructor() {
-        this.isRunning = false;
-        this.contractBalances = {};
-        this.gasHistory = [];
-        this.profitHistory = [];
-        
-        // Initialize contract interfaces
-        this.contracts = {
-            aavePool: new ethers.Contract(
-                CONTRACTS.AAVE_POOL,
-                ["function flashLoanSimple(address receiver, address asset, uint256 amount, bytes calldata params, uint16 referralCode) external"],
-                wallet
-            ),
-            flashArbitrage: new ethers.Contract(
-                CONTRACTS.FLASH_ARBITRAGE,
-                [
-                    "function fundContract(address token, uint256 amount) external",
-                    "function withdrawToken(address token) external",
-                    "event ArbitrageProfit(address indexed token, uint256 profit)",
-                    "event ArbitrageFailure(string reason)"
-                ],
-                wallet
-            ),
-            uniswapQuoter: new ethers.Contract(
-                CONTRACTS.UNISWAP_V3_QUOTER,
-                [
-                    "function quoteExactInputSingle(address tokenIn, address tokenOut, uint24 fee, uint256 amountIn, uint160 sqrtPriceLimitX96) external returns (uint256 amountOut)"
-                ],
-                wallet
-            ),
-            sushiswapRouter: new ethers.Contract(
-                CONTRACTS.SUSHISWAP_ROUTER,
-                [
-                    "function getAmountsOut(uint amountIn, address[] memory path) view returns (uint[] memory amounts)"
-                ],
-                wallet
-            ),
-            dai: new ethers.Contract(
-                CONTRACTS.TOKENS.DAI,
-                [
-                    "function balanceOf(address account) view returns (uint256)",
-                    "function approve(address spender, uint256 amount) returns (bool)",
-                    "function transfer(address to, uint256 amount) returns (bool)"
-                ],
-                wallet
-            )
-        };
-    }
-
-    async start() {
-        if (this.isRunning) {
-            sendTelegramMessage("⚠️ Bot is already running!");
-            return;
-        }
-
-        this.isRunning = true;
-        const startMsg = `🚀 Production Arbitrage Bot Started at ${new Date().toLocaleString()}`;
-        sendTelegramMessage(startMsg);
-
-        try {
-            // Pre-flight checks
-            await this.performStartupChecks();
-            
-            // Main loop
-            while (this.isRunning) {
-                try {
-                    await this.executeTradingCycle();
-                } catch (error) {
-                    const errorMsg = `⚠️ Trading cycle error: ${error.message}`;
-                    sendTelegramMessage(errorMsg);
-                    console.error('Trading cycle error:', error);
-                }
-                
-                // Wait before next cycle
-                await new Promise(resolve => setTimeout(resolve, BOT_CONFIG.SCAN_INTERVAL));
-            }
-        } catch (error) {
-            const fatalMsg = `💥 Fatal bot error: ${error.message}`;
-            sendTelegramMessage(fatalMsg);
-            console.error('Fatal error:', error);
-        } finally {
-            this.isRunning = false;
-        }
-    }
-
-    async performStartupChecks() {
-        sendTelegramMessage("🔍 Performing startup checks...");
-        
-        // Check wallet balance
-        const ethBalance = await provider.getBalance(wallet.address);
-        const ethFormatted = ethers.formatEther(ethBalance);
-        
-        if (ethBalance < ethers.parseEther("0.01")) {
-            throw new Error(`Insufficient ETH balance: ${ethFormatted} ETH`);
-        }
-        
-        // Check contract funding
-        await this.ensureContractFunding();
-        
-        // Verify gas prices
-        const gasPrice = await this.getCurrentGasPrice();
-        
-        sendTelegramMessage(
-            `✅ Startup checks complete\\n` +
-            `💰 Wallet: ${ethFormatted} ETH\\n` +
-            `⛽ Gas: ${gasPrice.toFixed(2)} gwei`
-        );
-    }
+// Nothing has touched the chain yet: report what was found and stop on any error
+try {
+    assertValidConfig(`Bot configuration (${NETWORK.name})`, [
+        ...ENV_ENTRIES,
+        ...validateRanges(BOT_CONFIG, BOT_CONFIG_RANGES)
+    ]);
+} catch (error) {
+    console.error(`💥 ${error.message}`);
+    process.exit(1);
+}
 
-    async ensureContractFunding() {
-        const balance = await this.contracts.dai.balanceOf(CONTRACTS.FLASH_ARBITRAGE);
-        const balanceFormatted = ethers.formatUnits(balance, 18);
-        
-        if (balance < ethers.parseUnits("5", 18)) {
-            sendTelegramMessage(`💳 Contract needs funding. Current: ${balanceFormatted} DAI`);
-            
-            // Check if we have DAI to fund with
-            const walletDaiBalance = await this.contracts.dai.balanceOf(wallet.address);
-            if (walletDaiBalance < ethers.parseUnits("10", 18)) {
-                throw new Error("Insufficient DAI in wallet for contract funding");
-            }
-            
-            // Approve and fund contract
-            const approveTx = await this.contracts.dai.approve(
-                CONTRACTS.FLASH_ARBITRAGE,
-                ethers.parseUnits("10", 18)
-            );
-            await approveTx.wait();
-            
-            const fundTx = await this.contracts.flashArbitrage.fundContract(
-                CONTRACTS.TOKENS.DAI,
-                ethers.parseUnits("10", 18)
-            );
-            await fundTx.wait();
-            
-            sendTelegramMessage("✅ Contract funded with 10 DAI");
-        } else {
-            sendTelegramMessage(`✅ Contract sufficiently funded: ${balanceFormatted} DAI`);
-        }
+// Initialize Telegram bot
+const telegramBot = new TelegramBot(ENV.TELEGRAM_BOT_TOKEN);
+const sendTelegramMessage = (msg) => {
+    console.log(`[${new Date().toISOString()}] ${msg}`);
+    if (!ENV.TELEGRAM_BOT_TOKEN) {
+        return; // Telegram is optional; the console log above is all we get
     }
+    telegramBot.sendMessage(ENV.TELEGRAM_CHAT_ID, msg)
+        .catch(err => console.error('Telegram error:', err));
+};
 
-    async executeTradingCycle() {
-        console.log(`\\n🔍 Scanning for opportunities at ${new Date().toLocaleTimeString()}`);
-        
-        // Check gas conditions
-        const gasPrice = await this.getCurrentGasPrice();
-        if (gasPrice > parseFloat(ethers.formatUnits(BOT_CONFIG.MAX_GAS_PRICE, "gwei"))) {
-            console.log(`⛽ Gas too high: ${gasPrice.toFixed(2)} gwei`);
-            return;
-        }
-        
-        // Find arbitrage opportunities
-        const opportunities = await this.scanForArbitrageOpportunities();
-        if (opportunities.length === 0) {
-            console.log("📭 No profitable opportunities found");
-            return;
-        }
-        
-        // Execute the most profitable opportunity
-        const bestOpportunity = opportunities[0];
-        sendTelegramMessage(
-            `💡 Opportunity Found!\\n` +
-            `Pair: ${bestOpportunity.tokenA}/${bestOpportunity.tokenB}\\n` +
-            `Expected Profit: ${ethers.formatUnits(bestOpportunity.estimatedProfit, 18)} DAI\\n` +
-            `Price Difference: ${bestOpportunity.priceDifference.toFixed(2)}%`
-        );
-        
-        await this.executeArbitrage(bestOpportunity);
-    }
+// Initialize provider. Reads fail over across RPC_URLS; transactions go to
+// the primary endpoint, or to all of them with RPC_SEND_MODE=broadcast
+const provider = new FailoverProvider(NETWORK.rpcUrls, undefined, {
+    sendMode: ENV.RPC_SEND_MODE
+});
 
-    async scanForArbitrageOpportunities() {
-        const opportunities = [];
-        const amount = BOT_CONFIG.DEFAULT_AMOUNT;
-        
-        try {
-            // Compare DAI/WETH prices between Uniswap and SushiSwap
-            const [uniswapPrice, sushiPrice] = await Promise.all([
-                this.getUniswapPrice(CONTRACTS.TOKENS.DAI, CONTRACTS.TOKENS.WETH, amount),
-                this.getSushiPrice(CONTRACTS.TOKENS.DAI, CONTRACTS.TOKENS.WETH, amount)
-            ]);
-            
-            if (uniswapPrice && sushiPrice) {
-                const opportunity = this.analyzeOpportunity(
-                    amount,
-                    uniswapPrice,
-                    sushiPrice,
-                    CONTRACTS.TOKENS.DAI,
-                    CONTRACTS.TOKENS.WETH
-                );
-                
-                if (opportunity) {
-                    opportunities.push(opportunity);
-                }
-            }
-        } catch (error) {
-            console.error('Error scanning opportunities:', error);
-        }
-        
-        // Sort by profitability
-        return opportunities.sort((a, b) => b.estimatedProfit - a.estimatedProfit);
-    }
+// Tokens and pairs to watch (config/pairs.json unless PAIRS_CONFIG is set),
+// limited to the tokens the network profile knows
+const PAIR_REGISTRY = loadPairRegistry(undefined, NETWORK.tokens);
 
-    async getUniswapPrice(tokenIn, tokenOut, amountIn) {
-        try {
-            const quote = await this.contracts.uniswapQuoter.quoteExactInputSingle.staticCall(
-                tokenIn,
-                tokenOut,
-                3000, // 0.3% fee tier
-                amountIn,
-                0
-            );
-            return { amount: quote, source: 'uniswap' };
-        } catch (error) {
-            console.error('Uniswap price error:', error.message);
-            return null;
-        }
-    }
+// Contract balances and wallet ETH reserve (config/treasury.json unless TREASURY_CONFIG is set)
+const TREASURY_POLICY = loadTreasuryPolicy(undefined, PAIR_REGISTRY.tokens);
 
-    async getSushiPrice(tokenIn, tokenOut, amountIn) {
-        try {
-            const amounts = await this.contracts.sushiswapRouter.getAmountsOut(
-                amountIn,
-                [tokenIn, tokenOut]
-            );
-            return { amount: amounts[1], source: 'sushiswap' };
-        } catch (error) {
-            console.error('SushiSwap price error:', error.message);
-            return null;
-        }
-    }
+// DEX venues compared pairwise (config/venues.json unless VENUES_CONFIG is set),
+// with addresses left out taken from the network profile
+const VENUES = loadVenues(undefined, NETWORK, PAIR_REGISTRY.tokens);
 
-    analyzeOpportunity(amount, price1, price2, tokenA, tokenB) {
-        const amount1 = BigInt(price1.amount.toString());
-        const amount2 = BigInt(price2.amount.toString());
-        
-        // Calculate price difference percentage
-        const priceDiff = amount1 > amount2 ?
-            Number((amount1 - amount2) * 10000n / amount1) :
-            Number((amount2 - amount1) * 10000n / amount2);
-        
-        // Check if difference meets minimum threshold
-        if (priceDiff < BOT_CONFIG.MIN_PRICE_DIFFERENCE) {
-            return null;
-        }
-        
-        // Determine trade direction
-        const buyFromDex = amount1 > amount2 ? price2.source : price1.source;
-        const sellToDex = amount1 > amount2 ? price1.source : price2.source;
-        const buyPrice = amount1 > amount2 ? amount2 : amount1;
-        const sellPrice = amount1 > amount2 ? amount1 : amount2;
-        
-        // Calculate estimated profit (accounting for fees)
-        const flashLoanFee = amount * 9n / 10000n; // 0.09% Aave fee
-        const estimatedProfit = sellPrice - buyPrice - flashLoanFee;
-        
-        if (estimatedProfit < BOT_CONFIG.MIN_PROFIT_WEI) {
-            return null;
-        }
-        
-        return {
-            tokenA,
-            tokenB,
-            amount,
-            buyFromDex,
-            sellToDex,
-            buyPrice,
-            sellPrice,
-            estimatedProfit,
-            priceDifference: priceDiff / 100, // Convert to percentage
-            gasEstimate: ethers.parseUnits("200000", "wei") // Rough gas estimate
-        };
-    }
+// Addresses for the selected network
+const CONTRACTS = {
+    // Aave V3: AAVE_POOL_ADDRESS overrides the pool resolved from the addresses provider at startup
+    AAVE_POOL: ENV.AAVE_POOL_ADDRESS,
+    AAVE_ADDRESSES_PROVIDER: NETWORK.aaveAddressesProvider,
+    FLASH_ARBITRAGE: ENV.FLASH_ARBITRAGE_CONTRACT,
+    
+    // DEX routers
+    UNISWAP_V3_ROUTER: NETWORK.dex.uniswapV3Router,
+    UNISWAP_V3_QUOTER: NETWORK.dex.uniswapV3Quoter,
+    UNISWAP_V3_FACTORY: NETWORK.dex.uniswapV3Factory,
+    SUSHISWAP_ROUTER: NETWORK.dex.sushiswapRouter,
+    // Batches scan quotes; defaults to the canonical Multicall3 deployment
+    MULTICALL3: ENV.MULTICALL3_ADDRESS,
+    
+    // Tokens
+    TOKENS: Object.fromEntries(
+        Object.values(PAIR_REGISTRY.tokens).map(token => [token.symbol, token.address])
+    )
+};
 
-    async executeArbitrage(opportunity) {
-        try {
-            sendTelegramMessage(`⚡ Executing arbitrage trade...`);
-            
-            // Prepare transaction parameters
-            const params = this.encodeArbitrageParams(opportunity);
-            
-            // Execute flash loan
-            const tx = await this.contracts.aavePool.flashLoanSimple(
-                CONTRACTS.FLASH_ARBITRAGE,
-                opportunity.tokenA,
-                opportunity.amount,
-                params,
-                0,
-                { gasLimit: 500000 }
-            );
-            
-            sendTelegramMessage(
-                `📝 Transaction sent: https://sepolia.etherscan.io/tx/${tx.hash}`
-            );
-            
-            // Wait for confirmation
-            const receipt = await tx.wait();
-            
-            // Parse results
-            await this.parseTransactionResult(receipt);
-            
-        } catch (error) {
-            const errorMsg = `❌ Arbitrage execution failed: ${error.message}`;
-            sendTelegramMessage(errorMsg);
-            console.error('Arbitrage execution error:', error);
-        }
-    }
+// Refuses a provider serving the wrong chain and resolves the Aave pool,
+// both before anything is signed
+async function prepareNetwork() {
+    await assertChainId(provider, NETWORK);
 
-    encodeArbitrageParams(opportunity) {
-        // This is a simplified version - in production you'd need actual DEX interaction calldata
-        const swapTargets = [
-            opportunity.buyFromDex === 'uniswap' ? CONTRACTS.UNISWAP_V3_ROUTER : CONTRACTS.SUSHISWAP_ROUTER,
-            opportunity.sellToDex === 'uniswap' ? CONTRACTS.UNISWAP_V3_ROUTER : CONTRACTS.SUSHISWAP_ROUTER
-        ];
-        
-        // Mock swap data - replace with actual DEX calls
-        const swapData = [
-            "0x", // Buy swap calldata
-            "0x"  // Sell swap calldata
-        ];
-        
-        return ethers.AbiCoder.defaultAbiCoder().encode(
-            ["uint256", "address[]", "bytes[]"],
-            [opportunity.estimatedProfit, swapTargets, swapData]
+    if (!CONTRACTS.AAVE_POOL) {
+        const addressesProvider = new ethers.Contract(
+            CONTRACTS.AAVE_ADDRESSES_PROVIDER,
+            ["function getPool() view returns (address)"],
+            provider
         );
+        CONTRACTS.AAVE_POOL = await addressesProvider.getPool();
     }
+    console.log(`🌐 Network ${NETWORK.name} (chain ${NETWORK.chainId}), Aave pool ${CONTRACTS.AAVE_POOL}`);
+}
 
-    async parseTransactionResult(receipt) {
-        const iface = new ethers.Interface([
-            "event ArbitrageProfit(address indexed token, uint256 profit)",
-            "event ArbitrageFailure(string reason)"
-        ]);
-        
-        let profit = null;
-        let failure = null;
-        
-        for (const log of receipt.logs) {
-            try {
-                const parsed = iface.parseLog(log);
-                if (parsed) {
-                    if (parsed.name === "ArbitrageProfit") {
-                        profit = parsed.args.profit;
-                    } else if (parsed.name === "ArbitrageFailure") {
-                        failure = parsed.args.reason;
-                    }
-                }
-            } catch (e) {
-                // Not our event
-            }
-        }
-        
-        if (profit) {
-            const profitFormatted = ethers.formatUnits(profit, 18);
-            const successMsg = `✅ Arbitrage successful! Profit: ${profitFormatted} DAI`;
-            sendTelegramMessage(successMsg);
-            this.profitHistory.push({ timestamp: Date.now(), profit: profit });
-        } else if (failure) {
-            sendTelegramMessage(`⚠️ Arbitrage failed: ${failure}`);
-        } else {
-            sendTelegramMessage(`✅ Transaction confirmed in block ${receipt.blockNumber}`);
-        }
-    }
-
-    async getCurrentGasPrice() {
-        try {
-            const feeData = await provider.getFeeData();
-            const gasPrice = parseFloat(ethers.formatUnits(feeData.gasPrice, "gwei"));
-            
-            this.gasHistory.push({ timestamp: Date.now(), gasPrice });
-            
-            // Keep only last 20 readings
-            if (this.gasHistory.length > 20) {
-                this.gasHistory = this.gasHistory.slice(-20);
-            }
-            
-            return gasPrice;
-        } catch (error) {
-            console.error("Error getting gas price:", error);
-            return 50; // Fallback gas price
-        }
-    }
-
-    stop() {
-        this.isRunning = false;
-        sendTelegramMessage("🛑 Bot stopped");
-    }
-
-    // Health monitoring
-    getStatus() {
-        const avgGas = this.gasHistory.length > 0 ?
-            this.gasHistory.reduce((sum, entry) => sum + entry.gasPrice, 0) / this.gasHistory.length : 0;
-        
-        const totalProfit = this.profitHistory.reduce((sum, entry) => sum + Number(entry.profit), 0);
-        
-        return {
-            isRunning: this.isRunning,
-            avgGasPrice: avgGas.toFixed(2),
-            totalProfitWei: totalProfit,
-            successfulTrades: this.profitHistory.length,
-            uptime: Date.now() - (this.startTime || Date.now())
-        };
-    }
+async function main() {
+    let signers;
+    try {
+        // Unlocks a keystore (prompting on a terminal) before the first RPC call
+        signers = await loadSigners({ provider });
+        await prepareNetwork();
+    } catch (error) {
+        console.error(`💥 ${error.message}`);
+        process.exit(1);
+    }
+
+    const { signer, hot, mainAddress } = signers;
+    console.log(`🔑 Trading from ${signer.address}${hot ? " (hot key)" : ""}`);
+    // A hot key should hold little, so its surplus goes to the main key unless the policy names a treasury
+    if (hot && !TREASURY_POLICY.treasury && mainAddress) {
+        TREASURY_POLICY.treasury = mainAddress;
+        console.log(`🏦 Hot wallet surplus is swept to the main key ${mainAddress}`);
+    }
+
+    // Start the bot
+    const bot = new ProductionArbitrageBot({
+        provider,
+        signer,
+        contracts: CONTRACTS,
+        registry: PAIR_REGISTRY,
+        network: NETWORK,
+        config: BOT_CONFIG,
+        treasuryPolicy: TREASURY_POLICY,
+        venues: createVenues(VENUES, { feeTiers: BOT_CONFIG.UNISWAP_FEE_TIERS, runner: provider }),
+        notifier: sendTelegramMessage,
+        journal: new TradeJournal(ENV.JOURNAL_DIR || DEFAULT_JOURNAL_DIR),
+        // Relay reputation follows this key, so keep it stable; it never needs funds
+        relayAuthSigner: ENV.RELAY_AUTH_KEY ? new ethers.Wallet(ENV.RELAY_AUTH_KEY) : undefined
+    });
+    global.bot = bot;
+
+    // Expose /healthz, /status and /metrics when a port is configured
+    if (ENV.METRICS_PORT) {
+        startStatusServer({ bot, metrics: bot.metrics, port: ENV.METRICS_PORT, notify: sendTelegramMessage });
+    }
+
+    // Listen for operator commands from the configured chat; like
+    // notifications, they need a bot token
+    if (ENV.TELEGRAM_COMMANDS && ENV.TELEGRAM_BOT_TOKEN) {
+        new TelegramCommands({
+            client: telegramBot,
+            chatId: ENV.TELEGRAM_CHAT_ID,
+            bot,
+            config: bot.config
+        }).listen();
+        telegramBot.startPolling();
+    }
+
+    // Run bot cycles; start() retries its own failures until stopped or paused
+    bot.start();
+
+    sendTelegramMessage(`🤖 Arbitrage bot initialized and ready on ${NETWORK.name}!`);
 }
 
 // Error handling
@@ -464,15 +194,4 @@ process.on('SIGINT', () => {
     process.exit(0);
 });
 
-// Start the bot
-const bot = new ProductionArbitrageBot();
-global.bot = bot;
-
-// Run bot cycles
-setInterval(async () => {
-    if (!bot.isRunning) {
-        await bot.start();
-    }
-}, 5000);
-
-sendTelegramMessage("🤖 Arbitrage bot initialized and ready!");
\ No newline at end of file
+main();
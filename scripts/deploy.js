@@ -1,23 +1,38 @@
 const hre = require("hardhat");
 require("dotenv").config();
 const TelegramBot = require('node-telegram-bot-api');
+const { getNetworkProfile, assertChainId, explorerTxUrl } = require("./lib/networks");
+const { DEPLOY_ENV_SCHEMA, validateEnv, assertValidConfig } = require("./lib/config");
+const { loadSigners } = require("./lib/signer");
 
-const telegramBot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN);
+// Environment parsed against the schema in scripts/lib/config.js
+const { values: ENV, entries: ENV_ENTRIES } = validateEnv(DEPLOY_ENV_SCHEMA, process.env, { network: hre.network.name });
+
+const telegramBot = new TelegramBot(ENV.TELEGRAM_BOT_TOKEN);
 const sendTelegramMessage = (msg) => {
-    telegramBot.sendMessage(process.env.TELEGRAM_CHAT_ID, msg)
+    if (!ENV.TELEGRAM_BOT_TOKEN) {
+        return; // Telegram is optional
+    }
+    telegramBot.sendMessage(ENV.TELEGRAM_CHAT_ID, msg)
         .catch(err => console.error('Telegram error:', err));
 };
 
 async function main() {
-    const addressProvider = "0x012bAC54348C0E635dCAc9D5FB99f06F24136C9A"; // Aave V3 Sepolia AddressProvider
+    // Same profile the bot uses, selected by `--network <name>`
+    const network = getNetworkProfile(hre.network.name);
+    // Nothing has touched the chain yet: report what was found and stop on any error
+    assertValidConfig(`Deployment configuration (${network.name})`, ENV_ENTRIES);
+    await assertChainId(hre.ethers.provider, network);
+    const addressProvider = network.aaveAddressesProvider; // Aave V3 PoolAddressesProvider
     
-    sendTelegramMessage("🏗 Starting Flash Arbitrage contract deployment...");
+    sendTelegramMessage(`🏗 Starting Flash Arbitrage contract deployment on ${network.name}...`);
     
-    // Get deployment info
-    const [deployer] = await hre.ethers.getSigners();
+    // Deploy from the key the bot trades with (the hot key when one is set):
+    // the contract only takes flash loans from its owner
+    const { signer: deployer, hot } = await loadSigners({ provider: hre.ethers.provider });
     const deployerBalance = await hre.ethers.provider.getBalance(deployer.address);
     
-    console.log("Deploying with account:", deployer.address);
+    console.log("Deploying with account:", deployer.address, hot ? "(hot key)" : "");
     console.log("Account balance:", hre.ethers.formatEther(deployerBalance), "ETH");
     
     if (deployerBalance < hre.ethers.parseEther("0.01")) {
@@ -25,13 +40,14 @@ async function main() {
     }
     
     // Deploy contract
-    const FlashArbitrage = await hre.ethers.getContractFactory("FlashArbitrage");
+    const FlashArbitrage = await hre.ethers.getContractFactory("FlashArbitrage", deployer);
     console.log("Deploying FlashArbitrage contract...");
     
     const contract = await FlashArbitrage.deploy(addressProvider);
     await contract.waitForDeployment();
     
     const contractAddress = await contract.getAddress();
+    const deployTx = contract.deploymentTransaction();
     
     // Verify deployment
     const deployedAddressProvider = await contract.ADDRESSES_PROVIDER();
@@ -43,14 +59,16 @@ async function main() {
     console.log("Owner:", owner);
     console.log("Address Provider:", deployedAddressProvider);
     console.log("Pool:", deployedPool);
+    console.log("Transaction:", explorerTxUrl(network, deployTx.hash));
     
     const successMsg = `✅ FlashArbitrage deployed successfully!\n` +
                       `📍 Contract: ${contractAddress}\n` +
                       `👤 Owner: ${owner}\n` +
-                      `🏦 Pool: ${deployedPool}`;
+                      `🏦 Pool: ${deployedPool}\n` +
+                      `📝 Tx: ${explorerTxUrl(network, deployTx.hash)}`;
     sendTelegramMessage(successMsg);
     
-    const envMsg = `📝 Update your .env file:\nFLASH_ARBITRAGE_CONTRACT=${contractAddress}`;
+    const envMsg = `📝 Update your .env file:\nNETWORK=${network.name}\nFLASH_ARBITRAGE_CONTRACT=${contractAddress}`;
     console.log(`\n${envMsg}`);
     sendTelegramMessage(envMsg);
     
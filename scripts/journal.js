@@ -0,0 +1,62 @@
+const { TradeJournal } = require("./lib/journal");
+// Quiet, as stdout is the JSON output
+require("dotenv").config({ quiet: true });
+
+// Query the trade journal, e.g.
+//   npm run journal -- summary --pair DAI/WETH --since yesterday --until today
+//   npm run journal -- list --type tx --since 2026-10-18
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDate(value) {
+    const startOfToday = new Date(new Date().toISOString().slice(0, 10)).getTime();
+    if (value === "today") {
+        return startOfToday;
+    }
+    if (value === "yesterday") {
+        return startOfToday - DAY_MS;
+    }
+    const timestamp = new Date(value).getTime();
+    if (Number.isNaN(timestamp)) {
+        throw new Error(`Invalid date: ${value}`);
+    }
+    return timestamp;
+}
+
+function parseArgs(argv) {
+    const [command = "summary", ...rest] = argv;
+    const options = {};
+    for (let i = 0; i < rest.length; i += 2) {
+        const key = rest[i].replace(/^--/, "");
+        options[key] = rest[i + 1];
+    }
+    return { command, options };
+}
+
+function main() {
+    const { command, options } = parseArgs(process.argv.slice(2));
+    const journal = new TradeJournal();
+    const filters = {
+        pair: options.pair,
+        type: options.type,
+        since: options.since !== undefined ? parseDate(options.since) : undefined,
+        // A bare date as upper bound means "up to the start of that day"
+        until: options.until !== undefined ? parseDate(options.until) - 1 : undefined
+    };
+
+    if (command === "summary") {
+        console.log(JSON.stringify(journal.summarizeOpportunities(filters), null, 2));
+    } else if (command === "list") {
+        for (const entry of journal.query(filters)) {
+            console.log(JSON.stringify(entry));
+        }
+    } else {
+        throw new Error(`Unknown command: ${command} (expected "summary" or "list")`);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
@@ -0,0 +1,1757 @@
+const { EventEmitter } = require("events");
+const { ethers } = require("ethers");
+const { getPairDirections, findTokenByAddress } = require("./pairs");
+const { findCycleRoutes } = require("./routes");
+const { findOptimalAmount } = require("./sizing");
+const { decodeRevertReason } = require("./revert");
+const { PaperTradeLedger } = require("./paperTrading");
+const { TradeJournal } = require("./journal");
+const { createBotMetrics } = require("./metrics");
+const { explorerTxUrl } = require("./networks");
+const { BlockFeed, LatestBlockRunner } = require("./blockFeed");
+const { TransactionManager } = require("./transactionManager");
+const { FeeEngine } = require("./fees");
+const { RelaySubmitter } = require("./relay");
+const { RiskManager } = require("./risk");
+const { resolveTreasuryPolicy, planTreasury, ethReserveLevel } = require("./treasury");
+const { MULTICALL3_ADDRESS, MulticallBatcher } = require("./multicall");
+const { sampleAmounts, addCurvePoints, QuoteRecorder } = require("./quoteData");
+const { DEFAULT_VENUES, resolveVenues, createVenues } = require("./dex");
+
+// Defaults for every setting; the CLI derives SCAN_MODE, SCAN_TRIGGER and
+// DRY_RUN from its environment and flags
+const DEFAULT_CONFIG = {
+    // "block" scans once per new block over a WebSocket subscription, "poll" sleeps SCAN_INTERVAL between cycles
+    SCAN_MODE: "poll",
+    // In block mode, "swap" only scans blocks where a watched pool swapped (plus one scan per SCAN_INTERVAL)
+    SCAN_TRIGGER: "block",
+    SCAN_INTERVAL: 60000, // 1 minute between polling cycles
+    BLOCK_POLL_INTERVAL: 12000, // HTTP block polling while the WebSocket reconnects
+    WS_STALL_TIMEOUT: 60000, // Reconnect when the WebSocket delivers no block for this long
+    WS_MAX_BACKOFF: 60000, // Longest wait between WebSocket reconnect attempts
+    RESTART_DELAY: 5000, // First retry after a fatal error, doubling up to MAX_RESTART_DELAY
+    MAX_RESTART_DELAY: 300000,
+    TREASURY_INTERVAL: 600000, // 10 minutes between treasury policy runs, checked before each cycle
+    MAX_GAS_PRICE: ethers.parseUnits("25", "gwei"), // Hard cap on maxFeePerGas; cycles are skipped while base + priority fee is above it
+    FEE_HISTORY_BLOCKS: 10, // eth_feeHistory window for the going priority fee
+    FEE_HISTORY_PERCENTILE: 50, // Priority fee percentile read from each of those blocks
+    PRIORITY_FEE_PROFIT_SHARE: 1000, // 10% of expected net profit is bid as priority fee when that beats the going rate (in basis points)
+    MIN_PRICE_DIFFERENCE: 50, // 0.5% minimum price difference (in basis points)
+    MIN_PROFIT_BPS: 0, // Net return on the borrowed amount every trade must also clear, on top of its pair's minProfit (in basis points)
+    MAX_SLIPPAGE: 200, // 2% maximum slippage (in basis points)
+    FLASH_LOAN_PREMIUM: 9, // 0.09% Aave flash loan premium (in basis points)
+    UNISWAP_FEE_TIERS: [100, 500, 3000, 10000], // 0.01%, 0.05%, 0.3% and 1% pools of Uniswap V3 venues that don't list their own
+    SWAP_DEADLINE: 120, // Seconds a swap leg stays valid after encoding
+    MAX_RPC_CALLS_PER_SCAN: 400, // Quote and pool lookups shared across all pair directions and routes
+    QUOTE_BATCH_SIZE: 100, // Quote and pool lookups per Multicall3 tryAggregate request
+    SIZE_SEARCH_TOLERANCE: 100, // Stop sizing once the search interval is within 1% of the range (in basis points)
+    GAS_LIMIT_MARGIN: 2000, // 20% headroom on top of the simulated gas estimate (in basis points)
+    ARBITRAGE_GAS_UNITS: 350000n, // Flash loan + two approvals + two swaps, used to price gas before simulating
+    EXTRA_HOP_GAS_UNITS: 130000n, // One more approval and swap for every hop beyond two
+    MAX_ROUTE_HOPS: 3, // Longest cyclic route to discover, e.g. 3 for DAI→WETH→USDC→DAI; 2 disables multi-hop
+    // Paper trading: live quotes and simulations, but nothing is ever signed or sent
+    DRY_RUN: false,
+    PAPER_SUMMARY_INTERVAL: 3600000, // 1 hour between paper trading summaries
+    HEALTH_GRACE_PERIOD: 60000, // Extra time on top of 3 scan intervals before /healthz reports a stalled loop
+    TX_TIMEOUT_BLOCKS: 3, // Blocks a transaction may stay pending before it is sped up or cancelled
+    TX_FEE_BUMP: 1250, // 12.5% fee increase per replacement (in basis points); nodes require at least 10%
+    TX_MAX_REPLACEMENTS: 3, // Replacements before the nonce is abandoned to the next transaction
+    TX_POLL_INTERVAL: 2000, // Receipt polling while a transaction is pending
+    // Where flash loans are sent: "public" (mempool via the RPC) or "relay" (private bundles)
+    SUBMISSION: "public",
+    RELAY_URL: null, // Flashbots-compatible relay; defaults to the network profile's relayUrl
+    RELAY_TARGET_BLOCKS: 2, // Blocks each bundle submission targets
+    RELAY_MAX_BLOCKS: 10, // Blocks to keep re-targeting a bundle before giving up on it
+    // Risk limits; a trip pauses trading until /resume
+    MAX_CONSECUTIVE_FAILURES: 3, // Failed simulations, reverts, cancellations or missed bundles in a row
+    FAILURE_COOLDOWN: 300000, // 5 minutes without trading after any failure
+    MAX_DAILY_GAS: ethers.parseEther("0.05"), // Gas spent per UTC day
+    MAX_DAILY_LOSS: ethers.parseEther("0.05"), // Net loss (gas less realised profit) per UTC day
+    MAX_TRADE_NOTIONAL: ethers.parseEther("50"), // Largest borrow, valued in ETH
+    KILL_SWITCH: false, // Trips as soon as a trade is considered
+    KILL_SWITCH_FILE: null, // Trips while this file exists
+    RISK_STATE_FILE: null, // Keeps trips and daily counters across restarts
+    // Recorder mode: every cycle also appends the block's quote curves here for scripts/backtest.js
+    RECORD_FILE: null,
+    RECORD_POINTS: 6 // Trade sizes sampled per pair direction and route, spread over its trade size bounds
+};
+
+// Calldata encoders for the calls FlashArbitrage makes during executeOperation
+// besides the swaps themselves, which each venue encodes (scripts/lib/dex.js)
+const SWAP_INTERFACES = {
+    erc20: new ethers.Interface([
+        "function approve(address spender, uint256 amount) returns (bool)"
+    ])
+};
+
+// Default notifier: the console only
+function logMessage(msg) {
+    console.log(`[${new Date().toISOString()}] ${msg}`);
+}
+
+// Scans the registry's pairs and routes for flash-loan arbitrage and trades the
+// best one. Everything it talks to is passed in, so several bots (strategies)
+// can share a process and tests can drive one against local contracts:
+//
+// - provider, signer: ethers provider and the signer that owns FlashArbitrage
+// - contracts: addresses in the CLI's CONTRACTS shape (AAVE_POOL, FLASH_ARBITRAGE)
+// - venues: DEX adapters from scripts/lib/dex.js, compared pairwise; without
+//   them Uniswap V3 and SushiSwap at contracts.UNISWAP_V3_ROUTER,
+//   UNISWAP_V3_QUOTER, UNISWAP_V3_FACTORY and SUSHISWAP_ROUTER
+// - registry: tokens and pairs from loadPairRegistry
+// - network: profile from getNetworkProfile (explorer, WebSocket URL, DEX versions)
+// - config: overrides for DEFAULT_CONFIG
+// - notifier: receives every operator message, e.g. a Telegram sender
+// - journal: TradeJournal for opportunities, simulations and transactions;
+//   nothing is written to disk without one
+// - relayAuthSigner: signs bundle relay requests when SUBMISSION is "relay"
+//
+// Events: 'opportunity' (opportunity), 'tradeSent' ({ opportunity, hash }),
+// 'tradeConfirmed' ({ opportunity, receipt }), 'tradeFailed' ({ opportunity,
+// stage, reason, receipt }), 'riskTripped' ({ reason, details, at }),
+// 'paperTrade' (trade, in dry-run mode), 'cycleError' (error)
+class ProductionArbitrageBot extends EventEmitter {
+    constructor({
+        provider,
+        signer,
+        contracts,
+        venues = null,
+        registry,
+        network = {},
+        config = {},
+        notifier = logMessage,
+        journal = new TradeJournal(null),
+        metrics = createBotMetrics(),
+        risk = null,
+        treasuryPolicy = null,
+        relayAuthSigner = undefined
+    } = {}) {
+        super();
+        if (!signer || !contracts || !registry) {
+            throw new Error("ProductionArbitrageBot needs a signer, contract addresses and a pair registry");
+        }
+
+        this.provider = provider || signer.provider;
+        this.signer = signer;
+        this.registry = registry;
+        this.network = { name: "custom", explorerUrl: null, wsUrl: null, ...network };
+        this.network.dex = { routerVersion: 1, quoterVersion: 1, ...network.dex };
+        this.config = { ...DEFAULT_CONFIG, ...config };
+        this.addresses = {
+            ...contracts,
+            MULTICALL3: contracts.MULTICALL3 || MULTICALL3_ADDRESS,
+            TOKENS: contracts.TOKENS || Object.fromEntries(
+                Object.values(registry.tokens).map(token => [token.symbol, token.address])
+            )
+        };
+        this.notify = notifier;
+        this.journal = journal;
+        this.metrics = metrics;
+        this.risk = risk || new RiskManager({ config: this.config, stateFile: this.config.RISK_STATE_FILE });
+        // Without a policy only the ETH reserve is watched; see scripts/lib/treasury.js
+        this.treasuryPolicy = treasuryPolicy || resolveTreasuryPolicy({}, registry.tokens);
+
+        this.isRunning = false;
+        this.isPaused = false; // Set by /pause so the supervisor doesn't restart trading
+        this.runId = 0; // Lets a paused loop that is still sleeping exit instead of overlapping a resumed one
+        this.contractBalances = {};
+        this.gasHistory = [];
+        this.profitHistory = [];
+        this.poolCache = new Map(); // "venue:tokenA:tokenB:fee" -> whether a venue's pool exists
+        this.paperLedger = this.config.DRY_RUN ? new PaperTradeLedger() : null;
+        this.startTime = null;
+        this.lastCycleAt = null; // Last trading cycle that completed without error
+        this.lastCycleError = null; // Message of the failing cycle streak, if any
+        this.lastBlock = null; // Block the last block-driven cycle scanned
+        this.lastTreasuryRun = null;
+        this.ethReserveLevel = null; // "ok", "warn" or "critical" as of the last treasury run
+        this.recorder = this.config.RECORD_FILE ? new QuoteRecorder(this.config.RECORD_FILE) : null;
+        this.venues = venues || createVenues(resolveVenues({ venues: DEFAULT_VENUES }, {
+            name: this.network.name,
+            dex: {
+                ...this.network.dex,
+                uniswapV3Router: contracts.UNISWAP_V3_ROUTER,
+                uniswapV3Quoter: contracts.UNISWAP_V3_QUOTER,
+                uniswapV3Factory: contracts.UNISWAP_V3_FACTORY,
+                sushiswapRouter: contracts.SUSHISWAP_ROUTER
+            }
+        }), { feeTiers: this.config.UNISWAP_FEE_TIERS, runner: this.provider });
+
+        // Owns the signer's nonce; every transaction below goes through it
+        this.transactions = new TransactionManager({
+            signer,
+            provider: this.provider,
+            timeoutBlocks: this.config.TX_TIMEOUT_BLOCKS,
+            feeBump: this.config.TX_FEE_BUMP,
+            maxReplacements: this.config.TX_MAX_REPLACEMENTS,
+            pollInterval: this.config.TX_POLL_INTERVAL,
+            feeCap: () => this.config.MAX_GAS_PRICE
+        });
+        this.fees = new FeeEngine({ provider: this.provider, config: this.config });
+        this.transactions.on("replaced", replacement => this.recordReplacement(replacement));
+
+        // Flash loans go to the public mempool through the transaction manager,
+        // or privately to a bundle relay; both take send(request, options)
+        this.submitter = this.transactions;
+        if (this.config.SUBMISSION === "relay") {
+            this.submitter = new RelaySubmitter({
+                url: this.config.RELAY_URL || this.network.relayUrl,
+                signer,
+                provider: this.provider,
+                transactions: this.transactions,
+                authSigner: relayAuthSigner,
+                targetBlocks: this.config.RELAY_TARGET_BLOCKS,
+                maxBlocks: this.config.RELAY_MAX_BLOCKS,
+                pollInterval: this.config.TX_POLL_INTERVAL
+            });
+            this.submitter.on("bundle", ({ hash, blockNumber, label }) => {
+                this.journal.record("tx", { kind: label, status: "bundle_submitted", hash, targetBlock: blockNumber });
+            });
+        }
+        
+        // Initialize contract interfaces
+        this.contracts = {
+            aavePool: new ethers.Contract(
+                this.addresses.AAVE_POOL,
+                ["function flashLoanSimple(address receiver, address asset, uint256 amount, bytes calldata params, uint16 referralCode) external"],
+                signer
+            ),
+            flashArbitrage: new ethers.Contract(
+                this.addresses.FLASH_ARBITRAGE,
+                [
+                    "function fundContract(address token, uint256 amount) external",
+                    "function withdrawToken(address token) external",
+                    "event ArbitrageProfit(address indexed token, uint256 profit)",
+                    "event ArbitrageFailure(string reason)"
+                ],
+                signer
+            ),
+            tokens: Object.fromEntries(Object.values(this.registry.tokens).map(token => [
+                token.symbol,
+                new ethers.Contract(
+                    token.address,
+                    [
+                        "function balanceOf(address account) view returns (uint256)",
+                        "function allowance(address owner, address spender) view returns (uint256)",
+                        "function approve(address spender, uint256 amount) returns (bool)",
+                        "function transfer(address to, uint256 amount) returns (bool)"
+                    ],
+                    signer
+                )
+            ]))
+        };
+    }
+
+    async start() {
+        if (this.isRunning) {
+            this.notify("⚠️ Bot is already running!");
+            return;
+        }
+
+        // A risk trip survives restarts; only /resume clears it
+        if (this.risk.tripped) {
+            this.isPaused = true;
+            const { reason, at } = this.risk.tripped;
+            this.notify(`⛔ Trading halted by risk limit ${reason} since ${at}. Send /resume once it is dealt with`);
+            return;
+        }
+
+        this.isRunning = true;
+        const runId = ++this.runId;
+        this.startTime = Date.now();
+        const mode = this.config.DRY_RUN ? " in paper trading mode (no transactions will be sent)" : "";
+        const startMsg = `🚀 Production Arbitrage Bot Started at ${new Date().toLocaleString()}${mode}`;
+        this.notify(startMsg);
+
+        // Fatal errors retry here with backoff rather than through an outside
+        // restart timer, so there is never more than one loop per run
+        let failures = 0;
+        try {
+            while (this.isActive(runId)) {
+                try {
+                    // Pre-flight checks
+                    await this.performStartupChecks();
+                    failures = 0;
+
+                    if (this.config.SCAN_MODE === "block") {
+                        await this.runBlockLoop(runId);
+                    } else {
+                        await this.runPollingLoop(runId);
+                    }
+                } catch (error) {
+                    const delay = Math.min(this.config.RESTART_DELAY * 2 ** failures, this.config.MAX_RESTART_DELAY);
+                    failures += 1;
+                    const fatalMsg = `💥 Fatal bot error: ${error.message} (retrying in ${delay / 1000}s)`;
+                    this.notify(fatalMsg);
+                    console.error('Fatal error:', error);
+                    await this.sleepWhileActive(runId, delay);
+                }
+            }
+        } finally {
+            if (runId === this.runId) {
+                this.isRunning = false;
+            }
+        }
+    }
+
+    isActive(runId) {
+        return this.isRunning && runId === this.runId;
+    }
+
+    // Sleeps in short steps so /pause and stop() don't wait out a long delay
+    async sleepWhileActive(runId, ms) {
+        const until = Date.now() + ms;
+        while (this.isActive(runId) && Date.now() < until) {
+            await new Promise(resolve => setTimeout(resolve, Math.min(1000, until - Date.now())));
+        }
+    }
+
+    async runPollingLoop(runId) {
+        while (this.isActive(runId)) {
+            await this.runCycle();
+            
+            // Wait before next cycle
+            await this.sleepWhileActive(runId, this.config.SCAN_INTERVAL);
+        }
+    }
+
+    // One scan per new block. Blocks that arrive mid-scan mark that scan stale
+    // and queue a single follow-up scan for the newest block.
+    async runBlockLoop(runId) {
+        if (!this.network.wsUrl) {
+            throw new Error(`No WebSocket URL for ${this.network.name}; set WS_URL or use SCAN_MODE=poll`);
+        }
+
+        const swapTriggered = this.config.SCAN_TRIGGER === "swap";
+        const feed = new BlockFeed({
+            url: this.network.wsUrl,
+            fallbackProvider: this.provider,
+            swapPools: swapTriggered ? await this.getWatchedPools() : [],
+            maxBackoff: this.config.WS_MAX_BACKOFF,
+            stallTimeout: this.config.WS_STALL_TIMEOUT,
+            pollInterval: this.config.BLOCK_POLL_INTERVAL
+        });
+        const runner = new LatestBlockRunner((blockNumber, isStale) => {
+            if (!this.isActive(runId)) {
+                return null;
+            }
+            return this.runCycle({ blockNumber, isStale });
+        });
+
+        feed.on("block", blockNumber => {
+            // Swap-triggered scanning still scans once per interval so quiet pools keep /healthz green
+            const cycleAge = Date.now() - (this.lastCycleAt || 0);
+            if (!swapTriggered || cycleAge >= this.config.SCAN_INTERVAL) {
+                runner.push(blockNumber);
+            }
+        });
+        feed.on("swap", log => runner.push(log.blockNumber));
+        feed.on("connected", () => console.log(`🔗 Block feed connected (${this.config.SCAN_TRIGGER} triggered)`));
+        feed.on("disconnected", reason => {
+            const msg = `🔌 Block feed disconnected (${reason}), reconnecting with HTTP polling in the meantime`;
+            // Only the first drop of an outage goes to Telegram
+            if (feed.attempts === 0) {
+                this.notify(msg);
+            } else {
+                console.warn(msg);
+            }
+        });
+
+        feed.start();
+        try {
+            while (this.isActive(runId)) {
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+        } finally {
+            await feed.stop();
+            await runner.idle();
+        }
+    }
+
+    async runCycle(context = {}) {
+        if (Date.now() - (this.lastTreasuryRun || 0) >= this.config.TREASURY_INTERVAL) {
+            try {
+                await this.runTreasury();
+            } catch (error) {
+                this.notify(`⚠️ Treasury run failed: ${error.message}`);
+                console.error('Treasury error:', error);
+            }
+        }
+
+        try {
+            // A cycle the node couldn't price didn't scan, so it leaves the
+            // health check to go stale rather than vouching for the loop
+            if (await this.executeTradingCycle(context) === false) {
+                this.reportPaperTrading();
+                return;
+            }
+            this.lastCycleAt = Date.now();
+            this.metrics.set("last_cycle_timestamp_seconds", {}, Math.floor(this.lastCycleAt / 1000));
+            if (this.lastCycleError) {
+                this.notify("✅ Trading cycles recovered");
+                this.lastCycleError = null;
+            }
+        } catch (error) {
+            // An outage fails cycle after cycle the same way; Telegram hears it once
+            const errorMsg = `⚠️ Trading cycle error: ${error.message}`;
+            if (errorMsg !== this.lastCycleError) {
+                this.notify(errorMsg);
+            }
+            this.lastCycleError = errorMsg;
+            console.error('Trading cycle error:', error);
+            this.emit("cycleError", error);
+        }
+        
+        this.reportPaperTrading();
+    }
+
+    // Every venue's pools for every registry pair, for swap-triggered scanning
+    async getWatchedPools() {
+        const pools = new Set();
+        for (const pair of this.registry.pairs) {
+            const lookups = this.venues.map(venue => venue.watchedPools(pair.tokenA.address, pair.tokenB.address));
+            for (const pool of (await Promise.all(lookups)).flat()) {
+                pools.add(pool);
+            }
+        }
+        return [...pools];
+    }
+
+    pause() {
+        if (this.isPaused) {
+            return false;
+        }
+        this.isPaused = true;
+        this.isRunning = false;
+        return true;
+    }
+
+    // Also the operator's way to clear a risk trip; throws while a kill switch is engaged
+    resume() {
+        if (!this.isPaused) {
+            return false;
+        }
+        if (this.risk.tripped) {
+            const { reason } = this.risk.tripped;
+            this.risk.clear();
+            this.journal.record("risk", { status: "cleared", reason });
+            this.notify(`✅ Risk trip ${reason} cleared by operator`);
+        }
+        this.isPaused = false;
+        this.start();
+        return true;
+    }
+
+    // One-off scan for /scan: reports what is out there without trading it
+    async runManualScan() {
+        const fees = await this.getFeeSnapshot();
+        if (!fees) {
+            throw new Error("Fee data unavailable, try again shortly");
+        }
+        return this.scanForArbitrageOpportunities(fees.gasPrice);
+    }
+
+    async getBalances() {
+        const walletBalance = await this.timedRpc("getBalance", () => this.provider.getBalance(this.signer.address));
+        const contract = await Promise.all(Object.values(this.registry.tokens).map(async (token) => ({
+            symbol: token.symbol,
+            decimals: token.decimals,
+            balance: await this.contracts.tokens[token.symbol].balanceOf(this.addresses.FLASH_ARBITRAGE)
+        })));
+        return { wallet: walletBalance, contract };
+    }
+
+    async withdrawToken(symbol) {
+        const token = this.registry.tokens[symbol];
+        if (!token) {
+            throw new Error(`Unknown token ${symbol}`);
+        }
+        if (this.config.DRY_RUN) {
+            throw new Error("Withdrawals are disabled in paper trading mode");
+        }
+
+        const tx = await this.sendTransaction(
+            "withdraw",
+            await this.contracts.flashArbitrage.withdrawToken.populateTransaction(token.address),
+            { details: { token: symbol } }
+        );
+        const receipt = await tx.wait();
+        this.recordReceipt("withdraw", receipt);
+        return receipt;
+    }
+
+    async performStartupChecks() {
+        this.notify("🔍 Performing startup checks...");
+
+        // Pick up transactions sent before a restart
+        const nonce = await this.transactions.sync();
+        console.log(`🔢 Next nonce: ${nonce}`);
+        
+        // Wallet ETH reserve and contract balances
+        const ethBalance = await this.runTreasury({ startup: true });
+        const ethFormatted = ethers.formatEther(ethBalance);
+        
+        // Verify gas prices
+        const fees = await this.getFeeSnapshot();
+        if (!fees) {
+            throw new Error("Fee data unavailable");
+        }
+        
+        this.notify(
+            `✅ Startup checks complete\\n` +
+            `💰 Wallet: ${ethFormatted} ETH\\n` +
+            `🏪 Venues: ${this.venues.map(venue => venue.name).join(", ")}\\n` +
+            `⛽ Gas: ${ethers.formatUnits(fees.nextBaseFee, "gwei")} gwei base + ${ethers.formatUnits(fees.priorityFee, "gwei")} gwei priority`
+        );
+    }
+
+    // Applies the treasury policy: watches the wallet's ETH reserve and keeps
+    // each token's contract balance between its top-up and sweep thresholds.
+    // Runs at startup, where an ETH reserve breach is fatal, and then every
+    // TREASURY_INTERVAL. A token that can't be topped up only alerts, as the
+    // bot can still trade the others. Resolves with the wallet's ETH.
+    async runTreasury({ startup = false } = {}) {
+        this.lastTreasuryRun = Date.now();
+        const ethBalance = await this.checkEthReserve({ startup });
+
+        for (const limits of Object.values(this.treasuryPolicy.tokens)) {
+            try {
+                await this.applyTreasuryPolicy(limits);
+            } catch (error) {
+                this.notify(`⚠️ Treasury run for ${limits.token.symbol} failed: ${error.message}`);
+                console.error('Treasury error:', error);
+            }
+        }
+        return ethBalance;
+    }
+
+    async checkEthReserve({ startup = false } = {}) {
+        const balance = await this.timedRpc("getBalance", () => this.provider.getBalance(this.signer.address));
+        const { min } = this.treasuryPolicy.ethReserve;
+        const level = ethReserveLevel(this.treasuryPolicy.ethReserve, balance);
+        const formatted = ethers.formatEther(balance);
+        this.metrics.set("wallet_eth", {}, Number(formatted));
+
+        if (level === "critical" && startup && !this.config.DRY_RUN) {
+            throw new Error(`Insufficient ETH balance: ${formatted} ETH (reserve ${ethers.formatEther(min)} ETH)`);
+        }
+
+        // Alert when the level changes, not on every run
+        if (level !== this.ethReserveLevel) {
+            if (level === "critical") {
+                const ignored = this.config.DRY_RUN ? " (ignored in paper trading)" : "";
+                this.notify(`🚨 Wallet ETH ${formatted} is below the ${ethers.formatEther(min)} ETH gas reserve${ignored}`);
+            } else if (level === "warn") {
+                this.notify(`⚠️ Low ETH balance: ${formatted} ETH, approaching the ${ethers.formatEther(min)} ETH gas reserve`);
+            } else if (this.ethReserveLevel !== null) {
+                this.notify(`✅ Wallet ETH back to ${formatted}`);
+            }
+        }
+        this.ethReserveLevel = level;
+        return balance;
+    }
+
+    async applyTreasuryPolicy(limits) {
+        const { token, target } = limits;
+        const erc20 = this.contracts.tokens[token.symbol];
+        const format = amount => `${ethers.formatUnits(amount, token.decimals)} ${token.symbol}`;
+
+        const balance = await erc20.balanceOf(this.addresses.FLASH_ARBITRAGE);
+        const plan = planTreasury(limits, balance);
+        if (plan.action === "none") {
+            console.log(`✅ Contract holds ${format(balance)}`);
+        } else if (this.config.DRY_RUN) {
+            const verb = plan.action === "sweep" ? "sweep" : "top up";
+            this.notify(`📒 Paper trading: would ${verb} ${format(plan.amount)} (contract holds ${format(balance)})`);
+        } else if (plan.action === "topup") {
+            this.notify(`💳 Contract needs funding. Current: ${format(balance)}`);
+            await this.fundContract(token, plan.amount);
+            this.notify(`✅ Contract funded with ${format(plan.amount)}`);
+            this.recordTreasuryAction("topup", token, plan.amount, this.addresses.FLASH_ARBITRAGE);
+        } else {
+            // withdrawToken takes the whole balance to the owner, so the target goes back in
+            await this.withdrawToken(token.symbol);
+            await this.fundContract(token, target);
+            this.notify(`🧹 Swept ${format(plan.amount)} from the contract, which is back at ${format(target)}`);
+            this.recordTreasuryAction("sweep", token, plan.amount, this.signer.address);
+        }
+
+        // Profits land in the wallet too; with a treasury, the wallet keeps the
+        // target for top-ups once it is over the threshold and forwards the rest
+        const treasury = this.treasuryPolicy.treasury;
+        if (!treasury || this.config.DRY_RUN) {
+            return;
+        }
+        const walletPlan = planTreasury(limits, await erc20.balanceOf(this.signer.address));
+        if (walletPlan.action === "sweep") {
+            const tx = await this.sendTransaction(
+                "sweep",
+                await erc20.transfer.populateTransaction(treasury, walletPlan.amount),
+                { details: { token: token.symbol, to: treasury } }
+            );
+            this.recordReceipt("sweep", await tx.wait());
+            this.notify(`🏦 Sent ${format(walletPlan.amount)} to treasury ${treasury}`);
+            this.recordTreasuryAction("sweep", token, walletPlan.amount, treasury);
+        }
+    }
+
+    recordTreasuryAction(action, token, amount, to) {
+        this.metrics.inc("treasury_actions_total", { action, token: token.symbol });
+        this.journal.record("treasury", { action, token: token.symbol, amount, to });
+    }
+
+    // Moves `amount` of `token` from the wallet into the contract
+    async fundContract(token, amount) {
+        const erc20 = this.contracts.tokens[token.symbol];
+        const walletBalance = await erc20.balanceOf(this.signer.address);
+        if (walletBalance < amount) {
+            throw new Error(`Insufficient ${token.symbol} in wallet for contract funding`);
+        }
+
+        // fundContract only ever pulls from its owner, so one unlimited
+        // approval per token is as safe as approving each top-up
+        const allowance = await erc20.allowance(this.signer.address, this.addresses.FLASH_ARBITRAGE);
+        if (allowance < amount) {
+            const approveTx = await this.sendTransaction(
+                "approve",
+                await erc20.approve.populateTransaction(this.addresses.FLASH_ARBITRAGE, ethers.MaxUint256),
+                { details: { token: token.symbol } }
+            );
+            this.recordReceipt("approve", await approveTx.wait());
+        }
+
+        const fundTx = await this.sendTransaction(
+            "fund",
+            await this.contracts.flashArbitrage.fundContract.populateTransaction(token.address, amount),
+            { details: { token: token.symbol } }
+        );
+        this.recordReceipt("fund", await fundTx.wait());
+    }
+
+    // `blockNumber` and `isStale` are set by block-driven scanning; a scan that
+    // is overtaken by a newer block is dropped rather than traded. Resolves
+    // false when there was no fee data to scan with
+    async executeTradingCycle({ blockNumber = null, isStale = () => false } = {}) {
+        const at = blockNumber !== null ? `block ${blockNumber}` : new Date().toLocaleTimeString();
+        console.log(`\\n🔍 Scanning for opportunities at ${at}`);
+        if (blockNumber !== null) {
+            this.lastBlock = blockNumber;
+        }
+        
+        // Check gas conditions; without fee data there is nothing to price trades with
+        const fees = await this.getFeeSnapshot();
+        if (!fees) {
+            console.log("⛽ Fee data unavailable, skipping cycle");
+            this.journal.record("scan", { status: "skipped", reason: "fee_data_unavailable", blockNumber });
+            return false;
+        }
+        if (this.recorder) {
+            try {
+                await this.recordQuotes(blockNumber, fees);
+            } catch (error) {
+                console.error("Quote recording error:", error.message);
+            }
+        }
+
+        const gasPrice = parseFloat(ethers.formatUnits(fees.gasPrice, "gwei"));
+        if (fees.gasPrice > this.config.MAX_GAS_PRICE) {
+            console.log(`⛽ Gas too high: ${gasPrice.toFixed(2)} gwei`);
+            this.journal.record("scan", { status: "skipped", reason: "gas_too_high", gasPrice, blockNumber });
+            return;
+        }
+        
+        // Find arbitrage opportunities
+        const scanStarted = Date.now();
+        const opportunities = await this.scanForArbitrageOpportunities(fees.gasPrice, isStale, blockNumber);
+        if (isStale()) {
+            console.log(`⏭ Block ${blockNumber} scan superseded by a newer block`);
+            this.journal.record("scan", { status: "stale", gasPrice, blockNumber, durationMs: Date.now() - scanStarted });
+            return;
+        }
+        this.metrics.inc("scans_total");
+        this.journal.record("scan", {
+            status: "completed",
+            blockNumber,
+            gasPrice,
+            durationMs: Date.now() - scanStarted,
+            opportunities: opportunities.length,
+            best: opportunities[0] ? { pair: opportunities[0].pair, borrow: opportunities[0].symbolA, profitBps: opportunities[0].profitBps } : null
+        });
+        if (opportunities.length === 0) {
+            console.log("📭 No profitable opportunities found");
+            return;
+        }
+        
+        // Execute the most profitable opportunity, if the risk limits allow it
+        const bestOpportunity = opportunities[0];
+        const verdict = this.risk.check(bestOpportunity);
+        if (!verdict.allowed) {
+            if (verdict.tripped) {
+                this.haltOnTrip(this.risk.tripped);
+            } else {
+                console.log(`🛡 Trade blocked by risk limits: ${verdict.reason}`);
+                this.journal.record("risk", { status: "blocked", reason: verdict.reason, pair: bestOpportunity.pair });
+            }
+            return;
+        }
+
+        const format = (value) => `${ethers.formatUnits(value, bestOpportunity.decimalsA)} ${bestOpportunity.symbolA}`;
+        this.notify(
+            `💡 Opportunity Found!\\n` +
+            `Pair: ${bestOpportunity.pair} (borrowing ${bestOpportunity.symbolA})\\n` +
+            `Route: ${bestOpportunity.route}\\n` +
+            `Gross: ${format(bestOpportunity.grossProfit)}\\n` +
+            `Flash loan fee: ${format(bestOpportunity.flashLoanFee)}\\n` +
+            `Gas: ${format(bestOpportunity.gasCost)}\\n` +
+            `Net Profit: ${format(bestOpportunity.estimatedProfit)}\\n` +
+            `Price Difference: ${bestOpportunity.priceDifference.toFixed(2)}%`
+        );
+        
+        await this.executeArbitrage(bestOpportunity, fees);
+    }
+
+    // Every quote of a scan is read at the same block, `blockNumber` or the
+    // latest, so venues are never compared across blocks. `reader` stands in
+    // for the Multicall3 batcher, e.g. a backtest replaying recorded quotes.
+    async scanForArbitrageOpportunities(gasPriceWei, isStale = () => false, blockNumber = null, reader = null) {
+        const multicall = reader || await this.createBatcher(blockNumber);
+
+        const directions = this.registry.pairs.flatMap(pair => getPairDirections(pair));
+        const routes = findCycleRoutes(this.registry, this.config.MAX_ROUTE_HOPS);
+        const candidates = [
+            ...directions.map(direction => ({ target: direction, hops: 2, scan: this.scanDirection.bind(this) })),
+            ...routes.map(route => ({ target: route, hops: route.tokens.length - 1, scan: this.scanRoute.bind(this) }))
+        ];
+        // Longer routes need a quote per hop, so the budget is shared out per hop
+        const totalHops = candidates.reduce((sum, candidate) => sum + candidate.hops, 0);
+        const callsPerHop = Math.floor(this.config.MAX_RPC_CALLS_PER_SCAN / Math.max(totalHops, 1));
+
+        const results = await Promise.all(candidates.map(async ({ target, hops, scan }) => {
+            try {
+                const gasCostWei = this.estimateGasUnits(hops) * gasPriceWei;
+                return await scan(target, gasCostWei, { remaining: callsPerHop * hops, isStale, multicall });
+            } catch (error) {
+                console.error(`Error scanning ${target.pair}:`, error);
+                return null;
+            }
+        }));
+
+        // Rank by return on the borrowed amount so pairs in different tokens compare fairly
+        return results
+            .filter(Boolean)
+            .sort((a, b) => b.profitBps - a.profitBps);
+    }
+
+    async createBatcher(blockNumber = null) {
+        const blockTag = blockNumber !== null ? blockNumber : await this.timedRpc("getBlockNumber", () => this.provider.getBlockNumber());
+        return new MulticallBatcher({
+            provider: this.provider,
+            address: this.addresses.MULTICALL3,
+            blockTag,
+            maxBatchSize: this.config.QUOTE_BATCH_SIZE,
+            timed: (method, call) => this.timedRpc(method, call)
+        });
+    }
+
+    // Recorder mode: appends the block's quote curves to RECORD_FILE (format in
+    // scripts/lib/quoteData.js). Every pair direction and route is quoted on
+    // every venue at RECORD_POINTS sizes across its trade size bounds, each
+    // later hop at the smallest and largest amounts the hop before returned, so
+    // a replay can size and route trades like a live scan. WETH quotes into
+    // each borrowed token at this block's gas costs price gas the same way.
+    async recordQuotes(blockNumber, fees) {
+        const multicall = await this.createBatcher(blockNumber);
+        const budget = { remaining: Infinity, multicall };
+        const curves = new Map();
+
+        const cycles = [
+            ...this.registry.pairs.flatMap(pair => getPairDirections(pair)).map(direction => ({
+                ...direction,
+                tokens: [direction.borrowToken, direction.swapToken, direction.borrowToken]
+            })),
+            ...findCycleRoutes(this.registry, this.config.MAX_ROUTE_HOPS)
+        ];
+        await Promise.all(cycles.map(async ({ tokens, minAmount, maxAmount }) => {
+            let amounts = sampleAmounts(minAmount, maxAmount, this.config.RECORD_POINTS);
+            for (let i = 0; i < tokens.length - 1 && amounts.length > 0; i++) {
+                const venues = await this.quoteVenues(tokens[i].address, tokens[i + 1].address, amounts, budget);
+                venues.forEach(venue => addCurvePoints(curves, venue, venue.points));
+
+                // The next hop sells whatever this one returned, from the worst venue to the best
+                amounts = [...new Set(amounts.flatMap((amount) => {
+                    const outputs = venues.map(venue => venue.points.find(([x]) => x === amount)).filter(Boolean).map(([, y]) => y);
+                    return outputs.length > 0 ? [outputs.reduce((a, b) => (a < b ? a : b)), outputs.reduce((a, b) => (a > b ? a : b))] : [];
+                }).filter(amount => amount > 0n))];
+            }
+        }));
+
+        const weth = this.addresses.TOKENS.WETH;
+        const borrowed = new Set(cycles.map(cycle => cycle.tokens[0].address).filter(address => address !== weth));
+        if (weth && borrowed.size > 0) {
+            const gasCosts = [];
+            for (let hops = 2; hops <= Math.max(this.config.MAX_ROUTE_HOPS, 2); hops++) {
+                gasCosts.push(this.estimateGasUnits(hops) * fees.gasPrice);
+            }
+            await Promise.all([...borrowed].map(async (token) => {
+                const venues = await this.quoteVenues(weth, token, gasCosts, budget);
+                venues.forEach(venue => addCurvePoints(curves, venue, venue.points));
+            }));
+        }
+
+        this.recorder.record({
+            blockNumber: multicall.blockTag,
+            baseFee: fees.nextBaseFee,
+            priorityFee: fees.priorityFee,
+            curves
+        });
+    }
+
+    // `amounts` of tokenIn quoted on every pool of every venue, e.g. each
+    // Uniswap fee tier with a pool. Returns { source, fee, tokenIn, tokenOut,
+    // points } per pool, points being the [amountIn, amountOut] that could be quoted.
+    async quoteVenues(tokenIn, tokenOut, amounts, budget) {
+        const pools = await Promise.all(this.venues.map(async venue =>
+            (await venue.pools(tokenIn, tokenOut, this.venueReads(budget))).map(({ fee }) => ({ source: venue.name, fee }))
+        ));
+
+        return Promise.all(pools.flat().map(async (venue) => {
+            const quotes = await Promise.all(amounts.map(amount => this.getVenueQuote(venue, tokenIn, tokenOut, amount, budget)));
+            return {
+                ...venue,
+                tokenIn,
+                tokenOut,
+                points: amounts.flatMap((amount, i) => (quotes[i] ? [[amount, BigInt(quotes[i].amount.toString())]] : []))
+            };
+        }));
+    }
+
+    // Borrow one side of a pair, buy the other side on one venue and sell it
+    // back on another (see quoteRoute). The route is picked at the smallest
+    // trade size and then sized within the configured bounds.
+    async scanDirection(direction, gasCostWei, budget) {
+        const { minAmount, maxAmount } = direction;
+
+        // Price impact only shrinks the spread as size grows, so if the smallest
+        // size doesn't clear the threshold no larger size will either
+        const probe = await this.quoteRoute(direction, minAmount, budget);
+        if (budget.isStale && budget.isStale()) {
+            return null;
+        }
+        if (!probe) {
+            return this.rejectOpportunity(direction, "quote_unavailable");
+        }
+        if (probe.spread.priceDiff < this.config.MIN_PRICE_DIFFERENCE) {
+            return this.rejectOpportunity(direction, "below_min_price_difference", {
+                priceDifference: probe.spread.priceDiff / 100
+            });
+        }
+
+        // Each sizing step re-quotes the chosen pools only: one buy and one sell call
+        const best = await findOptimalAmount({
+            min: minAmount,
+            max: maxAmount,
+            initial: {
+                amount: minAmount,
+                profit: this.estimateProfit(minAmount, probe.sellQuote.amount),
+                buyQuote: probe.spread.buyQuote,
+                sellQuote: probe.sellQuote
+            },
+            maxEvaluations: Math.floor(budget.remaining / 2),
+            tolerance: (maxAmount - minAmount) * BigInt(this.config.SIZE_SEARCH_TOLERANCE) / 10000n,
+            evaluate: amount => this.quoteFixedRoute(direction, probe, amount, budget)
+        });
+
+        if (budget.isStale && budget.isStale()) {
+            return null;
+        }
+
+        // Gas doesn't depend on size, so it is priced once for the chosen amount
+        const gasCost = await this.getGasCostInToken(direction, probe.spread.buyQuote, gasCostWei, budget);
+        if (gasCost === null) {
+            console.log(`⛽ Could not price gas in ${direction.borrowToken.symbol}, skipping ${direction.pair}`);
+            return this.rejectOpportunity(direction, "gas_unpriced", { amount: best.amount });
+        }
+
+        const notionalWei = await this.getNotionalWei(direction, best.amount, best.buyQuote, gasCost, gasCostWei, budget);
+        return this.analyzeOpportunity(
+            { ...direction, amount: best.amount, gasCost, gasCostWei, notionalWei },
+            { ...probe.spread, buyQuote: best.buyQuote },
+            best.sellQuote
+        );
+    }
+
+    // Converts a gas cost in wei into the borrowed token, reusing the first
+    // leg's quote (taken at minAmount) when that leg already buys WETH
+    async getGasCostInToken(direction, firstLegQuote, gasCostWei, budget) {
+        const { borrowToken, swapToken, minAmount } = direction;
+        const weth = this.addresses.TOKENS.WETH;
+
+        if (borrowToken.address === weth) {
+            return gasCostWei;
+        }
+
+        if (swapToken.address === weth) {
+            const wethOut = BigInt(firstLegQuote.amount.toString());
+            return wethOut > 0n ? gasCostWei * minAmount / wethOut : null;
+        }
+
+        const quote = await this.getBestPrice(weth, borrowToken.address, gasCostWei, budget);
+        return quote ? BigInt(quote.amount.toString()) : null;
+    }
+
+    // Values `amount` of the borrowed token in wei for the notional limit: at
+    // the rate gas was priced at when there was gas to price (free L2 or fork
+    // gas prices nothing), else from the first leg's quote for `amount` when
+    // it buys WETH, else by quoting `amount` into WETH
+    async getNotionalWei(target, amount, firstLegQuote, gasCost, gasCostWei, budget) {
+        const { borrowToken, swapToken } = target;
+        const weth = this.addresses.TOKENS.WETH;
+
+        if (borrowToken.address === weth) {
+            return amount;
+        }
+        if (gasCost > 0n && gasCostWei > 0n) {
+            return amount * gasCostWei / gasCost;
+        }
+        if (swapToken.address === weth) {
+            return BigInt(firstLegQuote.amount.toString());
+        }
+
+        const quote = await this.getBestPrice(borrowToken.address, weth, amount, budget);
+        return quote ? BigInt(quote.amount.toString()) : null;
+    }
+
+    // Multi-hop counterpart of scanDirection: each hop goes to whichever venue
+    // pays the most at the smallest size, then the whole chain is sized
+    async scanRoute(route, gasCostWei, budget) {
+        const { minAmount, maxAmount } = route;
+
+        const probe = await this.quoteHops(route.tokens, minAmount, budget);
+        if (budget.isStale && budget.isStale()) {
+            return null;
+        }
+        if (!probe) {
+            return this.rejectOpportunity(route, "quote_unavailable");
+        }
+
+        // A cycle's edge is its return over the borrowed amount before the flash loan fee
+        const returned = probe[probe.length - 1].amount;
+        const edge = returned > minAmount ? Number((returned - minAmount) * 10000n / minAmount) : 0;
+        if (edge < this.config.MIN_PRICE_DIFFERENCE) {
+            return this.rejectOpportunity(route, "below_min_price_difference", {
+                priceDifference: edge / 100
+            });
+        }
+
+        // Sizing re-quotes the chosen pools only, one call per hop
+        const best = await findOptimalAmount({
+            min: minAmount,
+            max: maxAmount,
+            initial: { amount: minAmount, profit: this.estimateProfit(minAmount, returned), quotes: probe },
+            maxEvaluations: Math.floor(budget.remaining / probe.length),
+            tolerance: (maxAmount - minAmount) * BigInt(this.config.SIZE_SEARCH_TOLERANCE) / 10000n,
+            evaluate: async (amount) => {
+                const quotes = await this.quoteHops(route.tokens, amount, budget, probe);
+                return quotes && { profit: this.estimateProfit(amount, quotes[quotes.length - 1].amount), quotes };
+            }
+        });
+
+        if (budget.isStale && budget.isStale()) {
+            return null;
+        }
+
+        const gasCost = await this.getGasCostInToken(route, probe[0], gasCostWei, budget);
+        if (gasCost === null) {
+            console.log(`⛽ Could not price gas in ${route.borrowToken.symbol}, skipping ${route.pair}`);
+            return this.rejectOpportunity(route, "gas_unpriced", { amount: best.amount });
+        }
+
+        const hops = best.quotes.map((quote, i) => this.buildHop(
+            quote,
+            route.tokens[i].address,
+            route.tokens[i + 1].address,
+            i === 0 ? best.amount : BigInt(best.quotes[i - 1].amount.toString())
+        ));
+        const notionalWei = await this.getNotionalWei(route, best.amount, best.quotes[0], gasCost, gasCostWei, budget);
+        return this.analyzeRouteOpportunity({ ...route, amount: best.amount, gasCost, gasCostWei, notionalWei }, hops, edge);
+    }
+
+    // Chains quotes along `tokens`, feeding each hop's output into the next.
+    // Without `venues` every hop takes the best pool of any venue; with them
+    // each hop re-quotes the venue and pool of the matching earlier quote.
+    async quoteHops(tokens, amount, budget, venues = null) {
+        const quotes = [];
+        let amountIn = amount;
+        for (let i = 0; i < tokens.length - 1; i++) {
+            const tokenIn = tokens[i].address;
+            const tokenOut = tokens[i + 1].address;
+
+            const quote = venues ?
+                await this.getVenueQuote(venues[i], tokenIn, tokenOut, amountIn, budget) :
+                await this.getBestPrice(tokenIn, tokenOut, amountIn, budget);
+
+            if (!quote) {
+                return null;
+            }
+            quotes.push(quote);
+            amountIn = BigInt(quote.amount.toString());
+        }
+        return quotes;
+    }
+
+    // Quotes the buy leg on every venue and compares the venues pairwise: a
+    // pair buys on the venue paying more of the swap token and sells back on
+    // the other. Of the pairs clearing MIN_PRICE_DIFFERENCE, the one returning
+    // the most is the route; without any, the widest spread is reported.
+    async quoteRoute(direction, amount, budget) {
+        const { borrowToken, swapToken } = direction;
+
+        const quotes = (await Promise.all(this.venues.map(venue =>
+            this.getVenuePrice(venue, borrowToken.address, swapToken.address, amount, budget)
+        ))).filter(Boolean);
+        if (quotes.length < 2) {
+            return null;
+        }
+
+        const spreads = quotes.flatMap((quote, i) => quotes.slice(i + 1).map(other => this.compareQuotes(quote, other)));
+        // More of the swap token sells back for more, so each selling venue
+        // only needs the spread that buys the most
+        const bySellVenue = new Map();
+        for (const spread of spreads.filter(spread => spread.priceDiff >= this.config.MIN_PRICE_DIFFERENCE)) {
+            const current = bySellVenue.get(spread.altQuote.source);
+            if (!current || BigInt(spread.buyQuote.amount.toString()) > BigInt(current.buyQuote.amount.toString())) {
+                bySellVenue.set(spread.altQuote.source, spread);
+            }
+        }
+        if (bySellVenue.size === 0) {
+            const widest = spreads.reduce((best, spread) => (spread.priceDiff > best.priceDiff ? spread : best));
+            return { spread: widest, sellQuote: null };
+        }
+
+        const routes = await Promise.all([...bySellVenue.values()].map(async spread => ({
+            spread,
+            sellQuote: await this.getVenuePrice(
+                this.getVenue(spread.altQuote.source),
+                swapToken.address,
+                borrowToken.address,
+                spread.buyQuote.amount,
+                budget
+            )
+        })));
+        return routes
+            .filter(route => route.sellQuote)
+            .reduce((best, route) => (
+                !best || BigInt(route.sellQuote.amount.toString()) > BigInt(best.sellQuote.amount.toString()) ? route : best
+            ), null);
+    }
+
+    async quoteFixedRoute(direction, route, amount, budget) {
+        const { borrowToken, swapToken } = direction;
+
+        const buyQuote = await this.getVenueQuote(route.spread.buyQuote, borrowToken.address, swapToken.address, amount, budget);
+        if (!buyQuote) {
+            return null;
+        }
+
+        const sellQuote = await this.getVenueQuote(route.sellQuote, swapToken.address, borrowToken.address, buyQuote.amount, budget);
+        if (!sellQuote) {
+            return null;
+        }
+
+        return {
+            profit: this.estimateProfit(amount, sellQuote.amount),
+            buyQuote,
+            sellQuote
+        };
+    }
+
+    getVenue(name) {
+        const venue = this.venues.find(candidate => candidate.name === name);
+        if (!venue) {
+            throw new Error(`Unknown DEX: ${name}`);
+        }
+        return venue;
+    }
+
+    // Re-quotes the same venue and pool as an earlier quote
+    async getVenueQuote(quote, tokenIn, tokenOut, amountIn, budget) {
+        return this.quotePool(this.getVenue(quote.source), quote.fee, tokenIn, tokenOut, amountIn, budget);
+    }
+
+    // Reads through the scan's Multicall3 batcher, so concurrent quotes share a
+    // request and all of them see the scan's block. Resolves with the ethers Result.
+    readContract(budget, contract, method, args) {
+        return budget.multicall.call(contract, method, args);
+    }
+
+    // What venues read through during a scan (see scripts/lib/dex.js)
+    venueReads(budget) {
+        return {
+            read: (contract, method, args) => this.readContract(budget, contract, method, args),
+            spend: calls => this.spendRpcCalls(budget, calls),
+            cache: this.poolCache
+        };
+    }
+
+    // Takes calls from a scan's RPC budget; without a budget calls are unlimited.
+    // A stale scan gets no more calls, which winds it down quickly.
+    spendRpcCalls(budget, calls) {
+        if (!budget) {
+            return true;
+        }
+        if (budget.remaining < calls || (budget.isStale && budget.isStale())) {
+            return false;
+        }
+        budget.remaining -= calls;
+        return true;
+    }
+
+    // The best of every venue's pools, quoted in parallel
+    async getBestPrice(tokenIn, tokenOut, amountIn, budget) {
+        const quotes = await Promise.all(this.venues.map(venue => this.getVenuePrice(venue, tokenIn, tokenOut, amountIn, budget)));
+        return quotes
+            .filter(Boolean)
+            .reduce((best, quote) => (!best || BigInt(quote.amount.toString()) > BigInt(best.amount.toString()) ? quote : best), null);
+    }
+
+    // Quotes each of the venue's pools (e.g. every Uniswap fee tier with a
+    // deployed pool) in parallel and keeps the best one
+    async getVenuePrice(venue, tokenIn, tokenOut, amountIn, budget) {
+        try {
+            const pools = await venue.pools(tokenIn, tokenOut, this.venueReads(budget));
+            const quotes = await Promise.all(
+                pools.map(({ fee }) => this.quotePool(venue, fee, tokenIn, tokenOut, amountIn, budget))
+            );
+
+            return quotes
+                .filter(Boolean)
+                .reduce((best, quote) => (!best || BigInt(quote.amount.toString()) > BigInt(best.amount.toString()) ? quote : best), null);
+        } catch (error) {
+            console.error(`${venue.name} price error:`, error.message);
+            return null;
+        }
+    }
+
+    // One pool's quote as { amount, source, fee }; null when it can't be quoted
+    async quotePool(venue, fee, tokenIn, tokenOut, amountIn, budget) {
+        if (!this.spendRpcCalls(budget, 1)) {
+            return null;
+        }
+
+        try {
+            const amount = await venue.quote({ tokenIn, tokenOut, fee, amountIn }, this.venueReads(budget));
+            return { amount, source: venue.name, fee };
+        } catch (error) {
+            console.error(`${venue.name} price error${fee ? ` (fee ${fee})` : ""}:`, error.message);
+            return null;
+        }
+    }
+
+    compareQuotes(price1, price2) {
+        const amount1 = BigInt(price1.amount.toString());
+        const amount2 = BigInt(price2.amount.toString());
+
+        // The venue paying out more of the swap token is where we buy
+        const buyQuote = amount1 >= amount2 ? price1 : price2;
+        const altQuote = amount1 >= amount2 ? price2 : price1;
+        const best = amount1 >= amount2 ? amount1 : amount2;
+        const other = amount1 >= amount2 ? amount2 : amount1;
+
+        // Price difference in basis points
+        const priceDiff = best > 0n ? Number((best - other) * 10000n / best) : 0;
+
+        return { buyQuote, altQuote, priceDiff };
+    }
+
+    analyzeOpportunity(direction, spread, sellQuote) {
+        const { borrowToken, swapToken, amount, minProfit, gasCost = 0n, gasCostWei = null, notionalWei = null } = direction;
+        const buyPrice = BigInt(spread.buyQuote.amount.toString());
+        const sellPrice = BigInt(sellQuote.amount.toString());
+
+        // Check if difference meets minimum threshold
+        if (spread.priceDiff < this.config.MIN_PRICE_DIFFERENCE) {
+            return this.rejectOpportunity(direction, "below_min_price_difference", {
+                priceDifference: spread.priceDiff / 100
+            });
+        }
+
+        // Net profit pays back the flash loan premium and the transaction's gas
+        const grossProfit = sellPrice - amount;
+        const flashLoanFee = this.getFlashLoanFee(amount);
+        const estimatedProfit = grossProfit - flashLoanFee - gasCost;
+
+        if (estimatedProfit < this.getMinProfit(minProfit, amount)) {
+            return this.rejectOpportunity(direction, "below_min_profit", {
+                amount,
+                buyFromDex: spread.buyQuote.source,
+                sellToDex: sellQuote.source,
+                grossProfit,
+                flashLoanFee,
+                gasCost,
+                netProfit: estimatedProfit
+            });
+        }
+
+        const opportunity = {
+            pair: direction.pair,
+            tokenA: borrowToken.address,
+            tokenB: swapToken.address,
+            symbolA: borrowToken.symbol,
+            symbolB: swapToken.symbol,
+            decimalsA: borrowToken.decimals,
+            decimalsB: swapToken.decimals,
+            amount,
+            buyFromDex: spread.buyQuote.source,
+            sellToDex: sellQuote.source,
+            buyFeeTier: spread.buyQuote.fee, // Uniswap pool fee of each leg, undefined elsewhere
+            sellFeeTier: sellQuote.fee,
+            route: `${spread.buyQuote.source} → ${sellQuote.source}`,
+            hops: [
+                this.buildHop(spread.buyQuote, borrowToken.address, swapToken.address, amount),
+                this.buildHop(sellQuote, swapToken.address, borrowToken.address, buyPrice)
+            ],
+            buyPrice, // swapToken received on the buy leg
+            sellPrice, // borrowToken received back on the sell leg
+            grossProfit,
+            flashLoanFee,
+            gasCost, // In the borrowed token
+            gasCostWei, // The same in wei, which converts profit for the priority fee bid
+            notionalWei, // The borrowed amount in wei, for the risk limits
+            estimatedProfit, // Net of flash loan fee and gas
+            profitBps: Number(estimatedProfit * 10000n / amount),
+            priceDifference: spread.priceDiff / 100, // Convert to percentage
+            gasEstimate: this.estimateGasUnits(2)
+        };
+
+        this.recordAcceptedOpportunity(opportunity);
+        return opportunity;
+    }
+
+    // Same accounting as analyzeOpportunity for a route of any length; `edge`
+    // is the route's return in basis points at the probe size
+    analyzeRouteOpportunity(route, hops, edge) {
+        const { borrowToken, swapToken, amount, minProfit, gasCost, gasCostWei = null, notionalWei = null } = route;
+        const returned = hops[hops.length - 1].amountOut;
+
+        const grossProfit = returned - amount;
+        const flashLoanFee = this.getFlashLoanFee(amount);
+        const estimatedProfit = grossProfit - flashLoanFee - gasCost;
+
+        if (estimatedProfit < this.getMinProfit(minProfit, amount)) {
+            return this.rejectOpportunity(route, "below_min_profit", {
+                amount,
+                route: hops.map(hop => hop.dex).join(" → "),
+                grossProfit,
+                flashLoanFee,
+                gasCost,
+                netProfit: estimatedProfit
+            });
+        }
+
+        const opportunity = {
+            pair: route.pair,
+            tokenA: borrowToken.address,
+            tokenB: swapToken.address,
+            symbolA: borrowToken.symbol,
+            symbolB: swapToken.symbol,
+            decimalsA: borrowToken.decimals,
+            decimalsB: swapToken.decimals,
+            amount,
+            buyFromDex: hops[0].dex,
+            sellToDex: hops[hops.length - 1].dex,
+            route: hops.map(hop => hop.dex).join(" → "),
+            hops,
+            buyPrice: hops[0].amountOut,
+            sellPrice: returned,
+            grossProfit,
+            flashLoanFee,
+            gasCost,
+            gasCostWei,
+            notionalWei,
+            estimatedProfit,
+            profitBps: Number(estimatedProfit * 10000n / amount),
+            priceDifference: edge / 100,
+            gasEstimate: this.estimateGasUnits(hops.length)
+        };
+
+        this.recordAcceptedOpportunity(opportunity);
+        return opportunity;
+    }
+
+    // One swap of a trade, on the venue and pool `quote` was taken from
+    buildHop(quote, tokenIn, tokenOut, amountIn) {
+        const feeTier = quote.fee; // Uniswap V3 pool fee, undefined elsewhere
+        return {
+            dex: quote.source,
+            tokenIn,
+            tokenOut,
+            feeTier,
+            feeBps: this.getVenue(quote.source).feeBps({ tokenIn, tokenOut, fee: feeTier }),
+            amountIn,
+            amountOut: BigInt(quote.amount.toString())
+        };
+    }
+
+    recordAcceptedOpportunity(opportunity) {
+        this.metrics.inc("opportunities_total", { status: "accepted" });
+        this.journal.record("opportunity", {
+            status: "accepted",
+            pair: opportunity.pair,
+            borrow: opportunity.symbolA,
+            amount: opportunity.amount,
+            buyFromDex: opportunity.buyFromDex,
+            sellToDex: opportunity.sellToDex,
+            route: opportunity.route,
+            buyPrice: opportunity.buyPrice,
+            sellPrice: opportunity.sellPrice,
+            grossProfit: opportunity.grossProfit,
+            flashLoanFee: opportunity.flashLoanFee,
+            gasCost: opportunity.gasCost,
+            netProfit: opportunity.estimatedProfit,
+            priceDifference: opportunity.priceDifference
+        });
+        this.emit("opportunity", opportunity);
+    }
+
+    estimateGasUnits(hops) {
+        return this.config.ARBITRAGE_GAS_UNITS + BigInt(Math.max(hops - 2, 0)) * this.config.EXTRA_HOP_GAS_UNITS;
+    }
+
+    // Journals why a pair direction didn't produce a tradeable opportunity
+    rejectOpportunity(direction, reason, details = {}) {
+        this.metrics.inc("opportunities_total", { status: "rejected", reason });
+        this.journal.record("opportunity", {
+            status: "rejected",
+            reason,
+            pair: direction.pair,
+            borrow: direction.borrowToken.symbol,
+            ...details
+        });
+        return null;
+    }
+
+    // `fees` is the cycle's fee snapshot the opportunity was priced with
+    async executeArbitrage(opportunity, fees) {
+        try {
+            this.notify(`⚡ Executing arbitrage trade...`);
+            
+            // Prepare transaction parameters
+            const params = this.encodeArbitrageParams(opportunity);
+            const flashLoanArgs = [
+                this.addresses.FLASH_ARBITRAGE,
+                opportunity.tokenA,
+                opportunity.amount,
+                params,
+                0
+            ];
+            
+            // Simulate the exact transaction first so reverts cost nothing
+            const simulation = await this.simulateFlashLoan(flashLoanArgs);
+            this.journal.record("simulation", {
+                pair: opportunity.pair,
+                borrow: opportunity.symbolA,
+                amount: opportunity.amount,
+                success: simulation.success,
+                reason: simulation.reason,
+                gasEstimate: simulation.gasEstimate
+            });
+            if (this.paperLedger) {
+                this.recordPaperTrade(opportunity, simulation);
+                return;
+            }
+            
+            if (!simulation.success) {
+                this.notify(
+                    `🧪 Simulation failed, trade aborted\\n` +
+                    `Pair: ${opportunity.pair} (borrowing ${opportunity.symbolA})\\n` +
+                    `Reason: ${simulation.reason}`
+                );
+                this.emit("tradeFailed", { opportunity, stage: "simulation", reason: simulation.reason });
+                this.haltOnTrip(this.risk.recordFailure());
+                return;
+            }
+            
+            // Bid for inclusion out of the expected profit, converted to wei at
+            // the rate gas was priced in the borrowed token
+            const feeFields = this.fees.bid(fees, {
+                gasUnits: simulation.gasEstimate,
+                profitWei: this.valueInWei(opportunity, opportunity.estimatedProfit)
+            });
+            if (!feeFields) {
+                this.notify(`⛽ Gas is above MAX_GAS_PRICE, trade aborted`);
+                this.emit("tradeFailed", { opportunity, stage: "fees", reason: "gas_too_high" });
+                return;
+            }
+            
+            // Execute flash loan; if it gets stuck, it is only worth speeding up
+            // (or re-targeting) while the same transaction would still succeed
+            const tx = await this.sendTransaction(
+                "flashLoan",
+                await this.contracts.aavePool.flashLoanSimple.populateTransaction(
+                    ...flashLoanArgs,
+                    { gasLimit: simulation.gasLimit, ...feeFields }
+                ),
+                {
+                    details: { pair: opportunity.pair, submission: this.config.SUBMISSION, ...feeFields },
+                    isStale: async () => !(await this.simulateFlashLoan(flashLoanArgs)).success,
+                    submitter: this.submitter
+                }
+            );
+            
+            this.notify(
+                `📝 Transaction sent: ${explorerTxUrl(this.network, tx.hash)}`
+            );
+            this.metrics.inc("trades_total", { status: "sent" });
+            this.emit("tradeSent", { opportunity, hash: tx.hash });
+            
+            // Wait for confirmation; stuck transactions are replaced meanwhile
+            const receipt = await tx.wait();
+            this.recordReceipt("flashLoan", receipt, opportunity.pair);
+            
+            // Parse results
+            const profit = await this.parseTransactionResult(receipt);
+            this.emit("tradeConfirmed", { opportunity, receipt });
+            const gasWei = receipt.gasUsed * receipt.gasPrice;
+            this.haltOnTrip(profit ?
+                this.risk.recordSuccess({ gasWei, profitWei: this.valueInWei(opportunity, profit) || 0n }) :
+                this.risk.recordFailure({ gasWei }));
+            
+        } catch (error) {
+            if (error.code === "BUNDLE_NOT_INCLUDED") {
+                // Nothing was mined and nothing was paid
+                this.journal.record("tx", { kind: "flashLoan", status: "not_included", hash: error.hash, pair: opportunity.pair });
+                this.metrics.inc("trades_total", { status: "not_included" });
+            } else if (error.code === "TX_CANCELLED") {
+                // Went stale while pending and was replaced by a self-transfer
+                this.recordReceipt("cancel", error.receipt, opportunity.pair);
+                this.metrics.inc("trades_total", { status: "cancelled" });
+            } else if (error.receipt) {
+                // Mined but reverted
+                this.recordReceipt("flashLoan", error.receipt, opportunity.pair);
+            }
+            const errorMsg = `❌ Arbitrage execution failed: ${error.message}`;
+            this.notify(errorMsg);
+            console.error('Arbitrage execution error:', error);
+            this.emit("tradeFailed", { opportunity, stage: "execution", reason: error.message, receipt: error.receipt || null });
+            const gasWei = error.receipt ? error.receipt.gasUsed * error.receipt.gasPrice : 0n;
+            this.haltOnTrip(this.risk.recordFailure({ gasWei }));
+        }
+    }
+
+    // An amount of the opportunity's borrowed token in wei, at the rate gas
+    // was priced in that token; null when the scan didn't price gas
+    valueInWei(opportunity, amount) {
+        const { gasCost, gasCostWei } = opportunity;
+        return gasCost > 0n && gasCostWei ? amount * gasCostWei / gasCost : null;
+    }
+
+    // Pauses trading on a risk trip until an operator sends /resume
+    haltOnTrip(trip) {
+        if (!trip) {
+            return;
+        }
+        this.metrics.inc("risk_trips_total", { reason: trip.reason });
+        this.journal.record("risk", { status: "tripped", reason: trip.reason, ...trip.details });
+        this.notify(
+            `⛔ Risk limit tripped: ${trip.reason}\\n` +
+            Object.entries(trip.details).map(([key, value]) => `${key}: ${value}\\n`).join("") +
+            `Trading paused. Send /resume once it is dealt with`
+        );
+        this.emit("riskTripped", trip);
+        this.pause();
+    }
+
+    // Broadcasts through the transaction manager (or another submitter) and
+    // journals the submission; `isStale` decides between speeding up and
+    // cancelling a stuck transaction
+    async sendTransaction(kind, request, { details = {}, isStale = async () => false, submitter = this.transactions } = {}) {
+        const tx = await submitter.send(request, { isStale, label: kind });
+        this.journal.record("tx", { kind, status: "submitted", hash: tx.hash, nonce: tx.nonce, ...details });
+        return tx;
+    }
+
+    recordReplacement({ action, nonce, hash, replaced, label }) {
+        this.metrics.inc("tx_replacements_total", { action });
+        this.journal.record("tx", { kind: label, status: action === "cancel" ? "cancel_submitted" : "speedup_submitted", hash, replaces: replaced, nonce });
+        const verb = action === "cancel" ? "🚫 Cancelling stale" : "⏫ Speeding up stuck";
+        this.notify(`${verb} ${label} transaction (nonce ${nonce}): ${explorerTxUrl(this.network, hash)}`);
+    }
+
+    recordReceipt(kind, receipt, pair) {
+        if (kind === "flashLoan") {
+            this.metrics.inc("trades_total", { status: receipt.status === 1 ? "succeeded" : "reverted" });
+        }
+        this.journal.record("tx", {
+            kind,
+            status: receipt.status === 1 ? "success" : "reverted",
+            hash: receipt.hash,
+            pair,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed,
+            gasPrice: receipt.gasPrice
+        });
+    }
+
+    recordPaperTrade(opportunity, simulation) {
+        const trade = this.paperLedger.record(opportunity, simulation);
+        const { timestamp, ...entry } = trade;
+        this.journal.record("paper_trade", entry);
+        const outcome = trade.simulated ?
+            `would net ${ethers.formatUnits(trade.pnl, trade.decimals)} ${trade.symbol}` :
+            `would be aborted: ${trade.failureReason}`;
+        // Telegram only hears the periodic summary (see reportPaperTrading)
+        console.log(`📒 Paper trade ${trade.pair} (${trade.route}) ${outcome}`);
+        this.emit("paperTrade", trade);
+    }
+
+    reportPaperTrading() {
+        if (this.paperLedger && this.paperLedger.isSummaryDue(this.config.PAPER_SUMMARY_INTERVAL)) {
+            this.notify(this.paperLedger.formatSummary());
+        }
+    }
+
+    // Runs flashLoanSimple as an eth_call and estimates its gas. Returns
+    // { success, gasLimit } or { success: false, reason } with the decoded revert.
+    async simulateFlashLoan(flashLoanArgs) {
+        const errorInterfaces = [
+            this.contracts.aavePool.interface,
+            this.contracts.flashArbitrage.interface
+        ];
+
+        try {
+            await this.contracts.aavePool.flashLoanSimple.staticCall(...flashLoanArgs);
+            const gasEstimate = await this.contracts.aavePool.flashLoanSimple.estimateGas(...flashLoanArgs);
+            const gasLimit = gasEstimate * BigInt(10000 + this.config.GAS_LIMIT_MARGIN) / 10000n;
+
+            return { success: true, gasEstimate, gasLimit };
+        } catch (error) {
+            const decoded = decodeRevertReason(error, errorInterfaces);
+            console.error('Flash loan simulation failed:', decoded.reason);
+            return { success: false, reason: decoded.reason, type: decoded.type };
+        }
+    }
+
+    encodeArbitrageParams(opportunity) {
+        const deadline = Math.floor(Date.now() / 1000) + this.config.SWAP_DEADLINE;
+
+        // Approvals are executed by the contract itself, so they are part of the path.
+        // The FlashArbitrage contract holds the loan, so it receives every swap output
+        const calls = this.planHopAmounts(opportunity).flatMap(({ hop, amountIn, amountOutMin }) => {
+            const venue = this.getVenue(hop.dex);
+            const leg = { tokenIn: hop.tokenIn, tokenOut: hop.tokenOut, fee: hop.feeTier, amountIn };
+            return [
+                ...venue.approvals(leg).map(({ token, spender, amount }) => this.encodeApproval(token, spender, amount)),
+                venue.encodeSwap({ ...leg, amountOutMin, recipient: this.addresses.FLASH_ARBITRAGE, deadline })
+            ];
+        });
+
+        const swapTargets = calls.map(call => call.target);
+        const swapData = calls.map(call => call.data);
+
+        return ethers.AbiCoder.defaultAbiCoder().encode(
+            ["uint256", "address[]", "bytes[]"],
+            [opportunity.estimatedProfit, swapTargets, swapData]
+        );
+    }
+
+    // What each hop sells and the least it must return. Each hop sells the quoted
+    // output of the previous one, starting with the borrowed amount, so nothing is
+    // left behind in the contract; slippage only loosens the amountOutMin checks.
+    // A hop returning less than quoted leaves the next one short and reverts the loan.
+    planHopAmounts(opportunity) {
+        // Anything below the flash loan debt would revert on repayment anyway
+        const flashLoanDebt = opportunity.amount + this.getFlashLoanFee(opportunity.amount);
+        let amountIn = opportunity.amount;
+        return opportunity.hops.map((hop, i) => {
+            // Each quote was taken for the hop's full quoted input, so scale it to what we sell
+            const quotedOut = hop.amountOut * amountIn / hop.amountIn;
+            const quotedMin = this.applySlippage(quotedOut);
+            const isLast = i === opportunity.hops.length - 1;
+            const amountOutMin = isLast && quotedMin < flashLoanDebt ? flashLoanDebt : quotedMin;
+            const plan = { hop, amountIn, amountOutMin };
+            amountIn = quotedOut;
+            return plan;
+        });
+    }
+
+    encodeApproval(token, spender, amount) {
+        return {
+            target: token,
+            data: SWAP_INTERFACES.erc20.encodeFunctionData("approve", [spender, amount])
+        };
+    }
+
+    applySlippage(amount) {
+        const value = BigInt(amount.toString());
+        return value * BigInt(10000 - this.config.MAX_SLIPPAGE) / 10000n;
+    }
+
+    // The pair's minimum profit or MIN_PROFIT_BPS of the borrow, whichever is
+    // higher; both are in the borrowed token
+    getMinProfit(minProfit, amount) {
+        const floor = amount * BigInt(this.config.MIN_PROFIT_BPS) / 10000n;
+        return floor > minProfit ? floor : minProfit;
+    }
+
+    // Both amounts are in the borrowed token, so profit needs no conversion
+    estimateProfit(amount, returned) {
+        return BigInt(returned.toString()) - amount - this.getFlashLoanFee(amount);
+    }
+
+    getFlashLoanFee(amount) {
+        return amount * BigInt(this.config.FLASH_LOAN_PREMIUM) / 10000n;
+    }
+
+    // Journals and reports the contract's events; returns the realised profit, if any
+    async parseTransactionResult(receipt) {
+        const iface = new ethers.Interface([
+            "event ArbitrageProfit(address indexed token, uint256 profit)",
+            "event ArbitrageFailure(string reason)"
+        ]);
+        
+        let profit = null;
+        let profitToken = null;
+        let failure = null;
+        
+        for (const log of receipt.logs) {
+            try {
+                const parsed = iface.parseLog(log);
+                if (parsed) {
+                    this.journal.record("event", {
+                        name: parsed.name,
+                        hash: receipt.hash,
+                        blockNumber: receipt.blockNumber,
+                        args: parsed.name === "ArbitrageProfit" ?
+                            { token: parsed.args.token, profit: parsed.args.profit } :
+                            { reason: parsed.args.reason }
+                    });
+                    if (parsed.name === "ArbitrageProfit") {
+                        profit = parsed.args.profit;
+                        profitToken = parsed.args.token;
+                    } else if (parsed.name === "ArbitrageFailure") {
+                        failure = parsed.args.reason;
+                    }
+                }
+            } catch (e) {
+                // Not our event
+            }
+        }
+        
+        if (profit) {
+            const token = findTokenByAddress(this.registry.tokens, profitToken);
+            const profitFormatted = ethers.formatUnits(profit, token ? token.decimals : 18);
+            const successMsg = `✅ Arbitrage successful! Profit: ${profitFormatted} ${token ? token.symbol : profitToken}`;
+            this.notify(successMsg);
+            this.profitHistory.push({ timestamp: Date.now(), profit: profit });
+            this.metrics.inc("profit_total", { token: token ? token.symbol : profitToken }, parseFloat(profitFormatted));
+        } else if (failure) {
+            this.notify(`⚠️ Arbitrage failed: ${failure}`);
+        } else {
+            this.notify(`✅ Transaction confirmed in block ${receipt.blockNumber}`);
+        }
+        return profit;
+    }
+
+    // EIP-1559 fee conditions for this cycle, or null when the node can't
+    // provide them; callers skip rather than guess a price
+    async getFeeSnapshot() {
+        try {
+            const fees = await this.timedRpc("feeHistory", () => this.fees.snapshot(this.gasHistory));
+            const gasPrice = parseFloat(ethers.formatUnits(fees.gasPrice, "gwei"));
+            this.metrics.set("gas_price_gwei", {}, gasPrice);
+            this.metrics.set("base_fee_gwei", {}, parseFloat(ethers.formatUnits(fees.nextBaseFee, "gwei")));
+            this.metrics.set("priority_fee_gwei", {}, parseFloat(ethers.formatUnits(fees.priorityFee, "gwei")));
+            
+            this.gasHistory.push({ timestamp: Date.now(), gasPrice, baseFee: fees.nextBaseFee });
+            
+            // Keep only last 20 readings
+            if (this.gasHistory.length > 20) {
+                this.gasHistory = this.gasHistory.slice(-20);
+            }
+            
+            return fees;
+        } catch (error) {
+            console.error("Error getting fee data:", error.message);
+            return null;
+        }
+    }
+
+    // Times an RPC call for the latency and error metrics
+    async timedRpc(method, call) {
+        const started = process.hrtime.bigint();
+        try {
+            return await call();
+        } catch (error) {
+            this.metrics.inc("rpc_errors_total", { method });
+            throw error;
+        } finally {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            this.metrics.observe("rpc_request_duration_seconds", { method }, seconds);
+        }
+    }
+
+    stop() {
+        this.isRunning = false;
+        this.notify("🛑 Bot stopped");
+    }
+
+    // Health monitoring
+    getStatus() {
+        const avgGas = this.gasHistory.length > 0 ?
+            this.gasHistory.reduce((sum, entry) => sum + entry.gasPrice, 0) / this.gasHistory.length : 0;
+        
+        const totalProfit = this.profitHistory.reduce((sum, entry) => sum + Number(entry.profit), 0);
+        
+        return {
+            isRunning: this.isRunning,
+            isPaused: this.isPaused,
+            avgGasPrice: avgGas.toFixed(2),
+            totalProfitWei: totalProfit,
+            successfulTrades: this.profitHistory.length,
+            uptime: Date.now() - (this.startTime || Date.now()),
+            lastCycleAt: this.lastCycleAt ? new Date(this.lastCycleAt).toISOString() : null,
+            scanMode: this.config.SCAN_MODE,
+            lastBlock: this.lastBlock,
+            riskHalt: this.risk.tripped ? this.risk.tripped.reason : null,
+            ethReserve: this.ethReserveLevel,
+            // Per endpoint when the provider fails over (scripts/lib/rpcProvider.js)
+            rpc: this.provider && typeof this.provider.endpointStatus === "function" ?
+                this.provider.endpointStatus()
+                    .map(({ name, latencyMs, blockLag, backingOff }) => (backingOff ? `${name} down` : `${name} ${latencyMs}ms lag ${blockLag}`))
+                    .join(", ") :
+                null
+        };
+    }
+
+    // Healthy while trading cycles keep completing; a paused bot is alive on purpose
+    getHealth() {
+        const maxCycleAge = this.config.SCAN_INTERVAL * 3 + this.config.HEALTH_GRACE_PERIOD;
+        const cycleAge = this.lastCycleAt ? Date.now() - this.lastCycleAt : null;
+        const sinceStart = this.startTime ? Date.now() - this.startTime : null;
+
+        let healthy;
+        let reason;
+        if (this.isPaused) {
+            healthy = true;
+            reason = "paused";
+        } else if (!this.isRunning) {
+            healthy = false;
+            reason = "not running";
+        } else if (cycleAge === null) {
+            // Still within startup checks and the first cycle
+            healthy = sinceStart !== null && sinceStart <= maxCycleAge;
+            reason = healthy ? "starting" : "no cycle completed since start";
+        } else {
+            healthy = cycleAge <= maxCycleAge;
+            reason = healthy ? "ok" : `last cycle ${Math.round(cycleAge / 1000)}s ago`;
+        }
+
+        return { healthy, reason, lastCycleAt: this.lastCycleAt, isRunning: this.isRunning, isPaused: this.isPaused };
+    }
+}
+
+module.exports = {
+    DEFAULT_CONFIG,
+    SWAP_INTERFACES,
+    ProductionArbitrageBot
+};
@@ -0,0 +1,350 @@
+const { ethers } = require("ethers");
+const { ProductionArbitrageBot } = require("./arbitrageBot");
+const { curveKey, interpolateQuote } = require("./quoteData");
+
+// Nothing is ever sent, so the bot's contracts only need addresses of some kind
+const REPLAY_CONTRACTS = {
+    AAVE_POOL: ethers.ZeroAddress,
+    FLASH_ARBITRAGE: ethers.ZeroAddress
+};
+
+// Threshold values tried by the sensitivity analysis. minProfit and tradeSize
+// scale every pair's configured minimum profit and maximum trade size;
+// slippageBps and latencyBlocks are the execution model's own settings.
+const DEFAULT_SWEEPS = {
+    MIN_PRICE_DIFFERENCE: [0, 25, 50, 100, 200],
+    MAX_SLIPPAGE: [50, 100, 200, 500],
+    minProfit: [0, 0.5, 1, 2, 4],
+    tradeSize: [0.5, 1, 2],
+    slippageBps: [0, 10, 50],
+    latencyBlocks: [0, 1, 2]
+};
+
+// Answers a scan's reads, in MulticallBatcher's call() shape, from one
+// recorded block: the pools a ReplayVenue has for a direction and their
+// quotes. A quote that wasn't recorded reverts, like a missing pool.
+class ReplayReader {
+    constructor(block) {
+        this.block = block;
+    }
+
+    quote(source, fee, tokenIn, tokenOut, amountIn) {
+        const curve = this.block.curves.get(curveKey(source, fee, tokenIn, tokenOut));
+        return curve ? interpolateQuote(curve.points, BigInt(amountIn)) : null;
+    }
+
+    async call(contract, method, args) {
+        switch (method) {
+            case "pools": {
+                const [source, tokenIn, tokenOut] = args;
+                const key = curveKey(source, undefined, tokenIn, tokenOut);
+                const fees = [...this.block.curves.values()]
+                    .filter(curve => curveKey(curve.source, undefined, curve.tokenIn, curve.tokenOut) === key)
+                    .map(curve => curve.fee);
+                return [fees];
+            }
+            case "quote": {
+                const [source, fee, tokenIn, tokenOut, amountIn] = args;
+                return [this.recorded(method, this.quote(source, fee, tokenIn, tokenOut, amountIn))];
+            }
+            default:
+                throw new Error(`Replays can't answer ${method}`);
+        }
+    }
+
+    recorded(method, amountOut) {
+        if (amountOut === null) {
+            throw Object.assign(new Error(`${method} reverted: no recorded quote at block ${this.block.blockNumber}`), {
+                code: "CALL_EXCEPTION"
+            });
+        }
+        return amountOut;
+    }
+}
+
+// A recorded venue (a quote's `source`) in the adapter shape of
+// scripts/lib/dex.js. Its pools and quotes are whatever the scan's
+// ReplayReader recorded for the block being replayed; it can't be traded on.
+class ReplayVenue {
+    constructor(name) {
+        this.name = name;
+        this.type = "replay";
+    }
+
+    async pools(tokenIn, tokenOut, { read }) {
+        const [fees] = await read(this, "pools", [this.name, tokenIn, tokenOut]);
+        return fees.map(fee => ({ fee }));
+    }
+
+    async quote({ tokenIn, tokenOut, fee, amountIn }, { read }) {
+        const [amount] = await read(this, "quote", [this.name, fee, tokenIn, tokenOut, amountIn]);
+        return amount;
+    }
+
+    // Fees are already in the recorded quotes
+    feeBps() {
+        return null;
+    }
+
+    approvals() {
+        throw new Error(`Replayed venue ${this.name} can't be traded on`);
+    }
+
+    encodeSwap() {
+        throw new Error(`Replayed venue ${this.name} can't be traded on`);
+    }
+
+    async watchedPools() {
+        return [];
+    }
+}
+
+// What a trade would have done had it landed in `block`: every hop sells what
+// the bot would have encoded, gets the recorded quote less `slippageBps` (for
+// what a recording can't see, like other swaps ahead of it in the block) and
+// reverts below its encoded minimum, or when the previous hop returned less
+// than it sells. Amounts are in the borrowed token.
+function settleTrade(bot, opportunity, block, slippageBps = 0) {
+    const reader = new ReplayReader(block);
+    let returned = opportunity.amount;
+    for (const { hop, amountIn, amountOutMin } of bot.planHopAmounts(opportunity)) {
+        if (returned < amountIn) {
+            return { status: "reverted", reason: "shortfall", netProfit: -opportunity.gasCost };
+        }
+        const quoted = reader.quote(hop.dex, hop.feeTier, hop.tokenIn, hop.tokenOut, amountIn);
+        if (quoted === null) {
+            return { status: "reverted", reason: "no_quote", netProfit: -opportunity.gasCost };
+        }
+        returned = quoted * BigInt(10000 - slippageBps) / 10000n;
+        if (returned < amountOutMin) {
+            return { status: "reverted", reason: "slippage", netProfit: -opportunity.gasCost };
+        }
+    }
+
+    // A reverted trade still pays for its gas; a landed one also repays the flash loan
+    const netProfit = returned - opportunity.amount - opportunity.flashLoanFee - opportunity.gasCost;
+    return { status: "success", reason: null, netProfit };
+}
+
+// Replays `dataset` (from loadQuoteDataset) through a bot of its own: the
+// same scan, sizing and analysis as live trading across every recorded
+// venue, every read answered from the recording and gas priced at each
+// block's recorded base and priority fee.
+// The best opportunity of a block is settled `latencyBlocks` recorded blocks
+// later (0 settles at the quotes it was found at). Risk limits and the
+// priority fee auction are not modelled.
+async function runBacktest({
+    dataset,
+    registry,
+    network = {},
+    config = {},
+    latencyBlocks = 1,
+    slippageBps = 0
+}) {
+    const rejections = {};
+    const sources = new Set(dataset.flatMap(block => [...block.curves.values()].map(curve => curve.source)));
+    const bot = new ProductionArbitrageBot({
+        signer: ethers.Wallet.createRandom(),
+        contracts: REPLAY_CONTRACTS,
+        venues: [...sources].map(source => new ReplayVenue(source)),
+        registry,
+        network,
+        config: { ...config, RECORD_FILE: null, RISK_STATE_FILE: null },
+        notifier: () => {},
+        journal: {
+            record(type, data) {
+                if (type === "opportunity" && data.status === "rejected") {
+                    rejections[data.reason] = (rejections[data.reason] || 0) + 1;
+                }
+            }
+        }
+    });
+
+    const trades = [];
+    let scanned = 0;
+    let skipped = 0;
+    for (let i = 0; i + latencyBlocks < dataset.length; i++) {
+        const block = dataset[i];
+        const gasPrice = block.baseFee + block.priorityFee;
+        if (gasPrice > bot.config.MAX_GAS_PRICE) {
+            skipped++;
+            continue;
+        }
+
+        scanned++;
+        const [best] = await bot.scanForArbitrageOpportunities(gasPrice, () => false, block.blockNumber, new ReplayReader(block));
+        if (!best) {
+            continue;
+        }
+
+        const landed = dataset[i + latencyBlocks];
+        const outcome = settleTrade(bot, best, landed, slippageBps);
+        trades.push({
+            blockNumber: block.blockNumber,
+            landedIn: landed.blockNumber,
+            pair: best.pair,
+            route: best.route,
+            symbol: best.symbolA,
+            decimals: best.decimalsA,
+            amount: best.amount,
+            expectedProfit: best.estimatedProfit,
+            gasCost: best.gasCost,
+            ...outcome,
+            netProfitWei: best.symbolA === "WETH" ? outcome.netProfit : bot.valueInWei(best, outcome.netProfit)
+        });
+    }
+
+    return { blocks: dataset.length, scanned, skipped, trades, rejections };
+}
+
+// Value at fraction `q` of ascending bigints, nearest rank
+function percentile(sorted, q) {
+    if (sorted.length === 0) {
+        return null;
+    }
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(q * sorted.length) - 1))];
+}
+
+// Trades taken, hit rate (landed / taken) and the distribution of net P&L in
+// wei, plus totals per borrowed token for trades gas couldn't be valued for
+function summarizeBacktest({ blocks, scanned, skipped, trades, rejections }) {
+    const landed = trades.filter(trade => trade.status === "success");
+    const reverted = {};
+    for (const trade of trades.filter(t => t.status !== "success")) {
+        reverted[trade.reason] = (reverted[trade.reason] || 0) + 1;
+    }
+
+    const pnl = trades.map(trade => trade.netProfitWei).filter(value => value !== null).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    const total = pnl.reduce((sum, value) => sum + value, 0n);
+
+    const byToken = {};
+    for (const trade of trades) {
+        const entry = byToken[trade.symbol] || (byToken[trade.symbol] = { decimals: trade.decimals, trades: 0, netProfit: 0n });
+        entry.trades++;
+        entry.netProfit += trade.netProfit;
+    }
+
+    return {
+        blocks,
+        scanned,
+        skipped,
+        taken: trades.length,
+        landed: landed.length,
+        reverted,
+        hitRate: trades.length > 0 ? landed.length / trades.length : null,
+        pnlWei: {
+            total,
+            mean: pnl.length > 0 ? total / BigInt(pnl.length) : null,
+            min: percentile(pnl, 0),
+            p10: percentile(pnl, 0.1),
+            median: percentile(pnl, 0.5),
+            p90: percentile(pnl, 0.9),
+            max: percentile(pnl, 1)
+        },
+        byToken,
+        rejections
+    };
+}
+
+// A registry with every pair's minimum profit and maximum trade size scaled
+function scaleRegistry(registry, { minProfit = 1, tradeSize = 1 }) {
+    const scale = (value, factor) => value * BigInt(Math.round(factor * 10000)) / 10000n;
+    return {
+        ...registry,
+        pairs: registry.pairs.map(pair => ({
+            ...pair,
+            minProfit: Object.fromEntries(Object.entries(pair.minProfit).map(([symbol, value]) => [symbol, scale(value, minProfit)])),
+            tradeSize: Object.fromEntries(Object.entries(pair.tradeSize).map(([symbol, { min, max }]) => {
+                const scaled = scale(max, tradeSize);
+                return [symbol, { min, max: scaled > min ? scaled : min }];
+            }))
+        }))
+    };
+}
+
+function applySweep(options, key, value) {
+    switch (key) {
+        case "minProfit":
+        case "tradeSize":
+            return { ...options, registry: scaleRegistry(options.registry, { [key]: value }) };
+        case "slippageBps":
+        case "latencyBlocks":
+            return { ...options, [key]: value };
+        default:
+            return { ...options, config: { ...options.config, [key]: value } };
+    }
+}
+
+// Re-runs the backtest once per swept value, one threshold at a time with the
+// rest as configured; { [key]: [{ value, taken, landed, hitRate, totalWei }] }
+async function runSensitivity(options, sweeps = DEFAULT_SWEEPS) {
+    const sensitivity = {};
+    for (const [key, values] of Object.entries(sweeps)) {
+        sensitivity[key] = [];
+        for (const value of values) {
+            const summary = summarizeBacktest(await runBacktest(applySweep(options, key, value)));
+            sensitivity[key].push({
+                value,
+                taken: summary.taken,
+                landed: summary.landed,
+                hitRate: summary.hitRate,
+                totalWei: summary.pnlWei.total
+            });
+        }
+    }
+    return sensitivity;
+}
+
+function formatBacktestReport(summary, trades, sensitivity = null) {
+    const eth = value => (value === null ? "n/a" : `${ethers.formatEther(value)} ETH`);
+    const rate = value => (value === null ? "n/a" : `${(value * 100).toFixed(1)}%`);
+    const counts = table => Object.entries(table).map(([reason, count]) => `${reason} ${count}`).join(", ") || "none";
+
+    const lines = [
+        `📈 Backtest over ${summary.blocks} blocks (${summary.scanned} scanned, ${summary.skipped} skipped for gas)`,
+        `Trades: ${summary.taken} taken, ${summary.landed} landed, hit rate ${rate(summary.hitRate)}`,
+        `Reverted: ${counts(summary.reverted)}`,
+        `Rejected opportunities: ${counts(summary.rejections)}`,
+        `Net P&L: ${eth(summary.pnlWei.total)} (mean ${eth(summary.pnlWei.mean)})`,
+        `Distribution: min ${eth(summary.pnlWei.min)}, p10 ${eth(summary.pnlWei.p10)}, median ${eth(summary.pnlWei.median)}, ` +
+            `p90 ${eth(summary.pnlWei.p90)}, max ${eth(summary.pnlWei.max)}`,
+        ...Object.entries(summary.byToken).map(([symbol, entry]) =>
+            `${symbol}: ${entry.trades} trades, net ${ethers.formatUnits(entry.netProfit, entry.decimals)} ${symbol}`
+        )
+    ];
+
+    if (trades.length > 0) {
+        lines.push("", "Trades:");
+        for (const trade of trades) {
+            lines.push(
+                `  #${trade.blockNumber} ${trade.pair} ${trade.route}: ${ethers.formatUnits(trade.amount, trade.decimals)} ${trade.symbol}, ` +
+                `expected ${ethers.formatUnits(trade.expectedProfit, trade.decimals)}, ` +
+                `${trade.status === "success" ? "landed" : `reverted (${trade.reason})`} ${ethers.formatUnits(trade.netProfit, trade.decimals)} ${trade.symbol}`
+            );
+        }
+    }
+
+    if (sensitivity) {
+        lines.push("", "Sensitivity:");
+        for (const [key, runs] of Object.entries(sensitivity)) {
+            lines.push(`  ${key}`);
+            for (const run of runs) {
+                lines.push(`    ${String(run.value).padStart(6)}: ${run.taken} taken, ${run.landed} landed (${rate(run.hitRate)}), net ${eth(run.totalWei)}`);
+            }
+        }
+    }
+
+    return lines.join("\n");
+}
+
+module.exports = {
+    DEFAULT_SWEEPS,
+    ReplayReader,
+    ReplayVenue,
+    settleTrade,
+    runBacktest,
+    summarizeBacktest,
+    scaleRegistry,
+    runSensitivity,
+    formatBacktestReport
+};
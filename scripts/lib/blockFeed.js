@@ -0,0 +1,241 @@
+const { EventEmitter } = require("events");
+const { ethers } = require("ethers");
+
+// Swap events of the pools the bot quotes, used to scan only when a watched price moved
+const SWAP_TOPICS = [
+    // Uniswap V3 pools
+    ethers.id("Swap(address,address,int256,int256,uint160,uint128,int24)"),
+    // Uniswap V2 style pairs (SushiSwap)
+    ethers.id("Swap(address,uint256,uint256,uint256,uint256,address)"),
+    // Curve stable pools
+    ethers.id("TokenExchange(address,int128,uint256,int128,uint256)"),
+    // Balancer V2 vault (every pool swaps through it)
+    ethers.id("Swap(bytes32,address,address,uint256,uint256)")
+];
+
+// New blocks (and optionally swap logs) over a WebSocket subscription.
+//
+// ethers doesn't reconnect a dropped WebSocketProvider, so the feed does: a
+// closed socket, an error or no block for `stallTimeout` tears the provider
+// down and reconnects with exponential backoff. While disconnected it polls
+// `fallbackProvider` (plain HTTP) so scanning carries on between attempts.
+//
+// Events: 'block' (blockNumber), 'swap' (log), 'connected', 'disconnected' (reason)
+class BlockFeed extends EventEmitter {
+    constructor({
+        url,
+        fallbackProvider = null,
+        swapPools = [],
+        createProvider = wsUrl => new ethers.WebSocketProvider(wsUrl),
+        minBackoff = 1000,
+        maxBackoff = 60000,
+        stallTimeout = 60000,
+        pollInterval = 12000,
+        // Stand-in timers for tests
+        clock = { setTimeout, clearTimeout, setInterval, clearInterval }
+    }) {
+        super();
+        this.url = url;
+        this.fallbackProvider = fallbackProvider;
+        this.swapPools = swapPools;
+        this.createProvider = createProvider;
+        this.minBackoff = minBackoff;
+        this.maxBackoff = maxBackoff;
+        this.stallTimeout = stallTimeout;
+        this.pollInterval = pollInterval;
+        this.clock = clock;
+
+        this.provider = null;
+        this.connected = false;
+        this.stopped = true;
+        this.attempts = 0;
+        this.lastBlock = null;
+        this.timers = { reconnect: null, stall: null, poll: null };
+    }
+
+    start() {
+        this.stopped = false;
+        this.connect();
+        return this;
+    }
+
+    async stop() {
+        this.stopped = true;
+        for (const name of Object.keys(this.timers)) {
+            this.clearTimer(name);
+        }
+        await this.teardown();
+    }
+
+    connect() {
+        if (this.stopped) {
+            return;
+        }
+
+        let provider;
+        try {
+            provider = this.createProvider(this.url);
+        } catch (error) {
+            this.handleDisconnect(`connect failed: ${error.message}`);
+            return;
+        }
+        this.provider = provider;
+
+        // Only the socket knows when the connection drops
+        const socket = provider.websocket;
+        socket.onclose = () => this.handleDisconnect("socket closed", provider);
+        socket.onerror = (error) => this.handleDisconnect(`socket error: ${error.message || error}`, provider);
+
+        provider.on("block", blockNumber => {
+            if (this.provider !== provider) {
+                return;
+            }
+            if (!this.connected) {
+                this.connected = true;
+                this.attempts = 0;
+                this.clearTimer("poll");
+                this.emit("connected");
+            }
+            this.armStallTimer();
+            this.emitBlock(blockNumber);
+        });
+
+        if (this.swapPools.length > 0) {
+            provider.on({ address: this.swapPools, topics: [SWAP_TOPICS] }, log => {
+                if (this.provider === provider) {
+                    this.emit("swap", log);
+                }
+            });
+        }
+
+        // A socket that opens but never delivers a block counts as stalled too
+        this.armStallTimer();
+    }
+
+    async teardown() {
+        const provider = this.provider;
+        this.provider = null;
+        this.connected = false;
+        if (provider) {
+            try {
+                await provider.destroy();
+            } catch (error) {
+                // Already closed
+            }
+        }
+    }
+
+    async handleDisconnect(reason, provider = this.provider) {
+        // Stale callbacks from a provider that was already replaced
+        if (this.stopped || provider !== this.provider) {
+            return;
+        }
+
+        this.clearTimer("stall");
+        await this.teardown();
+        this.emit("disconnected", reason);
+
+        this.startPolling();
+        const delay = Math.min(this.maxBackoff, this.minBackoff * 2 ** this.attempts);
+        this.attempts += 1;
+        this.clearTimer("reconnect");
+        this.timers.reconnect = this.clock.setTimeout(() => {
+            this.timers.reconnect = null;
+            this.connect();
+        }, delay);
+    }
+
+    armStallTimer() {
+        this.clearTimer("stall");
+        this.timers.stall = this.clock.setTimeout(() => {
+            this.timers.stall = null;
+            this.handleDisconnect(`no block for ${this.stallTimeout / 1000}s`);
+        }, this.stallTimeout);
+    }
+
+    startPolling() {
+        if (!this.fallbackProvider || this.timers.poll) {
+            return;
+        }
+        const poll = async () => {
+            try {
+                this.emitBlock(await this.fallbackProvider.getBlockNumber());
+            } catch (error) {
+                console.error('Block polling error:', error.message);
+            }
+        };
+        this.timers.poll = this.clock.setInterval(poll, this.pollInterval);
+        poll();
+    }
+
+    // Blocks only move forward, whichever source reported them
+    emitBlock(blockNumber) {
+        if (this.lastBlock !== null && blockNumber <= this.lastBlock) {
+            return;
+        }
+        this.lastBlock = blockNumber;
+        this.emit("block", blockNumber);
+    }
+
+    clearTimer(name) {
+        if (this.timers[name]) {
+            this.clock.clearTimeout(this.timers[name]);
+            this.clock.clearInterval(this.timers[name]);
+            this.timers[name] = null;
+        }
+    }
+}
+
+// Runs `task(blockNumber, isStale)` for the newest block only. Blocks that
+// arrive while a run is in progress collapse into one follow-up run for the
+// latest of them, and the running task can check isStale() to drop its work.
+class LatestBlockRunner {
+    constructor(task) {
+        this.task = task;
+        this.latest = null; // Newest block seen
+        this.pending = null; // Block waiting for the next run
+        this.running = null;
+    }
+
+    push(blockNumber) {
+        if (this.latest !== null && blockNumber <= this.latest) {
+            return this.running;
+        }
+        this.latest = blockNumber;
+        this.pending = blockNumber;
+        if (!this.running) {
+            this.running = this.drain();
+        }
+        return this.running;
+    }
+
+    isStale(blockNumber) {
+        return this.latest !== null && this.latest > blockNumber;
+    }
+
+    async drain() {
+        while (this.pending !== null) {
+            const blockNumber = this.pending;
+            this.pending = null;
+            try {
+                await this.task(blockNumber, () => this.isStale(blockNumber));
+            } catch (error) {
+                console.error(`Scan for block ${blockNumber} failed:`, error);
+            }
+        }
+        this.running = null;
+    }
+
+    // Resolves once the current run and any queued block are done
+    async idle() {
+        while (this.running) {
+            await this.running;
+        }
+    }
+}
+
+module.exports = {
+    SWAP_TOPICS,
+    BlockFeed,
+    LatestBlockRunner
+};
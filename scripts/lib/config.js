@@ -0,0 +1,307 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { NETWORKS } = require("./networks");
+const { keystoreAddress, normalizePrivateKey } = require("./signer");
+
+// Environment checks run before anything touches the chain. Each schema field
+// names an environment variable and a type; `required` is true or
+// `(env, context) => reason` returning why it is needed here (null if it isn't).
+// validateEnv() parses every field and returns the parsed values plus one
+// report entry per field: "ok", "unset", "warning" or "error".
+
+const BOOLEANS = { "1": true, true: true, yes: true, "0": false, false: false, no: false };
+
+// Each parser returns { value, display } (plus a `warning` for values it
+// accepts reluctantly) or throws with what is wrong
+const TYPES = {
+    string: raw => ({ value: raw, display: raw }),
+    secret: raw => ({ value: raw, display: "set" }),
+    address: (raw) => {
+        if (!/^0x[0-9a-fA-F]{40}$/.test(raw)) {
+            throw new Error("not an address");
+        }
+        const checksummed = ethers.getAddress(raw.toLowerCase());
+        if (raw === checksummed) {
+            return { value: checksummed, display: checksummed };
+        }
+        if (raw !== raw.toLowerCase() && raw.slice(2) !== raw.slice(2).toUpperCase()) {
+            throw new Error(`bad checksum, expected ${checksummed}`);
+        }
+        return { value: checksummed, display: checksummed, warning: "not checksummed" };
+    },
+    privateKey: (raw) => {
+        const key = normalizePrivateKey(raw);
+        return { value: key, display: `key for ${ethers.computeAddress(key)}` };
+    },
+    keystore: raw => ({ value: raw, display: `keystore for ${keystoreAddress(raw)}` }),
+    file: (raw) => {
+        if (!fs.existsSync(raw)) {
+            throw new Error("no such file");
+        }
+        return { value: raw, display: raw };
+    },
+    boolean: (raw) => {
+        const value = BOOLEANS[raw.trim().toLowerCase()];
+        if (value === undefined) {
+            throw new Error("expected true or false");
+        }
+        return { value, display: String(value) };
+    },
+    integer: (raw, field) => {
+        if (!/^-?\d+$/.test(raw.trim())) {
+            throw new Error("not an integer");
+        }
+        const value = Number(raw);
+        if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+            throw new Error(`out of range ${describeRange(field)}`);
+        }
+        return { value, display: String(value) };
+    },
+    enum: (raw, field) => {
+        const value = raw.trim().toLowerCase();
+        if (!field.values.includes(value)) {
+            throw new Error(`expected one of ${field.values.join(", ")}`);
+        }
+        return { value, display: value };
+    },
+    url: (raw, field) => {
+        const protocols = field.protocols || ["http:", "https:"];
+        let url;
+        try {
+            url = new URL(raw);
+        } catch (error) {
+            throw new Error("not a URL");
+        }
+        if (!protocols.includes(url.protocol)) {
+            throw new Error(`expected a ${protocols.map(protocol => protocol.slice(0, -1)).join(" or ")} URL`);
+        }
+        // Paths and query strings often carry API keys, so only the host is shown
+        return { value: raw, display: `${url.protocol}//${url.host}` };
+    },
+    urlList: (raw, field) => {
+        const urls = raw.split(",").map(url => url.trim()).filter(Boolean);
+        const parsed = urls.map(url => TYPES.url(url, field));
+        return { value: urls, display: parsed.map(url => url.display).join(", ") };
+    },
+    pattern: (raw, field) => {
+        if (!field.pattern.test(raw)) {
+            throw new Error(field.patternMessage);
+        }
+        return { value: raw, display: field.secret ? "set" : raw };
+    }
+};
+
+function describeRange({ min, max }) {
+    if (min !== undefined && max !== undefined) {
+        return `${min}..${max}`;
+    }
+    return min !== undefined ? `>= ${min}` : `<= ${max}`;
+}
+
+const hasSigningKey = env => ["KEYSTORE_PATH", "PRIVATE_KEY", "HOT_KEYSTORE_PATH", "HOT_PRIVATE_KEY"].some(key => env[key]);
+
+// Infura is the fallback endpoint, so its key is needed unless an RPC URL is set
+function infuraKeyNeeded(env, { network }) {
+    const profile = network && NETWORKS[network];
+    if (!profile || profile.rpcUrl || env.RPC_URL || env[`${network.toUpperCase()}_RPC_URL`]) {
+        return null;
+    }
+    return `the ${network} RPC URL defaults to Infura; set INFURA_API_KEY or RPC_URL`;
+}
+
+// Main and hot signing keys (scripts/lib/signer.js)
+const KEY_FIELDS = [
+    { key: "KEYSTORE_PATH", type: "keystore" },
+    { key: "KEYSTORE_PASSWORD", type: "secret" },
+    { key: "KEYSTORE_PASSWORD_FILE", type: "file" },
+    {
+        key: "PRIVATE_KEY",
+        type: "privateKey",
+        required: env => (hasSigningKey(env) ? null : "set KEYSTORE_PATH or PRIVATE_KEY (or HOT_KEYSTORE_PATH / HOT_PRIVATE_KEY)"),
+        check: env => (env.KEYSTORE_PATH ? "ignored while KEYSTORE_PATH is set; remove it" : null)
+    },
+    { key: "HOT_KEYSTORE_PATH", type: "keystore" },
+    { key: "HOT_KEYSTORE_PASSWORD", type: "secret" },
+    { key: "HOT_KEYSTORE_PASSWORD_FILE", type: "file" },
+    {
+        key: "HOT_PRIVATE_KEY",
+        type: "privateKey",
+        check: env => (env.HOT_KEYSTORE_PATH ? "ignored while HOT_KEYSTORE_PATH is set; remove it" : null)
+    }
+];
+
+const TELEGRAM_FIELDS = [
+    {
+        key: "TELEGRAM_BOT_TOKEN",
+        type: "pattern",
+        pattern: /^\d+:[\w-]{30,}$/,
+        patternMessage: "not a Telegram bot token (<id>:<secret> from @BotFather)",
+        secret: true
+    },
+    {
+        key: "TELEGRAM_CHAT_ID",
+        type: "pattern",
+        pattern: /^(-?\d+|@\w{5,})$/,
+        patternMessage: "not a chat id (a number, or @channelname)",
+        required: env => (env.TELEGRAM_BOT_TOKEN ? "TELEGRAM_BOT_TOKEN is set" : null)
+    }
+];
+
+const RPC_FIELDS = [
+    { key: "INFURA_API_KEY", type: "secret", required: infuraKeyNeeded },
+    { key: "RPC_URL", type: "url" },
+    { key: "RPC_URLS", type: "urlList" }
+];
+
+const BOT_ENV_SCHEMA = [
+    ...KEY_FIELDS,
+    ...RPC_FIELDS,
+    { key: "RPC_SEND_MODE", type: "enum", values: ["primary", "broadcast"], default: "primary" },
+    { key: "WS_URL", type: "url", protocols: ["ws:", "wss:"] },
+    { key: "FLASH_ARBITRAGE_CONTRACT", type: "address", required: true },
+    { key: "AAVE_POOL_ADDRESS", type: "address" },
+    { key: "MULTICALL3_ADDRESS", type: "address" },
+    ...TELEGRAM_FIELDS,
+    { key: "TELEGRAM_COMMANDS", type: "boolean", default: true },
+    { key: "SCAN_MODE", type: "enum", values: ["block", "poll"] },
+    { key: "SCAN_TRIGGER", type: "enum", values: ["block", "swap"], default: "block" },
+    { key: "SUBMISSION", type: "enum", values: ["public", "relay"], default: "public" },
+    { key: "RELAY_URL", type: "url" },
+    { key: "RELAY_AUTH_KEY", type: "privateKey" },
+    { key: "DRY_RUN", type: "boolean", default: false },
+    { key: "KILL_SWITCH", type: "boolean", default: false },
+    { key: "KILL_SWITCH_FILE", type: "string" },
+    { key: "RISK_STATE_FILE", type: "string" },
+    { key: "JOURNAL_DIR", type: "string" },
+    { key: "RECORD_FILE", type: "string" },
+    { key: "PAIRS_CONFIG", type: "file" },
+    { key: "VENUES_CONFIG", type: "file" },
+    { key: "TREASURY_CONFIG", type: "file" },
+    { key: "METRICS_PORT", type: "integer", min: 1, max: 65535 }
+];
+
+const DEPLOY_ENV_SCHEMA = [
+    ...KEY_FIELDS,
+    ...RPC_FIELDS,
+    ...TELEGRAM_FIELDS,
+    { key: "ETHERSCAN_API_KEY", type: "secret" }
+];
+
+// Limits on the bot's resolved config (DEFAULT_CONFIG plus what bot.js
+// derives from the environment); basis points are capped at 100%
+const BPS = { min: 0, max: 10000 };
+const BOT_CONFIG_RANGES = {
+    SCAN_INTERVAL: { min: 1000 },
+    BLOCK_POLL_INTERVAL: { min: 1000 },
+    TREASURY_INTERVAL: { min: 1000 },
+    MAX_GAS_PRICE: { min: 1n },
+    FEE_HISTORY_BLOCKS: { min: 1, max: 1024 },
+    FEE_HISTORY_PERCENTILE: { min: 0, max: 100 },
+    PRIORITY_FEE_PROFIT_SHARE: BPS,
+    MIN_PRICE_DIFFERENCE: BPS,
+    MIN_PROFIT_BPS: BPS,
+    MAX_SLIPPAGE: BPS,
+    FLASH_LOAN_PREMIUM: BPS,
+    GAS_LIMIT_MARGIN: BPS,
+    SIZE_SEARCH_TOLERANCE: { min: 1, max: 10000 },
+    SWAP_DEADLINE: { min: 12 },
+    MAX_RPC_CALLS_PER_SCAN: { min: 1 },
+    QUOTE_BATCH_SIZE: { min: 1 },
+    MAX_ROUTE_HOPS: { min: 2 },
+    TX_TIMEOUT_BLOCKS: { min: 1 },
+    TX_FEE_BUMP: { min: 1000, max: 10000 }, // Nodes refuse replacements under +10%
+    TX_MAX_REPLACEMENTS: { min: 0 },
+    RELAY_TARGET_BLOCKS: { min: 1 },
+    RELAY_MAX_BLOCKS: { min: 1 },
+    MAX_CONSECUTIVE_FAILURES: { min: 1 },
+    FAILURE_COOLDOWN: { min: 0 },
+    MAX_DAILY_GAS: { min: 0n },
+    MAX_DAILY_LOSS: { min: 0n },
+    MAX_TRADE_NOTIONAL: { min: 0n },
+    RECORD_POINTS: { min: 1 }
+};
+
+// { values, entries }: parsed values by key (defaults filled in, invalid and
+// unset fields left undefined) and one report entry per field
+function validateEnv(schema, env = process.env, context = {}) {
+    const values = {};
+    const entries = [];
+
+    for (const field of schema) {
+        const raw = env[field.key];
+        const required = typeof field.required === "function" ? field.required(env, context) : (field.required ? "required" : null);
+
+        if (raw === undefined || raw.trim() === "") {
+            values[field.key] = field.default;
+            entries.push(required ?
+                { key: field.key, level: "error", message: `missing: ${required}` } :
+                { key: field.key, level: "unset", message: field.default === undefined ? "not set" : `default ${field.default}` });
+            continue;
+        }
+
+        let parsed;
+        try {
+            parsed = TYPES[field.type](raw.trim(), field);
+        } catch (error) {
+            entries.push({ key: field.key, level: "error", message: error.message });
+            continue;
+        }
+        values[field.key] = parsed.value;
+
+        const warning = parsed.warning || (field.check && field.check(env, context));
+        entries.push(warning ?
+            { key: field.key, level: "warning", message: `${parsed.display} (${warning})` } :
+            { key: field.key, level: "ok", message: parsed.display });
+    }
+
+    return { values, entries };
+}
+
+// Report entries for the config values outside their range; in-range values add nothing
+function validateRanges(config, ranges) {
+    const entries = [];
+    for (const [key, range] of Object.entries(ranges)) {
+        const value = config[key];
+        if (typeof value !== "number" && typeof value !== "bigint") {
+            entries.push({ key, level: "error", message: `expected a number, got ${value}` });
+        } else if ((range.min !== undefined && value < range.min) || (range.max !== undefined && value > range.max)) {
+            entries.push({ key, level: "error", message: `${value} is out of range ${describeRange(range)}` });
+        }
+    }
+    return entries;
+}
+
+const LEVEL_ICONS = { ok: "✅", unset: "➖", warning: "⚠️", error: "❌" };
+
+function formatConfigReport(title, entries) {
+    const width = Math.max(...entries.map(entry => entry.key.length));
+    const errors = entries.filter(entry => entry.level === "error").length;
+    const warnings = entries.filter(entry => entry.level === "warning").length;
+    return [
+        `🧾 ${title}`,
+        ...entries.map(entry => `  ${LEVEL_ICONS[entry.level]} ${entry.key.padEnd(width)}  ${entry.message}`),
+        `${errors} error${errors === 1 ? "" : "s"}, ${warnings} warning${warnings === 1 ? "" : "s"}`
+    ].join("\n");
+}
+
+// Prints the report and throws (code INVALID_CONFIG) when any entry is an error
+function assertValidConfig(title, entries, log = console.log) {
+    log(formatConfigReport(title, entries));
+    const errors = entries.filter(entry => entry.level === "error");
+    if (errors.length > 0) {
+        throw Object.assign(new Error(`Invalid configuration: ${errors.map(entry => entry.key).join(", ")}`), {
+            code: "INVALID_CONFIG",
+            errors
+        });
+    }
+}
+
+module.exports = {
+    BOT_ENV_SCHEMA,
+    DEPLOY_ENV_SCHEMA,
+    BOT_CONFIG_RANGES,
+    validateEnv,
+    validateRanges,
+    formatConfigReport,
+    assertValidConfig
+};
@@ -0,0 +1,448 @@
+const path = require("path");
+const { ethers } = require("ethers");
+
+const DEFAULT_VENUES_CONFIG = path.join(__dirname, "..", "..", "config", "venues.json");
+
+// DEX venues the bot quotes and trades on. Every venue is an adapter of the
+// same shape, so the scanner compares any enabled venues pairwise and the
+// flash loan's swap path can mix them freely:
+//
+// - name: the venue's label in quotes, hops, routes, the journal and recorded quote data
+// - type: the adapter, one of VENUE_TYPES
+// - pools(tokenIn, tokenOut, reads): the venue's pools for that direction as
+//   [{ fee }], `fee` telling Uniswap V3 tiers apart (undefined elsewhere); [] without one
+// - quote({ tokenIn, tokenOut, fee, amountIn }, reads): amountOut of one pool, one read;
+//   throws when the pool can't quote
+// - approvals({ tokenIn, fee, amountIn }): [{ token, spender, amount }] FlashArbitrage grants before the swap
+// - encodeSwap({ tokenIn, tokenOut, fee, amountIn, amountOutMin, recipient, deadline }): { target, data }
+// - feeBps({ tokenIn, tokenOut, fee }): the pool's swap fee in basis points
+// - watchedPools(tokenA, tokenB): contracts whose swap events move the venue's
+//   prices for the pair, for swap-triggered scanning
+//
+// `reads` is a scan's read context: read(contract, method, args) goes through
+// the scan's Multicall3 batcher, spend(calls) takes calls from its RPC budget
+// (false once it is spent) and `cache` is a Map that lives across scans.
+
+// Calldata encoders and read ABIs per venue type
+const DEX_INTERFACES = {
+    uniswapV3Router: new ethers.Interface([
+        "function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountOut)"
+    ]),
+    // SwapRouter02 drops the deadline from the struct; it is enforced by multicall instead
+    uniswapV3Router02: new ethers.Interface([
+        "function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountOut)",
+        "function multicall(uint256 deadline, bytes[] data) payable returns (bytes[] results)"
+    ]),
+    uniswapV3Quoter: [
+        "function quoteExactInputSingle(address tokenIn, address tokenOut, uint24 fee, uint256 amountIn, uint160 sqrtPriceLimitX96) external returns (uint256 amountOut)"
+    ],
+    // QuoterV2 takes a struct and also returns price and gas details
+    uniswapV3QuoterV2: [
+        "function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) external returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)"
+    ],
+    uniswapV3Factory: [
+        "function getPool(address tokenA, address tokenB, uint24 fee) view returns (address pool)"
+    ],
+    uniswapV2Router: new ethers.Interface([
+        "function getAmountsOut(uint amountIn, address[] memory path) view returns (uint[] memory amounts)",
+        "function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) returns (uint[] memory amounts)",
+        "function factory() view returns (address)"
+    ]),
+    uniswapV2Factory: [
+        "function getPair(address tokenA, address tokenB) view returns (address pair)"
+    ],
+    // Stable pools index their coins with int128; the output goes to the caller
+    curveStablePool: new ethers.Interface([
+        "function get_dy(int128 i, int128 j, uint256 dx) view returns (uint256)",
+        "function exchange(int128 i, int128 j, uint256 dx, uint256 min_dy)"
+    ]),
+    balancerV2Vault: new ethers.Interface([
+        "function queryBatchSwap(uint8 kind, (bytes32 poolId, uint256 assetInIndex, uint256 assetOutIndex, uint256 amount, bytes userData)[] swaps, address[] assets, (address sender, bool fromInternalBalance, address recipient, bool toInternalBalance) funds) returns (int256[] assetDeltas)",
+        "function swap((bytes32 poolId, uint8 kind, address assetIn, address assetOut, uint256 amount, bytes userData) singleSwap, (address sender, bool fromInternalBalance, address recipient, bool toInternalBalance) funds, uint256 limit, uint256 deadline) payable returns (uint256 amountCalculated)"
+    ])
+};
+
+const sameAddress = (a, b) => Boolean(a) && Boolean(b) && a.toLowerCase() === b.toLowerCase();
+
+// Uniswap V3: one pool per fee tier, quoted through the Quoter (or QuoterV2)
+// and swapped through the SwapRouter (or SwapRouter02) at the quoted tier
+class UniswapV3Venue {
+    constructor({ name, router, quoter, factory, routerVersion = 1, quoterVersion = 1, feeTiers, runner = null }) {
+        this.name = name;
+        this.type = "uniswapV3";
+        this.router = router;
+        this.routerVersion = routerVersion;
+        this.feeTiers = feeTiers;
+        this.quoter = new ethers.Contract(
+            quoter,
+            quoterVersion === 2 ? DEX_INTERFACES.uniswapV3QuoterV2 : DEX_INTERFACES.uniswapV3Quoter,
+            runner
+        );
+        this.quoterVersion = quoterVersion;
+        this.factory = new ethers.Contract(factory, DEX_INTERFACES.uniswapV3Factory, runner);
+    }
+
+    // Tiers with a deployed pool; lookups are cached, as pools are never removed
+    async pools(tokenIn, tokenOut, { read, spend, cache }) {
+        // Pools are keyed by sorted token order, so both directions share one entry
+        const [token0, token1] = tokenIn.toLowerCase() < tokenOut.toLowerCase() ? [tokenIn, tokenOut] : [tokenOut, tokenIn];
+        const exists = await Promise.all(this.feeTiers.map(async (fee) => {
+            const key = `${this.name}:${token0}:${token1}:${fee}`.toLowerCase();
+            if (!cache.has(key)) {
+                if (!spend(1)) {
+                    return false;
+                }
+                const [pool] = await read(this.factory, "getPool", [token0, token1, fee]);
+                cache.set(key, pool !== ethers.ZeroAddress);
+            }
+            return cache.get(key);
+        }));
+        return this.feeTiers.filter((fee, i) => exists[i]).map(fee => ({ fee }));
+    }
+
+    async quote({ tokenIn, tokenOut, fee, amountIn }, { read }) {
+        const args = this.quoterVersion === 2 ?
+            [{ tokenIn, tokenOut, amountIn, fee, sqrtPriceLimitX96: 0 }] :
+            [tokenIn, tokenOut, fee, amountIn, 0];
+        const [amount] = await read(this.quoter, "quoteExactInputSingle", args);
+        return amount;
+    }
+
+    approvals({ tokenIn, amountIn }) {
+        return [{ token: tokenIn, spender: this.router, amount: amountIn }];
+    }
+
+    encodeSwap({ tokenIn, tokenOut, fee, amountIn, amountOutMin, recipient, deadline }) {
+        // Route through the exact pool that was quoted
+        if (!fee) {
+            throw new Error(`${this.name} leg is missing its quoted fee tier`);
+        }
+        if (this.routerVersion === 2) {
+            const swap = DEX_INTERFACES.uniswapV3Router02.encodeFunctionData("exactInputSingle", [{
+                tokenIn,
+                tokenOut,
+                fee,
+                recipient,
+                amountIn,
+                amountOutMinimum: amountOutMin,
+                sqrtPriceLimitX96: 0
+            }]);
+            return {
+                target: this.router,
+                data: DEX_INTERFACES.uniswapV3Router02.encodeFunctionData("multicall", [deadline, [swap]])
+            };
+        }
+        return {
+            target: this.router,
+            data: DEX_INTERFACES.uniswapV3Router.encodeFunctionData("exactInputSingle", [{
+                tokenIn,
+                tokenOut,
+                fee,
+                recipient,
+                deadline,
+                amountIn,
+                amountOutMinimum: amountOutMin,
+                sqrtPriceLimitX96: 0
+            }])
+        };
+    }
+
+    // Uniswap fees are in hundredths of a basis point
+    feeBps({ fee }) {
+        return fee / 100;
+    }
+
+    async watchedPools(tokenA, tokenB) {
+        const pools = await Promise.all(this.feeTiers.map(fee => this.factory.getPool(tokenA, tokenB, fee)));
+        return pools.filter(pool => pool !== ethers.ZeroAddress);
+    }
+}
+
+// Any Uniswap V2 fork (SushiSwap, PancakeSwap, ...): one pair per token pair,
+// quoted with getAmountsOut and swapped through the router at `router`
+class UniswapV2Venue {
+    constructor({ name, router, feeBps = 30, runner = null }) {
+        this.name = name;
+        this.type = "uniswapV2";
+        this.router = new ethers.Contract(router, DEX_INTERFACES.uniswapV2Router, runner);
+        this.routerAddress = router;
+        this.fee = feeBps;
+        this.runner = runner;
+    }
+
+    // A missing pair makes getAmountsOut revert, which the quote reports, so
+    // there is nothing to look up first
+    async pools() {
+        return [{ fee: undefined }];
+    }
+
+    async quote({ tokenIn, tokenOut, amountIn }, { read }) {
+        const [amounts] = await read(this.router, "getAmountsOut", [amountIn, [tokenIn, tokenOut]]);
+        return amounts[1];
+    }
+
+    approvals({ tokenIn, amountIn }) {
+        return [{ token: tokenIn, spender: this.routerAddress, amount: amountIn }];
+    }
+
+    encodeSwap({ tokenIn, tokenOut, amountIn, amountOutMin, recipient, deadline }) {
+        return {
+            target: this.routerAddress,
+            data: DEX_INTERFACES.uniswapV2Router.encodeFunctionData("swapExactTokensForTokens", [
+                amountIn,
+                amountOutMin,
+                [tokenIn, tokenOut],
+                recipient,
+                deadline
+            ])
+        };
+    }
+
+    feeBps() {
+        return this.fee;
+    }
+
+    async watchedPools(tokenA, tokenB) {
+        if (!this.pairFactory) {
+            this.pairFactory = new ethers.Contract(await this.router.factory(), DEX_INTERFACES.uniswapV2Factory, this.runner);
+        }
+        const pair = await this.pairFactory.getPair(tokenA, tokenB);
+        return pair !== ethers.ZeroAddress ? [pair] : [];
+    }
+}
+
+// One Curve stable pool. `coins` are the pool's coins in index order, null
+// for those the network's registry doesn't know; only known ones are traded.
+class CurveStableVenue {
+    constructor({ name, pool, coins, feeBps = 4, runner = null }) {
+        this.name = name;
+        this.type = "curveStable";
+        this.pool = new ethers.Contract(pool, DEX_INTERFACES.curveStablePool, runner);
+        this.poolAddress = pool;
+        this.coins = coins;
+        this.fee = feeBps;
+    }
+
+    coinIndex(token) {
+        return this.coins.findIndex(coin => sameAddress(coin, token));
+    }
+
+    async pools(tokenIn, tokenOut) {
+        return this.coinIndex(tokenIn) !== -1 && this.coinIndex(tokenOut) !== -1 ? [{ fee: undefined }] : [];
+    }
+
+    async quote({ tokenIn, tokenOut, amountIn }, { read }) {
+        const [amount] = await read(this.pool, "get_dy", [this.coinIndex(tokenIn), this.coinIndex(tokenOut), amountIn]);
+        return amount;
+    }
+
+    approvals({ tokenIn, amountIn }) {
+        return [{ token: tokenIn, spender: this.poolAddress, amount: amountIn }];
+    }
+
+    // exchange pays the caller, which is FlashArbitrage itself, and has no deadline
+    encodeSwap({ tokenIn, tokenOut, amountIn, amountOutMin }) {
+        return {
+            target: this.poolAddress,
+            data: DEX_INTERFACES.curveStablePool.encodeFunctionData("exchange", [
+                this.coinIndex(tokenIn),
+                this.coinIndex(tokenOut),
+                amountIn,
+                amountOutMin
+            ])
+        };
+    }
+
+    feeBps() {
+        return this.fee;
+    }
+
+    async watchedPools(tokenA, tokenB) {
+        return (await this.pools(tokenA, tokenB)).length > 0 ? [this.poolAddress] : [];
+    }
+}
+
+// Balancer V2 pools behind the Vault. A token pair trades in the first
+// configured pool holding both tokens; another pool for the same pair is
+// another balancerV2 venue.
+class BalancerV2Venue {
+    constructor({ name, vault, pools, feeBps = 30, runner = null }) {
+        this.name = name;
+        this.type = "balancerV2";
+        this.vault = new ethers.Contract(vault, DEX_INTERFACES.balancerV2Vault, runner);
+        this.vaultAddress = vault;
+        this.poolList = pools.map(pool => ({ feeBps, ...pool }));
+    }
+
+    poolFor(tokenIn, tokenOut) {
+        return this.poolList.find(pool =>
+            pool.tokens.some(token => sameAddress(token, tokenIn)) && pool.tokens.some(token => sameAddress(token, tokenOut))
+        ) || null;
+    }
+
+    async pools(tokenIn, tokenOut) {
+        return this.poolFor(tokenIn, tokenOut) ? [{ fee: undefined }] : [];
+    }
+
+    // queryBatchSwap dry-runs a GIVEN_IN swap; the Vault reports what leaves it as a negative delta
+    async quote({ tokenIn, tokenOut, amountIn }, { read }) {
+        const pool = this.poolFor(tokenIn, tokenOut);
+        if (!pool) {
+            throw new Error(`${this.name} has no pool for ${tokenIn}/${tokenOut}`);
+        }
+        const [deltas] = await read(this.vault, "queryBatchSwap", [
+            0,
+            [{ poolId: pool.id, assetInIndex: 0, assetOutIndex: 1, amount: amountIn, userData: "0x" }],
+            [tokenIn, tokenOut],
+            { sender: ethers.ZeroAddress, fromInternalBalance: false, recipient: ethers.ZeroAddress, toInternalBalance: false }
+        ]);
+        return -deltas[1];
+    }
+
+    approvals({ tokenIn, amountIn }) {
+        return [{ token: tokenIn, spender: this.vaultAddress, amount: amountIn }];
+    }
+
+    // The Vault pulls from `sender`, which must be the caller: FlashArbitrage
+    encodeSwap({ tokenIn, tokenOut, amountIn, amountOutMin, recipient, deadline }) {
+        return {
+            target: this.vaultAddress,
+            data: DEX_INTERFACES.balancerV2Vault.encodeFunctionData("swap", [
+                { poolId: this.poolFor(tokenIn, tokenOut).id, kind: 0, assetIn: tokenIn, assetOut: tokenOut, amount: amountIn, userData: "0x" },
+                { sender: recipient, fromInternalBalance: false, recipient, toInternalBalance: false },
+                amountOutMin,
+                deadline
+            ])
+        };
+    }
+
+    feeBps({ tokenIn, tokenOut }) {
+        const pool = this.poolFor(tokenIn, tokenOut);
+        return pool ? pool.feeBps : null;
+    }
+
+    // The Vault emits every pool's swaps
+    async watchedPools(tokenA, tokenB) {
+        return this.poolFor(tokenA, tokenB) ? [this.vaultAddress] : [];
+    }
+}
+
+const VENUE_TYPES = {
+    uniswapV3: UniswapV3Venue,
+    uniswapV2: UniswapV2Venue,
+    curveStable: CurveStableVenue,
+    balancerV2: BalancerV2Venue
+};
+
+// Addresses a venue entry may leave out, by type, and the network profile's
+// `dex` key each then defaults to
+const PROFILE_ADDRESSES = {
+    uniswapV3: { router: "uniswapV3Router", quoter: "uniswapV3Quoter", factory: "uniswapV3Factory" },
+    uniswapV2: { router: "sushiswapRouter" },
+    curveStable: { pool: null },
+    balancerV2: { vault: "balancerVault" }
+};
+
+// Uniswap V3 and SushiSwap at the network profile's addresses
+const DEFAULT_VENUES = [
+    { name: "uniswap", type: "uniswapV3" },
+    { name: "sushiswap", type: "uniswapV2" }
+];
+
+// Resolves a venue registry (see config/venues.json) for `network`, a profile
+// from getNetworkProfile. Each entry has a unique "name", a "type" from
+// VENUE_TYPES and optionally "networks" (names it is limited to), "enabled"
+// (false drops it) and "feeBps". Per type:
+// - uniswapV3: "router", "quoter", "factory", "routerVersion", "quoterVersion"
+//   and "feeTiers", all defaulting to the profile (and UNISWAP_FEE_TIERS)
+// - uniswapV2: "router", defaulting to the profile's SushiSwap router
+// - curveStable: "pool" and its "coins" in index order, by registry symbol or address
+// - balancerV2: "vault", defaulting to the profile's, and "pools" as
+//   [{ "id", "tokens", "feeBps" }] with tokens by registry symbol or address
+// Tokens the network's registry doesn't know resolve to null and aren't traded.
+function resolveVenues(raw = {}, network = {}, tokens = {}) {
+    if (!Array.isArray(raw.venues)) {
+        throw new Error("Venue config must define \"venues\"");
+    }
+    const dex = network.dex || {};
+
+    const resolveToken = (value) => {
+        if (ethers.isAddress(value)) {
+            return ethers.getAddress(value);
+        }
+        return tokens[value] ? tokens[value].address : null;
+    };
+
+    const venues = [];
+    for (const entry of raw.venues) {
+        if (entry.enabled === false || (entry.networks && !entry.networks.includes(network.name))) {
+            continue;
+        }
+        if (!entry.name) {
+            throw new Error("Every venue needs a name");
+        }
+        if (venues.some(venue => venue.name === entry.name)) {
+            throw new Error(`Venue name ${entry.name} is used twice`);
+        }
+        if (!VENUE_TYPES[entry.type]) {
+            throw new Error(`Venue ${entry.name} has unknown type "${entry.type}". Known types: ${Object.keys(VENUE_TYPES).join(", ")}`);
+        }
+
+        const { enabled, networks, ...venue } = entry;
+        for (const [field, profileKey] of Object.entries(PROFILE_ADDRESSES[entry.type])) {
+            const address = entry[field] || (profileKey && dex[profileKey]);
+            if (!address) {
+                throw new Error(`Venue ${entry.name} needs a ${field} address on ${network.name}`);
+            }
+            venue[field] = ethers.getAddress(address);
+        }
+
+        if (entry.type === "uniswapV3") {
+            venue.routerVersion = entry.routerVersion || dex.routerVersion || 1;
+            venue.quoterVersion = entry.quoterVersion || dex.quoterVersion || 1;
+        } else if (entry.type === "curveStable") {
+            if (!Array.isArray(entry.coins) || entry.coins.length < 2) {
+                throw new Error(`Curve venue ${entry.name} needs the pool's coins in index order`);
+            }
+            venue.coins = entry.coins.map(resolveToken);
+        } else if (entry.type === "balancerV2") {
+            venue.pools = (entry.pools || []).map((pool) => {
+                if (!ethers.isHexString(pool.id, 32) || !Array.isArray(pool.tokens)) {
+                    throw new Error(`Balancer venue ${entry.name} pools need a 32-byte id and their tokens`);
+                }
+                return { ...pool, tokens: pool.tokens.map(resolveToken).filter(Boolean) };
+            });
+        }
+        venues.push(venue);
+    }
+
+    // A pair is scanned by comparing venues, so one is not enough
+    if (venues.length < 2) {
+        throw new Error(`Only ${venues.length} venue(s) enabled on ${network.name}; at least two are needed`);
+    }
+    return venues;
+}
+
+function loadVenues(configPath = process.env.VENUES_CONFIG || DEFAULT_VENUES_CONFIG, network = {}, tokens = {}) {
+    return resolveVenues(require(path.resolve(configPath)), network, tokens);
+}
+
+// Adapters for resolved venues; `feeTiers` are the Uniswap V3 tiers of
+// venues that don't list their own and `runner` serves watchedPools
+function createVenues(venues, { feeTiers = [100, 500, 3000, 10000], runner = null } = {}) {
+    return venues.map(venue => new VENUE_TYPES[venue.type]({ feeTiers, ...venue, runner }));
+}
+
+module.exports = {
+    DEFAULT_VENUES_CONFIG,
+    DEFAULT_VENUES,
+    DEX_INTERFACES,
+    VENUE_TYPES,
+    UniswapV3Venue,
+    UniswapV2Venue,
+    CurveStableVenue,
+    BalancerV2Venue,
+    resolveVenues,
+    loadVenues,
+    createVenues
+};
@@ -0,0 +1,114 @@
+// EIP-1559 fee engine. Reads recent base fees and priority fees from
+// eth_feeHistory, projects the base fee from the bot's own readings, and bids
+// the priority fee as a share of the trade's expected profit.
+const { ethers } = require("ethers");
+
+// A full block raises the next base fee by at most 12.5% (in basis points)
+const MAX_BASE_FEE_CHANGE = 1250n;
+
+function median(values) {
+    if (values.length === 0) {
+        return 0n;
+    }
+    const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Base fee change from the oldest to the newest reading, in basis points
+function baseFeeTrend(history) {
+    const readings = history.filter(entry => entry.baseFee !== undefined);
+    if (readings.length < 2 || readings[0].baseFee === 0n) {
+        return 0;
+    }
+    const first = readings[0].baseFee;
+    const last = readings[readings.length - 1].baseFee;
+    return Number((last - first) * 10000n / first);
+}
+
+// The highest base fee `blocks` full blocks in a row could reach
+function maxBaseFeeAfter(baseFee, blocks) {
+    let fee = baseFee;
+    for (let i = 0; i < blocks; i++) {
+        fee = fee * (10000n + MAX_BASE_FEE_CHANGE) / 10000n;
+    }
+    return fee;
+}
+
+// `config` is the bot's live config, so /set MAX_GAS_PRICE applies immediately:
+// - FEE_HISTORY_BLOCKS, FEE_HISTORY_PERCENTILE: eth_feeHistory window and reward percentile
+// - PRIORITY_FEE_PROFIT_SHARE: share of expected profit bid as priority fee (basis points)
+// - MAX_GAS_PRICE: hard cap on maxFeePerGas
+// - TX_TIMEOUT_BLOCKS: how far ahead to cover a rising base fee before the
+//   transaction manager replaces the transaction anyway
+class FeeEngine {
+    constructor({ provider, config }) {
+        this.provider = provider;
+        this.config = config;
+    }
+
+    // Current fee conditions, or throws when the node can't provide them.
+    // `history` is the bot's gasHistory, oldest first.
+    async snapshot(history = []) {
+        const raw = await this.provider.send("eth_feeHistory", [
+            ethers.toQuantity(this.config.FEE_HISTORY_BLOCKS),
+            "latest",
+            [this.config.FEE_HISTORY_PERCENTILE]
+        ]);
+        if (!raw || !Array.isArray(raw.baseFeePerGas) || raw.baseFeePerGas.length === 0) {
+            throw new Error("eth_feeHistory returned no base fees");
+        }
+
+        // The last entry is the base fee of the block after `latest`
+        const nextBaseFee = BigInt(raw.baseFeePerGas[raw.baseFeePerGas.length - 1]);
+        const priorityFee = median((raw.reward || []).map(rewards => BigInt(rewards[0])));
+        const trend = baseFeeTrend([...history, { baseFee: nextBaseFee }]);
+
+        // A rising base fee is covered until the replacement timeout; otherwise one block of headroom
+        const headroomBlocks = trend > 0 ? Math.max(this.config.TX_TIMEOUT_BLOCKS, 1) : 1;
+
+        return {
+            nextBaseFee,
+            priorityFee,
+            trend,
+            baseFeeCeiling: maxBaseFeeAfter(nextBaseFee, headroomBlocks),
+            gasPrice: nextBaseFee + priorityFee // What a transaction is expected to pay per gas
+        };
+    }
+
+    // Fee fields for a transaction using `gasUnits` that is expected to net
+    // `profitWei`. Bids the larger of the network's going priority fee and the
+    // configured profit share, within MAX_GAS_PRICE. Returns null when even
+    // the going rate is above the cap.
+    bid(snapshot, { gasUnits, profitWei = null }) {
+        const cap = this.config.MAX_GAS_PRICE;
+        if (snapshot.gasPrice > cap) {
+            return null;
+        }
+
+        let priorityFee = snapshot.priorityFee;
+        if (profitWei !== null && profitWei > 0n && gasUnits > 0n) {
+            const profitShare = profitWei * BigInt(this.config.PRIORITY_FEE_PROFIT_SHARE) / 10000n / gasUnits;
+            if (profitShare > priorityFee) {
+                priorityFee = profitShare;
+            }
+        }
+
+        // The tip is only paid in full while the base fee stays below the cap
+        if (priorityFee > cap - snapshot.nextBaseFee) {
+            priorityFee = cap - snapshot.nextBaseFee;
+        }
+        const maxFeePerGas = snapshot.baseFeeCeiling + priorityFee;
+
+        return {
+            maxFeePerGas: maxFeePerGas < cap ? maxFeePerGas : cap,
+            maxPriorityFeePerGas: priorityFee
+        };
+    }
+}
+
+module.exports = {
+    MAX_BASE_FEE_CHANGE,
+    baseFeeTrend,
+    maxBaseFeeAfter,
+    FeeEngine
+};
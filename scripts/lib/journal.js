@@ -0,0 +1,128 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_JOURNAL_DIR = path.join(__dirname, "..", "..", "journal");
+
+// Append-only JSONL journal, one file per UTC day so queries over a date range
+// only read the days they need. Survives restarts and nodemon reloads.
+// A null directory keeps nothing: records are dropped and queries find nothing.
+class TradeJournal {
+    constructor(directory = process.env.JOURNAL_DIR || DEFAULT_JOURNAL_DIR) {
+        this.directory = directory === null ? null : path.resolve(directory);
+        if (this.directory) {
+            fs.mkdirSync(this.directory, { recursive: true });
+        }
+    }
+
+    record(type, data = {}) {
+        const entry = { timestamp: Date.now(), type, ...data };
+        const line = JSON.stringify(entry, (key, value) =>
+            typeof value === "bigint" ? value.toString() : value
+        );
+        if (!this.directory) {
+            return entry;
+        }
+
+        try {
+            fs.appendFileSync(this.fileFor(entry.timestamp), `${line}\n`);
+        } catch (error) {
+            // Never let bookkeeping take the trading loop down
+            console.error('Journal write error:', error.message);
+        }
+        return entry;
+    }
+
+    fileFor(timestamp) {
+        const day = new Date(timestamp).toISOString().slice(0, 10);
+        return path.join(this.directory, `journal-${day}.jsonl`);
+    }
+
+    // Entries matching every given filter. `since`/`until` are timestamps or
+    // anything Date accepts; `where` is an optional predicate.
+    query({ type, pair, since, until, where } = {}) {
+        const from = since !== undefined ? new Date(since).getTime() : 0;
+        const to = until !== undefined ? new Date(until).getTime() : Date.now();
+
+        return this.listFiles(from, to)
+            .flatMap(file => this.readFile(file))
+            .filter(entry =>
+                entry.timestamp >= from &&
+                entry.timestamp <= to &&
+                (type === undefined || entry.type === type) &&
+                (pair === undefined || entry.pair === pair) &&
+                (!where || where(entry))
+            );
+    }
+
+    // How many opportunities a pair had in a window and why they didn't trade:
+    // rejections at analysis time plus accepted ones that then failed simulation
+    // or reverted on chain
+    summarizeOpportunities({ pair, since, until } = {}) {
+        const entries = this.query({ pair, since, until });
+        const summary = {
+            total: 0,
+            accepted: 0,
+            rejected: 0,
+            reasons: {},
+            simulationFailures: {},
+            reverted: 0
+        };
+        const count = (table, key) => {
+            table[key] = (table[key] || 0) + 1;
+        };
+
+        for (const entry of entries) {
+            if (entry.type === "opportunity") {
+                summary.total++;
+                if (entry.status === "accepted") {
+                    summary.accepted++;
+                } else {
+                    summary.rejected++;
+                    count(summary.reasons, entry.reason);
+                }
+            } else if (entry.type === "simulation" && !entry.success) {
+                count(summary.simulationFailures, entry.reason);
+            } else if (entry.type === "tx" && entry.status === "reverted") {
+                summary.reverted++;
+            }
+        }
+
+        return summary;
+    }
+
+    listFiles(from, to) {
+        if (!this.directory) {
+            return [];
+        }
+        const firstDay = new Date(from).toISOString().slice(0, 10);
+        const lastDay = new Date(to).toISOString().slice(0, 10);
+
+        return fs.readdirSync(this.directory)
+            .filter(name => /^journal-\d{4}-\d{2}-\d{2}\.jsonl$/.test(name))
+            .filter(name => {
+                const day = name.slice(8, 18);
+                return day >= firstDay && day <= lastDay;
+            })
+            .sort()
+            .map(name => path.join(this.directory, name));
+    }
+
+    readFile(file) {
+        return fs.readFileSync(file, "utf8")
+            .split("\n")
+            .filter(line => line.trim() !== "")
+            .flatMap(line => {
+                try {
+                    return [JSON.parse(line)];
+                } catch (error) {
+                    // A torn last line from a crash mid-write
+                    return [];
+                }
+            });
+    }
+}
+
+module.exports = {
+    DEFAULT_JOURNAL_DIR,
+    TradeJournal
+};
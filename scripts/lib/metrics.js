@@ -0,0 +1,126 @@
+// Minimal Prometheus registry: counters, gauges, histograms and summaries
+// (sum/count only) rendered in the text exposition format. Enough for a handful of bot metrics
+// without pulling in a client library.
+class Metrics {
+    constructor(prefix = "arb_") {
+        this.prefix = prefix;
+        this.families = new Map(); // name -> { type, help, buckets, series: Map(labelKey -> { labels, value }) }
+    }
+
+    // `buckets` are a histogram's ascending upper bounds; +Inf is implied
+    define(name, type, help, buckets = []) {
+        if (!this.families.has(name)) {
+            this.families.set(name, { type, help, buckets, series: new Map() });
+        }
+        return this;
+    }
+
+    inc(name, labels = {}, value = 1) {
+        const series = this.getSeries(name, labels);
+        series.value += value;
+    }
+
+    set(name, labels = {}, value) {
+        this.getSeries(name, labels).value = value;
+    }
+
+    // Summaries and histograms track a running sum and count, e.g. request
+    // latency; histograms also count observations per bucket
+    observe(name, labels = {}, value) {
+        const series = this.getSeries(name, labels);
+        series.sum += value;
+        series.count += 1;
+        this.families.get(name).buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                series.buckets[i] += 1;
+            }
+        });
+    }
+
+    get(name, labels = {}) {
+        const family = this.families.get(name);
+        const series = family && family.series.get(labelKey(labels));
+        return series ? series.value : undefined;
+    }
+
+    getSeries(name, labels) {
+        const family = this.families.get(name);
+        if (!family) {
+            throw new Error(`Unknown metric ${name}`);
+        }
+
+        const key = labelKey(labels);
+        if (!family.series.has(key)) {
+            family.series.set(key, { labels, value: 0, sum: 0, count: 0, buckets: family.buckets.map(() => 0) });
+        }
+        return family.series.get(key);
+    }
+
+    render() {
+        const lines = [];
+        for (const [name, family] of this.families) {
+            const fullName = this.prefix + name;
+            lines.push(`# HELP ${fullName} ${family.help}`);
+            lines.push(`# TYPE ${fullName} ${family.type}`);
+
+            for (const { labels, value, sum, count, buckets } of family.series.values()) {
+                if (family.type === "histogram") {
+                    // Bucket counts are cumulative, as observe() counts every bound a value fits under
+                    family.buckets.forEach((bound, i) => {
+                        lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: bound })} ${buckets[i]}`);
+                    });
+                    lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+                }
+                if (family.type === "summary" || family.type === "histogram") {
+                    lines.push(`${fullName}_sum${formatLabels(labels)} ${sum}`);
+                    lines.push(`${fullName}_count${formatLabels(labels)} ${count}`);
+                } else {
+                    lines.push(`${fullName}${formatLabels(labels)} ${value}`);
+                }
+            }
+        }
+        return `${lines.join("\n")}\n`;
+    }
+}
+
+function labelKey(labels) {
+    return Object.keys(labels).sort().map(key => `${key}=${labels[key]}`).join(",");
+}
+
+function formatLabels(labels) {
+    const keys = Object.keys(labels).sort();
+    if (keys.length === 0) {
+        return "";
+    }
+    const escape = value => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+    return `{${keys.map(key => `${key}="${escape(labels[key])}"`).join(",")}}`;
+}
+
+// The bot's metric families, defined up front so /metrics lists them before
+// the first event happens
+function createBotMetrics() {
+    const metrics = new Metrics()
+        .define("scans_total", "counter", "Completed opportunity scans")
+        .define("opportunities_total", "counter", "Pair directions analysed, by outcome and rejection reason")
+        .define("trades_total", "counter", "Flash loan transactions by status (sent, succeeded, reverted, cancelled, not_included)")
+        .define("risk_trips_total", "counter", "Risk limit trips by reason")
+        .define("tx_replacements_total", "counter", "Stuck transactions replaced, by action (speedup, cancel)")
+        .define("treasury_actions_total", "counter", "Treasury top-ups and sweeps by token")
+        .define("wallet_eth", "gauge", "Wallet ETH balance as of the last treasury run")
+        .define("profit_total", "counter", "Cumulative realised profit per token, in token units")
+        .define("gas_price_gwei", "gauge", "Expected gas price (next base fee plus going priority fee)")
+        .define("base_fee_gwei", "gauge", "Base fee of the next block")
+        .define("priority_fee_gwei", "gauge", "Going priority fee from eth_feeHistory")
+        .define("rpc_request_duration_seconds", "histogram", "RPC request latency by method", [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5])
+        .define("rpc_errors_total", "counter", "Failed RPC requests by method")
+        .define("last_cycle_timestamp_seconds", "gauge", "Unix time of the last trading cycle that completed without error");
+
+    // Unlabelled counters start at zero so rate() works from the first scrape
+    metrics.set("scans_total", {}, 0);
+    return metrics;
+}
+
+module.exports = {
+    Metrics,
+    createBotMetrics
+};
@@ -0,0 +1,83 @@
+const { ethers } = require("ethers");
+const { decodeRevertData } = require("./revert");
+
+// Same address on every chain the bot supports, see https://www.multicall3.com
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+const MULTICALL3_ABI = [
+    "function tryAggregate(bool requireSuccess, (address target, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)"
+];
+
+// Collects contract reads and sends them as Multicall3 tryAggregate eth_calls,
+// all at `blockTag`. Reads made in the same tick (e.g. every pair of a scan
+// asking for its first quote) share one request of up to `maxBatchSize` calls.
+// Each read settles on its own: a reverted call rejects with code
+// CALL_EXCEPTION and its decoded reason without failing the rest of the batch.
+//
+// `timed(method, call)` wraps each eth_call, e.g. for latency metrics.
+class MulticallBatcher {
+    constructor({ provider, address = MULTICALL3_ADDRESS, blockTag = "latest", maxBatchSize = 100, timed = (method, call) => call() }) {
+        this.multicall = new ethers.Contract(address, MULTICALL3_ABI, provider);
+        this.blockTag = blockTag;
+        this.maxBatchSize = maxBatchSize;
+        this.timed = timed;
+        this.queue = [];
+    }
+
+    // Resolves with the decoded ethers Result of `contract.method(...args)`
+    call(contract, method, args) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ contract, method, args, resolve, reject });
+            if (this.queue.length === 1) {
+                setImmediate(() => this.flush());
+            }
+        });
+    }
+
+    async flush() {
+        const pending = this.queue.splice(0);
+        const batches = [];
+        for (let i = 0; i < pending.length; i += this.maxBatchSize) {
+            batches.push(pending.slice(i, i + this.maxBatchSize));
+        }
+        await Promise.all(batches.map(batch => this.send(batch)));
+    }
+
+    async send(batch) {
+        let results;
+        try {
+            const calls = batch.map(({ contract, method, args }) => ({
+                target: contract.target,
+                callData: contract.interface.encodeFunctionData(method, args)
+            }));
+            results = await this.timed("tryAggregate", () =>
+                this.multicall.tryAggregate.staticCall(false, calls, { blockTag: this.blockTag })
+            );
+        } catch (error) {
+            batch.forEach(({ reject }) => reject(error));
+            return;
+        }
+
+        batch.forEach(({ contract, method, resolve, reject }, i) => {
+            const [success, returnData] = results[i];
+            if (!success) {
+                const { reason } = decodeRevertData(returnData, [contract.interface]);
+                reject(Object.assign(new Error(`${method} reverted: ${reason}`), {
+                    code: "CALL_EXCEPTION",
+                    data: returnData
+                }));
+                return;
+            }
+            try {
+                resolve(contract.interface.decodeFunctionResult(method, returnData));
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+}
+
+module.exports = {
+    MULTICALL3_ADDRESS,
+    MulticallBatcher
+};
@@ -0,0 +1,110 @@
+const { ethers } = require("ethers");
+const NETWORKS = require("../../config/networks");
+
+const DEFAULT_NETWORK = "sepolia";
+
+// --network <name> wins over NETWORK, which wins over the default
+function selectNetworkName(argv = process.argv, env = process.env) {
+    const flagIndex = argv.indexOf("--network");
+    if (flagIndex !== -1 && argv[flagIndex + 1]) {
+        return argv[flagIndex + 1];
+    }
+    return env.NETWORK || DEFAULT_NETWORK;
+}
+
+function resolveRpcUrl(name, profile, env = process.env) {
+    const override = env[`${name.toUpperCase()}_RPC_URL`] || env.RPC_URL;
+    if (override) {
+        return override;
+    }
+    if (profile.rpcUrl) {
+        return profile.rpcUrl;
+    }
+    return `https://${profile.infuraNetwork}.infura.io/v3/${env.INFURA_API_KEY}`;
+}
+
+// The primary endpoint followed by any fallbacks from <NAME>_RPC_URLS or
+// RPC_URLS (comma-separated), for FailoverProvider
+function resolveRpcUrls(name, profile, env = process.env) {
+    const fallbacks = (env[`${name.toUpperCase()}_RPC_URLS`] || env.RPC_URLS || "")
+        .split(",")
+        .map(url => url.trim())
+        .filter(Boolean);
+    return [...new Set([resolveRpcUrl(name, profile, env), ...fallbacks])];
+}
+
+// WebSocket endpoint for block subscriptions; null when there is none
+function resolveWsUrl(name, profile, env = process.env) {
+    const override = env[`${name.toUpperCase()}_WS_URL`] || env.WS_URL;
+    if (override) {
+        return override;
+    }
+    if (profile.wsUrl) {
+        return profile.wsUrl;
+    }
+    if (profile.infuraNetwork && env.INFURA_API_KEY) {
+        return `wss://${profile.infuraNetwork}.infura.io/ws/v3/${env.INFURA_API_KEY}`;
+    }
+    return null;
+}
+
+// A profile with checksummed addresses, its token list in registry form and
+// the resolved RPC (primary and fallbacks) and WebSocket URLs
+function getNetworkProfile(name = selectNetworkName(), env = process.env) {
+    const profile = NETWORKS[name];
+    if (!profile) {
+        throw new Error(`Unknown network "${name}". Known networks: ${Object.keys(NETWORKS).join(", ")}`);
+    }
+
+    const dex = { ...profile.dex };
+    for (const key of ["uniswapV3Router", "uniswapV3Quoter", "uniswapV3Factory", "sushiswapRouter", "balancerVault"]) {
+        if (dex[key]) {
+            dex[key] = ethers.getAddress(dex[key]);
+        }
+    }
+
+    const tokens = {};
+    for (const [symbol, token] of Object.entries(profile.tokens)) {
+        tokens[symbol] = { symbol, address: ethers.getAddress(token.address), decimals: token.decimals };
+    }
+
+    return {
+        ...profile,
+        name,
+        chainId: BigInt(profile.chainId),
+        rpcUrl: resolveRpcUrl(name, profile, env),
+        rpcUrls: resolveRpcUrls(name, profile, env),
+        wsUrl: resolveWsUrl(name, profile, env),
+        aaveAddressesProvider: ethers.getAddress(profile.aaveAddressesProvider),
+        dex,
+        tokens
+    };
+}
+
+// Refuses to continue when the RPC endpoint serves a different chain than the profile
+async function assertChainId(provider, profile) {
+    const network = await provider.getNetwork();
+    if (network.chainId !== profile.chainId) {
+        throw new Error(
+            `Chain ID mismatch: profile "${profile.name}" expects ${profile.chainId} ` +
+            `but the RPC endpoint reports ${network.chainId}`
+        );
+    }
+    return network;
+}
+
+function explorerTxUrl(profile, hash) {
+    return profile.explorerUrl ? `${profile.explorerUrl}/tx/${hash}` : hash;
+}
+
+module.exports = {
+    NETWORKS,
+    DEFAULT_NETWORK,
+    selectNetworkName,
+    resolveRpcUrl,
+    resolveRpcUrls,
+    resolveWsUrl,
+    getNetworkProfile,
+    assertChainId,
+    explorerTxUrl
+};
@@ -0,0 +1,121 @@
+const path = require("path");
+const { ethers } = require("ethers");
+
+const DEFAULT_PAIRS_CONFIG = path.join(__dirname, "..", "..", "config", "pairs.json");
+
+// Loads the pair registry from a JSON or JS file and resolves every
+// human-readable amount into token units using each token's decimals.
+// `networkTokens` come from the network profile; a "tokens" section in the
+// pair config adds to or overrides them. Pairs naming a token the network
+// doesn't have are skipped.
+function loadPairRegistry(configPath = process.env.PAIRS_CONFIG || DEFAULT_PAIRS_CONFIG, networkTokens = {}) {
+    const resolvedPath = path.resolve(configPath);
+    const raw = require(resolvedPath);
+
+    if (!Array.isArray(raw.pairs)) {
+        throw new Error(`Pair config ${resolvedPath} must define "pairs"`);
+    }
+
+    const tokens = {};
+    for (const [symbol, token] of Object.entries({ ...networkTokens, ...raw.tokens })) {
+        if (!Number.isInteger(token.decimals) || token.decimals < 0 || token.decimals > 36) {
+            throw new Error(`Token ${symbol} has invalid decimals: ${token.decimals}`);
+        }
+        tokens[symbol] = {
+            symbol,
+            address: ethers.getAddress(token.address),
+            decimals: token.decimals
+        };
+    }
+
+    const available = raw.pairs.filter((pair) => {
+        const missing = [pair.tokenA, pair.tokenB].filter(symbol => !tokens[symbol]);
+        if (missing.length > 0) {
+            console.warn(`Skipping pair ${pair.tokenA}/${pair.tokenB}: no ${missing.join(", ")} on this network`);
+            return false;
+        }
+        return true;
+    });
+
+    const pairs = available.map((pair) => {
+        const tokenA = tokens[pair.tokenA];
+        const tokenB = tokens[pair.tokenB];
+        if (tokenA === tokenB) {
+            throw new Error(`Pair ${pair.tokenA}/${pair.tokenB} must use two different tokens`);
+        }
+
+        // Trade size and minimum profit are given per borrowed token; a side
+        // without a trade size is simply not scanned in that direction. A trade
+        // size is either a fixed amount or { min, max } bounds for the optimizer
+        const tradeSize = {};
+        const minProfit = {};
+        for (const token of [tokenA, tokenB]) {
+            const size = pair.tradeSize && pair.tradeSize[token.symbol];
+            if (size === undefined) {
+                continue;
+            }
+            const profit = pair.minProfit && pair.minProfit[token.symbol];
+            if (profit === undefined) {
+                throw new Error(`Pair ${pair.tokenA}/${pair.tokenB} is missing minProfit for ${token.symbol}`);
+            }
+            tradeSize[token.symbol] = parseTradeSize(size, token);
+            minProfit[token.symbol] = ethers.parseUnits(String(profit), token.decimals);
+        }
+
+        if (Object.keys(tradeSize).length === 0) {
+            throw new Error(`Pair ${pair.tokenA}/${pair.tokenB} has no trade size for either token`);
+        }
+
+        return {
+            name: `${tokenA.symbol}/${tokenB.symbol}`,
+            tokenA,
+            tokenB,
+            tradeSize,
+            minProfit
+        };
+    });
+
+    return { tokens, pairs };
+}
+
+function parseTradeSize(size, token) {
+    const bounds = typeof size === "object" ? size : { min: size, max: size };
+    if (bounds.min === undefined || bounds.max === undefined) {
+        throw new Error(`Trade size for ${token.symbol} needs both min and max`);
+    }
+
+    const min = ethers.parseUnits(String(bounds.min), token.decimals);
+    const max = ethers.parseUnits(String(bounds.max), token.decimals);
+    if (min <= 0n || max < min) {
+        throw new Error(`Trade size for ${token.symbol} must satisfy 0 < min <= max`);
+    }
+    return { min, max };
+}
+
+// Both borrow directions of a pair that have a configured trade size
+function getPairDirections(pair) {
+    return [
+        [pair.tokenA, pair.tokenB],
+        [pair.tokenB, pair.tokenA]
+    ].filter(([borrowToken]) => pair.tradeSize[borrowToken.symbol] !== undefined)
+        .map(([borrowToken, swapToken]) => ({
+            pair: pair.name,
+            borrowToken,
+            swapToken,
+            minAmount: pair.tradeSize[borrowToken.symbol].min,
+            maxAmount: pair.tradeSize[borrowToken.symbol].max,
+            minProfit: pair.minProfit[borrowToken.symbol]
+        }));
+}
+
+function findTokenByAddress(tokens, address) {
+    const normalized = address.toLowerCase();
+    return Object.values(tokens).find(token => token.address.toLowerCase() === normalized) || null;
+}
+
+module.exports = {
+    DEFAULT_PAIRS_CONFIG,
+    loadPairRegistry,
+    getPairDirections,
+    findTokenByAddress
+};
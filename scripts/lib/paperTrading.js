@@ -0,0 +1,75 @@
+const { ethers } = require("ethers");
+
+// Totals the trades a dry run would have made, per borrowed token, until the
+// next summary; each trade, with the quotes it was based on and what the
+// simulation said, goes to the journal, so only the totals are kept here
+class PaperTradeLedger {
+    constructor() {
+        this.lastSummaryAt = Date.now();
+        this.count = 0;
+        this.byToken = {};
+    }
+
+    record(opportunity, simulation) {
+        const trade = {
+            timestamp: Date.now(),
+            pair: opportunity.pair,
+            token: opportunity.tokenA,
+            symbol: opportunity.symbolA,
+            decimals: opportunity.decimalsA,
+            amount: opportunity.amount,
+            route: opportunity.route,
+            quotes: {
+                buy: opportunity.buyPrice,
+                sell: opportunity.sellPrice
+            },
+            simulated: simulation.success,
+            failureReason: simulation.success ? null : simulation.reason,
+            gasEstimate: simulation.success ? simulation.gasEstimate : null,
+            // A trade that fails simulation would have been aborted, so it earns nothing
+            pnl: simulation.success ? opportunity.estimatedProfit : 0n
+        };
+
+        const entry = this.byToken[trade.symbol] || (this.byToken[trade.symbol] = {
+            decimals: trade.decimals,
+            trades: 0,
+            simulatedOk: 0,
+            pnl: 0n
+        });
+        entry.trades++;
+        if (trade.simulated) {
+            entry.simulatedOk++;
+        }
+        entry.pnl += trade.pnl;
+        this.count++;
+        return trade;
+    }
+
+    // Totals since the last summary, grouped by borrowed token
+    summarize() {
+        return { since: this.lastSummaryAt, count: this.count, byToken: this.byToken };
+    }
+
+    isSummaryDue(interval) {
+        return Date.now() - this.lastSummaryAt >= interval;
+    }
+
+    formatSummary() {
+        const summary = this.summarize();
+        this.lastSummaryAt = Date.now();
+        this.count = 0;
+        this.byToken = {};
+
+        const lines = Object.entries(summary.byToken).map(([symbol, entry]) =>
+            `${symbol}: ${entry.trades} trades, ${entry.simulatedOk} simulated OK, ` +
+            `P&L ${ethers.formatUnits(entry.pnl, entry.decimals)} ${symbol}`
+        );
+
+        return `📒 Paper trading summary since ${new Date(summary.since).toLocaleString()}\n` +
+            (lines.length > 0 ? lines.join("\n") : "No would-be trades");
+    }
+}
+
+module.exports = {
+    PaperTradeLedger
+};
@@ -0,0 +1,165 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Recorded quote data for backtests. A dataset is a list of blocks, each with
+// the fees a transaction would have paid and, per venue and token direction,
+// a quote curve: amountOut sampled at several amountIn. Replays interpolate
+// along a curve, so trades can be sized anywhere within what was sampled.
+//
+// JSONL (what the recorder writes), one block per line:
+//   {"blockNumber":19000000,"timestamp":1700000000000,"baseFee":"…","priorityFee":"…",
+//    "quotes":[{"source":"uniswap","fee":500,"tokenIn":"0x…","tokenOut":"0x…","points":[["1000","999"],…]}]}
+// CSV, one quote per row (tokens by address or registry symbol, amounts in token units):
+//   blockNumber,timestamp,baseFee,priorityFee,source,fee,tokenIn,tokenOut,amountIn,amountOut
+
+const CSV_COLUMNS = ["blockNumber", "timestamp", "baseFee", "priorityFee", "source", "fee", "tokenIn", "tokenOut", "amountIn", "amountOut"];
+
+function curveKey(source, fee, tokenIn, tokenOut) {
+    return `${source}:${fee === undefined || fee === null ? "" : fee}:${tokenIn}:${tokenOut}`.toLowerCase();
+}
+
+// `count` amounts spread evenly over [min, max]; just min when they are equal
+function sampleAmounts(min, max, count) {
+    if (min >= max || count < 2) {
+        return [min];
+    }
+    return Array.from({ length: count }, (_, i) => min + (max - min) * BigInt(i) / BigInt(count - 1));
+}
+
+// amountOut at `amountIn` along a curve of [amountIn, amountOut] points sorted
+// by amountIn. Below the first point the curve runs straight to the origin;
+// beyond the last one nothing was sampled, so there is no quote (null).
+function interpolateQuote(points, amountIn) {
+    let previous = [0n, 0n];
+    for (const point of points) {
+        const [x, y] = point;
+        if (amountIn === x) {
+            return y;
+        }
+        if (amountIn < x) {
+            const [x0, y0] = previous;
+            return y0 + (y - y0) * (amountIn - x0) / (x - x0);
+        }
+        previous = point;
+    }
+    return null;
+}
+
+// Adds points to a block's curve, keeping it sorted with one point per amountIn
+function addCurvePoints(curves, { source, fee, tokenIn, tokenOut }, points) {
+    const key = curveKey(source, fee, tokenIn, tokenOut);
+    const curve = curves.get(key) || { source, fee, tokenIn, tokenOut, points: [] };
+    const byAmount = new Map(curve.points.map(([x, y]) => [x, y]));
+    for (const [x, y] of points) {
+        byAmount.set(x, y);
+    }
+    curve.points = [...byAmount.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    curves.set(key, curve);
+    return curve;
+}
+
+// Appends recorded blocks to a JSONL dataset
+class QuoteRecorder {
+    constructor(file) {
+        this.file = path.resolve(file);
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    }
+
+    record({ blockNumber, timestamp = Date.now(), baseFee, priorityFee, curves }) {
+        const line = JSON.stringify({
+            blockNumber,
+            timestamp,
+            baseFee,
+            priorityFee,
+            quotes: [...curves.values()].filter(curve => curve.points.length > 0)
+        }, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+        fs.appendFileSync(this.file, `${line}\n`);
+    }
+}
+
+// Blocks of a JSONL or CSV (by extension) dataset in block order, each with
+// bigint fees and a Map of curves by curveKey. Tokens are resolved to
+// addresses through the registry's `tokens` where given by symbol.
+function loadQuoteDataset(file, tokens = {}) {
+    const text = fs.readFileSync(file, "utf8");
+    const rows = path.extname(file).toLowerCase() === ".csv" ? parseCsv(text) : parseJsonl(text);
+
+    const resolveToken = (value) => {
+        if (ethers.isAddress(value)) {
+            return ethers.getAddress(value);
+        }
+        if (tokens[value]) {
+            return tokens[value].address;
+        }
+        throw new Error(`Unknown token "${value}" in ${file}`);
+    };
+
+    const blocks = new Map();
+    for (const row of rows) {
+        const blockNumber = Number(row.blockNumber);
+        if (!Number.isInteger(blockNumber)) {
+            throw new Error(`Bad block number "${row.blockNumber}" in ${file}`);
+        }
+        if (!blocks.has(blockNumber)) {
+            blocks.set(blockNumber, {
+                blockNumber,
+                timestamp: row.timestamp === undefined || row.timestamp === "" ? null : Number(row.timestamp),
+                baseFee: BigInt(row.baseFee),
+                priorityFee: BigInt(row.priorityFee || 0),
+                curves: new Map()
+            });
+        }
+        const block = blocks.get(blockNumber);
+        for (const quote of row.quotes) {
+            addCurvePoints(block.curves, {
+                source: quote.source,
+                fee: quote.fee === undefined || quote.fee === null || quote.fee === "" ? undefined : Number(quote.fee),
+                tokenIn: resolveToken(quote.tokenIn),
+                tokenOut: resolveToken(quote.tokenOut)
+            }, quote.points.map(([x, y]) => [BigInt(x), BigInt(y)]));
+        }
+    }
+
+    return [...blocks.values()].sort((a, b) => a.blockNumber - b.blockNumber);
+}
+
+function parseJsonl(text) {
+    return text.split("\n")
+        .filter(line => line.trim() !== "")
+        .map(line => JSON.parse(line));
+}
+
+// One row per quote point, regrouped into the JSONL shape
+function parseCsv(text) {
+    const [header, ...lines] = text.split(/\r?\n/).filter(line => line.trim() !== "");
+    const columns = header.split(",").map(column => column.trim());
+    const missing = CSV_COLUMNS.filter(column => column !== "timestamp" && column !== "fee" && !columns.includes(column));
+    if (missing.length > 0) {
+        throw new Error(`Quote CSV is missing columns: ${missing.join(", ")}`);
+    }
+
+    return lines.map((line) => {
+        const values = line.split(",").map(value => value.trim());
+        const row = Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+        return {
+            ...row,
+            quotes: [{
+                source: row.source,
+                fee: row.fee,
+                tokenIn: row.tokenIn,
+                tokenOut: row.tokenOut,
+                points: [[row.amountIn, row.amountOut]]
+            }]
+        };
+    });
+}
+
+module.exports = {
+    curveKey,
+    sampleAmounts,
+    interpolateQuote,
+    addCurvePoints,
+    QuoteRecorder,
+    loadQuoteDataset
+};
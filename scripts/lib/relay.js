@@ -0,0 +1,165 @@
+const axios = require("axios");
+const { EventEmitter } = require("events");
+const { ethers } = require("ethers");
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Submits transactions as single-transaction bundles to a Flashbots-compatible
+// relay (eth_callBundle, eth_sendBundle) instead of the public mempool, so
+// nobody sees them before they are mined and a bundle that would revert is
+// dropped rather than paid for. Has the same send(request, { isStale, label })
+// interface as TransactionManager, which still hands out the nonces.
+//
+// Each bundle targets the next `targetBlocks` blocks. Once those pass without
+// it, it is re-targeted at the following blocks until it lands, `isStale()`
+// says it is no longer wanted, or `maxBlocks` have gone by.
+//
+// `authSigner` only signs relay requests (X-Flashbots-Signature), which is how
+// the relay tracks reputation; it should be a stable key that holds no funds.
+//
+// Events: 'bundle' ({ hash, bundleHash, blockNumber, label })
+class RelaySubmitter extends EventEmitter {
+    constructor({
+        url,
+        signer,
+        transactions,
+        authSigner = ethers.Wallet.createRandom(),
+        provider = signer.provider,
+        targetBlocks = 2,
+        maxBlocks = 10,
+        pollInterval = 2000,
+        simulate = true,
+        timeout = 10000
+    }) {
+        super();
+        if (!url) {
+            throw new Error("RelaySubmitter needs a relay URL");
+        }
+        this.url = url;
+        this.signer = signer;
+        this.transactions = transactions;
+        this.authSigner = authSigner;
+        this.provider = provider;
+        this.targetBlocks = targetBlocks;
+        this.maxBlocks = maxBlocks;
+        this.pollInterval = pollInterval;
+        this.simulate = simulate; // Run eth_callBundle before the first submission
+        this.timeout = timeout;
+        this.requestId = 0;
+    }
+
+    // Signs `request` with a reserved nonce, checks it with the relay and
+    // submits it. Resolves with { hash, nonce, wait() }; wait() resolves with
+    // the receipt once the bundle lands.
+    async send(request, { isStale = async () => false, label = null } = {}) {
+        const nonce = await this.transactions.reserveNonce();
+        const bundle = { nonce, label, isStale, lastTarget: null };
+
+        try {
+            const populated = await this.signer.populateTransaction({ ...request, nonce });
+            bundle.signed = await this.signer.signTransaction(populated);
+            bundle.hash = ethers.keccak256(bundle.signed);
+            bundle.startBlock = await this.provider.getBlockNumber();
+
+            if (this.simulate) {
+                await this.simulateBundle(bundle);
+            }
+            await this.target(bundle, bundle.startBlock + 1);
+        } catch (error) {
+            this.transactions.release(nonce);
+            throw error;
+        }
+
+        return {
+            hash: bundle.hash,
+            nonce,
+            wait: () => this.waitFor(bundle)
+        };
+    }
+
+    async simulateBundle(bundle) {
+        const simulation = await this.call("eth_callBundle", [{
+            txs: [bundle.signed],
+            blockNumber: ethers.toQuantity(bundle.startBlock + 1),
+            stateBlockNumber: "latest"
+        }]);
+        const failed = (simulation.results || []).find(result => result.error || result.revert);
+        if (failed) {
+            throw Object.assign(new Error(`Bundle simulation failed: ${failed.revert || failed.error}`), {
+                code: "BUNDLE_SIMULATION_FAILED"
+            });
+        }
+    }
+
+    // Submits the bundle for `targetBlocks` blocks starting at `fromBlock`
+    async target(bundle, fromBlock) {
+        for (let blockNumber = fromBlock; blockNumber < fromBlock + this.targetBlocks; blockNumber++) {
+            const result = await this.call("eth_sendBundle", [{
+                txs: [bundle.signed],
+                blockNumber: ethers.toQuantity(blockNumber)
+            }]);
+            this.emit("bundle", {
+                hash: bundle.hash,
+                bundleHash: result && result.bundleHash,
+                blockNumber,
+                label: bundle.label
+            });
+        }
+        bundle.lastTarget = fromBlock + this.targetBlocks - 1;
+    }
+
+    async waitFor(bundle) {
+        for (;;) {
+            // Block first: a receipt missing after the last targeted block means it missed
+            const blockNumber = await this.provider.getBlockNumber();
+            const receipt = await this.provider.getTransactionReceipt(bundle.hash);
+            if (receipt) {
+                if (receipt.status === 0) {
+                    throw Object.assign(new Error(`Transaction ${receipt.hash} reverted`), {
+                        code: "CALL_EXCEPTION",
+                        receipt
+                    });
+                }
+                return receipt;
+            }
+
+            if (blockNumber >= bundle.lastTarget) {
+                if (blockNumber - bundle.startBlock >= this.maxBlocks || await bundle.isStale()) {
+                    // Never mined, so the nonce is free again
+                    this.transactions.release(bundle.nonce);
+                    throw Object.assign(new Error(`Bundle ${bundle.hash} not included by block ${blockNumber}`), {
+                        code: "BUNDLE_NOT_INCLUDED",
+                        hash: bundle.hash
+                    });
+                }
+                await this.target(bundle, blockNumber + 1);
+            }
+
+            await sleep(this.pollInterval);
+        }
+    }
+
+    // Relay JSON-RPC, authenticated by signing the exact request body
+    async call(method, params) {
+        const body = JSON.stringify({ jsonrpc: "2.0", id: ++this.requestId, method, params });
+        const signature = await this.authSigner.signMessage(ethers.id(body));
+        const response = await axios.post(this.url, body, {
+            headers: {
+                "Content-Type": "application/json",
+                "X-Flashbots-Signature": `${this.authSigner.address}:${signature}`
+            },
+            timeout: this.timeout
+        });
+
+        if (response.data.error) {
+            throw Object.assign(new Error(`Relay ${method} failed: ${response.data.error.message}`), {
+                code: "RELAY_ERROR"
+            });
+        }
+        return response.data.result;
+    }
+}
+
+module.exports = {
+    RelaySubmitter
+};
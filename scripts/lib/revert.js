@@ -0,0 +1,96 @@
+const { ethers } = require("ethers");
+
+const ERROR_STRING_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+
+// Solidity panic codes, see https://docs.soliditylang.org/en/latest/control-structures.html#panic-via-assert-and-error-via-require
+const PANIC_REASONS = {
+    0x00: "generic compiler panic",
+    0x01: "assertion failed",
+    0x11: "arithmetic overflow or underflow",
+    0x12: "division or modulo by zero",
+    0x21: "invalid enum value",
+    0x22: "corrupted storage byte array",
+    0x31: "pop on empty array",
+    0x32: "array index out of bounds",
+    0x41: "out of memory",
+    0x51: "call to uninitialized function"
+};
+
+// Providers nest the revert payload differently, so look in the usual places
+function extractRevertData(error) {
+    const seen = new Set();
+    let current = error;
+
+    while (current && typeof current === "object" && !seen.has(current)) {
+        seen.add(current);
+
+        for (const candidate of [current.data, current.error && current.error.data]) {
+            if (typeof candidate === "string" && ethers.isHexString(candidate)) {
+                return candidate;
+            }
+            if (candidate && typeof candidate.data === "string" && ethers.isHexString(candidate.data)) {
+                return candidate.data;
+            }
+        }
+
+        current = current.error || (current.info && current.info.error) || current.cause;
+    }
+
+    return null;
+}
+
+// Turns revert data into { type, reason }. `interfaces` are tried for custom errors.
+function decodeRevertData(data, interfaces = []) {
+    if (!data || data === "0x") {
+        return { type: "empty", reason: "reverted without a reason" };
+    }
+
+    const selector = data.slice(0, 10).toLowerCase();
+    const payload = ethers.dataSlice(data, 4);
+
+    try {
+        if (selector === ERROR_STRING_SELECTOR) {
+            const [message] = ethers.AbiCoder.defaultAbiCoder().decode(["string"], payload);
+            return { type: "error", reason: message };
+        }
+
+        if (selector === PANIC_SELECTOR) {
+            const [code] = ethers.AbiCoder.defaultAbiCoder().decode(["uint256"], payload);
+            const description = PANIC_REASONS[Number(code)] || "unknown panic";
+            return { type: "panic", reason: `Panic 0x${code.toString(16).padStart(2, "0")}: ${description}`, code };
+        }
+    } catch (error) {
+        return { type: "unknown", reason: `Malformed revert data ${data}` };
+    }
+
+    for (const iface of interfaces) {
+        try {
+            const parsed = iface.parseError(data);
+            if (parsed) {
+                const args = parsed.args.map(arg => arg.toString()).join(", ");
+                return { type: "custom", reason: `${parsed.name}(${args})`, name: parsed.name };
+            }
+        } catch (error) {
+            // Not one of this interface's errors
+        }
+    }
+
+    return { type: "custom", reason: `Unknown custom error ${selector}` };
+}
+
+function decodeRevertReason(error, interfaces = []) {
+    const data = extractRevertData(error);
+    if (data) {
+        return decodeRevertData(data, interfaces);
+    }
+
+    // No payload at all: RPC or network failure rather than a revert
+    return { type: "rpc", reason: error.shortMessage || error.message };
+}
+
+module.exports = {
+    extractRevertData,
+    decodeRevertData,
+    decodeRevertReason
+};
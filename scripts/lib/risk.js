@@ -0,0 +1,202 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Trading limits consulted before every trade. Counters reset at UTC
+// midnight; a trip stays in force, across restarts when `stateFile` is set,
+// until an operator clears it.
+//
+// Config keys (the bot's live config):
+// - MAX_CONSECUTIVE_FAILURES: failed simulations, reverts, cancellations and
+//   missed bundles in a row before tripping
+// - FAILURE_COOLDOWN: ms to hold off trading after any failure
+// - MAX_DAILY_GAS, MAX_DAILY_LOSS: wei of gas spent / net loss per UTC day before tripping
+// - MAX_TRADE_NOTIONAL: largest borrow, valued in wei, a single trade may take
+// - KILL_SWITCH: trips immediately when true; KILL_SWITCH_FILE: trips while the file exists
+class RiskManager {
+    constructor({ config, stateFile = null, now = Date.now }) {
+        this.config = config;
+        this.stateFile = stateFile ? path.resolve(stateFile) : null;
+        this.now = now;
+        this.state = this.load();
+    }
+
+    get tripped() {
+        return this.state.tripped;
+    }
+
+    // { allowed: true } or { allowed: false, reason, tripped } for the trade
+    // `opportunity` describes. Only `tripped` verdicts pause trading.
+    check(opportunity) {
+        this.rollDay();
+
+        const killSwitch = this.killSwitchReason();
+        if (killSwitch && !this.state.tripped) {
+            this.trip("kill_switch", { source: killSwitch });
+        }
+        if (this.state.tripped) {
+            return { allowed: false, reason: this.state.tripped.reason, tripped: true };
+        }
+
+        const limit = this.dailyLimitBreached();
+        if (limit) {
+            this.trip(limit.reason, limit.details);
+            return { allowed: false, reason: limit.reason, tripped: true };
+        }
+
+        if (this.state.lastFailureAt !== null && this.now() - this.state.lastFailureAt < this.config.FAILURE_COOLDOWN) {
+            return { allowed: false, reason: "cooldown", tripped: false };
+        }
+
+        const notional = this.notionalWei(opportunity);
+        if (notional === null) {
+            return { allowed: false, reason: "notional_unpriced", tripped: false };
+        }
+        if (notional > this.config.MAX_TRADE_NOTIONAL) {
+            return { allowed: false, reason: "max_trade_notional", tripped: false };
+        }
+
+        return { allowed: true };
+    }
+
+    // Outcome of a trade attempt. Both return the trip they caused, if any.
+    recordFailure({ gasWei = 0n } = {}) {
+        this.rollDay();
+        this.state.consecutiveFailures += 1;
+        this.state.lastFailureAt = this.now();
+        this.state.gasSpentWei += gasWei;
+        this.state.pnlWei -= gasWei;
+
+        if (this.state.consecutiveFailures >= this.config.MAX_CONSECUTIVE_FAILURES) {
+            return this.trip("consecutive_failures", { failures: this.state.consecutiveFailures });
+        }
+        return this.tripOnDailyLimit();
+    }
+
+    recordSuccess({ gasWei = 0n, profitWei = 0n } = {}) {
+        this.rollDay();
+        this.state.consecutiveFailures = 0;
+        this.state.gasSpentWei += gasWei;
+        this.state.pnlWei += profitWei - gasWei;
+        return this.tripOnDailyLimit();
+    }
+
+    trip(reason, details = {}) {
+        if (!this.state.tripped) {
+            this.state.tripped = { reason, details, at: new Date(this.now()).toISOString() };
+        }
+        this.save();
+        return this.state.tripped;
+    }
+
+    // Operator action: lifts a trip and forgets the failure streak. Refuses
+    // while a kill switch is still engaged.
+    clear() {
+        const killSwitch = this.killSwitchReason();
+        if (killSwitch) {
+            throw new Error(`Kill switch still engaged (${killSwitch})`);
+        }
+        this.state.tripped = null;
+        this.state.consecutiveFailures = 0;
+        this.state.lastFailureAt = null;
+        this.save();
+    }
+
+    killSwitchReason() {
+        if (this.config.KILL_SWITCH) {
+            return "KILL_SWITCH";
+        }
+        if (this.config.KILL_SWITCH_FILE && fs.existsSync(this.config.KILL_SWITCH_FILE)) {
+            return this.config.KILL_SWITCH_FILE;
+        }
+        return null;
+    }
+
+    tripOnDailyLimit() {
+        const limit = this.dailyLimitBreached();
+        if (limit) {
+            return this.trip(limit.reason, limit.details);
+        }
+        this.save();
+        return null;
+    }
+
+    dailyLimitBreached() {
+        const { gasSpentWei, pnlWei } = this.state;
+        if (gasSpentWei >= this.config.MAX_DAILY_GAS) {
+            return { reason: "max_daily_gas", details: { gasSpent: ethers.formatEther(gasSpentWei) } };
+        }
+        if (-pnlWei >= this.config.MAX_DAILY_LOSS) {
+            return { reason: "max_daily_loss", details: { netLoss: ethers.formatEther(-pnlWei) } };
+        }
+        return null;
+    }
+
+    // The borrowed amount in wei as the scan valued it through its quotes; for
+    // opportunities without that, at the rate the scan priced gas in the token
+    notionalWei(opportunity) {
+        const { amount, gasCost, gasCostWei, notionalWei } = opportunity;
+        if (notionalWei !== undefined && notionalWei !== null) {
+            return notionalWei;
+        }
+        if (gasCost > 0n && gasCostWei) {
+            return amount * gasCostWei / gasCost;
+        }
+        return opportunity.symbolA === "WETH" ? amount : null;
+    }
+
+    rollDay() {
+        const day = new Date(this.now()).toISOString().slice(0, 10);
+        if (this.state.day !== day) {
+            this.state.day = day;
+            this.state.gasSpentWei = 0n;
+            this.state.pnlWei = 0n;
+        }
+    }
+
+    // For /status: today's counters and the trip, if any
+    getStatus() {
+        this.rollDay();
+        return {
+            tripped: this.state.tripped,
+            consecutiveFailures: this.state.consecutiveFailures,
+            gasSpent: ethers.formatEther(this.state.gasSpentWei),
+            netPnl: ethers.formatEther(this.state.pnlWei)
+        };
+    }
+
+    load() {
+        const state = {
+            tripped: null,
+            consecutiveFailures: 0,
+            lastFailureAt: null,
+            day: null,
+            gasSpentWei: 0n,
+            pnlWei: 0n
+        };
+        if (!this.stateFile || !fs.existsSync(this.stateFile)) {
+            return state;
+        }
+
+        const saved = JSON.parse(fs.readFileSync(this.stateFile, "utf8"));
+        return {
+            ...state,
+            ...saved,
+            gasSpentWei: BigInt(saved.gasSpentWei || 0),
+            pnlWei: BigInt(saved.pnlWei || 0)
+        };
+    }
+
+    save() {
+        if (!this.stateFile) {
+            return;
+        }
+        const json = JSON.stringify(this.state, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2);
+        fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+        fs.writeFileSync(this.stateFile, `${json}\n`);
+    }
+}
+
+module.exports = {
+    RiskManager
+};
@@ -0,0 +1,64 @@
+const { getPairDirections } = require("./pairs");
+
+// Cyclic routes of three or more hops over the registry's token graph, where
+// every configured pair is an edge usable in both directions. A route borrows
+// the token it starts and ends with; its trade size and minimum profit come
+// from the first hop's pair direction, the same values a two-leg scan of that
+// pair would use, so a route reached from two pairs (say DAI/WETH listed
+// twice) is kept once, from the first. Two-leg A→B→A routes are left to the
+// pair scanner.
+function findCycleRoutes(registry, maxHops) {
+    const neighbours = new Map(); // symbol -> Set of symbols it trades against
+    for (const pair of registry.pairs) {
+        for (const [from, to] of [[pair.tokenA, pair.tokenB], [pair.tokenB, pair.tokenA]]) {
+            if (!neighbours.has(from.symbol)) {
+                neighbours.set(from.symbol, new Set());
+            }
+            neighbours.get(from.symbol).add(to.symbol);
+        }
+    }
+
+    const routes = [];
+    const seen = new Set(); // Routes found so far, by their token symbols
+    for (const pair of registry.pairs) {
+        for (const direction of getPairDirections(pair)) {
+            const start = direction.borrowToken.symbol;
+
+            // Depth-first from the first hop's output, never revisiting a token
+            // until the route closes back on the borrowed one
+            const extend = (path) => {
+                const last = path[path.length - 1];
+                for (const next of neighbours.get(last) || []) {
+                    const hops = path.length; // Hops once `next` is appended
+                    if (next === start) {
+                        const key = [...path, next].join("→");
+                        if (hops >= 3 && !seen.has(key)) {
+                            seen.add(key);
+                            routes.push(buildRoute(direction, [...path, next].map(symbol => registry.tokens[symbol])));
+                        }
+                    } else if (!path.includes(next) && hops < maxHops) {
+                        extend([...path, next]);
+                    }
+                }
+            };
+            extend([start, direction.swapToken.symbol]);
+        }
+    }
+    return routes;
+}
+
+function buildRoute(direction, tokens) {
+    return {
+        pair: tokens.map(token => token.symbol).join("→"),
+        borrowToken: direction.borrowToken,
+        swapToken: direction.swapToken,
+        tokens, // Every token along the route, starting and ending with the borrowed one
+        minAmount: direction.minAmount,
+        maxAmount: direction.maxAmount,
+        minProfit: direction.minProfit
+    };
+}
+
+module.exports = {
+    findCycleRoutes
+};
@@ -0,0 +1,248 @@
+const { ethers } = require("ethers");
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Weight of the newest sample in the latency and error rate averages
+const SMOOTHING = 0.2;
+// Score penalty per block an endpoint is behind the highest one seen, in ms of latency
+const BLOCK_LAG_PENALTY = 1000;
+
+// One upstream JSON-RPC endpoint and its health: smoothed latency and error
+// rate, the last block height it reported, and its backoff after failures
+class RpcEndpoint {
+    constructor(url, { timeout }) {
+        this.url = url;
+        this.name = new URL(url).host; // Paths often carry API keys, so only the host is shown
+        this.timeout = timeout;
+        this.latency = null; // ms; null until the first answer
+        this.errorRate = 0;
+        this.blockNumber = null;
+        this.failures = 0; // In a row
+        this.downUntil = 0;
+    }
+
+    // Resolves with the JSON-RPC response(s). HTTP errors, timeouts and rate
+    // limits throw; other JSON-RPC errors (reverts, bad nonces) are answers.
+    async send(payload) {
+        const request = new ethers.FetchRequest(this.url);
+        request.body = JSON.stringify(payload);
+        request.setHeader("content-type", "application/json");
+        request.timeout = this.timeout;
+        // Retrying is the provider's job, across endpoints
+        request.setThrottleParams({ maxAttempts: 1 });
+
+        const response = await request.send();
+        response.assertOk();
+        const body = response.bodyJson;
+        const limited = (Array.isArray(body) ? body : [body]).find(isRateLimited);
+        if (limited) {
+            throw Object.assign(new Error(`${this.name} rate limited: ${limited.error.message}`), { code: "RPC_RATE_LIMITED" });
+        }
+        return body;
+    }
+
+    recordSuccess(ms) {
+        this.latency = this.latency === null ? ms : this.latency * (1 - SMOOTHING) + ms * SMOOTHING;
+        this.errorRate *= 1 - SMOOTHING;
+        this.failures = 0;
+        this.downUntil = 0;
+    }
+
+    recordFailure(backoff, maxBackoff) {
+        this.errorRate = this.errorRate * (1 - SMOOTHING) + SMOOTHING;
+        this.failures += 1;
+        this.downUntil = Date.now() + Math.min(backoff * 2 ** (this.failures - 1), maxBackoff);
+    }
+}
+
+function isRateLimited(response) {
+    return Boolean(response && response.error &&
+        (response.error.code === -32005 || /rate limit|too many requests/i.test(response.error.message || "")));
+}
+
+// An ethers provider over several JSON-RPC endpoints (Infura, Alchemy, a
+// node of our own, ...). Reads go to the healthiest endpoint: lowest latency,
+// inflated by recent errors and by each block it trails the others. A failed
+// request is retried on the next best endpoint after an exponential backoff,
+// and the failing endpoint sits out its own backoff. Endpoints more than
+// `maxBlockLag` blocks behind are only used when nothing else is up.
+//
+// Transactions go to the first (primary) endpoint, falling over like reads
+// when it can't be reached, or with `sendMode: "broadcast"` to every endpoint
+// that is up, resolving with the first acceptance.
+//
+// Health is also probed with eth_blockNumber every `healthCheckInterval` ms,
+// so idle endpoints keep a current height and latency.
+class FailoverProvider extends ethers.JsonRpcApiProvider {
+    constructor(urls, network, {
+        sendMode = "primary",
+        retries = 3,
+        retryDelay = 250,
+        backoff = 1000,
+        maxBackoff = 60000,
+        maxBlockLag = 3,
+        timeout = 10000,
+        healthCheckInterval = 30000,
+        ...options
+    } = {}) {
+        // One request per call, so each can go to a different endpoint
+        super(network, { ...options, batchMaxCount: 1 });
+        if (!urls || urls.length === 0) {
+            throw new Error("FailoverProvider needs at least one RPC URL");
+        }
+        if (!["primary", "broadcast"].includes(sendMode)) {
+            throw new Error(`Unknown sendMode "${sendMode}"; use primary or broadcast`);
+        }
+
+        this.endpoints = urls.map(url => new RpcEndpoint(url, { timeout }));
+        this.sendMode = sendMode;
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+        this.backoff = backoff;
+        this.maxBackoff = maxBackoff;
+        this.maxBlockLag = maxBlockLag;
+
+        this.healthTimer = null;
+        if (healthCheckInterval > 0) {
+            this.healthTimer = setInterval(() => this.checkHealth(), healthCheckInterval);
+            this.healthTimer.unref();
+        }
+    }
+
+    async _send(payload) {
+        const response = payload.method === "eth_sendRawTransaction" ?
+            await this.sendRawTransaction(payload) :
+            await this.sendRead(payload);
+        return Array.isArray(response) ? response : [response];
+    }
+
+    async sendRead(payload) {
+        let lastError;
+        for (let attempt = 0; attempt <= this.retries; attempt++) {
+            if (attempt > 0) {
+                await sleep(this.retryDelay * 2 ** (attempt - 1));
+            }
+            // A failed endpoint is backing off by now, so this picks the next best
+            const [endpoint] = this.rankEndpoints();
+            try {
+                return await this.request(endpoint, payload);
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    async sendRawTransaction(payload) {
+        if (this.sendMode === "primary") {
+            const [primary] = this.endpoints;
+            try {
+                return await this.request(primary, payload);
+            } catch (error) {
+                console.warn(`Primary RPC ${primary.name} failed to send a transaction (${error.shortMessage || error.message}), failing over`);
+                return this.sendRead(payload);
+            }
+        }
+
+        const now = Date.now();
+        const up = this.endpoints.filter(endpoint => endpoint.downUntil <= now);
+        const targets = up.length > 0 ? up : this.endpoints;
+        // The first acceptance wins; the others will mostly answer "already known"
+        return new Promise((resolve, reject) => {
+            let pending = targets.length;
+            let rejection = null;
+            let failure = null;
+            for (const endpoint of targets) {
+                this.request(endpoint, payload)
+                    .then((response) => {
+                        if (response.error) {
+                            rejection = rejection || response;
+                        } else {
+                            resolve(response);
+                        }
+                    }, (error) => {
+                        failure = failure || error;
+                    })
+                    .finally(() => {
+                        pending -= 1;
+                        if (pending === 0) {
+                            if (rejection) {
+                                resolve(rejection);
+                            } else {
+                                reject(failure);
+                            }
+                        }
+                    });
+            }
+        });
+    }
+
+    async request(endpoint, payload) {
+        const started = Date.now();
+        try {
+            const response = await endpoint.send(payload);
+            endpoint.recordSuccess(Date.now() - started);
+            if (payload.method === "eth_blockNumber" && response.result) {
+                endpoint.blockNumber = Number(response.result);
+            }
+            return response;
+        } catch (error) {
+            endpoint.recordFailure(this.backoff, this.maxBackoff);
+            console.warn(`RPC ${endpoint.name} failed ${payload.method}: ${error.shortMessage || error.message}`);
+            throw error;
+        }
+    }
+
+    // Asks every endpoint for its block height; failures count against them
+    async checkHealth() {
+        await Promise.all(this.endpoints.map(endpoint =>
+            this.request(endpoint, { jsonrpc: "2.0", id: 0, method: "eth_blockNumber", params: [] }).catch(() => null)
+        ));
+    }
+
+    highestBlock() {
+        const heights = this.endpoints.map(endpoint => endpoint.blockNumber).filter(height => height !== null);
+        return heights.length > 0 ? Math.max(...heights) : null;
+    }
+
+    blockLag(endpoint, highest = this.highestBlock()) {
+        return highest === null || endpoint.blockNumber === null ? 0 : highest - endpoint.blockNumber;
+    }
+
+    // Healthiest first; among equals the configured order holds
+    rankEndpoints() {
+        const now = Date.now();
+        const highest = this.highestBlock();
+        const usable = endpoint => endpoint.downUntil <= now && this.blockLag(endpoint, highest) <= this.maxBlockLag;
+        const score = endpoint => (endpoint.latency || 0) * (1 + 10 * endpoint.errorRate) +
+            this.blockLag(endpoint, highest) * BLOCK_LAG_PENALTY;
+
+        return [...this.endpoints].sort((a, b) => (usable(b) - usable(a)) || (score(a) - score(b)));
+    }
+
+    // For /status: one line per endpoint
+    endpointStatus() {
+        const now = Date.now();
+        const highest = this.highestBlock();
+        return this.endpoints.map(endpoint => ({
+            name: endpoint.name,
+            latencyMs: endpoint.latency === null ? null : Math.round(endpoint.latency),
+            errorRate: Number(endpoint.errorRate.toFixed(3)),
+            blockNumber: endpoint.blockNumber,
+            blockLag: this.blockLag(endpoint, highest),
+            backingOff: endpoint.downUntil > now
+        }));
+    }
+
+    destroy() {
+        if (this.healthTimer) {
+            clearInterval(this.healthTimer);
+            this.healthTimer = null;
+        }
+        super.destroy();
+    }
+}
+
+module.exports = {
+    FailoverProvider
+};
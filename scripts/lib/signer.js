@@ -0,0 +1,160 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { Writable } = require("stream");
+const { ethers } = require("ethers");
+
+// Signing keys come from the environment, per role: the main key (no prefix)
+// and an optional hot key ("HOT_" prefix), each either
+// - <prefix>KEYSTORE_PATH: an encrypted JSON keystore, unlocked with
+//   <prefix>KEYSTORE_PASSWORD, the first line of <prefix>KEYSTORE_PASSWORD_FILE
+//   or, on a terminal, a password prompt; or
+// - <prefix>PRIVATE_KEY: a raw hex key, with or without 0x
+// A keystore wins when both are set.
+const KEY_ROLES = {
+    main: "",
+    hot: "HOT_"
+};
+
+// { type: "keystore", path } or { type: "privateKey", key }; null when the role has no key
+function keySource(env, prefix) {
+    if (env[`${prefix}KEYSTORE_PATH`]) {
+        return { type: "keystore", path: path.resolve(env[`${prefix}KEYSTORE_PATH`]) };
+    }
+    if (env[`${prefix}PRIVATE_KEY`]) {
+        return { type: "privateKey", key: normalizePrivateKey(env[`${prefix}PRIVATE_KEY`]) };
+    }
+    return null;
+}
+
+function normalizePrivateKey(key) {
+    const hex = key.trim().startsWith("0x") ? key.trim() : `0x${key.trim()}`;
+    if (!ethers.isHexString(hex, 32)) {
+        throw new Error("not a 32-byte hex private key");
+    }
+    return hex;
+}
+
+function readKeystore(keystorePath) {
+    const json = fs.readFileSync(keystorePath, "utf8");
+    if (!ethers.isKeystoreJson(json)) {
+        throw new Error(`${keystorePath} is not an encrypted JSON keystore`);
+    }
+    return json;
+}
+
+// The address a keystore unlocks; it is stored unencrypted, so no password is needed
+function keystoreAddress(keystorePath) {
+    const { address } = JSON.parse(readKeystore(keystorePath));
+    return ethers.getAddress(address.startsWith("0x") ? address : `0x${address}`);
+}
+
+// The role's address without decrypting anything; null when the role has no key
+function keyAddress(env, prefix) {
+    const source = keySource(env, prefix);
+    if (!source) {
+        return null;
+    }
+    return source.type === "keystore" ? keystoreAddress(source.path) : ethers.computeAddress(source.key);
+}
+
+async function resolvePassword(env, prefix, keystorePath, prompt) {
+    if (env[`${prefix}KEYSTORE_PASSWORD`] !== undefined) {
+        return env[`${prefix}KEYSTORE_PASSWORD`];
+    }
+    const passwordFile = env[`${prefix}KEYSTORE_PASSWORD_FILE`];
+    if (passwordFile) {
+        return fs.readFileSync(passwordFile, "utf8").split(/\r?\n/)[0];
+    }
+    if (!prompt) {
+        throw Object.assign(
+            new Error(`No password for ${keystorePath}: set ${prefix}KEYSTORE_PASSWORD or ${prefix}KEYSTORE_PASSWORD_FILE, or run on a terminal`),
+            { code: "KEYSTORE_PASSWORD_REQUIRED" }
+        );
+    }
+    return prompt(`🔐 Password for ${keystorePath}: `);
+}
+
+// Asks on the terminal without echoing what is typed: the question goes to
+// `output` directly and readline, which echoes keystrokes, writes nowhere.
+// Ctrl-C rejects; input ending before Enter answers with what was typed.
+function promptPassword(question, { input = process.stdin, output = process.stdout } = {}) {
+    return new Promise((resolve, reject) => {
+        const muted = new Writable({ write: (chunk, encoding, callback) => callback() });
+        const rl = readline.createInterface({ input, output: muted, terminal: true });
+        let settled = false;
+        const settle = (finish, value) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            rl.close();
+            output.write("\n");
+            finish(value);
+        };
+
+        output.write(question);
+        rl.question("", answer => settle(resolve, answer));
+        // In terminal mode readline only pauses on Ctrl-C, which would leave the prompt hanging
+        rl.on("SIGINT", () => settle(reject, Object.assign(new Error("Password prompt cancelled"), { code: "PROMPT_CANCELLED" })));
+        rl.on("close", () => settle(resolve, rl.line));
+    });
+}
+
+// The role's wallet, connected to `provider` when given; null when the role has no key
+async function loadWallet(env, prefix, { provider = null, prompt = null } = {}) {
+    const source = keySource(env, prefix);
+    if (!source) {
+        return null;
+    }
+
+    let wallet;
+    if (source.type === "keystore") {
+        const json = readKeystore(source.path);
+        const password = await resolvePassword(env, prefix, source.path, prompt);
+        try {
+            wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+        } catch (error) {
+            throw Object.assign(new Error(`Could not unlock ${source.path}: ${error.shortMessage || error.message}`), {
+                code: "KEYSTORE_DECRYPT_FAILED"
+            });
+        }
+    } else {
+        wallet = new ethers.Wallet(source.key);
+    }
+    return provider ? wallet.connect(provider) : wallet;
+}
+
+// The key that trades, and that deploy.js deploys from since the contract
+// only takes flash loans from its owner: the hot key when one is set,
+// otherwise the main key. A hot key keeps the main key off the bot's host
+// entirely; only its address is read, as somewhere to send the hot wallet's
+// surplus.
+async function loadSigners({
+    env = process.env,
+    provider = null,
+    prompt = process.stdin.isTTY ? promptPassword : null
+} = {}) {
+    const mainAddress = keyAddress(env, KEY_ROLES.main);
+    const hot = await loadWallet(env, KEY_ROLES.hot, { provider, prompt });
+    if (hot) {
+        return { signer: hot, hot: true, mainAddress };
+    }
+
+    const main = await loadWallet(env, KEY_ROLES.main, { provider, prompt });
+    if (!main) {
+        throw new Error("No signing key: set KEYSTORE_PATH or PRIVATE_KEY (or HOT_KEYSTORE_PATH / HOT_PRIVATE_KEY)");
+    }
+    return { signer: main, hot: false, mainAddress };
+}
+
+module.exports = {
+    KEY_ROLES,
+    keySource,
+    keyAddress,
+    keystoreAddress,
+    normalizePrivateKey,
+    loadWallet,
+    loadSigners,
+    promptPassword
+};
@@ -0,0 +1,73 @@
+// Golden-section search for the borrow amount that maximises net profit.
+// AMM output is concave in the input size, so net profit rises until price
+// impact outweighs the spread and then falls, which is what this search needs.
+
+// 1/phi scaled to basis points of the remaining interval
+const GOLDEN_RATIO_BPS = 6180n;
+
+// evaluate(amount) resolves to { profit, ... } or null when the amount could
+// not be priced (e.g. quote failed or the RPC budget ran out). At most
+// `maxEvaluations` amounts are evaluated, `max` first so a profit that keeps
+// rising with size still reaches the top of the range, then golden-section
+// points in between. `initial` is an evaluation already made, usually at
+// `min`; without one `min` is evaluated too. Returns the best evaluation seen,
+// with its amount, or null if nothing could be priced.
+async function findOptimalAmount({ min, max, evaluate, maxEvaluations, tolerance = 0n, initial = null }) {
+    let best = initial;
+    let evaluations = 0;
+
+    // Null once the evaluations are used up, like an amount that can't be priced
+    const probe = async (amount) => {
+        if (evaluations >= maxEvaluations) {
+            return null;
+        }
+        evaluations++;
+        const result = await evaluate(amount);
+        if (result && (!best || result.profit > best.profit)) {
+            best = { ...result, amount };
+        }
+        return result ? result.profit : null;
+    };
+
+    if (!best) {
+        await probe(min);
+    }
+    if (min >= max) {
+        return best;
+    }
+    await probe(max);
+
+    let low = min;
+    let high = max;
+    let left = high - (high - low) * GOLDEN_RATIO_BPS / 10000n;
+    let right = low + (high - low) * GOLDEN_RATIO_BPS / 10000n;
+    let leftProfit = await probe(left);
+    let rightProfit = await probe(right);
+
+    while (evaluations < maxEvaluations && high - low > tolerance) {
+        if (leftProfit === null || rightProfit === null) {
+            // An unpriced point gives no direction to narrow in
+            break;
+        }
+
+        if (leftProfit >= rightProfit) {
+            high = right;
+            right = left;
+            rightProfit = leftProfit;
+            left = high - (high - low) * GOLDEN_RATIO_BPS / 10000n;
+            leftProfit = await probe(left);
+        } else {
+            low = left;
+            left = right;
+            leftProfit = rightProfit;
+            right = low + (high - low) * GOLDEN_RATIO_BPS / 10000n;
+            rightProfit = await probe(right);
+        }
+    }
+
+    return best;
+}
+
+module.exports = {
+    findOptimalAmount
+};
@@ -0,0 +1,63 @@
+const http = require("http");
+
+// Embedded HTTP server exposing /healthz, /status and /metrics for a bot.
+// `bot` must provide getStatus() and getHealth(); `metrics` renders Prometheus text.
+function createStatusServer({ bot, metrics }) {
+    return http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, "http://localhost");
+
+        if (req.method !== "GET") {
+            res.writeHead(405, { Allow: "GET" });
+            res.end();
+            return;
+        }
+
+        try {
+            switch (pathname) {
+                case "/healthz": {
+                    const health = bot.getHealth();
+                    sendJson(res, health.healthy ? 200 : 503, health);
+                    return;
+                }
+                case "/status":
+                    sendJson(res, 200, bot.getStatus());
+                    return;
+                case "/metrics":
+                    res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+                    res.end(metrics.render());
+                    return;
+                default:
+                    sendJson(res, 404, { error: `No route for ${pathname}` });
+            }
+        } catch (error) {
+            console.error('Status server error:', error);
+            sendJson(res, 500, { error: error.message });
+        }
+    });
+}
+
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body, (key, value) =>
+        typeof value === "bigint" ? value.toString() : value
+    ));
+}
+
+// A port that is taken (or any later server error) is reported through
+// `notify`; the bot keeps trading without the endpoints
+function startStatusServer({ bot, metrics, port, host = "0.0.0.0", notify = () => {} }) {
+    const server = createStatusServer({ bot, metrics });
+    server.on("error", (error) => {
+        console.error('Status server error:', error.message);
+        notify(`⚠️ Status server on ${host}:${port} is down: ${error.message}`);
+    });
+    server.listen(port, host, () => {
+        console.log(`📡 Status server listening on http://${host}:${port} (/healthz, /status, /metrics)`);
+    });
+    return server;
+}
+
+module.exports = {
+    createStatusServer,
+    startStatusServer
+};
@@ -0,0 +1,219 @@
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+const CONFIRMATION_TTL = 60000; // 1 minute to confirm an action that moves funds
+
+// BOT_CONFIG keys that /set may change at runtime, with how to parse the value
+const TUNABLE_PARAMS = {
+    MIN_PRICE_DIFFERENCE: { unit: "bps", parse: value => parseInteger(value, 0, 10000) },
+    MIN_PROFIT_BPS: { unit: "bps", parse: value => parseInteger(value, 0, 10000) },
+    MAX_SLIPPAGE: { unit: "bps", parse: value => parseInteger(value, 0, 5000) },
+    MAX_GAS_PRICE: { unit: "gwei", parse: value => parseGwei(value, 1n, ethers.parseUnits("10000", "gwei")), format: formatGwei },
+    SCAN_INTERVAL: { unit: "ms", parse: value => parseInteger(value, 1000, 3600000) },
+    GAS_LIMIT_MARGIN: { unit: "bps", parse: value => parseInteger(value, 0, 10000) },
+    MAX_RPC_CALLS_PER_SCAN: { unit: "calls", parse: value => parseInteger(value, 1, 10000) }
+};
+
+function parseInteger(value, min, max) {
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`"${value}" is not a whole number`);
+    }
+    return checkRange(Number(value), min, max);
+}
+
+// A gwei amount to wei; `min` and `max` are in wei
+function parseGwei(value, min, max) {
+    if (!/^\d+(\.\d{1,9})?$/.test(value)) {
+        throw new Error(`"${value}" is not an amount of gwei`);
+    }
+    return checkRange(ethers.parseUnits(value, "gwei"), min, max, formatGwei);
+}
+
+function formatGwei(value) {
+    return ethers.formatUnits(value, "gwei");
+}
+
+function checkRange(value, min, max, format = String) {
+    if (value < min || value > max) {
+        throw new Error(`must be between ${format(min)} and ${format(max)}`);
+    }
+    return value;
+}
+
+// Chat commands for operating a running bot. Only messages from the configured
+// chat are answered; commands that move funds need a /confirm with a one-time code.
+//
+// `bot` must provide getStatus, pause, resume, runManualScan, getBalances and
+// withdrawToken. `client` only needs on('message') and sendMessage, which is all
+// the stubbed client in the tests provides.
+class TelegramCommands {
+    constructor({ client, chatId, bot, config }) {
+        this.client = client;
+        this.chatId = String(chatId);
+        this.bot = bot;
+        this.config = config;
+        this.pendingConfirmations = new Map(); // code -> { description, action, expiresAt }
+
+        this.commands = {
+            help: () => this.help(),
+            status: () => this.status(),
+            pause: () => this.pause(),
+            resume: () => this.resume(),
+            scan: () => this.scan(),
+            balance: () => this.balance(),
+            withdraw: args => this.withdraw(args),
+            set: args => this.set(args),
+            confirm: args => this.confirm(args)
+        };
+    }
+
+    listen() {
+        this.client.on("message", msg => this.handleMessage(msg));
+        return this;
+    }
+
+    async handleMessage(msg) {
+        if (!msg || !msg.chat || String(msg.chat.id) !== this.chatId) {
+            console.warn(`Ignoring Telegram message from unauthorized chat ${msg && msg.chat && msg.chat.id}`);
+            return;
+        }
+
+        const match = /^\/(\w+)(?:@\w+)?(?:\s+(.*))?$/.exec((msg.text || "").trim());
+        if (!match) {
+            return;
+        }
+
+        const command = this.commands[match[1].toLowerCase()];
+        const args = match[2] ? match[2].trim().split(/\s+/) : [];
+        if (!command) {
+            await this.reply(`❓ Unknown command /${match[1]}. Try /help`);
+            return;
+        }
+
+        try {
+            await this.reply(await command(args));
+        } catch (error) {
+            console.error(`Telegram command /${match[1]} failed:`, error.message);
+            await this.reply(`❌ /${match[1]} failed: ${error.message}`);
+        }
+    }
+
+    async reply(text) {
+        try {
+            await this.client.sendMessage(this.chatId, text);
+        } catch (error) {
+            console.error('Telegram error:', error);
+        }
+    }
+
+    help() {
+        return [
+            "/status - bot status",
+            "/pause, /resume - stop or restart trading (/resume also clears a risk halt)",
+            "/scan - one-off scan, no trade",
+            "/balance - wallet ETH and contract token balances",
+            "/withdraw <token> - withdraw a token from the contract (needs /confirm)",
+            `/set <param> <value> - tune ${Object.keys(TUNABLE_PARAMS).join(", ")}`
+        ].join("\n");
+    }
+
+    status() {
+        const status = this.bot.getStatus();
+        return "📊 Status\n" + Object.entries(status)
+            .map(([key, value]) => `${key}: ${value}`)
+            .join("\n");
+    }
+
+    pause() {
+        return this.bot.pause() ? "⏸ Trading paused" : "⏸ Trading is already paused";
+    }
+
+    resume() {
+        return this.bot.resume() ? "▶️ Trading resumed" : "▶️ Trading is not paused";
+    }
+
+    async scan() {
+        const opportunities = await this.bot.runManualScan();
+        if (opportunities.length === 0) {
+            return "📭 No profitable opportunities found";
+        }
+
+        return `🔍 ${opportunities.length} opportunities\n` + opportunities.slice(0, 5).map(opportunity =>
+            `${opportunity.pair} borrow ${opportunity.symbolA} via ${opportunity.route}: ` +
+            `${ethers.formatUnits(opportunity.estimatedProfit, opportunity.decimalsA)} ${opportunity.symbolA}`
+        ).join("\n");
+    }
+
+    async balance() {
+        const balances = await this.bot.getBalances();
+        const lines = [`💰 Wallet: ${ethers.formatEther(balances.wallet)} ETH`];
+        for (const token of balances.contract) {
+            lines.push(`📦 Contract ${token.symbol}: ${ethers.formatUnits(token.balance, token.decimals)}`);
+        }
+        return lines.join("\n");
+    }
+
+    withdraw([symbol]) {
+        if (!symbol) {
+            return "Usage: /withdraw <token>";
+        }
+        const token = symbol.toUpperCase();
+        return this.requestConfirmation(
+            `withdraw all ${token} from the contract to the owner`,
+            async () => {
+                const receipt = await this.bot.withdrawToken(token);
+                return `✅ Withdrew ${token} in tx ${receipt.hash}`;
+            }
+        );
+    }
+
+    set([param, value]) {
+        if (!param || value === undefined) {
+            return `Usage: /set <param> <value>\nParams: ${Object.keys(TUNABLE_PARAMS).join(", ")}`;
+        }
+
+        const key = param.toUpperCase();
+        const tunable = TUNABLE_PARAMS[key];
+        if (!tunable) {
+            throw new Error(`${param} can't be changed at runtime`);
+        }
+
+        let parsed;
+        try {
+            parsed = tunable.parse(value);
+        } catch (error) {
+            throw new Error(`Invalid value for ${key}: ${error.message}`);
+        }
+
+        const format = tunable.format || String;
+        const previous = this.config[key];
+        this.config[key] = parsed;
+        return `⚙️ ${key}: ${format(previous)} → ${format(parsed)} ${tunable.unit}`;
+    }
+
+    requestConfirmation(description, action) {
+        const code = crypto.randomBytes(3).toString("hex");
+        this.pendingConfirmations.set(code, {
+            description,
+            action,
+            expiresAt: Date.now() + CONFIRMATION_TTL
+        });
+        return `⚠️ About to ${description}.\nSend /confirm ${code} within ${CONFIRMATION_TTL / 1000}s to proceed.`;
+    }
+
+    async confirm([code]) {
+        const pending = this.pendingConfirmations.get(code);
+        // One-time codes: used or not, they're gone after the first attempt
+        this.pendingConfirmations.delete(code);
+
+        if (!pending || pending.expiresAt < Date.now()) {
+            return "❌ No pending action for that code (it may have expired)";
+        }
+        return pending.action();
+    }
+}
+
+module.exports = {
+    TUNABLE_PARAMS,
+    TelegramCommands
+};
@@ -0,0 +1,256 @@
+const { EventEmitter } = require("events");
+
+// Minimum bump nodes accept for a same-nonce replacement is 10%
+const DEFAULT_FEE_BUMP = 1250; // 12.5% (in basis points)
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Raises `fee` by `bps`, but never below what the network currently asks for
+// and never above `cap` when one is set
+function bumpFee(fee, bps, floor = 0n, cap = null) {
+    const bumped = fee * BigInt(10000 + bps) / 10000n;
+    const raised = bumped > floor ? bumped : floor;
+    return cap !== null && raised > cap ? cap : raised;
+}
+
+function pickFees(request) {
+    return request.gasPrice !== undefined ?
+        { gasPrice: request.gasPrice } :
+        { maxFeePerGas: request.maxFeePerGas, maxPriorityFeePerGas: request.maxPriorityFeePerGas };
+}
+
+// Sends every transaction for one signer with a locally tracked nonce and
+// watches it until it mines. A transaction still pending after `timeoutBlocks`
+// is replaced at the same nonce with bumped fees: sped up while it is still
+// wanted, or cancelled with a zero-value self-transfer once `isStale()` says
+// it isn't. After `maxReplacements` the nonce is abandoned and the next send
+// takes it over, so one underpriced transaction can't hold up the rest.
+//
+// Events: 'replaced' ({ action: "speedup" | "cancel", nonce, hash, replaced, label })
+class TransactionManager extends EventEmitter {
+    constructor({
+        signer,
+        provider = signer.provider,
+        timeoutBlocks = 3,
+        feeBump = DEFAULT_FEE_BUMP,
+        maxReplacements = 3,
+        pollInterval = 2000,
+        feeCap = () => null
+    }) {
+        super();
+        this.signer = signer;
+        this.provider = provider;
+        this.timeoutBlocks = timeoutBlocks;
+        this.feeBump = feeBump;
+        this.maxReplacements = maxReplacements;
+        this.pollInterval = pollInterval;
+        this.feeCap = feeCap; // Highest maxFeePerGas (or gasPrice) a replacement may bid
+
+        this.nextNonce = null; // Unknown until the first sync
+        this.abandoned = null; // { nonce, fees } of a transaction we gave up waiting for
+        this.queue = Promise.resolve(); // Serializes nonce assignment
+    }
+
+    // Reloads the nonce from the node, e.g. after a restart or a rejected send.
+    // Counts pending transactions so ours still in the mempool aren't reused,
+    // except an abandoned one, which the next send replaces.
+    async sync() {
+        const address = await this.signer.getAddress();
+        const [latest, pending] = await Promise.all([
+            this.provider.getTransactionCount(address, "latest"),
+            this.provider.getTransactionCount(address, "pending")
+        ]);
+        if (this.abandoned && this.abandoned.nonce < latest) {
+            this.abandoned = null; // Mined after all, or replaced elsewhere
+        }
+        this.nextNonce = this.abandoned ? this.abandoned.nonce : pending;
+        return this.nextNonce;
+    }
+
+    // Signs and broadcasts `request` (a populated transaction) with the next
+    // nonce, at the fees it carries or else the node's current ones.
+    // Resolves once it is broadcast with { hash, nonce, wait() };
+    // wait() resolves with the mined receipt and follows the rules above.
+    // `label` is passed through to 'replaced' events.
+    send(request, { isStale = async () => false, label = null } = {}) {
+        const sent = this.queue.then(() => this.broadcastNext(request));
+        this.queue = sent.catch(() => {});
+        return sent.then(({ tx, nonce, fees }) => {
+            const attempt = { request, nonce, fees, hashes: [tx.hash], cancelHashes: new Set(), isStale, label };
+            return {
+                get hash() {
+                    return attempt.hashes[attempt.hashes.length - 1];
+                },
+                nonce,
+                wait: () => this.waitFor(attempt)
+            };
+        });
+    }
+
+    // Hands out the next nonce for a transaction broadcast elsewhere, e.g. a
+    // bundle relay. Give it back with release() if that transaction never lands.
+    reserveNonce() {
+        const reserved = this.queue.then(async () => {
+            if (this.nextNonce === null) {
+                await this.sync();
+            }
+            return this.nextNonce++;
+        });
+        this.queue = reserved.catch(() => {});
+        return reserved;
+    }
+
+    release(nonce) {
+        // Once a later nonce is out, only the node knows which are still free
+        this.nextNonce = this.nextNonce === nonce + 1 ? nonce : null;
+    }
+
+    async broadcastNext(request) {
+        if (this.nextNonce === null) {
+            await this.sync();
+        }
+        const nonce = this.nextNonce;
+        let fees = request.maxFeePerGas !== undefined || request.gasPrice !== undefined ?
+            pickFees(request) :
+            await this.currentFees();
+        if (this.abandoned && this.abandoned.nonce === nonce) {
+            fees = this.bumpFees(this.abandoned.fees, fees);
+        }
+
+        try {
+            const tx = await this.signer.sendTransaction({ ...request, nonce, ...fees });
+            this.nextNonce = nonce + 1;
+            if (this.abandoned && this.abandoned.nonce === nonce) {
+                this.abandoned = null;
+            }
+            return { tx, nonce, fees };
+        } catch (error) {
+            // Nonce too low, underpriced replacement and the like: start over from the node
+            this.nextNonce = null;
+            throw error;
+        }
+    }
+
+    async waitFor(attempt) {
+        let sentAt = await this.provider.getBlockNumber();
+        let replacements = 0;
+
+        for (;;) {
+            const receipt = await this.findReceipt(attempt.hashes);
+            if (receipt) {
+                return this.settle(attempt, receipt);
+            }
+
+            // Mined under a hash we didn't send
+            const address = await this.signer.getAddress();
+            if (await this.provider.getTransactionCount(address, "latest") > attempt.nonce) {
+                const late = await this.findReceipt(attempt.hashes);
+                if (late) {
+                    return this.settle(attempt, late);
+                }
+                throw Object.assign(new Error(`Nonce ${attempt.nonce} was used by another transaction`), {
+                    code: "TX_REPLACED",
+                    hashes: attempt.hashes
+                });
+            }
+
+            const blockNumber = await this.provider.getBlockNumber();
+            if (blockNumber - sentAt >= this.timeoutBlocks) {
+                if (replacements >= this.maxReplacements) {
+                    this.abandoned = { nonce: attempt.nonce, fees: attempt.fees };
+                    if (this.nextNonce !== null && this.nextNonce > attempt.nonce) {
+                        this.nextNonce = null; // The next send syncs and takes the nonce over
+                    }
+                    throw Object.assign(
+                        new Error(`Transaction with nonce ${attempt.nonce} still pending after ${replacements} replacements`),
+                        { code: "TX_TIMEOUT", hashes: attempt.hashes }
+                    );
+                }
+
+                const cancel = attempt.cancelHashes.size > 0 || await attempt.isStale();
+                try {
+                    await this.replace(attempt, cancel);
+                } catch (error) {
+                    // Usually the original mined meanwhile; the next poll finds out
+                    console.error(`Replacing nonce ${attempt.nonce} failed:`, error.message);
+                }
+                replacements += 1;
+                sentAt = blockNumber;
+            }
+
+            await sleep(this.pollInterval);
+        }
+    }
+
+    // Rebroadcasts at the same nonce with bumped fees: the original request
+    // to speed it up, or an empty transfer to ourselves to cancel it
+    async replace(attempt, cancel) {
+        const fees = this.bumpFees(attempt.fees, await this.currentFees());
+        const request = cancel ?
+            { to: await this.signer.getAddress(), value: 0n, data: "0x", gasLimit: 21000n } :
+            attempt.request;
+
+        const tx = await this.signer.sendTransaction({ ...request, nonce: attempt.nonce, ...fees });
+        const replaced = attempt.hashes[attempt.hashes.length - 1];
+        attempt.hashes.push(tx.hash);
+        if (cancel) {
+            attempt.cancelHashes.add(tx.hash);
+        }
+        attempt.fees = fees;
+        this.emit("replaced", { action: cancel ? "cancel" : "speedup", nonce: attempt.nonce, hash: tx.hash, replaced, label: attempt.label });
+    }
+
+    async findReceipt(hashes) {
+        for (const hash of hashes) {
+            const receipt = await this.provider.getTransactionReceipt(hash);
+            if (receipt) {
+                return receipt;
+            }
+        }
+        return null;
+    }
+
+    // Same outcomes as ethers' tx.wait(): a reverted receipt throws with the
+    // receipt attached. A mined cancellation throws too, as the request never ran.
+    settle(attempt, receipt) {
+        if (attempt.cancelHashes.has(receipt.hash)) {
+            throw Object.assign(new Error(`Transaction with nonce ${attempt.nonce} was cancelled`), {
+                code: "TX_CANCELLED",
+                receipt,
+                hashes: attempt.hashes
+            });
+        }
+        if (receipt.status === 0) {
+            throw Object.assign(new Error(`Transaction ${receipt.hash} reverted`), {
+                code: "CALL_EXCEPTION",
+                receipt
+            });
+        }
+        return receipt;
+    }
+
+    // EIP-1559 fee fields when the chain has a base fee, a legacy gas price otherwise
+    async currentFees() {
+        const feeData = await this.provider.getFeeData();
+        if (feeData.maxFeePerGas !== null && feeData.maxFeePerGas !== undefined) {
+            return { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+        }
+        return { gasPrice: feeData.gasPrice };
+    }
+
+    bumpFees(previous, current) {
+        const cap = this.feeCap();
+        if (previous.gasPrice !== undefined) {
+            return { gasPrice: bumpFee(previous.gasPrice, this.feeBump, current.gasPrice || 0n, cap) };
+        }
+        const maxFeePerGas = bumpFee(previous.maxFeePerGas, this.feeBump, current.maxFeePerGas || 0n, cap);
+        const maxPriorityFeePerGas = bumpFee(previous.maxPriorityFeePerGas, this.feeBump, current.maxPriorityFeePerGas || 0n, maxFeePerGas);
+        return { maxFeePerGas, maxPriorityFeePerGas };
+    }
+}
+
+module.exports = {
+    DEFAULT_FEE_BUMP,
+    bumpFee,
+    TransactionManager
+};
@@ -0,0 +1,86 @@
+const path = require("path");
+const { ethers } = require("ethers");
+
+const DEFAULT_TREASURY_CONFIG = path.join(__dirname, "..", "..", "config", "treasury.json");
+
+// Wallet ETH kept for gas when the policy doesn't say
+const DEFAULT_ETH_RESERVE = { min: "0.01", warn: "0.05" };
+
+// Resolves a treasury policy (see config/treasury.json) into token units.
+// Per token, a contract balance below "min" is topped up from the wallet to
+// "target", and one above "sweepAbove" (optional) is withdrawn to the owner
+// wallet and topped back up to "target". With a "treasury" address, a wallet
+// balance above "sweepAbove" is likewise cut to "target" by sending the rest
+// there. "ethReserve" is the wallet ETH kept for gas: below "warn" alerts,
+// below "min" the bot won't start. Tokens the network doesn't have are
+// skipped.
+function resolveTreasuryPolicy(raw = {}, tokens = {}) {
+    const reserve = { ...DEFAULT_ETH_RESERVE, ...raw.ethReserve };
+    const ethReserve = {
+        min: ethers.parseEther(String(reserve.min)),
+        warn: ethers.parseEther(String(reserve.warn))
+    };
+    if (ethReserve.warn < ethReserve.min) {
+        throw new Error("Treasury ethReserve.warn must not be below ethReserve.min");
+    }
+
+    const policy = {
+        treasury: raw.treasury ? ethers.getAddress(raw.treasury) : null,
+        ethReserve,
+        tokens: {}
+    };
+
+    for (const [symbol, limits] of Object.entries(raw.tokens || {})) {
+        const token = tokens[symbol];
+        if (!token) {
+            console.warn(`Skipping treasury policy for ${symbol}: not on this network`);
+            continue;
+        }
+        if (limits.min === undefined || limits.target === undefined) {
+            throw new Error(`Treasury policy for ${symbol} needs both min and target`);
+        }
+
+        const parse = value => ethers.parseUnits(String(value), token.decimals);
+        const min = parse(limits.min);
+        const target = parse(limits.target);
+        const sweepAbove = limits.sweepAbove === undefined || limits.sweepAbove === null ? null : parse(limits.sweepAbove);
+        if (min < 0n || target < min || (sweepAbove !== null && sweepAbove <= target)) {
+            throw new Error(`Treasury policy for ${symbol} must satisfy 0 <= min <= target < sweepAbove`);
+        }
+        policy.tokens[symbol] = { token, min, target, sweepAbove };
+    }
+
+    return policy;
+}
+
+function loadTreasuryPolicy(configPath = process.env.TREASURY_CONFIG || DEFAULT_TREASURY_CONFIG, tokens = {}) {
+    return resolveTreasuryPolicy(require(path.resolve(configPath)), tokens);
+}
+
+// What the policy wants done about one token's balance: a "topup" or
+// "sweep" of `amount`, or "none"
+function planTreasury(limits, balance) {
+    if (limits.sweepAbove !== null && balance > limits.sweepAbove) {
+        return { action: "sweep", amount: balance - limits.target };
+    }
+    if (balance < limits.min) {
+        return { action: "topup", amount: limits.target - balance };
+    }
+    return { action: "none", amount: 0n };
+}
+
+// "ok", "warn" or "critical" for a wallet ETH balance
+function ethReserveLevel(ethReserve, balance) {
+    if (balance < ethReserve.min) {
+        return "critical";
+    }
+    return balance < ethReserve.warn ? "warn" : "ok";
+}
+
+module.exports = {
+    DEFAULT_TREASURY_CONFIG,
+    resolveTreasuryPolicy,
+    loadTreasuryPolicy,
+    planTreasury,
+    ethReserveLevel
+};
@@ -1,17 +1,60 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { UNISWAP_FEE, rate, deployMockEnvironment } = require("./helpers/mockEnvironment");
 
 describe("FlashArbitrage", function () {
+    let env;
     let flashArbitrage;
     let owner;
     let otherAccount;
-    const addressProvider = "0x012bAC54348C0E635dCAc9D5FB99f06F24136C9A"; // Sepolia
+
+    const encodeParams = (minProfit, path, swapData) => ethers.AbiCoder.defaultAbiCoder().encode(
+        ["uint256", "address[]", "bytes[]"],
+        [minProfit, path, swapData]
+    );
+
+    // Borrow DAI, buy WETH on the mock Uniswap, sell it back on the mock SushiSwap
+    async function roundTripCalls(amount) {
+        const { dai, weth, uniswapRouter, sushiRouter } = env;
+        const receiver = await flashArbitrage.getAddress();
+        const deadline = (await ethers.provider.getBlock("latest")).timestamp + 600;
+        const wethOut = await uniswapRouter.getAmountOut(await dai.getAddress(), await weth.getAddress(), UNISWAP_FEE, amount);
+
+        const calls = [
+            [dai, dai.interface.encodeFunctionData("approve", [await uniswapRouter.getAddress(), amount])],
+            [uniswapRouter, uniswapRouter.interface.encodeFunctionData("exactInputSingle", [{
+                tokenIn: await dai.getAddress(),
+                tokenOut: await weth.getAddress(),
+                fee: UNISWAP_FEE,
+                recipient: receiver,
+                deadline,
+                amountIn: amount,
+                amountOutMinimum: 0,
+                sqrtPriceLimitX96: 0
+            }])],
+            [weth, weth.interface.encodeFunctionData("approve", [await sushiRouter.getAddress(), wethOut])],
+            [sushiRouter, sushiRouter.interface.encodeFunctionData("swapExactTokensForTokens", [
+                wethOut,
+                0,
+                [await weth.getAddress(), await dai.getAddress()],
+                receiver,
+                deadline
+            ])]
+        ];
+        return {
+            path: await Promise.all(calls.map(([target]) => target.getAddress())),
+            swapData: calls.map(([, data]) => data)
+        };
+    }
 
     beforeEach(async function () {
-        [owner, otherAccount] = await ethers.getSigners();
-        const FlashArbitrage = await ethers.getContractFactory("FlashArbitrage");
-        flashArbitrage = await FlashArbitrage.deploy(addressProvider);
-        await flashArbitrage.waitForDeployment();
+        env = await deployMockEnvironment();
+        ({ flashArbitrage, owner, other: otherAccount } = env);
+
+        const dai = await env.dai.getAddress();
+        const weth = await env.weth.getAddress();
+        await env.uniswapRouter.setRate(dai, weth, UNISWAP_FEE, rate("0.0005")); // 2000 DAI/WETH
+        await env.sushiRouter.setRate(weth, dai, rate("2040"));
     });
 
     describe("Deployment", function () {
@@ -20,104 +63,131 @@ describe("FlashArbitrage", function () {
         });
 
         it("Should set the correct address provider", async function () {
-            const deployedProvider = await flashArbitrage.ADDRESSES_PROVIDER();
-            expect(deployedProvider).to.equal(addressProvider);
+            expect(await flashArbitrage.ADDRESSES_PROVIDER()).to.equal(await env.addressesProvider.getAddress());
         });
 
-        it("Should set the correct pool address", async function () {
-            const poolAddress = await flashArbitrage.POOL();
-            expect(poolAddress).to.not.equal(ethers.ZeroAddress);
+        it("Should take the pool from the address provider", async function () {
+            expect(await flashArbitrage.POOL()).to.equal(await env.pool.getAddress());
         });
     });
 
     describe("Access Control", function () {
         it("Should only allow owner to withdraw tokens", async function () {
-            const mockToken = "0xFF34B3d4Aee8ddCd6F9AFFFB6Fe49bD371b8a357"; // DAI on Sepolia
             await expect(
-                flashArbitrage.connect(otherAccount).withdrawToken(mockToken)
+                flashArbitrage.connect(otherAccount).withdrawToken(await env.dai.getAddress())
             ).to.be.revertedWith("Only owner");
         });
 
         it("Should only allow owner to fund contract", async function () {
-            const mockToken = "0xFF34B3d4Aee8ddCd6F9AFFFB6Fe49bD371b8a357"; // DAI on Sepolia
             const amount = ethers.parseUnits("10", 18);
             await expect(
-                flashArbitrage.connect(otherAccount).fundContract(mockToken, amount)
+                flashArbitrage.connect(otherAccount).fundContract(await env.dai.getAddress(), amount)
             ).to.be.revertedWith("Only owner");
         });
 
-        it("Should only allow owner to emergency withdraw", async function () {
-            const mockToken = "0xFF34B3d4Aee8ddCd6F9AFFFB6Fe49bD371b8a357"; // DAI on Sepolia
-            const amount = ethers.parseUnits("1", 18);
-            await expect(
-                flashArbitrage.connect(otherAccount).emergencyWithdraw(mockToken, amount)
-            ).to.be.revertedWith("Only owner");
+        it("Should let the owner fund and withdraw", async function () {
+            const amount = ethers.parseUnits("10", 18);
+            await env.dai.mint(owner.address, amount);
+            await env.dai.approve(await flashArbitrage.getAddress(), amount);
+            await flashArbitrage.fundContract(await env.dai.getAddress(), amount);
+            expect(await env.dai.balanceOf(await flashArbitrage.getAddress())).to.equal(amount);
+
+            await flashArbitrage.withdrawToken(await env.dai.getAddress());
+            expect(await env.dai.balanceOf(await flashArbitrage.getAddress())).to.equal(0);
+            expect(await env.dai.balanceOf(owner.address)).to.equal(amount);
         });
     });
 
     describe("Flash Loan Execution", function () {
-        it("Should reject unauthorized flash loan calls", async function () {
-            const asset = "0xFF34B3d4Aee8ddCd6F9AFFFB6Fe49bD371b8a357"; // DAI
+        it("Should reject executeOperation calls that don't come from the pool", async function () {
             const amount = ethers.parseUnits("10", 18);
             const premium = ethers.parseUnits("0.009", 18); // 0.09%
-            const params = ethers.AbiCoder.defaultAbiCoder().encode(
-                ["uint256", "address[]", "bytes[]"],
-                [ethers.parseUnits("0.1", 18), [], []]
-            );
             await expect(
                 flashArbitrage.connect(otherAccount).executeOperation(
-                    asset,
+                    await env.dai.getAddress(),
                     amount,
                     premium,
                     owner.address,
-                    params
+                    encodeParams(0, [], [])
                 )
-            ).to.be.revertedWith("Only pool");
+            ).to.be.revertedWith("Unauthorized");
         });
 
-        it("Should reject unauthorized initiator", async function () {
-            // This test would require mocking the pool contract
-            // For now, we just check the revert condition exists in the code
-            const contractCode = await ethers.provider.getCode(flashArbitrage.target);
-            expect(contractCode).to.include("Unauthorized initiator");
+        it("Should reject flash loans started by anyone but the owner", async function () {
+            await expect(
+                env.pool.connect(otherAccount).flashLoanSimple(
+                    await flashArbitrage.getAddress(),
+                    await env.dai.getAddress(),
+                    ethers.parseUnits("10", 18),
+                    encodeParams(0, [], []),
+                    0
+                )
+            ).to.be.revertedWith("Unauthorized initiator");
         });
-    });
 
-    describe("View Functions", function () {
-        it("Should return contract balance for any token", async function () {
-            const daiAddress = "0xFF34B3d4Aee8ddCd6F9AFFFB6Fe49bD371b8a357";
-            const balance = await flashArbitrage.getContractBalance(daiAddress);
-            expect(balance).to.equal(0); // Should be 0 initially
-        });
+        it("Should run the swaps, repay the premium and send the profit to the owner", async function () {
+            const amount = ethers.parseUnits("1000", 18);
+            const { path, swapData } = await roundTripCalls(amount);
+            // 1000 DAI -> 0.5 WETH -> 1020 DAI, less the 0.9 DAI premium
+            const expectedProfit = ethers.parseUnits("19.1", 18);
 
-        it("Should detect if address is contract", async function () {
-            const isContract = await flashArbitrage.isContract(flashArbitrage.target);
-            expect(isContract).to.be.true;
-            const isEOA = await flashArbitrage.isContract(owner.address);
-            expect(isEOA).to.be.false;
+            await expect(
+                env.pool.flashLoanSimple(
+                    await flashArbitrage.getAddress(),
+                    await env.dai.getAddress(),
+                    amount,
+                    encodeParams(0, path, swapData),
+                    0
+                )
+            ).to.emit(flashArbitrage, "ArbitrageProfit").withArgs(await env.dai.getAddress(), expectedProfit);
+
+            expect(await env.dai.balanceOf(owner.address)).to.equal(expectedProfit);
+            expect(await env.dai.balanceOf(await env.pool.getAddress())).to.equal(
+                ethers.parseUnits("1000000.9", 18)
+            );
         });
-    });
 
-    describe("Interface Compliance", function () {
-        it("Should return correct addresses provider", async function () {
-            const provider = await flashArbitrage.ADDRESSES_PROVIDER();
-            expect(provider).to.equal(addressProvider);
+        it("Should revert when the swaps can't cover the loan", async function () {
+            await env.sushiRouter.setRate(await env.weth.getAddress(), await env.dai.getAddress(), rate("1990"));
+            const amount = ethers.parseUnits("1000", 18);
+            const { path, swapData } = await roundTripCalls(amount);
+
+            await expect(
+                env.pool.flashLoanSimple(
+                    await flashArbitrage.getAddress(),
+                    await env.dai.getAddress(),
+                    amount,
+                    encodeParams(0, path, swapData),
+                    0
+                )
+            ).to.be.revertedWith("Insufficient funds to repay");
         });
 
-        it("Should return valid pool address", async function () {
-            const pool = await flashArbitrage.POOL();
-            expect(pool).to.not.equal(ethers.ZeroAddress);
+        it("Should revert when a swap fails", async function () {
+            const amount = ethers.parseUnits("1000", 18);
+            const { path, swapData } = await roundTripCalls(amount);
+            // Drop the Uniswap leg's approval so its transferFrom fails
+            path.splice(0, 1);
+            swapData.splice(0, 1);
+
+            await expect(
+                env.pool.flashLoanSimple(
+                    await flashArbitrage.getAddress(),
+                    await env.dai.getAddress(),
+                    amount,
+                    encodeParams(0, path, swapData),
+                    0
+                )
+            ).to.be.revertedWith("Swap failed");
         });
     });
 
     describe("Events", function () {
-        it("Should emit events with correct structure", async function () {
-            // Test that the contract has the expected events
+        it("Should declare the events the bot parses", async function () {
             const contractInterface = flashArbitrage.interface;
-            expect(contractInterface.getEvent("ArbitrageProfit")).to.not.be.undefined;
-            expect(contractInterface.getEvent("ArbitrageFailure")).to.not.be.undefined;
-            expect(contractInterface.getEvent("DebugLog")).to.not.be.undefined;
-            expect(contractInterface.getEvent("SwapExecuted")).to.not.be.undefined;
+            expect(contractInterface.getEvent("ArbitrageProfit")).to.not.be.null;
+            expect(contractInterface.getEvent("ArbitrageFailure")).to.not.be.null;
+            expect(contractInterface.getEvent("DebugLog")).to.not.be.null;
         });
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,410 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { ProductionArbitrageBot } = require("../scripts/lib/arbitrageBot");
+const { loadPairRegistry } = require("../scripts/lib/pairs");
+const { TradeJournal } = require("../scripts/lib/journal");
+const { resolveTreasuryPolicy } = require("../scripts/lib/treasury");
+const { resolveVenues, createVenues } = require("../scripts/lib/dex");
+const { startRpcBridge } = require("./helpers/rpcBridge");
+const { startRelayServer } = require("./helpers/relayServer");
+const { UNISWAP_FEE, BALANCER_POOL_ID, rate, deployMockEnvironment } = require("./helpers/mockEnvironment");
+
+// Hardhat's first default account, which deploys FlashArbitrage and so owns it
+const OWNER_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+// Drives ProductionArbitrageBot through scan, analyze, encode, simulate, send
+// and parse against mock Aave and DEX contracts on the in-process network
+describe("ProductionArbitrageBot end to end", function () {
+    let env;
+    let bridge;
+    let relay;
+    let tmpDir;
+    let provider;
+    let signer;
+    let contracts;
+    let registry;
+    let bot;
+    let dai;
+    let weth;
+    let startedAt;
+
+    const createBot = (config = {}, options = {}) => new ProductionArbitrageBot({
+        signer,
+        contracts,
+        registry,
+        notifier: () => {},
+        journal: new TradeJournal(path.join(tmpDir, "journal")),
+        ...options,
+        config: {
+            // Deadlines come from the wall clock, which the test chain runs ahead of
+            // after every earlier suite's blocks
+            SWAP_DEADLINE: 3600,
+            TX_POLL_INTERVAL: 10,
+            // Extreme mock rates value the gas, and so the borrow, absurdly
+            MAX_TRADE_NOTIONAL: ethers.MaxUint256,
+            ...config
+        }
+    });
+
+    // Journal entries written by the current test
+    const journalEntries = type => bot.journal.query({ type, since: startedAt });
+
+    before(async function () {
+        env = await deployMockEnvironment();
+        dai = await env.dai.getAddress();
+        weth = await env.weth.getAddress();
+        bridge = await startRpcBridge(network.provider);
+        relay = await startRelayServer(network.provider);
+
+        // Only the DAI side has a trade size, so every opportunity borrows DAI
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "arbitrage-e2e-"));
+        const pairsConfig = path.join(tmpDir, "pairs.json");
+        fs.writeFileSync(pairsConfig, JSON.stringify({
+            tokens: {
+                DAI: { address: dai, decimals: 18 },
+                WETH: { address: weth, decimals: 18 }
+            },
+            pairs: [{
+                tokenA: "DAI",
+                tokenB: "WETH",
+                tradeSize: { DAI: { min: "10", max: "1000" } },
+                minProfit: { DAI: "1" }
+            }]
+        }));
+
+        registry = loadPairRegistry(pairsConfig);
+
+        // The bot talks JSON-RPC to the in-process network like it would to a node.
+        // Blocks only appear when transactions do, so block numbers are never cached.
+        provider = new ethers.JsonRpcProvider(bridge.url, undefined, { pollingInterval: 100, cacheTimeout: -1 });
+        signer = new ethers.Wallet(OWNER_KEY, provider);
+
+        const uniswapRouter = await env.uniswapRouter.getAddress();
+        contracts = {
+            AAVE_POOL: await env.pool.getAddress(),
+            FLASH_ARBITRAGE: await env.flashArbitrage.getAddress(),
+            UNISWAP_V3_ROUTER: uniswapRouter,
+            UNISWAP_V3_FACTORY: uniswapRouter, // The mock router answers getPool too
+            UNISWAP_V3_QUOTER: await env.uniswapQuoter.getAddress(),
+            SUSHISWAP_ROUTER: await env.sushiRouter.getAddress(),
+            MULTICALL3: await env.multicall.getAddress()
+        };
+    });
+
+    after(async function () {
+        if (provider) {
+            provider.destroy();
+        }
+        if (relay) {
+            await relay.close();
+        }
+        if (bridge) {
+            await bridge.close();
+        }
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    beforeEach(async function () {
+        // 2000 DAI/WETH on Uniswap, WETH sells for 2100 DAI on SushiSwap
+        await env.uniswapRouter.setRate(dai, weth, UNISWAP_FEE, rate("0.0005"));
+        await env.uniswapRouter.setRate(weth, dai, UNISWAP_FEE, rate("1994"));
+        await env.sushiRouter.setRate(dai, weth, rate("0.000474"));
+        await env.sushiRouter.setRate(weth, dai, rate("2100"));
+
+        bot = createBot();
+        startedAt = Date.now();
+    });
+
+    it("trades a cross-venue spread and books the profit", async function () {
+        const ownerBefore = await env.dai.balanceOf(env.owner.address);
+        const contractWethBefore = await env.weth.balanceOf(contracts.FLASH_ARBITRAGE);
+
+        await bot.executeTradingCycle();
+
+        const [accepted] = journalEntries("opportunity").filter(entry => entry.status === "accepted");
+        expect(accepted).to.include({ pair: "DAI/WETH", borrow: "DAI", buyFromDex: "uniswap", sellToDex: "sushiswap" });
+
+        // Fixed rates make profit grow with size, so the search takes the top of the range
+        const amount = BigInt(accepted.amount);
+        expect(amount).to.equal(ethers.parseUnits("1000", 18));
+
+        const wethOut = amount * rate("0.0005") / 10n ** 18n;
+        const daiBack = wethOut * rate("2100") / 10n ** 18n;
+        const expectedProfit = daiBack - amount - amount * 9n / 10000n;
+        expect(await env.dai.balanceOf(env.owner.address) - ownerBefore).to.equal(expectedProfit);
+
+        const [simulation] = journalEntries("simulation");
+        expect(simulation.success).to.equal(true);
+        const flashLoanTxs = journalEntries("tx").filter(entry => entry.kind === "flashLoan");
+        expect(flashLoanTxs.map(entry => entry.status)).to.deep.equal(["submitted", "success"]);
+        const [event] = journalEntries("event");
+        expect(event.name).to.equal("ArbitrageProfit");
+        expect(event.args.profit).to.equal(expectedProfit.toString());
+
+        expect(bot.profitHistory).to.have.length(1);
+        expect(bot.metrics.get("trades_total", { status: "succeeded" })).to.equal(1);
+        expect(bot.metrics.get("profit_total", { token: "DAI" })).to.equal(parseFloat(ethers.formatUnits(expectedProfit, 18)));
+        // The second hop sold every WETH the first one bought
+        expect(await env.weth.balanceOf(contracts.FLASH_ARBITRAGE)).to.equal(contractWethBefore);
+    });
+
+    it("trades a spread narrower than the slippage allowance at its quoted profit", async function () {
+        // 1.5% apart, less than the default 2% MAX_SLIPPAGE
+        await env.sushiRouter.setRate(weth, dai, rate("2030"));
+        const ownerBefore = await env.dai.balanceOf(env.owner.address);
+        const contractWethBefore = await env.weth.balanceOf(contracts.FLASH_ARBITRAGE);
+        const opportunities = [];
+        bot.on("opportunity", opportunity => opportunities.push(opportunity));
+
+        await bot.executeTradingCycle();
+
+        const [opportunity] = opportunities;
+        const wethOut = opportunity.amount * rate("0.0005") / 10n ** 18n;
+        const expectedProfit = wethOut * rate("2030") / 10n ** 18n - opportunity.amount - opportunity.amount * 9n / 10000n;
+        expect(opportunity.estimatedProfit).to.equal(expectedProfit - opportunity.gasCost);
+        expect(await env.dai.balanceOf(env.owner.address) - ownerBefore).to.equal(expectedProfit);
+        expect(await env.weth.balanceOf(contracts.FLASH_ARBITRAGE)).to.equal(contractWethBefore);
+    });
+
+    it("paper trades the spread in dry-run mode without signing or sending anything", async function () {
+        const drySigner = new ethers.Wallet(OWNER_KEY, provider);
+        const signing = [];
+        for (const method of ["signTransaction", "sendTransaction", "signMessage", "signTypedData"]) {
+            drySigner[method] = async () => {
+                signing.push(method);
+                throw new Error(`${method} in dry-run mode`);
+            };
+        }
+        const notes = [];
+        bot = createBot({ DRY_RUN: true }, { signer: drySigner, notifier: message => notes.push(message) });
+        const ownerBefore = await env.dai.balanceOf(env.owner.address);
+        const nonceBefore = await ethers.provider.getTransactionCount(env.owner.address);
+        const trades = [];
+        bot.on("paperTrade", trade => trades.push(trade));
+
+        await bot.executeTradingCycle();
+
+        const [trade] = trades;
+        const wethOut = trade.amount * rate("0.0005") / 10n ** 18n;
+        const expectedProfit = wethOut * rate("2100") / 10n ** 18n - trade.amount - trade.amount * 9n / 10000n;
+        expect(trade).to.include({ pair: "DAI/WETH", symbol: "DAI", route: "uniswap → sushiswap", simulated: true, failureReason: null });
+        // The fill books the simulated profit net of the gas it would have paid
+        const [simulation] = journalEntries("simulation");
+        expect(trade.pnl > 0n && trade.pnl < expectedProfit).to.equal(true);
+        expect(BigInt(simulation.gasEstimate)).to.equal(trade.gasEstimate);
+        const [entry] = journalEntries("paper_trade");
+        expect(entry).to.include({ pair: "DAI/WETH", simulated: true, pnl: trade.pnl.toString() });
+        // Each fill is journalled; Telegram waits for the periodic summary
+        expect(notes.some(note => note.startsWith("📒"))).to.equal(false);
+
+        expect(signing).to.deep.equal([]);
+        expect(journalEntries("tx")).to.have.length(0);
+        expect(await ethers.provider.getTransactionCount(env.owner.address)).to.equal(nonceBefore);
+        expect(await env.dai.balanceOf(env.owner.address)).to.equal(ownerBefore);
+        expect(bot.paperLedger.summarize().byToken.DAI).to.deep.include({ trades: 1, simulatedOk: 1, pnl: trade.pnl });
+    });
+
+    it("sends the trade as a private bundle through a relay", async function () {
+        bot = createBot({ SUBMISSION: "relay", RELAY_URL: relay.url });
+        relay.bundles.length = 0;
+        const ownerBefore = await env.dai.balanceOf(env.owner.address);
+
+        await bot.executeTradingCycle();
+
+        const flashLoanTxs = journalEntries("tx").filter(entry => entry.kind === "flashLoan");
+        expect(flashLoanTxs.map(entry => entry.status)).to.deep.equal(["bundle_submitted", "bundle_submitted", "submitted", "success"]);
+        expect(flashLoanTxs[2].submission).to.equal("relay");
+        expect(ethers.keccak256(relay.bundles[0].txs[0])).to.equal(flashLoanTxs[2].hash);
+        expect(await env.dai.balanceOf(env.owner.address) > ownerBefore).to.equal(true);
+        expect(bot.metrics.get("trades_total", { status: "succeeded" })).to.equal(1);
+    });
+
+    it("compares every configured venue and trades the best pair of them", async function () {
+        const uniswapRouter = await env.uniswapRouter.getAddress();
+        const venues = createVenues(resolveVenues({
+            venues: [
+                { name: "uniswap", type: "uniswapV3", router: uniswapRouter, factory: uniswapRouter, quoter: contracts.UNISWAP_V3_QUOTER },
+                { name: "sushiswap", type: "uniswapV2", router: contracts.SUSHISWAP_ROUTER },
+                { name: "forkswap", type: "uniswapV2", router: await env.forkRouter.getAddress(), feeBps: 25 },
+                { name: "curve", type: "curveStable", pool: await env.curvePool.getAddress(), coins: ["DAI", "WETH"] },
+                { name: "balancer", type: "balancerV2", vault: await env.balancerVault.getAddress(), pools: [{ id: BALANCER_POOL_ID, tokens: ["DAI", "WETH"], feeBps: 10 }] }
+            ]
+        }, { name: "hardhat" }, registry.tokens), { runner: provider });
+        bot = createBot({}, { venues });
+
+        // Curve sells WETH cheapest and Balancer buys it back dearest; the fork is in between
+        await env.forkRouter.setRate(dai, weth, rate("0.00049"));
+        await env.forkRouter.setRate(weth, dai, rate("2050"));
+        await env.curvePool.setRate(0, 1, rate("0.00052"));
+        await env.curvePool.setRate(1, 0, rate("1900"));
+        await env.balancerVault.setRate(BALANCER_POOL_ID, dai, weth, rate("0.000465"));
+        await env.balancerVault.setRate(BALANCER_POOL_ID, weth, dai, rate("2150"));
+        const opportunities = [];
+        bot.on("opportunity", opportunity => opportunities.push(opportunity));
+        const ownerBefore = await env.dai.balanceOf(env.owner.address);
+
+        await bot.executeTradingCycle();
+
+        const [opportunity] = opportunities;
+        expect(opportunity.route).to.equal("curve → balancer");
+        expect(opportunity.hops.map(hop => hop.feeBps)).to.deep.equal([4, 10]);
+        const wethOut = opportunity.amount * rate("0.00052") / 10n ** 18n;
+        const daiBack = wethOut * rate("2150") / 10n ** 18n;
+        const expectedProfit = daiBack - opportunity.amount - opportunity.amount * 9n / 10000n;
+        expect(await env.dai.balanceOf(env.owner.address) - ownerBefore).to.equal(expectedProfit);
+
+        // Swap-triggered scanning watches every venue's pools for the pair
+        const watched = await bot.getWatchedPools();
+        expect(watched).to.include.members([
+            uniswapRouter,
+            contracts.SUSHISWAP_ROUTER,
+            await env.forkRouter.getAddress(),
+            await env.curvePool.getAddress(),
+            await env.balancerVault.getAddress()
+        ]);
+    });
+
+    it("trades a three-token cycle when no pair has a spread of its own", async function () {
+        // Deployed from the other account, as the bot's transactions own the owner's nonces
+        const usdcToken = await ethers.deployContract("MockERC20", ["USD Coin", "USDC", 18], env.other);
+        const usdc = await usdcToken.getAddress();
+        for (const holder of [env.uniswapRouter, env.sushiRouter]) {
+            await usdcToken.mint(await holder.getAddress(), ethers.parseUnits("1000000", 18));
+        }
+
+        // DAI and WETH agree on both venues, but WETH buys 2100 USDC on SushiSwap
+        // and USDC swaps 1:1 back into DAI on Uniswap
+        await env.sushiRouter.setRate(dai, weth, rate("0.0005"));
+        await env.sushiRouter.setRate(weth, dai, rate("2000"));
+        await env.uniswapRouter.setRate(weth, dai, UNISWAP_FEE, rate("2000"));
+        await env.sushiRouter.setRate(weth, usdc, rate("2100"));
+        await env.uniswapRouter.setRate(usdc, dai, UNISWAP_FEE, rate("1"));
+
+        // Only DAI is borrowed; the WETH side of WETH/USDC is there for the
+        // registry's sake and never clears its minimum profit
+        const cycleConfig = path.join(tmpDir, "cycle-pairs.json");
+        fs.writeFileSync(cycleConfig, JSON.stringify({
+            tokens: {
+                DAI: { address: dai, decimals: 18 },
+                WETH: { address: weth, decimals: 18 },
+                USDC: { address: usdc, decimals: 18 }
+            },
+            pairs: [
+                { tokenA: "DAI", tokenB: "WETH", tradeSize: { DAI: { min: "10", max: "1000" } }, minProfit: { DAI: "1" } },
+                { tokenA: "WETH", tokenB: "USDC", tradeSize: { WETH: "0.01" }, minProfit: { WETH: "1" } },
+                { tokenA: "USDC", tokenB: "DAI", tradeSize: { DAI: { min: "10", max: "1000" } }, minProfit: { DAI: "1" } }
+            ]
+        }));
+        bot = createBot({}, { registry: loadPairRegistry(cycleConfig) });
+        const opportunities = [];
+        bot.on("opportunity", opportunity => opportunities.push(opportunity));
+        const ownerBefore = await env.dai.balanceOf(env.owner.address);
+        const contractBefore = [await env.weth.balanceOf(contracts.FLASH_ARBITRAGE), await usdcToken.balanceOf(contracts.FLASH_ARBITRAGE)];
+
+        await bot.executeTradingCycle();
+
+        const [opportunity] = opportunities;
+        expect(opportunity.pair).to.equal("DAI→WETH→USDC→DAI");
+        expect(opportunity.hops.map(hop => hop.dex).slice(1)).to.deep.equal(["sushiswap", "uniswap"]);
+        const wethOut = opportunity.amount * rate("0.0005") / 10n ** 18n;
+        const daiBack = wethOut * rate("2100") / 10n ** 18n;
+        const expectedProfit = daiBack - opportunity.amount - opportunity.amount * 9n / 10000n;
+        expect(await env.dai.balanceOf(env.owner.address) - ownerBefore).to.equal(expectedProfit);
+        expect(journalEntries("tx").filter(entry => entry.kind === "flashLoan").map(entry => entry.status)).to.deep.equal(["submitted", "success"]);
+
+        // Every intermediate token was sold on
+        expect([await env.weth.balanceOf(contracts.FLASH_ARBITRAGE), await usdcToken.balanceOf(contracts.FLASH_ARBITRAGE)]).to.deep.equal(contractBefore);
+    });
+
+    it("does nothing when the venues agree", async function () {
+        await env.sushiRouter.setRate(weth, dai, rate("2000"));
+        await env.sushiRouter.setRate(dai, weth, rate("0.0005"));
+        const ownerBefore = await env.dai.balanceOf(env.owner.address);
+
+        await bot.executeTradingCycle();
+
+        const [rejected] = journalEntries("opportunity");
+        expect(rejected).to.include({ status: "rejected", reason: "below_min_price_difference" });
+        expect(journalEntries("tx")).to.have.length(0);
+        expect(await env.dai.balanceOf(env.owner.address)).to.equal(ownerBefore);
+    });
+
+    it("aborts without sending when the simulation reverts", async function () {
+        // The quote promises more WETH than the mock Uniswap holds, so the swap fails on-chain
+        await env.uniswapRouter.setRate(dai, weth, UNISWAP_FEE, rate("2000"));
+        const nonceBefore = await ethers.provider.getTransactionCount(env.owner.address);
+
+        await bot.executeTradingCycle();
+
+        const [simulation] = journalEntries("simulation");
+        expect(simulation.success).to.equal(false);
+        expect(simulation.reason).to.contain("Swap failed");
+        expect(journalEntries("tx")).to.have.length(0);
+        expect(await ethers.provider.getTransactionCount(env.owner.address)).to.equal(nonceBefore);
+        expect(bot.metrics.get("trades_total", { status: "sent" })).to.equal(undefined);
+    });
+
+    it("tops up, sweeps and forwards DAI under the treasury policy", async function () {
+        const contractAddress = contracts.FLASH_ARBITRAGE;
+        const limits = { min: "5", target: "10", sweepAbove: "50" };
+        bot = createBot({}, { treasuryPolicy: resolveTreasuryPolicy({ tokens: { DAI: limits } }, registry.tokens) });
+        // Minted from the other account, as the bot's transactions own the owner's nonces
+        const minter = env.dai.connect(env.other);
+        await minter.mint(env.owner.address, ethers.parseUnits("20", 18));
+        const contractBefore = await env.dai.balanceOf(contractAddress);
+        expect(contractBefore).to.be.below(ethers.parseUnits("5", 18));
+
+        await bot.runTreasury();
+        expect(await env.dai.balanceOf(contractAddress)).to.equal(ethers.parseUnits("10", 18));
+
+        // Profit left in the contract is swept back down to the target
+        await minter.mint(contractAddress, ethers.parseUnits("100", 18));
+        const ownerBefore = await env.dai.balanceOf(env.owner.address);
+        await bot.runTreasury();
+        expect(await env.dai.balanceOf(contractAddress)).to.equal(ethers.parseUnits("10", 18));
+        expect(await env.dai.balanceOf(env.owner.address) - ownerBefore).to.equal(ethers.parseUnits("100", 18));
+
+        // With a treasury, the wallet keeps the target and forwards the rest
+        bot.treasuryPolicy = resolveTreasuryPolicy({ treasury: env.other.address, tokens: { DAI: limits } }, registry.tokens);
+        const treasuryBefore = await env.dai.balanceOf(env.other.address);
+        const walletBalance = await env.dai.balanceOf(env.owner.address);
+        await bot.runTreasury();
+        expect(await env.dai.balanceOf(env.owner.address)).to.equal(ethers.parseUnits("10", 18));
+        expect(await env.dai.balanceOf(env.other.address) - treasuryBefore).to.equal(walletBalance - ethers.parseUnits("10", 18));
+
+        const actions = journalEntries("treasury").map(entry => `${entry.action}:${entry.to}`);
+        expect(actions).to.deep.equal([`topup:${contractAddress}`, `sweep:${env.owner.address}`, `sweep:${env.other.address}`]);
+        // One unlimited approval covers every later top-up
+        const approvals = journalEntries("tx").filter(entry => entry.kind === "approve" && entry.status === "success");
+        expect(approvals).to.have.length(1);
+        expect(bot.metrics.get("treasury_actions_total", { action: "sweep", token: "DAI" })).to.equal(2);
+    });
+
+    it("starts with a warning when a token can't be topped up and funds the rest", async function () {
+        const contractAddress = contracts.FLASH_ARBITRAGE;
+        const daiBefore = await env.dai.balanceOf(contractAddress);
+        const daiTarget = daiBefore + ethers.parseUnits("10", 18);
+        const wethWanted = (await env.weth.balanceOf(env.owner.address)) + ethers.parseUnits("1", 18);
+        const notes = [];
+        bot = createBot({}, {
+            notifier: message => notes.push(message),
+            // WETH comes first, so its failure can't stop the DAI top-up
+            treasuryPolicy: resolveTreasuryPolicy({
+                tokens: {
+                    WETH: { min: ethers.formatEther(wethWanted), target: ethers.formatEther(wethWanted), sweepAbove: ethers.formatEther(wethWanted * 2n) },
+                    DAI: { min: ethers.formatEther(daiBefore + 1n), target: ethers.formatEther(daiTarget), sweepAbove: ethers.formatEther(daiTarget * 2n) }
+                }
+            }, registry.tokens)
+        });
+        await env.dai.connect(env.other).mint(env.owner.address, ethers.parseUnits("10", 18));
+
+        // The balance is read before the top-up pays for gas
+        const ethBefore = await ethers.provider.getBalance(env.owner.address);
+        expect(await bot.runTreasury({ startup: true })).to.equal(ethBefore);
+        expect(notes).to.include("⚠️ Treasury run for WETH failed: Insufficient WETH in wallet for contract funding");
+        expect(await env.dai.balanceOf(contractAddress)).to.equal(daiTarget);
+    });
+});
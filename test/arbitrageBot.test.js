@@ -0,0 +1,375 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { DEFAULT_CONFIG, ProductionArbitrageBot } = require("../scripts/lib/arbitrageBot");
+const { DEX_INTERFACES } = require("../scripts/lib/dex");
+
+const DAI = { symbol: "DAI", address: "0x00000000000000000000000000000000000000d1", decimals: 18 };
+const WETH = { symbol: "WETH", address: "0x00000000000000000000000000000000000000e1", decimals: 18 };
+
+// Nothing in these tests reaches the chain, so any addresses will do
+const CONTRACTS = {
+    AAVE_POOL: "0x0000000000000000000000000000000000000a01",
+    FLASH_ARBITRAGE: "0x0000000000000000000000000000000000000a02",
+    UNISWAP_V3_ROUTER: "0x0000000000000000000000000000000000000a03",
+    UNISWAP_V3_QUOTER: "0x0000000000000000000000000000000000000a04",
+    UNISWAP_V3_FACTORY: "0x0000000000000000000000000000000000000a05",
+    SUSHISWAP_ROUTER: "0x0000000000000000000000000000000000000a06"
+};
+
+// Keeps journal records in memory instead of writing JSONL files
+class MemoryJournal {
+    constructor() {
+        this.entries = [];
+    }
+
+    record(type, data) {
+        this.entries.push({ type, ...data });
+    }
+}
+
+describe("ProductionArbitrageBot", function () {
+    let bot;
+    let journal;
+    let messages;
+
+    const dai = value => ethers.parseUnits(String(value), 18);
+    const quote = (source, amount, fee) => ({ source, amount, fee });
+
+    // Borrow 1000 DAI, buy WETH at the better venue, sell it back at `sellBack`
+    function analyze({ buyOut, altOut, sellBack, gasCost = 0n, minProfit = dai(1) }) {
+        const direction = {
+            pair: "DAI/WETH",
+            borrowToken: DAI,
+            swapToken: WETH,
+            amount: dai(1000),
+            minProfit,
+            gasCost
+        };
+        const spread = bot.compareQuotes(quote("uniswap", buyOut, 3000), quote("sushiswap", altOut));
+        return bot.analyzeOpportunity(direction, spread, quote("sushiswap", sellBack));
+    }
+
+    beforeEach(function () {
+        journal = new MemoryJournal();
+        messages = [];
+        bot = new ProductionArbitrageBot({
+            signer: ethers.Wallet.createRandom(),
+            contracts: CONTRACTS,
+            registry: { tokens: { DAI, WETH }, pairs: [] },
+            notifier: msg => messages.push(msg),
+            journal
+        });
+    });
+
+    describe("construction", function () {
+        it("requires a signer, contract addresses and a registry", function () {
+            expect(() => new ProductionArbitrageBot({ contracts: CONTRACTS, registry: { tokens: {} } })).to.throw(/signer/);
+        });
+
+        it("keeps no journal on disk unless given one", function () {
+            const unjournalled = new ProductionArbitrageBot({
+                signer: ethers.Wallet.createRandom(),
+                contracts: CONTRACTS,
+                registry: { tokens: { DAI }, pairs: [] }
+            });
+            expect(unjournalled.journal.directory).to.equal(null);
+            expect(unjournalled.journal.record("opportunity", { status: "accepted" })).to.include({ type: "opportunity" });
+            expect(unjournalled.journal.query()).to.deep.equal([]);
+            expect(unjournalled.journal.summarizeOpportunities().total).to.equal(0);
+        });
+
+        it("merges config overrides onto the defaults per instance", function () {
+            const other = new ProductionArbitrageBot({
+                signer: ethers.Wallet.createRandom(),
+                contracts: CONTRACTS,
+                registry: { tokens: { DAI }, pairs: [] },
+                config: { MIN_PRICE_DIFFERENCE: 10 },
+                journal
+            });
+            expect(other.config.MIN_PRICE_DIFFERENCE).to.equal(10);
+            expect(bot.config.MIN_PRICE_DIFFERENCE).to.equal(DEFAULT_CONFIG.MIN_PRICE_DIFFERENCE);
+            expect(other.config.MAX_SLIPPAGE).to.equal(DEFAULT_CONFIG.MAX_SLIPPAGE);
+        });
+
+        it("derives token addresses from the registry", function () {
+            expect(bot.addresses.TOKENS).to.deep.equal({ DAI: DAI.address, WETH: WETH.address });
+        });
+    });
+
+    describe("analyzeOpportunity", function () {
+        it("accepts a spread that clears fees, gas and the minimum profit", function () {
+            const opportunity = analyze({
+                buyOut: dai("0.5"),
+                altOut: dai("0.49"),
+                sellBack: dai(1020),
+                gasCost: dai(2)
+            });
+
+            // 20 DAI gross, less the 0.9 DAI premium and 2 DAI of gas
+            expect(opportunity).to.include({
+                pair: "DAI/WETH",
+                symbolA: "DAI",
+                buyFromDex: "uniswap",
+                sellToDex: "sushiswap",
+                buyFeeTier: 3000,
+                route: "uniswap → sushiswap"
+            });
+            expect(opportunity.grossProfit).to.equal(dai(20));
+            expect(opportunity.flashLoanFee).to.equal(dai("0.9"));
+            expect(opportunity.estimatedProfit).to.equal(dai("17.1"));
+            expect(opportunity.profitBps).to.equal(171);
+            expect(opportunity.priceDifference).to.equal(2);
+            expect(opportunity.hops).to.have.length(2);
+            expect(opportunity.gasEstimate).to.equal(DEFAULT_CONFIG.ARBITRAGE_GAS_UNITS);
+            expect(journal.entries).to.deep.include({ type: "opportunity", status: "accepted", pair: "DAI/WETH", borrow: "DAI", amount: dai(1000), buyFromDex: "uniswap", sellToDex: "sushiswap", route: "uniswap → sushiswap", buyPrice: dai("0.5"), sellPrice: dai(1020), grossProfit: dai(20), flashLoanFee: dai("0.9"), gasCost: dai(2), netProfit: dai("17.1"), priceDifference: 2 });
+        });
+
+        it("labels and sizes a 6-decimal borrow in its own units", function () {
+            const USDC = { symbol: "USDC", address: "0x0000000000000000000000000000000000000dc1", decimals: 6 };
+            const usdc = value => ethers.parseUnits(String(value), 6);
+            const direction = {
+                pair: "USDC/WETH",
+                borrowToken: USDC,
+                swapToken: WETH,
+                amount: usdc(1000),
+                minProfit: usdc(1),
+                gasCost: usdc(2)
+            };
+            const spread = bot.compareQuotes(quote("uniswap", dai("0.5"), 500), quote("sushiswap", dai("0.49")));
+            const opportunity = bot.analyzeOpportunity(direction, spread, quote("sushiswap", usdc(1020)));
+
+            expect(opportunity).to.include({ pair: "USDC/WETH", symbolA: "USDC", symbolB: "WETH", decimalsA: 6, decimalsB: 18, profitBps: 171 });
+            expect(opportunity.flashLoanFee).to.equal(usdc("0.9"));
+            expect(opportunity.estimatedProfit).to.equal(usdc("17.1"));
+            expect(journal.entries[0]).to.include({ status: "accepted", borrow: "USDC", netProfit: usdc("17.1") });
+        });
+
+        it("rejects venues that are closer than MIN_PRICE_DIFFERENCE", function () {
+            const opportunity = analyze({ buyOut: dai("0.5"), altOut: dai("0.499"), sellBack: dai(1020) });
+
+            expect(opportunity).to.equal(null);
+            expect(journal.entries[0]).to.include({ status: "rejected", reason: "below_min_price_difference", priceDifference: 0.2 });
+            expect(bot.metrics.get("opportunities_total", { status: "rejected", reason: "below_min_price_difference" })).to.equal(1);
+        });
+
+        it("rejects a spread that the premium and gas eat", function () {
+            const opportunity = analyze({
+                buyOut: dai("0.5"),
+                altOut: dai("0.49"),
+                sellBack: dai(1003),
+                gasCost: dai(2)
+            });
+
+            expect(opportunity).to.equal(null);
+            expect(journal.entries[0]).to.include({ status: "rejected", reason: "below_min_profit" });
+            expect(journal.entries[0].netProfit).to.equal(dai("0.1"));
+        });
+
+        it("also holds trades to MIN_PROFIT_BPS of the borrow", function () {
+            // 17.1 DAI net on 1000 DAI is 171 bps
+            bot.config.MIN_PROFIT_BPS = 200;
+            expect(analyze({ buyOut: dai("0.5"), altOut: dai("0.49"), sellBack: dai(1020), gasCost: dai(2) })).to.equal(null);
+            expect(journal.entries[0]).to.include({ status: "rejected", reason: "below_min_profit" });
+
+            // The pair's own minimum still applies under a lower floor
+            bot.config.MIN_PROFIT_BPS = 100;
+            expect(analyze({ buyOut: dai("0.5"), altOut: dai("0.49"), sellBack: dai(1020), gasCost: dai(2), minProfit: dai(20) })).to.equal(null);
+            expect(analyze({ buyOut: dai("0.5"), altOut: dai("0.49"), sellBack: dai(1020), gasCost: dai(2) }).profitBps).to.equal(171);
+        });
+
+        it("emits 'opportunity' for accepted trades only", function () {
+            const seen = [];
+            bot.on("opportunity", opportunity => seen.push(opportunity));
+
+            analyze({ buyOut: dai("0.5"), altOut: dai("0.499"), sellBack: dai(1020) });
+            const accepted = analyze({ buyOut: dai("0.5"), altOut: dai("0.49"), sellBack: dai(1020) });
+
+            expect(seen).to.deep.equal([accepted]);
+        });
+    });
+
+    describe("fee tiers", function () {
+        it("takes the best-paying Uniswap tier and swaps through that pool", async function () {
+            // Uniswap has no 0.01% pool here; the 0.3% pool pays the most WETH
+            const buyOut = { 500: dai("0.49"), 3000: dai("0.5"), 10000: dai("0.45") };
+            const multicall = {
+                call: async (contract, method, args) => {
+                    if (method === "getPool") {
+                        return [args[2] === 100 ? ethers.ZeroAddress : CONTRACTS.AAVE_POOL];
+                    }
+                    if (method === "quoteExactInputSingle") {
+                        return [buyOut[args[2]]];
+                    }
+                    return [[args[0], dai("0.48")]]; // Sushiswap's getAmountsOut
+                }
+            };
+
+            const best = await bot.getBestPrice(DAI.address, WETH.address, dai(1000), { remaining: 20, multicall });
+            expect(best).to.deep.equal({ amount: dai("0.5"), source: "uniswap", fee: 3000 });
+
+            const spread = bot.compareQuotes(best, quote("sushiswap", dai("0.48")));
+            const opportunity = bot.analyzeOpportunity({
+                pair: "DAI/WETH",
+                borrowToken: DAI,
+                swapToken: WETH,
+                amount: dai(1000),
+                minProfit: dai(1),
+                gasCost: 0n
+            }, spread, quote("sushiswap", dai(1020)));
+            expect(opportunity.hops[0]).to.include({ dex: "uniswap", feeTier: 3000, feeBps: 30 });
+
+            const [, targets, data] = ethers.AbiCoder.defaultAbiCoder().decode(["uint256", "address[]", "bytes[]"], bot.encodeArbitrageParams(opportunity));
+            const [params] = DEX_INTERFACES.uniswapV3Router.decodeFunctionData("exactInputSingle", data[targets.indexOf(ethers.getAddress(CONTRACTS.UNISWAP_V3_ROUTER))]);
+            expect(params.fee).to.equal(3000n);
+        });
+    });
+
+    describe("scanForArbitrageOpportunities", function () {
+        it("scans every sized direction of every pair and ranks by return on the borrow", async function () {
+            const USDC = { symbol: "USDC", address: "0x0000000000000000000000000000000000000dc1", decimals: 6 };
+            const sized = (min, max, minProfit) => ({ tradeSize: { min, max }, minProfit });
+            const daiSide = sized(dai(10), dai(1000), dai(1));
+            const usdcSide = sized(10n ** 7n, 10n ** 9n, 10n ** 6n);
+            bot.registry = {
+                tokens: { DAI, WETH, USDC },
+                pairs: [
+                    { name: "DAI/WETH", tokenA: DAI, tokenB: WETH, tradeSize: { DAI: daiSide.tradeSize, WETH: daiSide.tradeSize }, minProfit: { DAI: daiSide.minProfit, WETH: daiSide.minProfit } },
+                    { name: "USDC/WETH", tokenA: USDC, tokenB: WETH, tradeSize: { USDC: usdcSide.tradeSize }, minProfit: { USDC: usdcSide.minProfit } }
+                ]
+            };
+
+            // Profit in each borrowed token; bps makes a USDC and a DAI borrow comparable
+            const found = {
+                "DAI/WETH:DAI": { estimatedProfit: dai(5), profitBps: 50 },
+                "DAI/WETH:WETH": null,
+                "USDC/WETH:USDC": { estimatedProfit: 9n * 10n ** 6n, profitBps: 90 }
+            };
+            const scanned = [];
+            bot.scanDirection = async (direction, gasCostWei, budget) => {
+                const key = `${direction.pair}:${direction.borrowToken.symbol}`;
+                scanned.push({ key, gasCostWei, remaining: budget.remaining });
+                return found[key] && { pair: direction.pair, ...found[key] };
+            };
+
+            const opportunities = await bot.scanForArbitrageOpportunities(2n, () => false, 100, {});
+
+            expect(opportunities.map(opportunity => `${opportunity.pair}:${opportunity.profitBps}`)).to.deep.equal(["USDC/WETH:90", "DAI/WETH:50"]);
+            expect(scanned.map(scan => scan.key).sort()).to.deep.equal(Object.keys(found).sort());
+            // Gas for a two-hop trade at the given price, with the budget shared out per hop
+            const callsPerHop = Math.floor(bot.config.MAX_RPC_CALLS_PER_SCAN / 6);
+            expect(scanned.every(scan => scan.gasCostWei === bot.estimateGasUnits(2) * 2n && scan.remaining === callsPerHop * 2)).to.equal(true);
+        });
+    });
+
+    describe("risk limits", function () {
+        it("pauses trading on a trip and resumes only when the operator clears it", function () {
+            const trips = [];
+            bot.on("riskTripped", trip => trips.push(trip));
+            bot.isRunning = true;
+
+            bot.haltOnTrip(bot.risk.trip("consecutive_failures", { failures: 3 }));
+
+            expect(bot.isPaused).to.equal(true);
+            expect(bot.isRunning).to.equal(false);
+            expect(trips.map(trip => trip.reason)).to.deep.equal(["consecutive_failures"]);
+            expect(bot.getStatus().riskHalt).to.equal("consecutive_failures");
+            expect(bot.metrics.get("risk_trips_total", { reason: "consecutive_failures" })).to.equal(1);
+            expect(journal.entries).to.deep.include({ type: "risk", status: "tripped", reason: "consecutive_failures", failures: 3 });
+            expect(messages.some(msg => msg.includes("Risk limit tripped: consecutive_failures"))).to.equal(true);
+
+            let started = 0;
+            bot.start = async () => {
+                started += 1;
+            };
+            expect(bot.resume()).to.equal(true);
+            expect(bot.risk.tripped).to.equal(null);
+            expect(started).to.equal(1);
+        });
+
+        it("values the borrow through its quotes when gas costs nothing", async function () {
+            const USDC = { symbol: "USDC", address: "0x00000000000000000000000000000000000000c1", decimals: 18 };
+            // DAI trades at 2000 per WETH
+            bot.getBestPrice = async (tokenIn, tokenOut, amountIn) => (
+                tokenIn === DAI.address && tokenOut === WETH.address ? { amount: amountIn / 2000n, source: "uniswap" } : null
+            );
+            const eth = value => ethers.parseEther(String(value));
+            const viaUsdc = { borrowToken: DAI, swapToken: USDC };
+
+            const notionalWei = await bot.getNotionalWei(viaUsdc, dai(100000), null, 0n, 0n, null);
+            expect(notionalWei).to.equal(eth(50));
+            expect(bot.risk.check({ symbolA: "DAI", amount: dai(100000), gasCost: 0n, gasCostWei: 0n, notionalWei })).to.deep.equal({ allowed: true });
+            const tooLarge = await bot.getNotionalWei(viaUsdc, dai(100002), null, 0n, 0n, null);
+            expect(bot.risk.check({ symbolA: "DAI", amount: dai(100002), gasCost: 0n, gasCostWei: 0n, notionalWei: tooLarge }).reason)
+                .to.equal("max_trade_notional");
+
+            // A first leg buying WETH already says what the borrow is worth, and priced gas gives the rate for free
+            expect(await bot.getNotionalWei({ borrowToken: DAI, swapToken: WETH }, dai(1000), { amount: eth("0.49") }, 0n, 0n, null)).to.equal(eth("0.49"));
+            expect(await bot.getNotionalWei(viaUsdc, dai(1000), null, dai(20), eth("0.01"), null)).to.equal(eth("0.5"));
+            expect(await bot.getNotionalWei({ borrowToken: WETH, swapToken: DAI }, eth(3), null, 0n, 0n, null)).to.equal(eth(3));
+        });
+
+        it("stays paused on /resume while the kill switch is engaged", function () {
+            bot.config.KILL_SWITCH = true;
+            bot.isRunning = true;
+            const verdict = bot.risk.check({ amount: 1n, gasCost: 1n, gasCostWei: 1n });
+            bot.haltOnTrip(bot.risk.tripped);
+
+            expect(verdict).to.include({ reason: "kill_switch", tripped: true });
+            expect(() => bot.resume()).to.throw(/Kill switch still engaged/);
+            expect(bot.isPaused).to.equal(true);
+        });
+    });
+
+    describe("runCycle", function () {
+        it("emits 'cycleError' and notifies when a cycle throws", async function () {
+            const errors = [];
+            bot.on("cycleError", error => errors.push(error));
+            bot.executeTradingCycle = async () => {
+                throw new Error("node unreachable");
+            };
+
+            await bot.runCycle();
+
+            expect(errors.map(error => error.message)).to.deep.equal(["node unreachable"]);
+            expect(messages.some(msg => msg.includes("node unreachable"))).to.equal(true);
+        });
+
+        it("notifies a repeating cycle error once until cycles recover", async function () {
+            let failing = true;
+            bot.lastTreasuryRun = Date.now();
+            bot.executeTradingCycle = async () => {
+                if (failing) {
+                    throw new Error("429 Too Many Requests");
+                }
+            };
+
+            await bot.runCycle();
+            await bot.runCycle();
+            failing = false;
+            await bot.runCycle();
+
+            expect(messages.filter(msg => msg.includes("429"))).to.have.length(1);
+            expect(messages[messages.length - 1]).to.equal("✅ Trading cycles recovered");
+        });
+
+        it("doesn't count a cycle without fee data as a healthy one", async function () {
+            bot.lastTreasuryRun = Date.now();
+            bot.lastCycleAt = 1000;
+            bot.lastCycleError = "⚠️ Trading cycle error: 429 Too Many Requests";
+            bot.getFeeSnapshot = async () => null;
+            const reported = bot.metrics.get("last_cycle_timestamp_seconds");
+            const log = console.log;
+            console.log = () => {};
+            try {
+                await bot.runCycle();
+            } finally {
+                console.log = log;
+            }
+
+            expect(bot.lastCycleAt).to.equal(1000);
+            expect(bot.metrics.get("last_cycle_timestamp_seconds")).to.equal(reported);
+            expect(messages).to.not.include("✅ Trading cycles recovered");
+            expect(journal.entries).to.deep.include({ type: "scan", status: "skipped", reason: "fee_data_unavailable", blockNumber: null });
+        });
+    });
+});
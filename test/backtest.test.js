@@ -0,0 +1,182 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { curveKey, interpolateQuote, addCurvePoints, QuoteRecorder, loadQuoteDataset } = require("../scripts/lib/quoteData");
+const { runBacktest, summarizeBacktest, runSensitivity, formatBacktestReport } = require("../scripts/lib/backtest");
+
+const DAI = { symbol: "DAI", address: "0x00000000000000000000000000000000000000D1", decimals: 18 };
+const WETH = { symbol: "WETH", address: "0x00000000000000000000000000000000000000e1", decimals: 18 };
+
+describe("Backtesting", function () {
+    const dai = value => ethers.parseUnits(String(value), 18);
+    const gwei = value => ethers.parseUnits(String(value), "gwei");
+
+    // Borrow 1000 DAI only; a fixed size keeps the sizing search out of the numbers
+    const registry = {
+        tokens: { DAI, WETH },
+        pairs: [{
+            name: "DAI/WETH",
+            tokenA: DAI,
+            tokenB: WETH,
+            tradeSize: { DAI: { min: dai(1000), max: dai(1000) } },
+            minProfit: { DAI: dai(1) }
+        }]
+    };
+
+    // Fixed-rate venues: Uniswap sells WETH at 2000 DAI, SushiSwap buys it back at `sushiBid`
+    function block(blockNumber, { sushiBid = 2100 } = {}) {
+        const curves = new Map();
+        const linear = (source, fee, tokenIn, tokenOut, amounts, price) => addCurvePoints(curves,
+            { source, fee, tokenIn: tokenIn.address, tokenOut: tokenOut.address },
+            amounts.map(amount => [amount, amount * dai(price) / dai(1)]));
+        linear("uniswap", 3000, DAI, WETH, [dai(10), dai(2000)], "0.0005");
+        linear("sushiswap", undefined, DAI, WETH, [dai(10), dai(2000)], "0.000474");
+        linear("uniswap", 3000, WETH, DAI, [dai("0.004"), dai(1)], 1994);
+        linear("sushiswap", undefined, WETH, DAI, [dai("0.004"), dai(1)], sushiBid);
+        return { blockNumber, timestamp: null, baseFee: gwei(10), priorityFee: gwei(1), curves };
+    }
+
+    // 350000 gas at 11 gwei, priced through the first leg's 0.5 WETH for 1000 DAI
+    const gasCost = dai("7.7");
+
+    describe("quote data", function () {
+        it("interpolates along a curve from the origin and has nothing past its end", function () {
+            const points = [[100n, 90n], [200n, 170n]];
+            expect(interpolateQuote(points, 50n)).to.equal(45n);
+            expect(interpolateQuote(points, 150n)).to.equal(130n);
+            expect(interpolateQuote(points, 200n)).to.equal(170n);
+            expect(interpolateQuote(points, 201n)).to.equal(null);
+        });
+
+        it("round-trips recorded blocks and reads CSV with token symbols", function () {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), "quotes-"));
+            try {
+                const jsonl = path.join(directory, "quotes.jsonl");
+                const recorded = block(100);
+                new QuoteRecorder(jsonl).record({ ...recorded, curves: recorded.curves });
+                const [loaded] = loadQuoteDataset(jsonl, registry.tokens);
+                expect(loaded.baseFee).to.equal(gwei(10));
+                expect(loaded.curves.get(curveKey("sushiswap", undefined, WETH.address, DAI.address)).points)
+                    .to.deep.equal([[dai("0.004"), dai("8.4")], [dai(1), dai(2100)]]);
+
+                const csv = path.join(directory, "quotes.csv");
+                fs.writeFileSync(csv, [
+                    "blockNumber,timestamp,baseFee,priorityFee,source,fee,tokenIn,tokenOut,amountIn,amountOut",
+                    `101,,${gwei(10)},${gwei(1)},uniswap,500,DAI,WETH,${dai(2000)},${dai(1)}`,
+                    `101,,${gwei(10)},${gwei(1)},uniswap,500,DAI,WETH,${dai(1000)},${dai("0.5")}`,
+                    `100,,${gwei(12)},0,sushiswap,,WETH,${DAI.address},${dai(1)},${dai(2000)}`
+                ].join("\n"));
+                const blocks = loadQuoteDataset(csv, registry.tokens);
+                expect(blocks.map(b => b.blockNumber)).to.deep.equal([100, 101]);
+                expect(blocks[1].curves.get(curveKey("uniswap", 500, DAI.address, WETH.address)).points)
+                    .to.deep.equal([[dai(1000), dai("0.5")], [dai(2000), dai(1)]]);
+                expect(() => loadQuoteDataset(csv, {})).to.throw(/Unknown token "DAI"/);
+            } finally {
+                fs.rmSync(directory, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe("runBacktest", function () {
+        it("finds, sizes and settles trades with the bot's own logic", async function () {
+            const result = await runBacktest({
+                dataset: [block(100), block(101)],
+                registry
+            });
+
+            expect(result).to.include({ blocks: 2, scanned: 1, skipped: 0 });
+            expect(result.trades).to.have.length(1);
+            expect(result.trades[0]).to.include({
+                blockNumber: 100,
+                landedIn: 101,
+                route: "uniswap → sushiswap",
+                amount: dai(1000),
+                status: "success",
+                // 1000 DAI buys 0.5 WETH, which sells for 1050; less the 0.9 premium and gas
+                expectedProfit: dai(50) - dai("0.9") - gasCost,
+                netProfit: dai(50) - dai("0.9") - gasCost
+            });
+
+            const summary = summarizeBacktest(result);
+            expect(summary).to.include({ taken: 1, landed: 1, hitRate: 1 });
+            expect(summary.byToken.DAI.netProfit).to.equal(dai("41.4"));
+            // Gas cost 0.00385 ETH is worth 7.7 DAI, so the profit is worth 0.0207 ETH
+            expect(summary.pnlWei.total).to.equal(ethers.parseEther("0.0207"));
+        });
+
+        it("reverts trades whose price moved past their minimum before landing, paying gas", async function () {
+            const result = await runBacktest({
+                dataset: [block(100), block(101, { sushiBid: 2000 })],
+                registry
+            });
+
+            expect(result.trades[0]).to.include({ status: "reverted", reason: "slippage", netProfit: -gasCost });
+            expect(summarizeBacktest(result)).to.deep.include({ taken: 1, landed: 0, hitRate: 0, reverted: { slippage: 1 } });
+
+            // Settled at the quotes it was found at, the same trade lands
+            const sameBlock = await runBacktest({
+                dataset: [block(100), block(101, { sushiBid: 2000 })],
+                registry,
+                latencyBlocks: 0
+            });
+            expect(sameBlock.trades.map(trade => trade.status)).to.deep.equal(["success"]);
+            expect(sameBlock.rejections).to.deep.equal({ below_min_profit: 1 });
+        });
+
+        it("lands spreads narrower than MAX_SLIPPAGE and reverts when a hop returns less than the next one sells", async function () {
+            // 1.5% apart, inside the default 2% slippage allowance
+            const narrow = [block(100, { sushiBid: 2030 }), block(101, { sushiBid: 2030 })];
+            const sensitivity = await runSensitivity({ dataset: narrow, registry }, { MAX_SLIPPAGE: [50, 200] });
+            // The allowance only loosens the minimums, so the same trade earns the same either way
+            expect(sensitivity.MAX_SLIPPAGE.map(run => run.landed)).to.deep.equal([1, 1]);
+            expect(sensitivity.MAX_SLIPPAGE[0].totalWei).to.equal(sensitivity.MAX_SLIPPAGE[1].totalWei);
+
+            const [trade] = (await runBacktest({ dataset: narrow, registry })).trades;
+            // 1000 DAI buys 0.5 WETH, which sells for 1015
+            expect(trade).to.include({ status: "success", netProfit: dai(15) - dai("0.9") - gasCost });
+
+            // The first hop returning less than quoted leaves the second one short
+            const slipped = await runBacktest({ dataset: narrow, registry, slippageBps: 10 });
+            expect(slipped.trades[0]).to.include({ status: "reverted", reason: "shortfall", netProfit: -gasCost });
+        });
+
+        it("skips blocks above the gas cap and counts rejections", async function () {
+            const expensive = { ...block(100), baseFee: gwei(100) };
+            const result = await runBacktest({
+                dataset: [expensive, block(101), block(102)],
+                registry,
+                config: { MIN_PRICE_DIFFERENCE: 1000 }
+            });
+
+            expect(result).to.include({ scanned: 1, skipped: 1 });
+            expect(result.trades).to.deep.equal([]);
+            expect(result.rejections).to.deep.equal({ below_min_price_difference: 1 });
+        });
+    });
+
+    describe("runSensitivity", function () {
+        it("reruns the backtest for each value of each threshold", async function () {
+            const options = { dataset: [block(100), block(101)], registry };
+            const sensitivity = await runSensitivity(options, {
+                MIN_PRICE_DIFFERENCE: [50, 1000],
+                minProfit: [1, 50],
+                tradeSize: [1, 2]
+            });
+
+            // The venues are 5.2% apart
+            expect(sensitivity.MIN_PRICE_DIFFERENCE.map(run => run.taken)).to.deep.equal([1, 0]);
+            // Net profit is 41.4 DAI, short of the 1 DAI minimum scaled fiftyfold
+            expect(sensitivity.minProfit.map(run => run.taken)).to.deep.equal([1, 0]);
+            // Up to twice the size is sized towards 2000 DAI, where the 5% spread earns more
+            const [fixed, doubled] = sensitivity.tradeSize.map(run => run.totalWei);
+            expect(fixed).to.equal(ethers.parseEther("0.0207"));
+            expect(doubled > fixed).to.equal(true);
+
+            const report = formatBacktestReport(summarizeBacktest(await runBacktest(options)), [], sensitivity);
+            expect(report).to.include("Trades: 1 taken, 1 landed, hit rate 100.0%");
+            expect(report).to.include("MIN_PRICE_DIFFERENCE");
+        });
+    });
+});
@@ -0,0 +1,184 @@
+const { expect } = require("chai");
+const { BlockFeed, LatestBlockRunner } = require("../scripts/lib/blockFeed");
+const { createFakeClock } = require("./helpers/fakeClock");
+
+// Stands in for ethers' WebSocketProvider: the test drives its socket and subscriptions
+class FakeSocketProvider {
+    constructor() {
+        this.websocket = {};
+        this.listeners = new Map();
+        this.destroyed = false;
+    }
+
+    on(event, listener) {
+        this.listeners.set(typeof event === "string" ? event : "logs", listener);
+    }
+
+    block(blockNumber) {
+        this.listeners.get("block")(blockNumber);
+    }
+
+    async destroy() {
+        this.destroyed = true;
+    }
+}
+
+describe("Block feed", function () {
+    let clock;
+    let providers;
+    let feed;
+    let events;
+
+    const startFeed = (options = {}) => {
+        feed = new BlockFeed({
+            url: "ws://node",
+            createProvider: () => {
+                const provider = new FakeSocketProvider();
+                providers.push(provider);
+                return provider;
+            },
+            minBackoff: 1000,
+            maxBackoff: 4000,
+            stallTimeout: 30000,
+            pollInterval: 500,
+            clock,
+            ...options
+        });
+        for (const event of ["block", "connected", "disconnected"]) {
+            feed.on(event, value => events.push(value === undefined ? event : `${event}:${value}`));
+        }
+        return feed.start();
+    };
+
+    beforeEach(function () {
+        clock = createFakeClock();
+        providers = [];
+        events = [];
+    });
+
+    afterEach(async function () {
+        await feed.stop();
+        expect(clock.pending).to.equal(0);
+    });
+
+    it("reconnects with a doubling backoff capped at maxBackoff and resets it once blocks arrive", async function () {
+        startFeed();
+        providers[0].block(1);
+        expect(events).to.deep.equal(["connected", "block:1"]);
+
+        const reconnectTimes = [];
+        for (let i = 0; i < 4; i++) {
+            providers[providers.length - 1].websocket.onclose();
+            const attempts = providers.length;
+            const disconnectedAt = clock.now;
+            while (providers.length === attempts) {
+                await clock.tick(100);
+            }
+            reconnectTimes.push(clock.now - disconnectedAt);
+        }
+        expect(reconnectTimes).to.deep.equal([1000, 2000, 4000, 4000]);
+        expect(providers.slice(0, -1).every(provider => provider.destroyed)).to.equal(true);
+
+        // A block on the new socket resets the backoff
+        providers[4].block(2);
+        providers[4].websocket.onerror(new Error("reset"));
+        await clock.tick(1000);
+        expect(providers).to.have.length(6);
+        expect(events.filter(event => event.startsWith("disconnected"))).to.have.length(5);
+        expect(events).to.include("disconnected:socket error: reset");
+    });
+
+    it("treats a socket without blocks as stalled and ignores the replaced one", async function () {
+        startFeed();
+        await clock.tick(30000);
+        expect(events).to.deep.equal(["disconnected:no block for 30s"]);
+
+        // The dropped provider's late callbacks change nothing
+        await clock.tick(1000);
+        providers[0].websocket.onclose();
+        providers[0].listeners.get("block")(7);
+        expect(providers).to.have.length(2);
+        expect(events).to.deep.equal(["disconnected:no block for 30s"]);
+
+        // Nor does a provider that can't even be created stop the retries
+        let failures = 0;
+        feed.createProvider = () => {
+            failures += 1;
+            throw new Error("bad url");
+        };
+        providers[1].websocket.onclose();
+        await clock.tick(2000 + 4000);
+        expect(failures).to.equal(2);
+        expect(events).to.include("disconnected:connect failed: bad url");
+    });
+
+    it("polls the fallback provider while disconnected and only moves blocks forward", async function () {
+        let head = 10;
+        startFeed({ fallbackProvider: { getBlockNumber: async () => head } });
+        providers[0].block(10);
+        providers[0].websocket.onclose();
+        await clock.tick(0);
+        // Polls straight away, then every pollInterval
+        expect(events).to.deep.equal(["connected", "block:10", "disconnected:socket closed"]);
+        head = 11;
+        await clock.tick(500);
+        head = 12;
+        await clock.tick(400);
+        expect(events.slice(3)).to.deep.equal(["block:11"]);
+
+        // Reconnecting stops the polling, and an older block from the socket is dropped
+        await clock.tick(100);
+        providers[1].block(11);
+        providers[1].block(13);
+        head = 20;
+        await clock.tick(5000);
+        expect(events.slice(3)).to.deep.equal(["block:11", "block:12", "connected", "block:13"]);
+    });
+});
+
+describe("LatestBlockRunner", function () {
+    it("collapses blocks arriving mid-run into one run for the newest", async function () {
+        const runs = [];
+        let release;
+        let staleDuringFirstRun = null;
+        const runner = new LatestBlockRunner(async (blockNumber, isStale) => {
+            runs.push(blockNumber);
+            if (blockNumber === 1) {
+                await new Promise((resolve) => {
+                    release = resolve;
+                });
+                staleDuringFirstRun = isStale();
+            }
+        });
+
+        runner.push(1);
+        runner.push(2);
+        runner.push(3);
+        runner.push(2); // Older than the newest seen
+        release();
+        await runner.idle();
+
+        expect(runs).to.deep.equal([1, 3]);
+        expect(staleDuringFirstRun).to.equal(true);
+        expect(runner.isStale(3)).to.equal(false);
+    });
+
+    it("keeps running after a failed scan", async function () {
+        const runs = [];
+        const runner = new LatestBlockRunner(async (blockNumber) => {
+            runs.push(blockNumber);
+            if (blockNumber === 1) {
+                throw new Error("rpc down");
+            }
+        });
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            await runner.push(1);
+            await runner.push(2);
+        } finally {
+            console.error = originalError;
+        }
+        expect(runs).to.deep.equal([1, 2]);
+    });
+});
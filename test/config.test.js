@@ -0,0 +1,139 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const {
+    BOT_ENV_SCHEMA,
+    DEPLOY_ENV_SCHEMA,
+    BOT_CONFIG_RANGES,
+    validateEnv,
+    validateRanges,
+    formatConfigReport,
+    assertValidConfig
+} = require("../scripts/lib/config");
+const { DEFAULT_CONFIG } = require("../scripts/lib/arbitrageBot");
+
+// Hardhat account #0
+const KEY = "ac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+const KEY_ADDRESS = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+const CONTRACT = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+
+describe("Startup configuration", function () {
+    const entry = (entries, key) => entries.find(candidate => candidate.key === key);
+    const validEnv = { PRIVATE_KEY: KEY, FLASH_ARBITRAGE_CONTRACT: CONTRACT, RPC_URL: "https://rpc.example/v3/secret" };
+
+    describe("validateEnv", function () {
+        it("parses values, fills in defaults and never reports secrets", function () {
+            const { values, entries } = validateEnv(BOT_ENV_SCHEMA, {
+                ...validEnv,
+                SCAN_MODE: "Poll",
+                DRY_RUN: "yes",
+                METRICS_PORT: "9464"
+            }, { network: "sepolia" });
+
+            expect(values).to.include({
+                PRIVATE_KEY: `0x${KEY}`,
+                FLASH_ARBITRAGE_CONTRACT: CONTRACT,
+                SCAN_MODE: "poll",
+                DRY_RUN: true,
+                METRICS_PORT: 9464,
+                RPC_SEND_MODE: "primary",
+                TELEGRAM_COMMANDS: true
+            });
+            expect(entries.every(candidate => candidate.level !== "error")).to.equal(true);
+            expect(entry(entries, "PRIVATE_KEY").message).to.equal(`key for ${KEY_ADDRESS}`);
+            expect(entry(entries, "RPC_URL").message).to.equal("https://rpc.example");
+
+            const report = formatConfigReport("Bot configuration (sepolia)", entries);
+            expect(report).to.not.include(KEY);
+            expect(report).to.not.include("secret");
+            expect(report).to.match(/0 errors, 0 warnings$/);
+        });
+
+        it("reports missing required fields, including those other settings require", function () {
+            const { entries } = validateEnv(BOT_ENV_SCHEMA, { TELEGRAM_BOT_TOKEN: "123456:ABCdefGHIjklMNOpqrSTUvwxYZ0123456789" }, { network: "sepolia" });
+
+            expect(entry(entries, "PRIVATE_KEY")).to.include({ level: "error" });
+            expect(entry(entries, "PRIVATE_KEY").message).to.match(/KEYSTORE_PATH or PRIVATE_KEY/);
+            expect(entry(entries, "FLASH_ARBITRAGE_CONTRACT")).to.include({ level: "error", message: "missing: required" });
+            expect(entry(entries, "TELEGRAM_CHAT_ID").message).to.match(/TELEGRAM_BOT_TOKEN is set/);
+            expect(entry(entries, "INFURA_API_KEY").message).to.match(/defaults to Infura/);
+
+            // The localhost profile has its own RPC URL
+            const local = validateEnv(DEPLOY_ENV_SCHEMA, { PRIVATE_KEY: KEY }, { network: "localhost" });
+            expect(entry(local.entries, "INFURA_API_KEY").level).to.equal("unset");
+        });
+
+        it("rejects bad checksums and warns about unchecksummed addresses", function () {
+            const badChecksum = CONTRACT.replace("Fb", "fB");
+            const { values, entries } = validateEnv(BOT_ENV_SCHEMA, {
+                ...validEnv,
+                FLASH_ARBITRAGE_CONTRACT: badChecksum,
+                MULTICALL3_ADDRESS: "0xca11bde05977b3631167028862be2a173976ca11",
+                AAVE_POOL_ADDRESS: "your_pool_here"
+            }, { network: "sepolia" });
+
+            expect(entry(entries, "FLASH_ARBITRAGE_CONTRACT")).to.deep.equal({
+                key: "FLASH_ARBITRAGE_CONTRACT",
+                level: "error",
+                message: `bad checksum, expected ${CONTRACT}`
+            });
+            expect(values.FLASH_ARBITRAGE_CONTRACT).to.equal(undefined);
+            expect(entry(entries, "MULTICALL3_ADDRESS").level).to.equal("warning");
+            expect(values.MULTICALL3_ADDRESS).to.equal("0xcA11bde05977b3631167028862bE2a173976CA11");
+            expect(entry(entries, "AAVE_POOL_ADDRESS")).to.include({ level: "error", message: "not an address" });
+        });
+
+        it("rejects out-of-range numbers, unknown choices and malformed values", function () {
+            const { entries } = validateEnv(BOT_ENV_SCHEMA, {
+                ...validEnv,
+                METRICS_PORT: "70000",
+                SUBMISSION: "private",
+                DRY_RUN: "maybe",
+                WS_URL: "https://not-a-socket.example",
+                PRIVATE_KEY: "your_private_key_here_without_0x_prefix"
+            }, { network: "sepolia" });
+
+            expect(entry(entries, "METRICS_PORT").message).to.equal("out of range 1..65535");
+            expect(entry(entries, "SUBMISSION").message).to.equal("expected one of public, relay");
+            expect(entry(entries, "DRY_RUN").message).to.equal("expected true or false");
+            expect(entry(entries, "WS_URL").message).to.equal("expected a ws or wss URL");
+            expect(entry(entries, "PRIVATE_KEY").message).to.equal("not a 32-byte hex private key");
+        });
+    });
+
+    describe("validateRanges", function () {
+        it("accepts the defaults and names each value out of range", function () {
+            expect(validateRanges(DEFAULT_CONFIG, BOT_CONFIG_RANGES)).to.deep.equal([]);
+
+            const entries = validateRanges({
+                ...DEFAULT_CONFIG,
+                MAX_SLIPPAGE: 20000,
+                TX_FEE_BUMP: 500,
+                MAX_DAILY_LOSS: -1n,
+                SCAN_INTERVAL: "60000"
+            }, BOT_CONFIG_RANGES);
+            expect(entries.map(candidate => candidate.key)).to.deep.equal(["SCAN_INTERVAL", "MAX_SLIPPAGE", "TX_FEE_BUMP", "MAX_DAILY_LOSS"]);
+            expect(entry(entries, "MAX_SLIPPAGE").message).to.equal("20000 is out of range 0..10000");
+        });
+    });
+
+    describe("assertValidConfig", function () {
+        it("prints the report and throws when anything is invalid", function () {
+            const printed = [];
+            const { entries } = validateEnv(DEPLOY_ENV_SCHEMA, {}, { network: "localhost" });
+
+            let error;
+            try {
+                assertValidConfig("Deployment configuration (localhost)", entries, line => printed.push(line));
+            } catch (caught) {
+                error = caught;
+            }
+            expect(error).to.include({ code: "INVALID_CONFIG" });
+            expect(error.message).to.equal("Invalid configuration: PRIVATE_KEY");
+            expect(printed[0]).to.match(/^🧾 Deployment configuration \(localhost\)\n/);
+            expect(printed[0]).to.match(/1 error, 0 warnings$/);
+
+            const valid = validateEnv(DEPLOY_ENV_SCHEMA, { PRIVATE_KEY: KEY }, { network: "localhost" });
+            expect(() => assertValidConfig("Deployment configuration (localhost)", valid.entries, () => {})).to.not.throw();
+        });
+    });
+});
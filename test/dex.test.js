@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { DEX_INTERFACES, resolveVenues, loadVenues, createVenues } = require("../scripts/lib/dex");
+const { getNetworkProfile } = require("../scripts/lib/networks");
+
+const DAI = { symbol: "DAI", address: ethers.getAddress("0x00000000000000000000000000000000000000d1"), decimals: 18 };
+const WETH = { symbol: "WETH", address: ethers.getAddress("0x00000000000000000000000000000000000000e1"), decimals: 18 };
+const TOKENS = { DAI, WETH };
+
+const NETWORK = {
+    name: "testnet",
+    dex: {
+        uniswapV3Router: ethers.getAddress("0x0000000000000000000000000000000000000a03"),
+        uniswapV3Quoter: ethers.getAddress("0x0000000000000000000000000000000000000a04"),
+        uniswapV3Factory: ethers.getAddress("0x0000000000000000000000000000000000000a05"),
+        routerVersion: 2,
+        quoterVersion: 1,
+        sushiswapRouter: ethers.getAddress("0x0000000000000000000000000000000000000a06"),
+        balancerVault: ethers.getAddress("0x0000000000000000000000000000000000000a07")
+    }
+};
+
+const CURVE_POOL = ethers.getAddress("0x0000000000000000000000000000000000000c01");
+const FORK_ROUTER = ethers.getAddress("0x0000000000000000000000000000000000000f01");
+const POOL_ID = ethers.id("DAI/WETH");
+const RECIPIENT = ethers.getAddress("0x0000000000000000000000000000000000000a02");
+
+describe("DEX venues", function () {
+    describe("resolveVenues", function () {
+        it("fills addresses left out from the network profile and skips other networks' venues", function () {
+            const venues = resolveVenues({
+                venues: [
+                    { name: "uniswap", type: "uniswapV3" },
+                    { name: "sushiswap", type: "uniswapV2" },
+                    { name: "forkswap", type: "uniswapV2", router: FORK_ROUTER, feeBps: 25 },
+                    { name: "curve", type: "curveStable", pool: CURVE_POOL, coins: ["DAI", "USDT", "WETH"], networks: ["testnet"] },
+                    { name: "balancer", type: "balancerV2", pools: [{ id: POOL_ID, tokens: ["WETH", DAI.address] }] },
+                    { name: "elsewhere", type: "uniswapV2", router: FORK_ROUTER, networks: ["mainnet"] },
+                    { name: "off", type: "uniswapV2", router: FORK_ROUTER, enabled: false }
+                ]
+            }, NETWORK, TOKENS);
+
+            expect(venues.map(venue => venue.name)).to.deep.equal(["uniswap", "sushiswap", "forkswap", "curve", "balancer"]);
+            expect(venues[0]).to.include({ router: NETWORK.dex.uniswapV3Router, routerVersion: 2, quoterVersion: 1 });
+            expect(venues[1].router).to.equal(NETWORK.dex.sushiswapRouter);
+            expect(venues[2]).to.include({ router: FORK_ROUTER, feeBps: 25 });
+            // Coins keep their pool index even when the network doesn't know them
+            expect(venues[3].coins).to.deep.equal([DAI.address, null, WETH.address]);
+            expect(venues[4].vault).to.equal(NETWORK.dex.balancerVault);
+            expect(venues[4].pools[0].tokens).to.deep.equal([WETH.address, DAI.address]);
+        });
+
+        it("rejects unknown types, reused names, missing addresses and a lone venue", function () {
+            const resolve = venues => () => resolveVenues({ venues: [{ name: "sushiswap", type: "uniswapV2" }, ...venues] }, NETWORK, TOKENS);
+
+            expect(resolve([{ name: "x", type: "uniswapV4" }])).to.throw(/unknown type "uniswapV4"/);
+            expect(resolve([{ name: "sushiswap", type: "uniswapV2", router: FORK_ROUTER }])).to.throw(/used twice/);
+            expect(resolve([{ name: "curve", type: "curveStable", coins: ["DAI", "WETH"] }])).to.throw(/needs a pool address on testnet/);
+            expect(resolve([{ name: "curve", type: "curveStable", pool: CURVE_POOL, coins: ["DAI"] }])).to.throw(/coins in index order/);
+            expect(resolve([{ name: "balancer", type: "balancerV2", pools: [{ id: "0x01", tokens: [] }] }])).to.throw(/32-byte id/);
+            expect(resolve([])).to.throw(/at least two are needed/);
+        });
+
+        it("loads the shipped registry with Curve on mainnet only", function () {
+            const mainnet = getNetworkProfile("mainnet", {});
+            const sepolia = getNetworkProfile("sepolia", {});
+
+            expect(loadVenues(undefined, mainnet, mainnet.tokens).map(venue => venue.name)).to.deep.equal(["uniswap", "sushiswap", "curve-3pool"]);
+            expect(loadVenues(undefined, sepolia, sepolia.tokens).map(venue => venue.name)).to.deep.equal(["uniswap", "sushiswap"]);
+        });
+    });
+
+    describe("adapters", function () {
+        let venues;
+        const leg = { tokenIn: DAI.address, tokenOut: WETH.address, amountIn: 1000n, amountOutMin: 990n, recipient: RECIPIENT, deadline: 1234 };
+
+        beforeEach(function () {
+            venues = Object.fromEntries(createVenues(resolveVenues({
+                venues: [
+                    { name: "uniswap", type: "uniswapV3" },
+                    { name: "forkswap", type: "uniswapV2", router: FORK_ROUTER, feeBps: 25 },
+                    { name: "curve", type: "curveStable", pool: CURVE_POOL, coins: ["USDC", "WETH", "DAI"] },
+                    { name: "balancer", type: "balancerV2", pools: [{ id: POOL_ID, tokens: ["DAI", "WETH"], feeBps: 10 }] }
+                ]
+            }, NETWORK, TOKENS)).map(venue => [venue.name, venue]));
+        });
+
+        it("encodes each venue's swap to pay the recipient from the quoted pool", function () {
+            const uniswap = venues.uniswap.encodeSwap({ ...leg, fee: 500 });
+            const [deadline, [inner]] = DEX_INTERFACES.uniswapV3Router02.decodeFunctionData("multicall", uniswap.data);
+            const [params] = DEX_INTERFACES.uniswapV3Router02.decodeFunctionData("exactInputSingle", inner);
+            expect(uniswap.target).to.equal(NETWORK.dex.uniswapV3Router);
+            expect(deadline).to.equal(1234n);
+            expect(params.fee).to.equal(500n);
+            expect(params.recipient).to.equal(RECIPIENT);
+            expect(() => venues.uniswap.encodeSwap(leg)).to.throw(/missing its quoted fee tier/);
+
+            const fork = venues.forkswap.encodeSwap(leg);
+            expect(fork.target).to.equal(FORK_ROUTER);
+            expect(DEX_INTERFACES.uniswapV2Router.decodeFunctionData("swapExactTokensForTokens", fork.data).map(String))
+                .to.deep.equal(["1000", "990", `${DAI.address},${WETH.address}`, RECIPIENT, "1234"]);
+
+            const curve = venues.curve.encodeSwap(leg);
+            expect(curve.target).to.equal(CURVE_POOL);
+            expect(DEX_INTERFACES.curveStablePool.decodeFunctionData("exchange", curve.data).map(String)).to.deep.equal(["2", "1", "1000", "990"]);
+
+            const balancer = venues.balancer.encodeSwap(leg);
+            const [singleSwap, funds, limit] = DEX_INTERFACES.balancerV2Vault.decodeFunctionData("swap", balancer.data);
+            expect(balancer.target).to.equal(NETWORK.dex.balancerVault);
+            expect(singleSwap.poolId).to.equal(POOL_ID);
+            expect([funds.sender, funds.recipient]).to.deep.equal([RECIPIENT, RECIPIENT]);
+            expect(limit).to.equal(990n);
+        });
+
+        it("asks for an approval of the swap's spender and reports fees in basis points", function () {
+            expect(venues.uniswap.approvals(leg)).to.deep.equal([{ token: DAI.address, spender: NETWORK.dex.uniswapV3Router, amount: 1000n }]);
+            expect(venues.curve.approvals(leg)[0].spender).to.equal(CURVE_POOL);
+            expect(venues.balancer.approvals(leg)[0].spender).to.equal(NETWORK.dex.balancerVault);
+
+            expect(venues.uniswap.feeBps({ fee: 3000 })).to.equal(30);
+            expect(venues.forkswap.feeBps(leg)).to.equal(25);
+            expect(venues.curve.feeBps(leg)).to.equal(4);
+            expect(venues.balancer.feeBps(leg)).to.equal(10);
+        });
+
+        it("offers the Uniswap fee tiers with a pool and looks each up once", async function () {
+            const lookups = [];
+            const reads = {
+                read: async (contract, method, [, , fee]) => {
+                    lookups.push(fee);
+                    return [fee === 500 || fee === 3000 ? RECIPIENT : ethers.ZeroAddress];
+                },
+                spend: () => true,
+                cache: new Map()
+            };
+
+            expect(await venues.uniswap.pools(DAI.address, WETH.address, reads)).to.deep.equal([{ fee: 500 }, { fee: 3000 }]);
+            // Both directions share the lookups, missing pools included
+            expect(await venues.uniswap.pools(WETH.address, DAI.address, reads)).to.deep.equal([{ fee: 500 }, { fee: 3000 }]);
+            expect(lookups).to.deep.equal([100, 500, 3000, 10000]);
+
+            // Out of budget, unlooked-up tiers count as missing until a later scan
+            expect(await venues.uniswap.pools(DAI.address, WETH.address, { ...reads, spend: () => false, cache: new Map() })).to.deep.equal([]);
+        });
+
+        it("quotes a Uniswap pool at its own fee tier", async function () {
+            let quoted;
+            const amount = await venues.uniswap.quote({ tokenIn: DAI.address, tokenOut: WETH.address, fee: 3000, amountIn: 1000n }, {
+                read: async (contract, method, args) => {
+                    quoted = { target: await contract.getAddress(), method, args };
+                    return [990n];
+                }
+            });
+            expect(amount).to.equal(990n);
+            expect(quoted).to.deep.equal({
+                target: NETWORK.dex.uniswapV3Quoter,
+                method: "quoteExactInputSingle",
+                args: [DAI.address, WETH.address, 3000, 1000n, 0]
+            });
+        });
+
+        it("only offers pools holding both tokens", async function () {
+            const USDC = ethers.getAddress("0x0000000000000000000000000000000000000dc1");
+            expect(await venues.curve.pools(DAI.address, WETH.address)).to.deep.equal([{ fee: undefined }]);
+            expect(await venues.curve.pools(DAI.address, USDC)).to.deep.equal([]);
+            expect(await venues.balancer.pools(WETH.address, DAI.address)).to.have.length(1);
+            expect(await venues.balancer.pools(USDC, DAI.address)).to.deep.equal([]);
+        });
+    });
+});
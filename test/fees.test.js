@@ -0,0 +1,118 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { baseFeeTrend, maxBaseFeeAfter, FeeEngine } = require("../scripts/lib/fees");
+
+const gwei = value => ethers.parseUnits(String(value), "gwei");
+
+// Answers eth_feeHistory with fixed base fees and one reward per block
+function feeHistoryProvider(baseFees, rewards) {
+    return {
+        calls: [],
+        async send(method, params) {
+            this.calls.push({ method, params });
+            return {
+                oldestBlock: "0x10",
+                baseFeePerGas: baseFees.map(fee => ethers.toQuantity(fee)),
+                reward: rewards.map(reward => [ethers.toQuantity(reward)])
+            };
+        }
+    };
+}
+
+describe("FeeEngine", function () {
+    let config;
+
+    beforeEach(function () {
+        config = {
+            FEE_HISTORY_BLOCKS: 4,
+            FEE_HISTORY_PERCENTILE: 50,
+            PRIORITY_FEE_PROFIT_SHARE: 1000,
+            MAX_GAS_PRICE: gwei(25),
+            TX_TIMEOUT_BLOCKS: 3
+        };
+    });
+
+    describe("snapshot", function () {
+        it("reads the next base fee and the median priority fee from eth_feeHistory", async function () {
+            const provider = feeHistoryProvider(
+                [gwei(9), gwei(10), gwei(10), gwei(11), gwei(10)],
+                [gwei(1), gwei(3), gwei(2), gwei("0.5")]
+            );
+            const fees = await new FeeEngine({ provider, config }).snapshot();
+
+            expect(provider.calls[0]).to.deep.equal({ method: "eth_feeHistory", params: ["0x04", "latest", [50]] });
+            expect(fees.nextBaseFee).to.equal(gwei(10));
+            expect(fees.priorityFee).to.equal(gwei(2));
+            expect(fees.gasPrice).to.equal(gwei(12));
+            // No trend without earlier readings: one block of headroom
+            expect(fees.baseFeeCeiling).to.equal(gwei("11.25"));
+        });
+
+        it("covers a rising base fee until the replacement timeout", async function () {
+            const provider = feeHistoryProvider([gwei(10)], []);
+            const history = [{ baseFee: gwei(8) }, { baseFee: gwei(9) }];
+            const fees = await new FeeEngine({ provider, config }).snapshot(history);
+
+            expect(fees.trend).to.equal(2500);
+            expect(fees.priorityFee).to.equal(0n);
+            expect(fees.baseFeeCeiling).to.equal(maxBaseFeeAfter(gwei(10), 3));
+        });
+
+        it("throws when the node returns no base fees", async function () {
+            const provider = { send: async () => ({ baseFeePerGas: [] }) };
+            let error;
+            try {
+                await new FeeEngine({ provider, config }).snapshot();
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.contain("no base fees");
+        });
+    });
+
+    describe("bid", function () {
+        const snapshot = {
+            nextBaseFee: gwei(10),
+            priorityFee: gwei(1),
+            baseFeeCeiling: gwei("11.25"),
+            gasPrice: gwei(11)
+        };
+
+        it("bids the going priority fee when the profit share is smaller", function () {
+            const engine = new FeeEngine({ provider: null, config });
+            // 10% of 0.001 ETH over 400k gas is 0.25 gwei
+            const fees = engine.bid(snapshot, { gasUnits: 400000n, profitWei: ethers.parseEther("0.001") });
+
+            expect(fees).to.deep.equal({ maxFeePerGas: gwei("12.25"), maxPriorityFeePerGas: gwei(1) });
+        });
+
+        it("bids a share of the expected profit as priority fee", function () {
+            const engine = new FeeEngine({ provider: null, config });
+            // 10% of 0.02 ETH over 400k gas is 5 gwei
+            const fees = engine.bid(snapshot, { gasUnits: 400000n, profitWei: ethers.parseEther("0.02") });
+
+            expect(fees).to.deep.equal({ maxFeePerGas: gwei("16.25"), maxPriorityFeePerGas: gwei(5) });
+        });
+
+        it("keeps the bid within MAX_GAS_PRICE", function () {
+            const engine = new FeeEngine({ provider: null, config });
+            const fees = engine.bid(snapshot, { gasUnits: 400000n, profitWei: ethers.parseEther("1") });
+
+            expect(fees).to.deep.equal({ maxFeePerGas: gwei(25), maxPriorityFeePerGas: gwei(15) });
+        });
+
+        it("refuses to bid when the going rate is above the cap", function () {
+            config.MAX_GAS_PRICE = gwei(10);
+            const engine = new FeeEngine({ provider: null, config });
+
+            expect(engine.bid(snapshot, { gasUnits: 400000n })).to.equal(null);
+        });
+    });
+
+    describe("baseFeeTrend", function () {
+        it("is the change from the oldest to the newest reading in basis points", function () {
+            expect(baseFeeTrend([{ baseFee: gwei(10) }, { gasPrice: 3 }, { baseFee: gwei(9) }])).to.equal(-1000);
+            expect(baseFeeTrend([{ baseFee: gwei(10) }])).to.equal(0);
+        });
+    });
+});
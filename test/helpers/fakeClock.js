@@ -0,0 +1,56 @@
+// Manual timers for code that takes a `clock`: nothing fires until tick(ms)
+// moves time forward, and promise callbacks settle between due timers.
+function createFakeClock() {
+    let now = 0;
+    let nextId = 1;
+    const timers = new Map(); // id -> { at, callback, interval }
+
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+    const schedule = (callback, delay, interval) => {
+        const id = nextId++;
+        timers.set(id, { at: now + delay, callback, interval: interval ? delay : null });
+        return id;
+    };
+    const clear = (id) => {
+        timers.delete(id);
+    };
+
+    return {
+        setTimeout: (callback, delay = 0) => schedule(callback, delay, false),
+        setInterval: (callback, delay = 0) => schedule(callback, delay, true),
+        clearTimeout: clear,
+        clearInterval: clear,
+        get now() {
+            return now;
+        },
+        get pending() {
+            return timers.size;
+        },
+        async tick(ms) {
+            const end = now + ms;
+            await settle();
+            for (;;) {
+                const due = [...timers.entries()]
+                    .filter(([, timer]) => timer.at <= end)
+                    .sort(([, a], [, b]) => a.at - b.at)[0];
+                if (!due) {
+                    break;
+                }
+                const [id, timer] = due;
+                now = timer.at;
+                if (timer.interval !== null) {
+                    timer.at += timer.interval;
+                } else {
+                    timers.delete(id);
+                }
+                timer.callback();
+                await settle();
+            }
+            now = end;
+        }
+    };
+}
+
+module.exports = {
+    createFakeClock
+};
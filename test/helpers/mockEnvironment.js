@@ -0,0 +1,63 @@
+const { ethers } = require("hardhat");
+
+const UNISWAP_FEE = 3000;
+const BALANCER_POOL_ID = ethers.id("mock DAI/WETH Balancer pool");
+const LIQUIDITY = ethers.parseUnits("1000000", 18);
+
+// Output per unit of input for the mock DEXes, scaled by 1e18
+const rate = value => ethers.parseUnits(String(value), 18);
+
+// Deploys mock DAI and WETH, an Aave pool with liquidity behind a mock
+// addresses provider, FlashArbitrage owned by the first signer, and funded
+// mock Uniswap V3 and SushiSwap (V2) venues without any prices set, plus Multicall3.
+// Further funded venues for adapter tests: another V2 fork, a Curve pool with
+// coins [DAI, WETH] and a Balancer Vault with BALANCER_POOL_ID, also unpriced.
+async function deployMockEnvironment() {
+    const [owner, other] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const dai = await MockERC20.deploy("Dai Stablecoin", "DAI", 18);
+    const weth = await MockERC20.deploy("Wrapped Ether", "WETH", 18);
+
+    const pool = await ethers.deployContract("MockAavePool");
+    const addressesProvider = await ethers.deployContract("MockPoolAddressesProvider", [await pool.getAddress()]);
+    const flashArbitrage = await ethers.deployContract("FlashArbitrage", [await addressesProvider.getAddress()]);
+
+    const uniswapRouter = await ethers.deployContract("MockUniswapV3Router");
+    const uniswapQuoter = await ethers.deployContract("MockUniswapV3Quoter", [await uniswapRouter.getAddress()]);
+    const sushiRouter = await ethers.deployContract("MockUniswapV2Router");
+    const multicall = await ethers.deployContract("MockMulticall3");
+    const forkRouter = await ethers.deployContract("MockUniswapV2Router");
+    const curvePool = await ethers.deployContract("MockCurvePool", [[await dai.getAddress(), await weth.getAddress()]]);
+    const balancerVault = await ethers.deployContract("MockBalancerVault");
+
+    for (const token of [dai, weth]) {
+        for (const holder of [pool, uniswapRouter, sushiRouter, forkRouter, curvePool, balancerVault]) {
+            await token.mint(await holder.getAddress(), LIQUIDITY);
+        }
+    }
+
+    return {
+        owner,
+        other,
+        dai,
+        weth,
+        pool,
+        addressesProvider,
+        flashArbitrage,
+        uniswapRouter,
+        uniswapQuoter,
+        sushiRouter,
+        multicall,
+        forkRouter,
+        curvePool,
+        balancerVault
+    };
+}
+
+module.exports = {
+    UNISWAP_FEE,
+    BALANCER_POOL_ID,
+    rate,
+    deployMockEnvironment
+};
@@ -0,0 +1,88 @@
+const http = require("http");
+const { ethers } = require("ethers");
+
+// Stands in for a Flashbots relay in front of an EIP-1193 provider (the
+// in-process Hardhat network). Records every request with its signature
+// header. eth_callBundle runs each transaction as an eth_call; eth_sendBundle
+// "includes" a bundle by broadcasting it when `include` is set and the bundle
+// targets the next block, which automining then produces.
+async function startRelayServer(provider) {
+    const relay = {
+        include: true,
+        requests: [], // { method, params, signature, body }
+        bundles: [] // { txs, blockNumber }
+    };
+
+    const handlers = {
+        async eth_callBundle([{ txs }]) {
+            const results = [];
+            for (const raw of txs) {
+                const tx = ethers.Transaction.from(raw);
+                try {
+                    await provider.request({
+                        method: "eth_call",
+                        params: [{
+                            from: tx.from,
+                            to: tx.to,
+                            data: tx.data,
+                            value: ethers.toQuantity(tx.value),
+                            gas: ethers.toQuantity(tx.gasLimit)
+                        }, "latest"]
+                    });
+                    results.push({ txHash: tx.hash });
+                } catch (error) {
+                    results.push({ txHash: tx.hash, error: "execution reverted", revert: error.message });
+                }
+            }
+            return { results };
+        },
+
+        async eth_sendBundle([{ txs, blockNumber }]) {
+            const target = Number(blockNumber);
+            relay.bundles.push({ txs, blockNumber: target });
+
+            const current = Number(await provider.request({ method: "eth_blockNumber", params: [] }));
+            if (relay.include && target === current + 1) {
+                try {
+                    for (const raw of txs) {
+                        await provider.request({ method: "eth_sendRawTransaction", params: [raw] });
+                    }
+                } catch (error) {
+                    // An invalid bundle (e.g. already included) is just not included
+                }
+            }
+            return { bundleHash: ethers.keccak256(ethers.concat(txs)) };
+        }
+    };
+
+    const server = http.createServer(async (req, res) => {
+        let body = "";
+        for await (const chunk of req) {
+            body += chunk;
+        }
+
+        let response;
+        try {
+            const { id, method, params } = JSON.parse(body);
+            relay.requests.push({ method, params, signature: req.headers["x-flashbots-signature"], body });
+            const handler = handlers[method];
+            response = handler ?
+                { jsonrpc: "2.0", id, result: await handler(params) } :
+                { jsonrpc: "2.0", id, error: { code: -32601, message: `Method ${method} not found` } };
+        } catch (error) {
+            response = { jsonrpc: "2.0", id: null, error: { code: -32603, message: error.message } };
+        }
+
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(response));
+    });
+
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    relay.url = `http://127.0.0.1:${server.address().port}`;
+    relay.close = () => new Promise(resolve => server.close(resolve));
+    return relay;
+}
+
+module.exports = {
+    startRelayServer
+};
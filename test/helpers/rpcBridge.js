@@ -0,0 +1,67 @@
+const http = require("http");
+
+// Serves an EIP-1193 provider (the in-process Hardhat network) over HTTP
+// JSON-RPC on a random local port, so code that builds its own
+// ethers.JsonRpcProvider from a URL can run against it with no network.
+//
+// Fails on demand for failover tests: set `status` to answer every request
+// with that HTTP status (e.g. 429), `delay` to answer slowly (ms) or
+// `blockLag` to report a block height that many blocks behind. `methods`
+// records every method served.
+async function startRpcBridge(provider) {
+    const bridge = { status: null, delay: 0, blockLag: 0, methods: [] };
+
+    const server = http.createServer(async (req, res) => {
+        let body = "";
+        for await (const chunk of req) {
+            body += chunk;
+        }
+
+        if (bridge.delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, bridge.delay));
+        }
+        if (bridge.status !== null) {
+            res.writeHead(bridge.status);
+            res.end();
+            return;
+        }
+
+        const handle = async ({ id, method, params }) => {
+            bridge.methods.push(method);
+            try {
+                const result = await provider.request({ method, params });
+                if (method === "eth_blockNumber" && bridge.blockLag > 0) {
+                    return { jsonrpc: "2.0", id, result: `0x${Math.max(Number(result) - bridge.blockLag, 0).toString(16)}` };
+                }
+                return { jsonrpc: "2.0", id, result };
+            } catch (error) {
+                // Revert data stays in error.data, where ethers looks for it
+                return {
+                    jsonrpc: "2.0",
+                    id,
+                    error: { code: error.code || -32603, message: error.message, data: error.data }
+                };
+            }
+        };
+
+        let response;
+        try {
+            const payload = JSON.parse(body);
+            response = Array.isArray(payload) ? await Promise.all(payload.map(handle)) : await handle(payload);
+        } catch (error) {
+            response = { jsonrpc: "2.0", id: null, error: { code: -32700, message: error.message } };
+        }
+
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(response));
+    });
+
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    bridge.url = `http://127.0.0.1:${server.address().port}`;
+    bridge.close = () => new Promise(resolve => server.close(resolve));
+    return bridge;
+}
+
+module.exports = {
+    startRpcBridge
+};
@@ -0,0 +1,95 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { expect } = require("chai");
+const { TradeJournal } = require("../scripts/lib/journal");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JOURNAL_SCRIPT = path.join(__dirname, "..", "scripts", "journal.js");
+
+describe("Trade journal", function () {
+    let directory;
+    let journal;
+
+    // Noon UTC on three consecutive days
+    const day1 = Date.parse("2026-10-16T12:00:00Z");
+    const day2 = day1 + DAY_MS;
+    const day3 = day2 + DAY_MS;
+
+    // Records `data` as if it happened at `timestamp`
+    const recordAt = (timestamp, type, data) => {
+        const now = Date.now;
+        Date.now = () => timestamp;
+        try {
+            return journal.record(type, data);
+        } finally {
+            Date.now = now;
+        }
+    };
+
+    beforeEach(function () {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "journal-"));
+        journal = new TradeJournal(directory);
+
+        recordAt(day1, "opportunity", { pair: "DAI/WETH", status: "rejected", reason: "below_min_price_difference" });
+        recordAt(day1 + 1000, "opportunity", { pair: "USDC/WETH", status: "rejected", reason: "gas_unpriced" });
+        recordAt(day2, "opportunity", { pair: "DAI/WETH", status: "accepted", amount: 10n ** 21n });
+        recordAt(day2 + 1000, "simulation", { pair: "DAI/WETH", success: false, reason: "Swap failed" });
+        recordAt(day2 + 2000, "opportunity", { pair: "DAI/WETH", status: "accepted" });
+        recordAt(day2 + 3000, "tx", { pair: "DAI/WETH", kind: "flashLoan", status: "reverted" });
+        recordAt(day3, "opportunity", { pair: "DAI/WETH", status: "rejected", reason: "below_min_price_difference" });
+    });
+
+    afterEach(function () {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it("starts a file per UTC day and skips a torn last line", function () {
+        expect(fs.readdirSync(directory).sort()).to.deep.equal([
+            "journal-2026-10-16.jsonl",
+            "journal-2026-10-17.jsonl",
+            "journal-2026-10-18.jsonl"
+        ]);
+        // Just before midnight still belongs to the day it started
+        expect(journal.fileFor(day1 + 12 * 60 * 60 * 1000 - 1)).to.equal(path.join(directory, "journal-2026-10-16.jsonl"));
+
+        fs.appendFileSync(path.join(directory, "journal-2026-10-18.jsonl"), "{\"timestamp\":");
+        expect(journal.query({ since: day3 })).to.have.length(1);
+    });
+
+    it("filters by type, pair and date range, reading bigints back as strings", function () {
+        expect(journal.query({ type: "opportunity", pair: "DAI/WETH" }).map(entry => entry.timestamp)).to.deep.equal([day1, day2, day2 + 2000, day3]);
+        expect(journal.query({ since: day2, until: day2 + 1000 }).map(entry => entry.type)).to.deep.equal(["opportunity", "simulation"]);
+        expect(journal.query({ since: "2026-10-18" }).map(entry => entry.timestamp)).to.deep.equal([day3]);
+        expect(journal.query({ where: entry => entry.status === "accepted" })[0].amount).to.equal("1000000000000000000000");
+    });
+
+    it("totals opportunities, rejection reasons and what became of accepted ones", function () {
+        expect(journal.summarizeOpportunities({ pair: "DAI/WETH" })).to.deep.equal({
+            total: 4,
+            accepted: 2,
+            rejected: 2,
+            reasons: { below_min_price_difference: 2 },
+            simulationFailures: { "Swap failed": 1 },
+            reverted: 1
+        });
+        expect(journal.summarizeOpportunities({ since: day1, until: day1 + 1000 })).to.deep.include({
+            total: 2,
+            reasons: { below_min_price_difference: 1, gas_unpriced: 1 }
+        });
+    });
+
+    it("answers the journal command with days up to the start of --until", function () {
+        const run = (...args) => execFileSync(process.execPath, [JOURNAL_SCRIPT, ...args], {
+            env: { ...process.env, JOURNAL_DIR: directory },
+            encoding: "utf8"
+        });
+
+        const summary = JSON.parse(run("summary", "--pair", "DAI/WETH", "--since", "2026-10-17", "--until", "2026-10-18"));
+        expect(summary).to.deep.include({ total: 2, accepted: 2, reverted: 1 });
+
+        const listed = run("list", "--type", "tx", "--since", "2026-10-16").trim().split("\n").map(line => JSON.parse(line));
+        expect(listed.map(entry => entry.status)).to.deep.equal(["reverted"]);
+    });
+});
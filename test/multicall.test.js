@@ -0,0 +1,79 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { MulticallBatcher } = require("../scripts/lib/multicall");
+
+describe("MulticallBatcher", function () {
+    const TOKEN_A = "0x00000000000000000000000000000000000000a1";
+    const TOKEN_B = "0x00000000000000000000000000000000000000b1";
+    const TOKEN_C = "0x00000000000000000000000000000000000000c1";
+    const unit = ethers.parseUnits("1", 18);
+
+    let multicall;
+    let router;
+    let requests;
+
+    const createBatcher = (options = {}) => new MulticallBatcher({
+        provider: ethers.provider,
+        address: multicall.target,
+        timed: (method, call) => {
+            requests.push(method);
+            return call();
+        },
+        ...options
+    });
+
+    beforeEach(async function () {
+        multicall = await ethers.deployContract("MockMulticall3");
+        router = await ethers.deployContract("MockUniswapV2Router");
+        await router.setRate(TOKEN_A, TOKEN_B, ethers.parseUnits("2", 18));
+        requests = [];
+    });
+
+    it("sends reads made in the same tick as one tryAggregate request", async function () {
+        const batcher = createBatcher();
+
+        const [[amounts], [factory]] = await Promise.all([
+            batcher.call(router, "getAmountsOut", [unit, [TOKEN_A, TOKEN_B]]),
+            batcher.call(router, "factory", [])
+        ]);
+
+        expect(amounts).to.deep.equal([unit, 2n * unit]);
+        expect(factory).to.equal(router.target);
+        expect(requests).to.deep.equal(["tryAggregate"]);
+    });
+
+    it("rejects a reverted call without failing the rest of the batch", async function () {
+        const batcher = createBatcher();
+
+        const [quote, missing] = await Promise.allSettled([
+            batcher.call(router, "getAmountsOut", [unit, [TOKEN_A, TOKEN_B]]),
+            batcher.call(router, "getAmountsOut", [unit, [TOKEN_A, TOKEN_C]])
+        ]);
+
+        expect(quote.status).to.equal("fulfilled");
+        expect(missing.status).to.equal("rejected");
+        expect(missing.reason.code).to.equal("CALL_EXCEPTION");
+        expect(missing.reason.message).to.equal("getAmountsOut reverted: UniswapV2Library: NO_PAIR");
+    });
+
+    it("reads every batch at its block tag", async function () {
+        const blockTag = await ethers.provider.getBlockNumber();
+        const batcher = createBatcher({ blockTag });
+        await router.setRate(TOKEN_A, TOKEN_B, ethers.parseUnits("3", 18));
+
+        const [amounts] = await batcher.call(router, "getAmountsOut", [unit, [TOKEN_A, TOKEN_B]]);
+
+        expect(amounts[1]).to.equal(2n * unit);
+    });
+
+    it("splits large batches at maxBatchSize", async function () {
+        const batcher = createBatcher({ maxBatchSize: 2 });
+
+        const results = await Promise.all([1n, 2n, 3n].map(amount =>
+            batcher.call(router, "getAmountsOut", [amount * unit, [TOKEN_A, TOKEN_B]])
+        ));
+
+        expect(results.map(([amounts]) => amounts[1])).to.deep.equal([2n * unit, 4n * unit, 6n * unit]);
+        expect(requests).to.deep.equal(["tryAggregate", "tryAggregate"]);
+    });
+});
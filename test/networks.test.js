@@ -0,0 +1,58 @@
+const { expect } = require("chai");
+const { NETWORKS, selectNetworkName, getNetworkProfile, assertChainId, explorerTxUrl } = require("../scripts/lib/networks");
+
+describe("Network profiles", function () {
+    it("selects the --network flag over NETWORK over the default", function () {
+        expect(selectNetworkName(["node", "bot.js", "--network", "base"], { NETWORK: "arbitrum" })).to.equal("base");
+        expect(selectNetworkName(["node", "bot.js"], { NETWORK: "arbitrum" })).to.equal("arbitrum");
+        // A flag without a value falls through to the environment
+        expect(selectNetworkName(["node", "bot.js", "--network"], { NETWORK: "arbitrum" })).to.equal("arbitrum");
+        expect(selectNetworkName(["node", "bot.js"], {})).to.equal("sepolia");
+    });
+
+    it("resolves every shipped profile with checksummed addresses", function () {
+        for (const name of Object.keys(NETWORKS)) {
+            const profile = getNetworkProfile(name, {});
+            expect(profile.name).to.equal(name);
+            expect(typeof profile.chainId).to.equal("bigint");
+            expect(profile.dex.uniswapV3Router).to.match(/^0x[0-9a-fA-F]{40}$/);
+        }
+        const mainnet = getNetworkProfile("mainnet", {});
+        expect(mainnet.chainId).to.equal(1n);
+        expect(mainnet.tokens.USDC).to.deep.equal({ symbol: "USDC", address: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", decimals: 6 });
+        expect(explorerTxUrl(mainnet, "0xabc")).to.equal("https://etherscan.io/tx/0xabc");
+    });
+
+    it("takes RPC and WebSocket URLs from the environment, most specific first", function () {
+        const env = {
+            INFURA_API_KEY: "key",
+            RPC_URL: "https://any.example",
+            MAINNET_RPC_URL: "https://mainnet.example",
+            MAINNET_RPC_URLS: "https://backup.example, https://mainnet.example"
+        };
+        const mainnet = getNetworkProfile("mainnet", env);
+        expect(mainnet.rpcUrl).to.equal("https://mainnet.example");
+        expect(mainnet.rpcUrls).to.deep.equal(["https://mainnet.example", "https://backup.example"]);
+        expect(mainnet.wsUrl).to.equal("wss://mainnet.infura.io/ws/v3/key");
+
+        expect(getNetworkProfile("mainnet", { INFURA_API_KEY: "key" }).rpcUrl).to.equal("https://mainnet.infura.io/v3/key");
+    });
+
+    it("rejects an unknown network by name", function () {
+        expect(() => getNetworkProfile("goerli", {})).to.throw(/Unknown network "goerli"\. Known networks: .*sepolia/);
+    });
+
+    it("refuses an endpoint serving another chain", async function () {
+        const profile = getNetworkProfile("mainnet", {});
+        const serving = chainId => ({ getNetwork: async () => ({ chainId }) });
+
+        expect((await assertChainId(serving(1n), profile)).chainId).to.equal(1n);
+        let error;
+        try {
+            await assertChainId(serving(11155111n), profile);
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error.message).to.equal('Chain ID mismatch: profile "mainnet" expects 1 but the RPC endpoint reports 11155111');
+    });
+});
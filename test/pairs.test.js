@@ -0,0 +1,120 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { loadPairRegistry, getPairDirections, findTokenByAddress } = require("../scripts/lib/pairs");
+const { getNetworkProfile } = require("../scripts/lib/networks");
+
+const NETWORK_TOKENS = {
+    DAI: { address: "0x00000000000000000000000000000000000000d1", decimals: 18 },
+    WETH: { address: "0x00000000000000000000000000000000000000e1", decimals: 18 }
+};
+const USDC = { address: "0x0000000000000000000000000000000000000dc1", decimals: 6 };
+
+describe("Pair registry", function () {
+    let directory;
+    let warnings;
+    let originalWarn;
+
+    // Each config gets its own file, as require caches by path
+    let configs = 0;
+    const load = (config, tokens = NETWORK_TOKENS) => {
+        configs += 1;
+        const configPath = path.join(directory, `pairs-${configs}.json`);
+        fs.writeFileSync(configPath, JSON.stringify(config));
+        return loadPairRegistry(configPath, tokens);
+    };
+
+    const loadError = (config) => {
+        try {
+            load(config);
+        } catch (error) {
+            return error.message;
+        }
+        return null;
+    };
+
+    beforeEach(function () {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "pairs-"));
+        warnings = [];
+        originalWarn = console.warn;
+        console.warn = message => warnings.push(message);
+    });
+
+    afterEach(function () {
+        console.warn = originalWarn;
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it("parses amounts in each token's decimals, adding config tokens to the network's", function () {
+        const registry = load({
+            tokens: { USDC },
+            pairs: [{
+                tokenA: "USDC",
+                tokenB: "WETH",
+                tradeSize: { USDC: { min: "10", max: "1000.5" }, WETH: "0.5" },
+                minProfit: { USDC: "0.1", WETH: "0.00005" }
+            }]
+        });
+
+        expect(registry.tokens.USDC).to.deep.equal({ symbol: "USDC", address: ethers.getAddress(USDC.address), decimals: 6 });
+        expect(registry.tokens.DAI.address).to.equal(ethers.getAddress(NETWORK_TOKENS.DAI.address));
+        const [pair] = registry.pairs;
+        expect(pair.name).to.equal("USDC/WETH");
+        expect(pair.tradeSize.USDC).to.deep.equal({ min: 10000000n, max: 1000500000n });
+        expect(pair.tradeSize.WETH).to.deep.equal({ min: ethers.parseEther("0.5"), max: ethers.parseEther("0.5") });
+        expect(pair.minProfit).to.deep.equal({ USDC: 100000n, WETH: ethers.parseEther("0.00005") });
+    });
+
+    it("lets the config override a network token and skips pairs the network lacks", function () {
+        const registry = load({
+            tokens: { DAI: { address: NETWORK_TOKENS.DAI.address, decimals: 6 } },
+            pairs: [
+                { tokenA: "DAI", tokenB: "WETH", tradeSize: { DAI: "1" }, minProfit: { DAI: "0.1" } },
+                { tokenA: "USDC", tokenB: "WETH", tradeSize: { USDC: "1" }, minProfit: { USDC: "0.1" } }
+            ]
+        });
+
+        expect(registry.pairs.map(pair => pair.name)).to.deep.equal(["DAI/WETH"]);
+        expect(registry.pairs[0].tradeSize.DAI.min).to.equal(1000000n);
+        expect(warnings).to.deep.equal(["Skipping pair USDC/WETH: no USDC on this network"]);
+    });
+
+    it("loads the shipped pairs against every mainnet token", function () {
+        const registry = loadPairRegistry(undefined, getNetworkProfile("mainnet", {}).tokens);
+        expect(registry.pairs.map(pair => pair.name)).to.deep.equal(["DAI/WETH", "USDC/WETH", "DAI/USDC"]);
+        expect(registry.pairs[1].tradeSize.USDC).to.deep.equal({ min: 10000000n, max: 1000000000n });
+        expect(warnings).to.deep.equal([]);
+    });
+
+    it("rejects pairs it can't size or price", function () {
+        const pair = { tokenA: "DAI", tokenB: "WETH", tradeSize: { DAI: "1" }, minProfit: { DAI: "0.1" } };
+
+        expect(loadError({})).to.match(/must define "pairs"/);
+        expect(loadError({ pairs: [{ ...pair, minProfit: {} }] })).to.equal("Pair DAI/WETH is missing minProfit for DAI");
+        expect(loadError({ pairs: [{ ...pair, tradeSize: {} }] })).to.equal("Pair DAI/WETH has no trade size for either token");
+        expect(loadError({ pairs: [{ ...pair, tokenB: "DAI" }] })).to.equal("Pair DAI/DAI must use two different tokens");
+        expect(loadError({ pairs: [{ ...pair, tradeSize: { DAI: { min: "5", max: "1" } } }] })).to.equal("Trade size for DAI must satisfy 0 < min <= max");
+        expect(loadError({ pairs: [{ ...pair, tradeSize: { DAI: { min: "1" } } }] })).to.equal("Trade size for DAI needs both min and max");
+        expect(loadError({ tokens: { USDC: { ...USDC, decimals: 6.5 } }, pairs: [] })).to.equal("Token USDC has invalid decimals: 6.5");
+    });
+
+    it("scans only the directions with a trade size and finds tokens by any-case address", function () {
+        const registry = load({
+            tokens: { USDC },
+            pairs: [{ tokenA: "USDC", tokenB: "WETH", tradeSize: { USDC: { min: "10", max: "100" } }, minProfit: { USDC: "0.1" } }]
+        });
+
+        expect(getPairDirections(registry.pairs[0])).to.deep.equal([{
+            pair: "USDC/WETH",
+            borrowToken: registry.tokens.USDC,
+            swapToken: registry.tokens.WETH,
+            minAmount: 10000000n,
+            maxAmount: 100000000n,
+            minProfit: 100000n
+        }]);
+        expect(findTokenByAddress(registry.tokens, USDC.address.toUpperCase().replace("0X", "0x"))).to.equal(registry.tokens.USDC);
+        expect(findTokenByAddress(registry.tokens, ethers.ZeroAddress)).to.equal(null);
+    });
+});
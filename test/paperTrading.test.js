@@ -0,0 +1,43 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { PaperTradeLedger } = require("../scripts/lib/paperTrading");
+
+describe("PaperTradeLedger", function () {
+    const opportunity = {
+        pair: "DAI/WETH",
+        tokenA: "0x00000000000000000000000000000000000000D1",
+        symbolA: "DAI",
+        decimalsA: 18,
+        amount: ethers.parseUnits("1000", 18),
+        route: "uniswap → sushiswap",
+        buyPrice: ethers.parseUnits("0.5", 18),
+        sellPrice: ethers.parseUnits("1050", 18),
+        estimatedProfit: ethers.parseUnits("41.4", 18)
+    };
+
+    it("books simulated profit and nothing for fills the simulation would abort", function () {
+        const ledger = new PaperTradeLedger();
+        const filled = ledger.record(opportunity, { success: true, gasEstimate: 300000n });
+        const aborted = ledger.record(opportunity, { success: false, reason: "Swap failed" });
+
+        expect(filled).to.include({ simulated: true, pnl: opportunity.estimatedProfit, gasEstimate: 300000n, failureReason: null });
+        expect(filled.quotes).to.deep.equal({ buy: opportunity.buyPrice, sell: opportunity.sellPrice });
+        expect(aborted).to.include({ simulated: false, pnl: 0n, gasEstimate: null, failureReason: "Swap failed" });
+        expect(ledger.summarize()).to.deep.include({
+            count: 2,
+            byToken: { DAI: { decimals: 18, trades: 2, simulatedOk: 1, pnl: opportunity.estimatedProfit } }
+        });
+    });
+
+    it("summarises each period once and keeps no trades past it", function () {
+        const ledger = new PaperTradeLedger();
+        ledger.lastSummaryAt = 0;
+        ledger.record(opportunity, { success: true, gasEstimate: 300000n });
+        expect(ledger.isSummaryDue(1000)).to.equal(true);
+
+        expect(ledger.formatSummary()).to.include("DAI: 1 trades, 1 simulated OK, P&L 41.4 DAI");
+        expect(ledger.isSummaryDue(1000)).to.equal(false);
+        expect(ledger.summarize()).to.deep.include({ count: 0, byToken: {} });
+        expect(ledger.formatSummary()).to.include("No would-be trades");
+    });
+});
@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { RelaySubmitter } = require("../scripts/lib/relay");
+const { TransactionManager } = require("../scripts/lib/transactionManager");
+const { startRpcBridge } = require("./helpers/rpcBridge");
+const { startRelayServer } = require("./helpers/relayServer");
+
+// Hardhat's second default account
+const SENDER_KEY = "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+
+describe("RelaySubmitter", function () {
+    let bridge;
+    let relay;
+    let provider;
+    let signer;
+    let authSigner;
+    let transactions;
+    let submitter;
+    let token;
+
+    const mine = async (blocks = 1) => {
+        for (let i = 0; i < blocks; i++) {
+            await network.provider.send("evm_mine");
+        }
+    };
+
+    async function expectRejection(promise) {
+        try {
+            await promise;
+        } catch (error) {
+            return error;
+        }
+        throw new Error("Expected a rejection");
+    }
+
+    before(async function () {
+        bridge = await startRpcBridge(network.provider);
+        relay = await startRelayServer(network.provider);
+        // Blocks are mined on demand here, so block numbers must never come from cache
+        provider = new ethers.JsonRpcProvider(bridge.url, undefined, { pollingInterval: 100, cacheTimeout: -1 });
+        signer = new ethers.Wallet(SENDER_KEY, provider);
+        token = await ethers.deployContract("MockERC20", ["Dai Stablecoin", "DAI", 18]);
+    });
+
+    after(async function () {
+        provider.destroy();
+        await relay.close();
+        await bridge.close();
+    });
+
+    beforeEach(function () {
+        relay.include = true;
+        relay.requests.length = 0;
+        relay.bundles.length = 0;
+        authSigner = ethers.Wallet.createRandom();
+        transactions = new TransactionManager({ signer, provider });
+        submitter = new RelaySubmitter({
+            url: relay.url,
+            signer,
+            provider,
+            transactions,
+            authSigner,
+            targetBlocks: 2,
+            maxBlocks: 6,
+            pollInterval: 10
+        });
+    });
+
+    const mintRequest = async () => token.mint.populateTransaction(signer.address, 1n);
+
+    it("simulates, then submits a signed bundle for the next blocks", async function () {
+        const startBlock = await provider.getBlockNumber();
+        const tx = await submitter.send(await mintRequest(), { label: "flashLoan" });
+        const receipt = await tx.wait();
+
+        expect(receipt.hash).to.equal(tx.hash);
+        expect(receipt.blockNumber).to.equal(startBlock + 1);
+        expect(relay.requests.map(request => request.method)).to.deep.equal(["eth_callBundle", "eth_sendBundle", "eth_sendBundle"]);
+        expect(relay.bundles.map(bundle => bundle.blockNumber)).to.deep.equal([startBlock + 1, startBlock + 2]);
+        expect(ethers.keccak256(relay.bundles[0].txs[0])).to.equal(tx.hash);
+
+        // Every request is signed by the auth key over its exact body
+        for (const { signature, body } of relay.requests) {
+            const [address, signed] = signature.split(":");
+            expect(address).to.equal(authSigner.address);
+            expect(ethers.verifyMessage(ethers.id(body), signed)).to.equal(authSigner.address);
+        }
+    });
+
+    it("re-targets a bundle that missed its blocks", async function () {
+        relay.include = false;
+        const startBlock = await provider.getBlockNumber();
+        const tx = await submitter.send(await mintRequest());
+
+        const waiting = tx.wait();
+        relay.include = true;
+        await mine(2);
+        const receipt = await waiting;
+
+        expect(receipt.blockNumber).to.equal(startBlock + 3);
+        expect(relay.bundles.map(bundle => bundle.blockNumber)).to.deep.equal([
+            startBlock + 1, startBlock + 2, startBlock + 3, startBlock + 4
+        ]);
+    });
+
+    it("gives up on a stale bundle and frees its nonce", async function () {
+        relay.include = false;
+        const tx = await submitter.send(await mintRequest(), { isStale: async () => true });
+
+        const waiting = expectRejection(tx.wait());
+        await mine(2);
+        const error = await waiting;
+
+        expect(error.code).to.equal("BUNDLE_NOT_INCLUDED");
+        expect(relay.bundles).to.have.length(2);
+        expect(await transactions.reserveNonce()).to.equal(tx.nonce);
+    });
+
+    it("drops a bundle the relay simulation reverts", async function () {
+        const request = await token.transfer.populateTransaction(ethers.ZeroAddress, ethers.parseUnits("1000000", 18));
+        request.gasLimit = 100000n; // Skip estimation, which would revert first
+
+        const error = await expectRejection(submitter.send(request));
+
+        expect(error.code).to.equal("BUNDLE_SIMULATION_FAILED");
+        expect(relay.bundles).to.have.length(0);
+        expect(await transactions.reserveNonce()).to.equal(await provider.getTransactionCount(signer.address));
+    });
+});
@@ -0,0 +1,54 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { extractRevertData, decodeRevertData, decodeRevertReason } = require("../scripts/lib/revert");
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const errorString = message => ethers.concat(["0x08c379a0", coder.encode(["string"], [message])]);
+const panic = code => ethers.concat(["0x4e487b71", coder.encode(["uint256"], [code])]);
+
+describe("Revert decoding", function () {
+    const pool = new ethers.Interface(["error InsufficientLiquidity(address token, uint256 available)"]);
+
+    it("decodes require messages and panics", function () {
+        expect(decodeRevertData(errorString("Swap failed"))).to.deep.equal({ type: "error", reason: "Swap failed" });
+        expect(decodeRevertData(panic(0x11))).to.deep.equal({ type: "panic", reason: "Panic 0x11: arithmetic overflow or underflow", code: 0x11n });
+        expect(decodeRevertData(panic(0x99)).reason).to.equal("Panic 0x99: unknown panic");
+        expect(decodeRevertData("0x")).to.deep.equal({ type: "empty", reason: "reverted without a reason" });
+        expect(decodeRevertData("0x08c379a0dead").type).to.equal("unknown");
+    });
+
+    it("names custom errors from the given interfaces and reports unknown selectors", function () {
+        const token = "0x00000000000000000000000000000000000000D1";
+        const data = pool.encodeErrorResult("InsufficientLiquidity", [token, 5n]);
+
+        expect(decodeRevertData(data, [new ethers.Interface(["error Unrelated()"]), pool])).to.deep.equal({
+            type: "custom",
+            reason: `InsufficientLiquidity(${token}, 5)`,
+            name: "InsufficientLiquidity"
+        });
+        expect(decodeRevertData(data)).to.deep.equal({ type: "custom", reason: `Unknown custom error ${data.slice(0, 10)}` });
+    });
+
+    it("finds the payload wherever providers nest it", function () {
+        const data = errorString("Insufficient funds to repay");
+
+        // ethers CALL_EXCEPTION, JSON-RPC error bodies and wrapped causes
+        expect(extractRevertData({ code: "CALL_EXCEPTION", data })).to.equal(data);
+        expect(extractRevertData({ error: { data } })).to.equal(data);
+        expect(extractRevertData({ error: { data: { data } } })).to.equal(data);
+        expect(extractRevertData({ info: { error: { code: 3, data } } })).to.equal(data);
+        expect(extractRevertData(new Error("estimateGas failed", { cause: { error: { error: { data } } } }))).to.equal(data);
+
+        // A cyclic error chain ends the search instead of looping
+        const cyclic = { message: "loop" };
+        cyclic.error = cyclic;
+        expect(extractRevertData(cyclic)).to.equal(null);
+    });
+
+    it("tells RPC failures apart from reverts", function () {
+        expect(decodeRevertReason({ info: { error: { data: panic(0x12) } } }).type).to.equal("panic");
+        expect(decodeRevertReason(Object.assign(new Error("could not coalesce error"), { shortMessage: "network timeout" })))
+            .to.deep.equal({ type: "rpc", reason: "network timeout" });
+        expect(decodeRevertReason(new Error("socket hang up"))).to.deep.equal({ type: "rpc", reason: "socket hang up" });
+    });
+});
@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { RiskManager } = require("../scripts/lib/risk");
+
+const eth = value => ethers.parseEther(String(value));
+
+describe("RiskManager", function () {
+    let config;
+    let clock;
+    let risk;
+
+    // 10 WETH borrowed; gas priced 1:1 since the loan is in WETH
+    const opportunity = { pair: "WETH/DAI", symbolA: "WETH", amount: eth(10), gasCost: eth("0.01"), gasCostWei: eth("0.01") };
+
+    beforeEach(function () {
+        config = {
+            MAX_CONSECUTIVE_FAILURES: 3,
+            FAILURE_COOLDOWN: 60000,
+            MAX_DAILY_GAS: eth("0.05"),
+            MAX_DAILY_LOSS: eth("0.03"),
+            MAX_TRADE_NOTIONAL: eth(50),
+            KILL_SWITCH: false,
+            KILL_SWITCH_FILE: null
+        };
+        clock = Date.parse("2026-01-01T12:00:00Z");
+        risk = new RiskManager({ config, now: () => clock });
+    });
+
+    it("allows a trade within every limit", function () {
+        expect(risk.check(opportunity)).to.deep.equal({ allowed: true });
+    });
+
+    it("rejects a borrow above MAX_TRADE_NOTIONAL, valued at the scan's gas rate", function () {
+        // 100k DAI at 2000 DAI per ETH is 50 ETH
+        const dai = { pair: "DAI/WETH", symbolA: "DAI", amount: eth(100001), gasCost: eth(20), gasCostWei: eth("0.01") };
+
+        expect(risk.check(dai)).to.deep.equal({ allowed: false, reason: "max_trade_notional", tripped: false });
+        expect(risk.check({ ...dai, amount: eth(100000) }).allowed).to.equal(true);
+        expect(risk.check({ ...dai, gasCostWei: null }).reason).to.equal("notional_unpriced");
+        expect(risk.tripped).to.equal(null);
+    });
+
+    it("takes the scan's own valuation of the borrow when gas costs nothing", function () {
+        // Free gas on an L2 or a local fork prices nothing in the borrowed token
+        const dai = { pair: "DAI/USDC", symbolA: "DAI", amount: eth(100001), gasCost: 0n, gasCostWei: 0n };
+
+        expect(risk.check({ ...dai, notionalWei: eth("50.0005") }).reason).to.equal("max_trade_notional");
+        expect(risk.check({ ...dai, notionalWei: eth(1) })).to.deep.equal({ allowed: true });
+        expect(risk.check({ ...dai, notionalWei: null }).reason).to.equal("notional_unpriced");
+    });
+
+    it("holds off for FAILURE_COOLDOWN after a failure", function () {
+        expect(risk.recordFailure()).to.equal(null);
+
+        expect(risk.check(opportunity)).to.deep.equal({ allowed: false, reason: "cooldown", tripped: false });
+        clock += 60000;
+        expect(risk.check(opportunity).allowed).to.equal(true);
+    });
+
+    it("trips after MAX_CONSECUTIVE_FAILURES failures in a row", function () {
+        risk.recordFailure();
+        risk.recordSuccess();
+        risk.recordFailure();
+        risk.recordFailure();
+        const trip = risk.recordFailure();
+
+        expect(trip).to.deep.equal({ reason: "consecutive_failures", details: { failures: 3 }, at: "2026-01-01T12:00:00.000Z" });
+        clock += 3600000;
+        expect(risk.check(opportunity)).to.deep.equal({ allowed: false, reason: "consecutive_failures", tripped: true });
+    });
+
+    it("trips on daily gas spend and net loss, and starts each UTC day afresh", function () {
+        risk.recordSuccess({ gasWei: eth("0.02"), profitWei: eth("0.05") });
+        expect(risk.recordSuccess({ gasWei: eth("0.02"), profitWei: eth("0.03") })).to.equal(null);
+        expect(risk.recordSuccess({ gasWei: eth("0.01") }).reason).to.equal("max_daily_gas");
+
+        risk.clear();
+        clock += 24 * 3600000;
+        expect(risk.getStatus()).to.include({ gasSpent: "0.0", netPnl: "0.0" });
+
+        risk.recordSuccess({ gasWei: eth("0.01"), profitWei: eth("0.005") });
+        const trip = risk.recordSuccess({ gasWei: eth("0.026") });
+        expect(trip).to.include({ reason: "max_daily_loss" });
+        expect(trip.details).to.deep.equal({ netLoss: "0.031" });
+    });
+
+    it("trips while the kill switch file exists and refuses to clear until it is gone", function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "risk-"));
+        config.KILL_SWITCH_FILE = path.join(dir, "KILL_SWITCH");
+        try {
+            expect(risk.check(opportunity).allowed).to.equal(true);
+
+            fs.writeFileSync(config.KILL_SWITCH_FILE, "");
+            expect(risk.check(opportunity)).to.deep.equal({ allowed: false, reason: "kill_switch", tripped: true });
+            expect(() => risk.clear()).to.throw(/Kill switch still engaged/);
+
+            fs.unlinkSync(config.KILL_SWITCH_FILE);
+            expect(risk.check(opportunity).tripped).to.equal(true);
+            risk.clear();
+            expect(risk.check(opportunity).allowed).to.equal(true);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it("keeps a trip and the day's totals across restarts", function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "risk-"));
+        const stateFile = path.join(dir, "risk-state.json");
+        try {
+            risk = new RiskManager({ config, stateFile, now: () => clock });
+            risk.recordSuccess({ gasWei: eth("0.01") });
+            config.KILL_SWITCH = true;
+            risk.check(opportunity);
+            config.KILL_SWITCH = false;
+
+            const restarted = new RiskManager({ config, stateFile, now: () => clock });
+            expect(restarted.tripped).to.include({ reason: "kill_switch" });
+            expect(restarted.getStatus()).to.include({ gasSpent: "0.01" });
+
+            restarted.clear();
+            expect(new RiskManager({ config, stateFile, now: () => clock }).tripped).to.equal(null);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
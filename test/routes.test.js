@@ -0,0 +1,63 @@
+const { expect } = require("chai");
+const { findCycleRoutes } = require("../scripts/lib/routes");
+
+const token = (symbol, id) => ({ symbol, address: `0x${id.padStart(40, "0")}`, decimals: 18 });
+const TOKENS = {
+    DAI: token("DAI", "d1"),
+    WETH: token("WETH", "e1"),
+    USDC: token("USDC", "c1"),
+    WBTC: token("WBTC", "b1"),
+    LINK: token("LINK", "11")
+};
+
+// A pair scanned in the direction of every token given a trade size
+function pair(a, b, borrowable = [a]) {
+    return {
+        name: `${a}/${b}`,
+        tokenA: TOKENS[a],
+        tokenB: TOKENS[b],
+        tradeSize: Object.fromEntries(borrowable.map(symbol => [symbol, { min: 10n, max: 1000n }])),
+        minProfit: Object.fromEntries(borrowable.map(symbol => [symbol, 1n]))
+    };
+}
+
+const routeNames = (pairs, maxHops) => findCycleRoutes({ tokens: TOKENS, pairs }, maxHops).map(route => route.pair);
+
+describe("Cycle routes", function () {
+    it("closes a triangle from each borrowable direction, sized by its first pair", function () {
+        const pairs = [pair("DAI", "WETH", ["DAI", "WETH"]), pair("WETH", "USDC"), pair("USDC", "DAI")];
+        const routes = findCycleRoutes({ tokens: TOKENS, pairs }, 3);
+
+        expect(routes.map(route => route.pair)).to.deep.equal([
+            "DAI→WETH→USDC→DAI",
+            "WETH→DAI→USDC→WETH",
+            "WETH→USDC→DAI→WETH",
+            "USDC→DAI→WETH→USDC"
+        ]);
+        expect(routes[0].tokens).to.deep.equal([TOKENS.DAI, TOKENS.WETH, TOKENS.USDC, TOKENS.DAI]);
+        expect(routes[0]).to.include({ borrowToken: TOKENS.DAI, swapToken: TOKENS.WETH, minAmount: 10n, maxAmount: 1000n, minProfit: 1n });
+    });
+
+    it("keeps a route reached through a pair listed twice once", function () {
+        const pairs = [pair("DAI", "WETH"), pair("WETH", "DAI", ["DAI"]), pair("WETH", "USDC", []), pair("USDC", "DAI", [])];
+
+        expect(routeNames(pairs, 3)).to.deep.equal(["DAI→WETH→USDC→DAI"]);
+    });
+
+    it("stops at the hop limit and leaves two-leg routes to the pair scanner", function () {
+        // A square with one diagonal: DAI-WETH-USDC-WBTC-DAI plus DAI-USDC
+        const pairs = [pair("DAI", "WETH"), pair("WETH", "USDC", []), pair("USDC", "WBTC", []), pair("WBTC", "DAI", []), pair("DAI", "USDC", [])];
+
+        expect(routeNames(pairs, 2)).to.deep.equal([]);
+        expect(routeNames(pairs, 3)).to.deep.equal(["DAI→WETH→USDC→DAI"]);
+        expect(routeNames(pairs, 4)).to.deep.equal(["DAI→WETH→USDC→WBTC→DAI", "DAI→WETH→USDC→DAI"]);
+    });
+
+    it("finds nothing through tokens without a way back", function () {
+        // LINK only trades against DAI and WBTC against nothing
+        const pairs = [pair("DAI", "WETH", ["DAI", "WETH"]), pair("DAI", "LINK", ["DAI", "LINK"])];
+
+        expect(routeNames(pairs, 4)).to.deep.equal([]);
+        expect(routeNames([], 3)).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { FailoverProvider } = require("../scripts/lib/rpcProvider");
+const { startRpcBridge } = require("./helpers/rpcBridge");
+
+// Hardhat account #2, so nonces don't collide with the suites using #0 and #1
+const SENDER_KEY = "0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a";
+
+describe("FailoverProvider", function () {
+    let primary;
+    let secondary;
+    let provider;
+
+    const createProvider = (options = {}) => new FailoverProvider([primary.url, secondary.url], undefined, {
+        retryDelay: 0,
+        healthCheckInterval: 0,
+        cacheTimeout: -1,
+        ...options
+    });
+
+    before(async function () {
+        primary = await startRpcBridge(network.provider);
+        secondary = await startRpcBridge(network.provider);
+    });
+
+    after(async function () {
+        await primary.close();
+        await secondary.close();
+    });
+
+    beforeEach(function () {
+        for (const bridge of [primary, secondary]) {
+            Object.assign(bridge, { status: null, delay: 0, blockLag: 0 });
+            bridge.methods.length = 0;
+        }
+    });
+
+    afterEach(function () {
+        provider.destroy();
+    });
+
+    it("reads from the primary while every endpoint is healthy", async function () {
+        provider = createProvider();
+
+        await provider.getBlockNumber();
+
+        expect(primary.methods).to.include("eth_blockNumber");
+        expect(secondary.methods).to.have.length(0);
+    });
+
+    it("fails over when an endpoint rate limits and backs it off", async function () {
+        provider = createProvider();
+        primary.status = 429;
+
+        const expected = await ethers.provider.getBlockNumber();
+        expect(await provider.getBlockNumber()).to.equal(expected);
+        expect(secondary.methods).to.include("eth_blockNumber");
+
+        // Still backing off: the next read goes straight to the secondary
+        primary.status = null;
+        await provider.getBalance(ethers.ZeroAddress);
+        expect(primary.methods).to.have.length(0);
+        const [status] = provider.endpointStatus();
+        expect(status).to.include({ backingOff: true });
+        expect(status.errorRate).to.be.above(0);
+    });
+
+    it("prefers the faster endpoint once health checks have measured both", async function () {
+        provider = createProvider();
+        primary.delay = 100;
+
+        await provider.checkHealth();
+        await provider.getBalance(ethers.ZeroAddress);
+
+        expect(secondary.methods).to.include("eth_getBalance");
+        expect(primary.methods).to.not.include("eth_getBalance");
+    });
+
+    it("avoids an endpoint lagging more than maxBlockLag blocks behind", async function () {
+        provider = createProvider({ maxBlockLag: 2 });
+        await network.provider.send("hardhat_mine", ["0x10"]);
+        primary.blockLag = 5;
+
+        await provider.checkHealth();
+        await provider.getBalance(ethers.ZeroAddress);
+
+        expect(primary.methods).to.not.include("eth_getBalance");
+        expect(provider.endpointStatus()[0].blockLag).to.equal(5);
+    });
+
+    it("throws the last error once every retry has failed", async function () {
+        provider = createProvider({ retries: 2, backoff: 0 });
+        primary.status = 503;
+        secondary.status = 503;
+
+        let error;
+        try {
+            await provider.send("eth_blockNumber", []);
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error).to.not.equal(undefined);
+        expect(error.code).to.equal("SERVER_ERROR");
+    });
+
+    it("broadcasts transactions to every endpoint and returns the first acceptance", async function () {
+        provider = createProvider({ sendMode: "broadcast" });
+        const wallet = new ethers.Wallet(SENDER_KEY, provider);
+
+        const tx = await wallet.sendTransaction({ to: ethers.ZeroAddress, value: 1n });
+        const receipt = await tx.wait();
+
+        expect(receipt.status).to.equal(1);
+        expect(primary.methods).to.include("eth_sendRawTransaction");
+        expect(secondary.methods).to.include("eth_sendRawTransaction");
+    });
+
+    it("sends transactions through the primary only by default", async function () {
+        provider = createProvider();
+        const wallet = new ethers.Wallet(SENDER_KEY, provider);
+
+        await (await wallet.sendTransaction({ to: ethers.ZeroAddress, value: 1n })).wait();
+
+        expect(primary.methods).to.include("eth_sendRawTransaction");
+        expect(secondary.methods).to.not.include("eth_sendRawTransaction");
+    });
+});
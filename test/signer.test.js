@@ -0,0 +1,138 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough } = require("stream");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { keyAddress, loadWallet, loadSigners, promptPassword } = require("../scripts/lib/signer");
+
+// Hardhat accounts #0 and #1
+const MAIN_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+const HOT_KEY = "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+
+describe("Signer", function () {
+    let directory;
+    let mainKeystore;
+    let hotKeystore;
+
+    // A low scrypt cost keeps the tests fast; real keystores use the default
+    const writeKeystore = (name, privateKey, password) => {
+        const file = path.join(directory, name);
+        const account = { address: ethers.computeAddress(privateKey), privateKey };
+        fs.writeFileSync(file, ethers.encryptKeystoreJsonSync(account, password, { scrypt: { N: 1 << 10 } }));
+        return file;
+    };
+
+    before(function () {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "signer-"));
+        mainKeystore = writeKeystore("main.json", MAIN_KEY, "main password");
+        hotKeystore = writeKeystore("hot.json", HOT_KEY, "hot password");
+    });
+
+    after(function () {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it("unlocks a keystore with the password from the environment, a file or a prompt", async function () {
+        const fromEnv = await loadWallet({ KEYSTORE_PATH: mainKeystore, KEYSTORE_PASSWORD: "main password" }, "");
+        expect(fromEnv.address).to.equal(ethers.computeAddress(MAIN_KEY));
+
+        const passwordFile = path.join(directory, "password");
+        fs.writeFileSync(passwordFile, "main password\n");
+        const fromFile = await loadWallet({ KEYSTORE_PATH: mainKeystore, KEYSTORE_PASSWORD_FILE: passwordFile }, "");
+        expect(fromFile.address).to.equal(fromEnv.address);
+
+        const questions = [];
+        const prompt = async (question) => {
+            questions.push(question);
+            return "main password";
+        };
+        const fromPrompt = await loadWallet({ KEYSTORE_PATH: mainKeystore }, "", { prompt });
+        expect(fromPrompt.address).to.equal(fromEnv.address);
+        expect(questions).to.deep.equal([`🔐 Password for ${mainKeystore}: `]);
+    });
+
+    it("prompts for a password without echoing it", async function () {
+        const input = new PassThrough();
+        let shown = "";
+        const output = new PassThrough();
+        output.on("data", (chunk) => {
+            shown += chunk;
+        });
+
+        const answer = promptPassword("Password: ", { input, output });
+        input.write("main password\n");
+        expect(await answer).to.equal("main password");
+        expect(shown).to.equal("Password: \n");
+    });
+
+    it("gives up on the prompt at Ctrl-C and takes what was typed when input ends", async function () {
+        const input = new PassThrough();
+        const cancelled = promptPassword("Password: ", { input, output: new PassThrough() });
+        input.write("half");
+        input.write("\x03");
+        let error;
+        try {
+            await cancelled;
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error.code).to.equal("PROMPT_CANCELLED");
+
+        const ended = new PassThrough();
+        const answer = promptPassword("Password: ", { input: ended, output: new PassThrough() });
+        ended.end("main password");
+        expect(await answer).to.equal("main password");
+    });
+
+    it("fails clearly on a wrong or missing password", async function () {
+        let error;
+        try {
+            await loadWallet({ KEYSTORE_PATH: mainKeystore, KEYSTORE_PASSWORD: "wrong" }, "");
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error).to.include({ code: "KEYSTORE_DECRYPT_FAILED" });
+        expect(error.message).to.include(mainKeystore);
+
+        error = null;
+        try {
+            await loadWallet({ HOT_KEYSTORE_PATH: hotKeystore }, "HOT_");
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error).to.include({ code: "KEYSTORE_PASSWORD_REQUIRED" });
+        expect(error.message).to.match(/HOT_KEYSTORE_PASSWORD or HOT_KEYSTORE_PASSWORD_FILE/);
+    });
+
+    it("reads addresses without decrypting and accepts keys without 0x", function () {
+        expect(keyAddress({ KEYSTORE_PATH: mainKeystore }, "")).to.equal(ethers.computeAddress(MAIN_KEY));
+        expect(keyAddress({ HOT_PRIVATE_KEY: HOT_KEY.slice(2) }, "HOT_")).to.equal(ethers.computeAddress(HOT_KEY));
+        expect(keyAddress({}, "HOT_")).to.equal(null);
+    });
+
+    it("trades from the hot key when one is set, without unlocking the main key", async function () {
+        const prompt = async () => {
+            throw new Error("should not prompt");
+        };
+        const { signer, hot, mainAddress } = await loadSigners({
+            env: { KEYSTORE_PATH: mainKeystore, HOT_KEYSTORE_PATH: hotKeystore, HOT_KEYSTORE_PASSWORD: "hot password" },
+            prompt
+        });
+        expect(signer.address).to.equal(ethers.computeAddress(HOT_KEY));
+        expect(hot).to.equal(true);
+        expect(mainAddress).to.equal(ethers.computeAddress(MAIN_KEY));
+
+        const main = await loadSigners({ env: { PRIVATE_KEY: MAIN_KEY } });
+        expect(main).to.include({ hot: false, mainAddress: ethers.computeAddress(MAIN_KEY) });
+        expect(main.signer.address).to.equal(ethers.computeAddress(MAIN_KEY));
+
+        let error;
+        try {
+            await loadSigners({ env: {} });
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error.message).to.match(/No signing key/);
+    });
+});
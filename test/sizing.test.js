@@ -0,0 +1,64 @@
+const { expect } = require("chai");
+const { findOptimalAmount } = require("../scripts/lib/sizing");
+
+describe("findOptimalAmount", function () {
+    // Records every amount evaluated, pricing it with `profitAt`
+    const search = async (profitAt, options = {}) => {
+        const evaluated = [];
+        const best = await findOptimalAmount({
+            min: 0n,
+            max: 10000n,
+            maxEvaluations: 40,
+            tolerance: 10n,
+            evaluate: async (amount) => {
+                evaluated.push(amount);
+                const profit = profitAt(amount);
+                return profit === null ? null : { profit };
+            },
+            ...options
+        });
+        return { best, evaluated };
+    };
+
+    it("narrows in on the peak of a concave profit curve", async function () {
+        // Spread earns 1 per unit, price impact costs amount²/12000: the peak is at 6000
+        const { best, evaluated } = await search(amount => amount - amount * amount / 12000n);
+
+        // Integer profits are flat within a few dozen units of the peak
+        expect(Number(best.amount)).to.be.closeTo(6000, 50);
+        expect(best.profit).to.equal(3000n);
+        expect(evaluated.length).to.be.below(40);
+    });
+
+    it("takes the top of the range when profit keeps rising with size", async function () {
+        const { best, evaluated } = await search(amount => amount * 2n);
+
+        expect(best).to.deep.equal({ profit: 20000n, amount: 10000n });
+        // The bounds go first, before any point in between
+        expect(evaluated.slice(0, 2)).to.deep.equal([0n, 10000n]);
+    });
+
+    it("never evaluates more amounts than it was given", async function () {
+        // Best amount found by how many evaluations were allowed: min, then max
+        const found = { 0: null, 1: 0n, 2: 10000n, 3: 10000n, 5: 10000n };
+        for (const [maxEvaluations, amount] of Object.entries(found)) {
+            const { best, evaluated } = await search(value => value, { maxEvaluations: Number(maxEvaluations) });
+            expect(evaluated).to.have.length(Number(maxEvaluations));
+            expect(best === null ? null : best.amount).to.equal(amount);
+        }
+
+        // With an initial evaluation at min, the first one spent is the top
+        const initial = { amount: 0n, profit: 0n };
+        const { best, evaluated } = await search(amount => amount, { maxEvaluations: 1, initial });
+        expect(evaluated).to.deep.equal([10000n]);
+        expect(best.amount).to.equal(10000n);
+    });
+
+    it("stops at an amount it can't price and keeps the best one seen", async function () {
+        const { best, evaluated } = await search(amount => (amount > 5000n ? null : amount), { initial: { amount: 0n, profit: 0n } });
+
+        // The top and the right golden-section point are unpriced, so only the left one counts
+        expect(evaluated).to.deep.equal([10000n, 3820n, 6180n]);
+        expect(best).to.deep.equal({ profit: 3820n, amount: 3820n });
+    });
+});
@@ -0,0 +1,132 @@
+const { expect } = require("chai");
+const { Metrics, createBotMetrics } = require("../scripts/lib/metrics");
+const { createStatusServer, startStatusServer } = require("../scripts/lib/statusServer");
+
+describe("Metrics", function () {
+    it("renders counters, gauges and summaries in the Prometheus text format", function () {
+        const metrics = new Metrics("test_")
+            .define("trades_total", "counter", "Trades by status")
+            .define("wallet_eth", "gauge", "Wallet ETH")
+            .define("scan_seconds", "summary", "Scan time");
+        metrics.inc("trades_total", { status: "sent" });
+        metrics.inc("trades_total", { status: "sent" }, 2);
+        metrics.inc("trades_total", { status: "odd \"quoted\"\nname" });
+        metrics.set("wallet_eth", {}, 1.5);
+        metrics.observe("scan_seconds", {}, 0.25);
+        metrics.observe("scan_seconds", {}, 0.5);
+
+        expect(metrics.render()).to.equal([
+            "# HELP test_trades_total Trades by status",
+            "# TYPE test_trades_total counter",
+            "test_trades_total{status=\"sent\"} 3",
+            "test_trades_total{status=\"odd \\\"quoted\\\"\\nname\"} 1",
+            "# HELP test_wallet_eth Wallet ETH",
+            "# TYPE test_wallet_eth gauge",
+            "test_wallet_eth 1.5",
+            "# HELP test_scan_seconds Scan time",
+            "# TYPE test_scan_seconds summary",
+            "test_scan_seconds_sum 0.75",
+            "test_scan_seconds_count 2",
+            ""
+        ].join("\n"));
+        expect(metrics.get("trades_total", { status: "sent" })).to.equal(3);
+        expect(() => metrics.inc("unknown_total")).to.throw(/Unknown metric unknown_total/);
+    });
+
+    it("counts histogram observations into cumulative buckets", function () {
+        const metrics = new Metrics("test_").define("rpc_seconds", "histogram", "RPC latency", [0.1, 1]);
+        for (const seconds of [0.05, 0.1, 0.4, 3]) {
+            metrics.observe("rpc_seconds", { method: "eth_call" }, seconds);
+        }
+
+        expect(metrics.render().split("\n").slice(2, -1)).to.deep.equal([
+            "test_rpc_seconds_bucket{le=\"0.1\",method=\"eth_call\"} 2",
+            "test_rpc_seconds_bucket{le=\"1\",method=\"eth_call\"} 3",
+            "test_rpc_seconds_bucket{le=\"+Inf\",method=\"eth_call\"} 4",
+            "test_rpc_seconds_sum{method=\"eth_call\"} 3.55",
+            "test_rpc_seconds_count{method=\"eth_call\"} 4"
+        ]);
+    });
+
+    it("lists the bot's families before anything happens", function () {
+        const text = createBotMetrics().render();
+        expect(text).to.include("# TYPE arb_rpc_request_duration_seconds histogram");
+        expect(text).to.include("\narb_scans_total 0\n");
+    });
+});
+
+describe("Status server", function () {
+    let server;
+    let baseUrl;
+    let health;
+
+    const bot = {
+        getHealth: () => health,
+        getStatus: () => ({ isRunning: true, totalProfitWei: 10n ** 18n })
+    };
+
+    before(async function () {
+        const metrics = new Metrics("test_").define("scans_total", "counter", "Scans");
+        metrics.inc("scans_total");
+        server = createStatusServer({ bot, metrics });
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async function () {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it("answers /healthz with 200 while healthy and 503 once the loop stalls", async function () {
+        health = { healthy: true, reason: "ok" };
+        let response = await fetch(`${baseUrl}/healthz`);
+        expect(response.status).to.equal(200);
+        expect(await response.json()).to.deep.equal({ healthy: true, reason: "ok" });
+
+        health = { healthy: false, reason: "last cycle 400s ago" };
+        response = await fetch(`${baseUrl}/healthz`);
+        expect(response.status).to.equal(503);
+        expect((await response.json()).reason).to.equal("last cycle 400s ago");
+    });
+
+    it("serves status as JSON, metrics as text and rejects the rest", async function () {
+        const status = await fetch(`${baseUrl}/status`);
+        expect(await status.json()).to.deep.equal({ isRunning: true, totalProfitWei: "1000000000000000000" });
+
+        const metrics = await fetch(`${baseUrl}/metrics`);
+        expect(metrics.headers.get("content-type")).to.match(/^text\/plain; version=0\.0\.4/);
+        expect(await metrics.text()).to.include("test_scans_total 1\n");
+
+        expect((await fetch(`${baseUrl}/nowhere`)).status).to.equal(404);
+        expect((await fetch(`${baseUrl}/status`, { method: "POST" })).status).to.equal(405);
+    });
+
+    it("reports a port that is already taken instead of crashing", async function () {
+        const notes = [];
+        const originalError = console.error;
+        console.error = () => {};
+        let second;
+        try {
+            second = await new Promise((resolve) => {
+                const started = startStatusServer({
+                    bot,
+                    metrics: new Metrics("test_"),
+                    port: server.address().port,
+                    host: "127.0.0.1",
+                    notify: (message) => {
+                        notes.push(message);
+                        resolve(started);
+                    }
+                });
+            });
+        } finally {
+            console.error = originalError;
+        }
+
+        expect(second.listening).to.equal(false);
+        expect(notes).to.have.length(1);
+        expect(notes[0]).to.match(/^⚠️ Status server on 127\.0\.0\.1:\d+ is down: .*EADDRINUSE/);
+        // The server already listening keeps answering
+        expect((await fetch(`${baseUrl}/healthz`)).status).to.be.oneOf([200, 503]);
+    });
+});
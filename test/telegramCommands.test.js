@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const { EventEmitter } = require("events");
+const { ethers } = require("ethers");
+const { TelegramCommands } = require("../scripts/lib/telegramCommands");
+
+const CHAT_ID = "12345";
+
+// Stands in for node-telegram-bot-api: records replies, lets tests push messages
+class StubTelegramClient extends EventEmitter {
+    constructor() {
+        super();
+        this.sent = [];
+    }
+
+    async sendMessage(chatId, text) {
+        this.sent.push({ chatId, text });
+    }
+
+    async receive(text, chatId = CHAT_ID) {
+        for (const listener of this.listeners("message")) {
+            await listener({ chat: { id: Number(chatId) }, text });
+        }
+        return this.sent[this.sent.length - 1];
+    }
+}
+
+describe("TelegramCommands", function () {
+    let client;
+    let bot;
+    let config;
+
+    beforeEach(function () {
+        client = new StubTelegramClient();
+        config = {
+            MIN_PRICE_DIFFERENCE: 50,
+            MIN_PROFIT_BPS: 0,
+            MAX_GAS_PRICE: ethers.parseUnits("25", "gwei")
+        };
+        bot = {
+            paused: false,
+            withdrawals: [],
+            getStatus: () => ({ isRunning: true, successfulTrades: 2 }),
+            pause() {
+                if (this.paused) return false;
+                this.paused = true;
+                return true;
+            },
+            resume() {
+                if (!this.paused) return false;
+                this.paused = false;
+                return true;
+            },
+            runManualScan: async () => [],
+            getBalances: async () => ({
+                wallet: ethers.parseEther("1.5"),
+                contract: [{ symbol: "USDC", decimals: 6, balance: 12500000n }]
+            }),
+            async withdrawToken(symbol) {
+                this.withdrawals.push(symbol);
+                return { hash: "0xabc" };
+            }
+        };
+        new TelegramCommands({ client, chatId: CHAT_ID, bot, config }).listen();
+    });
+
+    it("Should ignore messages from other chats", async function () {
+        await client.receive("/pause", "999");
+        expect(client.sent).to.have.length(0);
+        expect(bot.paused).to.be.false;
+    });
+
+    it("Should report status", async function () {
+        const reply = await client.receive("/status");
+        expect(reply.chatId).to.equal(CHAT_ID);
+        expect(reply.text).to.include("successfulTrades: 2");
+    });
+
+    it("Should pause and resume trading", async function () {
+        expect((await client.receive("/pause")).text).to.include("paused");
+        expect(bot.paused).to.be.true;
+        expect((await client.receive("/pause")).text).to.include("already paused");
+        expect((await client.receive("/resume")).text).to.include("resumed");
+        expect(bot.paused).to.be.false;
+    });
+
+    it("Should show wallet and contract balances", async function () {
+        const reply = await client.receive("/balance");
+        expect(reply.text).to.include("1.5 ETH");
+        expect(reply.text).to.include("USDC: 12.5");
+    });
+
+    it("Should require confirmation before withdrawing", async function () {
+        const prompt = await client.receive("/withdraw dai");
+        expect(bot.withdrawals).to.deep.equal([]);
+
+        const code = /\/confirm (\w+)/.exec(prompt.text)[1];
+        expect((await client.receive(`/confirm ${code}`)).text).to.include("0xabc");
+        expect(bot.withdrawals).to.deep.equal(["DAI"]);
+
+        // Codes are single use
+        expect((await client.receive(`/confirm ${code}`)).text).to.include("No pending action");
+        expect(bot.withdrawals).to.have.length(1);
+    });
+
+    it("Should tune whitelisted config values", async function () {
+        await client.receive("/set min_price_difference 75");
+        expect(config.MIN_PRICE_DIFFERENCE).to.equal(75);
+
+        await client.receive("/set MAX_GAS_PRICE 40");
+        expect(config.MAX_GAS_PRICE).to.equal(ethers.parseUnits("40", "gwei"));
+
+        const rejected = await client.receive("/set FLASH_ARBITRAGE 0x0");
+        expect(rejected.text).to.include("can't be changed");
+
+        const invalid = await client.receive("/set MIN_PRICE_DIFFERENCE lots");
+        expect(invalid.text).to.include("Invalid value");
+        expect(config.MIN_PRICE_DIFFERENCE).to.equal(75);
+
+        // A gas cap of nothing would silently stop every trade
+        for (const value of ["0", "-5", "lots", "0.0000000001", "20000"]) {
+            expect((await client.receive(`/set MAX_GAS_PRICE ${value}`)).text).to.include("Invalid value for MAX_GAS_PRICE");
+        }
+        expect((await client.receive("/set MAX_GAS_PRICE 0")).text).to.include("must be between 0.000000001 and 10000.0");
+        expect(config.MAX_GAS_PRICE).to.equal(ethers.parseUnits("40", "gwei"));
+    });
+
+    it("Should raise the minimum profit within 0-10000 bps", async function () {
+        expect((await client.receive("/set min_profit_bps 25")).text).to.equal("⚙️ MIN_PROFIT_BPS: 0 → 25 bps");
+        expect(config.MIN_PROFIT_BPS).to.equal(25);
+
+        for (const value of ["20000", "-5", "0.5"]) {
+            expect((await client.receive(`/set MIN_PROFIT_BPS ${value}`)).text).to.include("Invalid value for MIN_PROFIT_BPS");
+        }
+        expect(config.MIN_PROFIT_BPS).to.equal(25);
+    });
+});
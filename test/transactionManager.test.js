@@ -0,0 +1,179 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { TransactionManager } = require("../scripts/lib/transactionManager");
+
+const ADDRESS = "0x00000000000000000000000000000000000000a1";
+const gwei = value => ethers.parseUnits(String(value), "gwei");
+
+// One account on a pretend chain that plays both provider and signer. Every
+// getBlockNumber() call produces a block, which mines the account's next
+// nonce if one of its transactions there pays at least `minFee`.
+class FakeChain {
+    constructor({ nonce = 0, fee = gwei(10) } = {}) {
+        this.blockNumber = 100;
+        this.nonce = nonce; // Mined transaction count
+        this.fee = fee; // What getFeeData quotes
+        this.minFee = 0n; // What a block needs to include a transaction
+        this.pending = new Map(); // nonce -> transactions sent at that nonce
+        this.receipts = new Map();
+        this.sent = [];
+        this.provider = this;
+    }
+
+    async getAddress() {
+        return ADDRESS;
+    }
+
+    async getFeeData() {
+        return { gasPrice: null, maxFeePerGas: this.fee, maxPriorityFeePerGas: this.fee / 10n };
+    }
+
+    async getTransactionCount(address, tag) {
+        return tag === "pending" ? this.nonce + this.pending.size : this.nonce;
+    }
+
+    async getTransactionReceipt(hash) {
+        return this.receipts.get(hash) || null;
+    }
+
+    async sendTransaction(tx) {
+        if (tx.nonce < this.nonce) {
+            throw new Error("nonce too low");
+        }
+        const existing = this.pending.get(tx.nonce) || [];
+        const last = existing[existing.length - 1];
+        if (last && tx.maxFeePerGas < last.maxFeePerGas * 11n / 10n) {
+            throw new Error("replacement transaction underpriced");
+        }
+
+        const sent = { ...tx, hash: ethers.id(`tx-${this.sent.length}`) };
+        this.sent.push(sent);
+        this.pending.set(tx.nonce, [...existing, sent]);
+        return { hash: sent.hash };
+    }
+
+    async getBlockNumber() {
+        this.blockNumber += 1;
+        const candidates = (this.pending.get(this.nonce) || []).filter(tx => tx.maxFeePerGas >= this.minFee);
+        const included = candidates[candidates.length - 1];
+        if (included) {
+            this.receipts.set(included.hash, { hash: included.hash, status: 1, blockNumber: this.blockNumber });
+            this.pending.delete(this.nonce);
+            this.nonce += 1;
+        }
+        return this.blockNumber;
+    }
+}
+
+describe("TransactionManager", function () {
+    let chain;
+    let manager;
+    let replaced;
+
+    const request = { to: "0x00000000000000000000000000000000000000b2", data: "0x1234", gasLimit: 100000n };
+
+    beforeEach(function () {
+        chain = new FakeChain({ nonce: 7 });
+        manager = new TransactionManager({ signer: chain, timeoutBlocks: 2, maxReplacements: 2, pollInterval: 0 });
+        replaced = [];
+        manager.on("replaced", event => replaced.push(event));
+    });
+
+    it("hands out consecutive nonces from the node's pending count", async function () {
+        chain.minFee = gwei(1000); // Nothing mines
+        const sends = await Promise.all([manager.send(request), manager.send(request), manager.send(request)]);
+
+        expect(sends.map(tx => tx.nonce)).to.deep.equal([7, 8, 9]);
+        expect(chain.sent.map(tx => tx.maxFeePerGas)).to.deep.equal([gwei(10), gwei(10), gwei(10)]);
+    });
+
+    it("resolves with the receipt once the transaction mines", async function () {
+        const tx = await manager.send(request);
+        const receipt = await tx.wait();
+
+        expect(receipt).to.include({ hash: tx.hash, status: 1 });
+        expect(replaced).to.have.length(0);
+    });
+
+    it("speeds up a stuck transaction with bumped fees while it is still wanted", async function () {
+        chain.minFee = gwei(11); // The first attempt at 10 gwei never mines
+        const tx = await manager.send(request, { label: "flashLoan" });
+        const original = tx.hash;
+
+        const receipt = await tx.wait();
+
+        expect(replaced).to.deep.equal([{ action: "speedup", nonce: 7, hash: receipt.hash, replaced: original, label: "flashLoan" }]);
+        expect(tx.hash).to.equal(receipt.hash);
+        const speedup = chain.sent[1];
+        expect(speedup).to.include({ nonce: 7, to: request.to, data: request.data });
+        expect(speedup.maxFeePerGas).to.equal(gwei("11.25"));
+    });
+
+    it("keeps the fees a request carries and caps replacement bids", async function () {
+        manager = new TransactionManager({ signer: chain, timeoutBlocks: 2, maxReplacements: 2, pollInterval: 0, feeCap: () => gwei(25) });
+        chain.minFee = gwei(24);
+        const tx = await manager.send({ ...request, maxFeePerGas: gwei(20), maxPriorityFeePerGas: gwei(5) });
+
+        await tx.wait();
+
+        expect(chain.sent.map(sent => sent.maxFeePerGas)).to.deep.equal([gwei(20), gwei("22.5"), gwei(25)]);
+        expect(chain.sent[2].maxPriorityFeePerGas).to.equal(gwei("6.328125"));
+    });
+
+    it("cancels a stuck transaction with a self-transfer once it is stale", async function () {
+        chain.minFee = gwei(11);
+        const tx = await manager.send(request, { isStale: async () => true });
+
+        let error;
+        try {
+            await tx.wait();
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error.code).to.equal("TX_CANCELLED");
+        expect(replaced.map(event => event.action)).to.deep.equal(["cancel"]);
+        expect(chain.sent[1]).to.include({ nonce: 7, to: ADDRESS, value: 0n, data: "0x" });
+        expect(error.receipt.hash).to.equal(chain.sent[1].hash);
+    });
+
+    it("gives up after the last replacement and lets the next send take the nonce over", async function () {
+        chain.minFee = gwei(1000);
+        const tx = await manager.send(request);
+
+        let error;
+        try {
+            await tx.wait();
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error.code).to.equal("TX_TIMEOUT");
+        expect(error.hashes).to.have.length(3);
+        expect(replaced).to.have.length(2);
+
+        // Outbids the abandoned attempt at the same nonce
+        chain.minFee = 0n;
+        const next = await manager.send(request);
+        expect(next.nonce).to.equal(7);
+        expect(chain.sent[3].maxFeePerGas).to.equal(gwei("14.23828125"));
+        await next.wait();
+        expect(chain.nonce).to.equal(8);
+    });
+
+    it("resyncs from the node after a rejected send", async function () {
+        await (await manager.send(request)).wait();
+        chain.nonce = 12; // Transactions sent from elsewhere, e.g. before a restart
+
+        let error;
+        try {
+            await manager.send(request);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.equal("nonce too low");
+
+        const tx = await manager.send(request);
+        expect(tx.nonce).to.equal(12);
+    });
+});
@@ -0,0 +1,74 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { resolveTreasuryPolicy, planTreasury, ethReserveLevel } = require("../scripts/lib/treasury");
+
+const TOKENS = {
+    DAI: { symbol: "DAI", address: "0x00000000000000000000000000000000000000d1", decimals: 18 },
+    USDC: { symbol: "USDC", address: "0x00000000000000000000000000000000000000c1", decimals: 6 }
+};
+const TREASURY = "0x00000000000000000000000000000000000000f1";
+
+describe("Treasury policy", function () {
+    const usdc = value => ethers.parseUnits(String(value), 6);
+
+    describe("resolveTreasuryPolicy", function () {
+        it("parses limits in each token's decimals and skips unknown tokens", function () {
+            const policy = resolveTreasuryPolicy({
+                treasury: TREASURY,
+                ethReserve: { min: "0.02", warn: "0.1" },
+                tokens: {
+                    USDC: { min: "5", target: "10", sweepAbove: "100" },
+                    WBTC: { min: "0.001", target: "0.002" }
+                }
+            }, TOKENS);
+
+            expect(policy.treasury).to.equal(ethers.getAddress(TREASURY));
+            expect(policy.ethReserve).to.deep.equal({ min: ethers.parseEther("0.02"), warn: ethers.parseEther("0.1") });
+            expect(Object.keys(policy.tokens)).to.deep.equal(["USDC"]);
+            expect(policy.tokens.USDC).to.deep.equal({ token: TOKENS.USDC, min: usdc(5), target: usdc(10), sweepAbove: usdc(100) });
+        });
+
+        it("defaults to an ETH reserve and nothing else", function () {
+            expect(resolveTreasuryPolicy({}, TOKENS)).to.deep.equal({
+                treasury: null,
+                ethReserve: { min: ethers.parseEther("0.01"), warn: ethers.parseEther("0.05") },
+                tokens: {}
+            });
+        });
+
+        it("rejects thresholds out of order", function () {
+            expect(() => resolveTreasuryPolicy({ tokens: { DAI: { min: "10", target: "5" } } }, TOKENS)).to.throw(/min <= target < sweepAbove/);
+            expect(() => resolveTreasuryPolicy({ tokens: { DAI: { min: "5", target: "10", sweepAbove: "10" } } }, TOKENS)).to.throw(/min <= target < sweepAbove/);
+            expect(() => resolveTreasuryPolicy({ tokens: { DAI: { target: "10" } } }, TOKENS)).to.throw(/min and target/);
+            expect(() => resolveTreasuryPolicy({ ethReserve: { min: "1", warn: "0.5" } }, TOKENS)).to.throw(/ethReserve/);
+        });
+    });
+
+    describe("planTreasury", function () {
+        const limits = { min: usdc(5), target: usdc(10), sweepAbove: usdc(100) };
+
+        it("tops up to the target below the minimum", function () {
+            expect(planTreasury(limits, usdc(4))).to.deep.equal({ action: "topup", amount: usdc(6) });
+        });
+
+        it("sweeps down to the target above the threshold", function () {
+            expect(planTreasury(limits, usdc(250))).to.deep.equal({ action: "sweep", amount: usdc(240) });
+        });
+
+        it("leaves balances between the thresholds alone", function () {
+            expect(planTreasury(limits, usdc(5)).action).to.equal("none");
+            expect(planTreasury(limits, usdc(100)).action).to.equal("none");
+            expect(planTreasury({ ...limits, sweepAbove: null }, usdc(1000000)).action).to.equal("none");
+        });
+    });
+
+    describe("ethReserveLevel", function () {
+        it("warns before the reserve and is critical below it", function () {
+            const reserve = { min: ethers.parseEther("0.01"), warn: ethers.parseEther("0.05") };
+
+            expect(ethReserveLevel(reserve, ethers.parseEther("0.05"))).to.equal("ok");
+            expect(ethReserveLevel(reserve, ethers.parseEther("0.03"))).to.equal("warn");
+            expect(ethReserveLevel(reserve, ethers.parseEther("0.009"))).to.equal("critical");
+        });
+    });
+});